@@ -1,36 +1,365 @@
 const express = require('express');
-const { google } = require('googleapis');
 const cors = require('cors');
+const multer = require('multer');
+const archiver = require('archiver');
 require('dotenv').config();
-const nodemailer = require('nodemailer');
+const { createSendQueue, summarizeJob, FINISHED_STATUSES } = require('./lib/sendQueue');
+const { compileTemplate, renderTemplate, validateTemplate } = require('./lib/mergeTags');
+const { htmlToText } = require('./lib/htmlToText');
+const { isMarkedSent, writeBackRangeError, prepareWriteBack, createStatusWriter } = require('./lib/sheetWriteBack');
+const { createRateLimiter } = require('./lib/rateLimiter');
+const { loadSenderAccounts, createSenderRegistry } = require('./lib/transports');
+const { parseRange, columnToLetter } = require('./lib/a1Notation');
+const { createScheduler, resolveSendAt, isValidTimeZone } = require('./lib/scheduler');
+const { createTemplateLibrary } = require('./lib/templateLibrary');
+const { createSourceRegistry, parseSpreadsheetId } = require('./lib/audienceSources');
+const { validateColumnMapping, extractContactFields, createMappingStore } = require('./lib/columnMapping');
+const { parseUpload, SUPPORTED_FORMATS } = require('./lib/fileParsers');
+const { createDatasetStore, createDatasetSheets, isDatasetId } = require('./lib/datasets');
+const { createSheetsProvider } = require('./lib/sheetsProvider');
+const { createSheetsCache } = require('./lib/sheetsCache');
+const { parseRowQuery, queryRows, compileFilters } = require('./lib/rowQuery');
+const { segmentRequestError, compileSegment, createSegmentStore } = require('./lib/segments');
+const { DEDUPE_POLICIES, normalizeEmail, findDuplicateGroups, dedupeContacts } = require('./lib/duplicates');
+const { isValidEmailSyntax, createResolver, createEmailValidator } = require('./lib/emailValidation');
+const { proposeFixes, locateChanges, writeCells, undoCells, createFixLog } = require('./lib/sheetFixes');
+const { parseAttachmentList, formatBytes, createAttachmentStore, createAttachmentResolver } = require('./lib/attachments');
+const {
+  CERTIFICATE_DELIVERIES,
+  designRequestError,
+  renderDesign,
+  svgToPdf,
+  certificateFileName,
+  qrCodeDataUrl,
+  qrCodePng,
+  verificationDetails,
+  renderVerificationPage,
+  createDesignStore,
+  createCertificateStore,
+} = require('./lib/certificates');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
+// Express puts an ETag on every JSON response and answers a matching If-None-Match
+// with 304; exposing the header lets the frontend send it back
+app.use(cors({ exposedHeaders: ['ETag'] }));
+
+// Express skips the 304 when the request also says "Cache-Control: no-cache", which
+// fetch() adds to every request that sets If-None-Match by hand. A matching ETag is
+// all that counts here.
+app.use((req, res, next) => {
+  Object.defineProperty(req, 'fresh', {
+    get() {
+      const ifNoneMatch = req.get('If-None-Match');
+      const etag = res.get('ETag');
+      if (!ifNoneMatch || !etag || !['GET', 'HEAD'].includes(req.method)) return false;
+      if ((res.statusCode < 200 || res.statusCode >= 300) && res.statusCode !== 304) return false;
+
+      const opaque = tag => tag.trim().replace(/^W\//, '');
+      return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag));
+    },
+  });
+  next();
+});
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Google Sheets API setup
-const auth = new google.auth.GoogleAuth({
-  keyFile: process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE, // Path to your service account key file
-  scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
+// Spreadsheet data comes from Google, or from local fixture files with SHEETS_PROVIDER=fixtures
+const sheetsProvider = createSheetsProvider();
+
+// Reads are cached per spreadsheet + range for SHEETS_CACHE_TTL_MS (30 seconds by default, 0 = off)
+// to stay within the Sheets API quota; POST /sheets/:spreadsheetId/refresh clears them
+const SHEETS_CACHE_TTL_MS = parseInt(process.env.SHEETS_CACHE_TTL_MS ?? '30000', 10) || 0;
+const sheetsCache = createSheetsCache(sheetsProvider, { ttl: SHEETS_CACHE_TTL_MS });
+
+// Uploaded CSV/XLSX/JSON files are read through the same client, using their
+// "upload-..." dataset id in place of a spreadsheet id
+const datasets = createDatasetStore();
+const sheets = createDatasetSheets(datasets, sheetsCache);
+
+// Deep address checks for the Validate tab. EMAIL_RESOLVER picks how domains are
+// looked up (dns, fixtures or off); each lookup gives up after EMAIL_DNS_TIMEOUT_MS.
+const EMAIL_DNS_TIMEOUT_MS = parseInt(process.env.EMAIL_DNS_TIMEOUT_MS, 10) || 5000;
+const emailValidator = createEmailValidator({ resolver: createResolver(), timeout: EMAIL_DNS_TIMEOUT_MS });
+
+// Audience files are parsed in memory; UPLOAD_MAX_BYTES caps their size (10 MB by default)
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: UPLOAD_MAX_BYTES } });
+
+// Files attached to campaign emails. Uploads are kept in DATA_DIR/attachments; the sheet's
+// attachment column may also hold URLs, fetched with an ATTACHMENT_FETCH_TIMEOUT_MS timeout and,
+// when ATTACHMENT_ALLOWED_HOSTS is set (comma separated), only from those hosts. Without it any
+// host goes except those on loopback, link-local or private addresses.
+// ATTACHMENT_MAX_BYTES caps each file (10 MB), ATTACHMENT_MAX_TOTAL_BYTES each message (20 MB).
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const ATTACHMENT_MAX_TOTAL_BYTES = parseInt(process.env.ATTACHMENT_MAX_TOTAL_BYTES, 10) || 20 * 1024 * 1024;
+const attachmentStore = createAttachmentStore();
+const attachmentResolver = createAttachmentResolver({
+  store: attachmentStore,
+  maxBytes: ATTACHMENT_MAX_BYTES,
+  maxTotalBytes: ATTACHMENT_MAX_TOTAL_BYTES,
+  allowedHosts: (process.env.ATTACHMENT_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean),
+  timeout: parseInt(process.env.ATTACHMENT_FETCH_TIMEOUT_MS, 10) || 10000,
 });
+const attachmentUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: ATTACHMENT_MAX_BYTES } });
+
+// Certificates rendered from SVG designs. Download and verification links in emails start
+// with PUBLIC_URL, the address recipients reach this server at (http://localhost:PORT by default).
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const certificateDesigns = createDesignStore();
+const certificates = createCertificateStore();
+
+// Delivery throttling, all configurable through the environment:
+// SEND_CONCURRENCY parallel SMTP connections, SEND_RATE_PER_SECOND / SEND_RATE_PER_HOUR caps (0 = no cap),
+// SEND_MAX_RETRIES retries for temporary failures starting SEND_RETRY_BASE_DELAY_MS apart (doubling each time)
+const SEND_CONCURRENCY = parseInt(process.env.SEND_CONCURRENCY, 10) || 3;
+const SEND_RATE_PER_SECOND = parseInt(process.env.SEND_RATE_PER_SECOND ?? '5', 10) || 0;
+const SEND_RATE_PER_HOUR = parseInt(process.env.SEND_RATE_PER_HOUR ?? '0', 10) || 0;
+const SEND_MAX_RETRIES = parseInt(process.env.SEND_MAX_RETRIES ?? '3', 10) || 0;
+const SEND_RETRY_BASE_DELAY_MS = parseInt(process.env.SEND_RETRY_BASE_DELAY_MS, 10) || 2000;
+
+// Sender accounts (SMTP, Gmail API, HTTP mail API or .eml outbox), see senders.example.json.
+// The SMTP_* variables still configure the "default" SMTP account.
+const senders = createSenderRegistry(loadSenderAccounts(), { concurrency: SEND_CONCURRENCY });
+
+// Sheet row number of the first data row. The first row of a range is its
+// header, so "Sheet1!A3:F" has headers in row 3 and data from row 4.
+function firstDataRow(range) {
+  return parseRange(range).startRow + 1;
+}
+
+// Saved column mappings (which column is the name, email, cc, certificate link, ...)
+const columnMappings = createMappingStore();
+
+// Column mapping for the sheet a range reads from: the saved one, or a guess from the headers.
+// `overrides` lets a single request pick other columns, e.g. { email: 'Work Email' }.
+function mappingForRange(spreadsheetId, range, headers, overrides = {}) {
+  const { mapping } = columnMappings.resolve(spreadsheetId, parseRange(range).sheetName, headers);
+  const result = { ...mapping };
+  Object.entries(overrides).forEach(([field, header]) => {
+    if (header && headers.includes(header)) result[field] = header;
+  });
+  return result;
+}
+
+// Get every contact with name, email and certificate link; rows that cannot be
+// sent to carry a skipReason. `firstRow` is the sheet row of objects[0].
+// Campaigns that generate certificates do not need a certificate link column.
+function getCampaignContacts(objects, firstRow, mapping, { generateCertificates = false } = {}) {
+  return objects.map((row, index) => {
+    const contact = {
+      ...extractContactFields(row, mapping),
+      row: firstRow + index,
+      fields: row
+    };
+
+    if (!contact.email) contact.skipReason = 'Missing email';
+    else if (!isValidEmailSyntax(contact.email)) contact.skipReason = 'Invalid email format';
+    else if (!contact.certificateLink && !generateCertificates) contact.skipReason = 'Missing certificate link';
+
+    return contact;
+  });
+}
+
+// Get contacts that can be sent to: valid email and an existing certificate link
+function getSendableContacts(objects, firstRow, mapping, options) {
+  return getCampaignContacts(objects, firstRow, mapping, options).filter(contact => !contact.skipReason);
+}
+
+// Merge data for one contact: every sheet column, the custom fields of the
+// column mapping and the resolved name, email, cc and certificate link. Recipients of
+// campaigns that generate certificates also get the certificate's id, verification
+// link and a QR code image of that link.
+function buildMergeData(contact) {
+  const { certificateId } = contact;
+  return {
+    ...contact.fields,
+    ...contact.custom,
+    name: contact.name,
+    email: contact.email,
+    cc: contact.cc || '',
+    certificateLink: contact.certificateLink,
+    ...(contact.course ? { course: contact.course } : {}),
+    ...(certificateId ? {
+      certificateId,
+      verificationUrl: verificationUrl(certificateId),
+      certificateQrCode: `${verificationUrl(certificateId)}/qr.png`,
+    } : {}),
+  };
+}
+
+// A transparent 1x1 PNG: keeps the QR code's place in a design without drawing one
+const BLANK_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+// Merge data for a certificate design: the contact's merge data plus {{date}}, the issue
+// date. The PDF renderer cannot fetch images, so {{certificateQrCode}} is a data: URL here.
+// Contacts without a certificateId get no id, verification link or QR code, since
+// nothing would be found under them.
+async function certificateData(contact, issuedAt = new Date()) {
+  const data = buildMergeData(contact);
+  return {
+    ...data,
+    date: issuedAt.toLocaleDateString('en-US', { dateStyle: 'long' }),
+    certificateId: data.certificateId || '',
+    verificationUrl: data.verificationUrl || '',
+    certificateQrCode: data.verificationUrl ? await qrCodeDataUrl(data.verificationUrl) : BLANK_IMAGE,
+  };
+}
+
+const certificateUrl = certificateId => `${PUBLIC_URL}/certificates/${certificateId}/download`;
+const verificationUrl = certificateId => `${PUBLIC_URL}/verify/${certificateId}`;
 
-const sheets = google.sheets({ version: 'v4', auth });
+// Stands in for the certificate id in messages that are only rendered
+const UNISSUED_CERTIFICATE_ID = 'issued-when-sent';
 
-// SMTP Transporter setup
-const smtpTransporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: parseInt(process.env.SMTP_PORT, 10),
-  secure: process.env.SMTP_SECURE === 'true',
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASSWORD,
+// Recipients of campaigns that generate certificates get {{certificateId}} and friends,
+// and with link delivery {{certificateLink}} pointing at the download. Messages that are
+// only rendered (dry runs, previews, tests) show where the links will go, since no
+// certificate is issued for them.
+function withCertificateLink(contact, certificate) {
+  if (!certificate) return contact;
+  const certificateId = contact.certificateId || UNISSUED_CERTIFICATE_ID;
+  return {
+    ...contact,
+    certificateId,
+    ...(certificate.delivery === 'link' ? { certificateLink: certificateUrl(certificateId) } : {}),
+  };
+}
+
+// Check a campaign's certificate option, { designId, delivery }, where delivery is
+// 'attach' or 'link'. Returns { design } (null without the option) or { failure }.
+function resolveCertificateOption(certificate) {
+  if (certificate === null || certificate === undefined) return { design: null };
+  if (typeof certificate !== 'object' || !CERTIFICATE_DELIVERIES.includes(certificate.delivery)) {
+    return {
+      failure: {
+        status: 400,
+        error: 'Invalid request',
+        message: `certificate.delivery must be one of: ${CERTIFICATE_DELIVERIES.join(', ')}`,
+      },
+    };
+  }
+  const design = certificateDesigns.get(certificate.designId);
+  if (!design) {
+    return {
+      failure: { status: 404, error: 'Certificate design not found', message: `Certificate design ${certificate.designId} not found` },
+    };
+  }
+  return { design };
+}
+
+// Render a recipient's certificate as a PDF attachment without issuing it (previews and
+// test sends). It cannot be verified, so it is marked PREVIEW.
+async function renderCertificateAttachment(design, contact) {
+  const data = await certificateData({ ...contact, certificateId: null });
+  const pdf = await svgToPdf(renderDesign(design, data).svg, { watermark: 'PREVIEW' });
+  return { filename: certificateFileName(contact.name || contact.email), content: pdf, contentType: 'application/pdf' };
+}
+
+// Personalize the subject and body for a single contact using {{column}} merge tags.
+// `missing` lists the placeholders that resolved to nothing.
+function personalizeMessage({ subject, body }, contact) {
+  const data = buildMergeData(contact);
+  const subjectResult = renderTemplate(subject, data, { escape: false });
+  const bodyResult = renderTemplate(body, data);
+  return {
+    subject: subjectResult.output,
+    html: bodyResult.output,
+    text: htmlToText(bodyResult.output),
+    missing: [
+      ...subjectResult.missing.map(entry => ({ ...entry, field: 'subject' })),
+      ...bodyResult.missing.map(entry => ({ ...entry, field: 'body' })),
+    ],
+  };
+}
+
+// Modes accepted by POST /send-emails
+const SEND_MODES = ['send', 'dryRun', 'test'];
+const MAX_TEST_ROWS = 10;
+
+// Writes "Sent at"/"Status"/"Error" into the sheet for campaigns that opt in
+const statusWriter = createStatusWriter(sheets);
+
+// Background send queue - jobs are persisted so they can resume after a restart
+const sendQueue = createSendQueue({
+  concurrency: SEND_CONCURRENCY,
+  rateLimiter: createRateLimiter({ perSecond: SEND_RATE_PER_SECOND, perHour: SEND_RATE_PER_HOUR }),
+  maxRetries: SEND_MAX_RETRIES,
+  retryBaseDelay: SEND_RETRY_BASE_DELAY_MS,
+  onRecipientUpdate: statusWriter.record,
+  onJobUpdate: (job) => {
+    if (FINISHED_STATUSES.includes(job.status) || job.status === 'paused') {
+      statusWriter.flush(job.id);
+    }
+  },
+  deliver: async (job, recipient) => {
+    const sender = senders.get(job.senderId);
+    if (!sender) {
+      throw new Error(`Sender account "${job.senderId}" is no longer configured`);
+    }
+    const certificate = job.certificate && recipient.certificateId ? await renderCertificate(job, recipient) : null;
+    const { subject, html, text } = personalizeMessage(job, withCertificateLink(recipient, job.certificate));
+    const attachments = await attachmentResolver.forMessage(job.attachments, recipient);
+    if (certificate && job.certificate.delivery === 'attach') {
+      attachments.push({ filename: certificate.fileName, content: certificate.pdf, contentType: 'application/pdf' });
+    }
+    const result = await sender.send({
+      to: recipient.email,
+      cc: recipient.cc || undefined,
+      subject,
+      html,
+      text,
+      attachments,
+    });
+    if (certificate) issueCertificate(job, recipient, certificate);
+    return result;
   },
 });
 
+// Render a recipient's certificate for a delivery attempt. Nothing is stored until the
+// message has gone out, so a failed send leaves no certificate to verify.
+async function renderCertificate(job, recipient) {
+  const design = certificateDesigns.get(job.certificate.designId);
+  if (!design) {
+    throw new Error(`Certificate design "${job.certificate.designId}" no longer exists`);
+  }
+  const issuedAt = new Date();
+  return {
+    design,
+    issuedAt,
+    pdf: await svgToPdf(renderDesign(design, await certificateData(recipient, issuedAt)).svg),
+    fileName: certificateFileName(recipient.name || recipient.email),
+  };
+}
+
+// Store a sent certificate under the recipient's certificateId. The message is already
+// out, so a failure here is logged rather than thrown; throwing would send it again.
+function issueCertificate(job, recipient, { design, issuedAt, pdf, fileName }) {
+  try {
+    certificates.issue({
+      id: recipient.certificateId,
+      issuedAt,
+      pdf,
+      fileName,
+      designId: design.id,
+      jobId: job.id,
+      spreadsheetId: job.spreadsheetId,
+      range: job.range,
+      row: recipient.row,
+      email: recipient.email,
+      name: recipient.name,
+      course: recipient.course || null,
+    });
+  } catch (error) {
+    console.error(`Failed to record certificate ${recipient.certificateId} for ${recipient.email}:`, error);
+  }
+}
+
 // Helper function to convert range to object array
 function convertToObjects(values, headers = null) {
   if (!values || values.length === 0) return [];
@@ -47,6 +376,294 @@ function convertToObjects(values, headers = null) {
   });
 }
 
+// Saved segments: rules that narrow a campaign down to some of a sheet's rows
+const segments = createSegmentStore();
+
+// Row filter for a segment, checked against the sheet's headers; every row passes
+// without a segmentId. Segments only apply to the spreadsheet they were saved for.
+// Returns { predicate, segment } or { failure }.
+function segmentFilter(segmentId, spreadsheetId, headers) {
+  if (!segmentId) return { predicate: () => true, segment: null };
+
+  const segment = segments.get(segmentId);
+  if (!segment) {
+    return { failure: { status: 404, error: 'Segment not found', message: `Segment ${segmentId} not found` } };
+  }
+  if (segment.spreadsheetId !== spreadsheetId) {
+    return {
+      failure: {
+        status: 400,
+        error: 'Invalid segment',
+        message: `Segment "${segment.name}" belongs to a different spreadsheet`,
+      },
+    };
+  }
+  const { predicate, error } = compileSegment(segment, headers);
+  if (error) return { failure: { status: 400, error: 'Invalid segment', message: error } };
+  return { predicate, segment };
+}
+
+// Fetch the sheet behind a campaign and work out who it goes to. With a segmentId
+// only the segment's rows are considered at all; `dedupe` is one of DEDUPE_POLICIES.
+// Problems the caller should report come back as { failure: { status, error, message? } }.
+async function loadCampaignContacts({ spreadsheetId, range, skipSent = false, segmentId = null, dedupe = 'none', certificate = null }) {
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range,
+  });
+  const values = response.data.values;
+  if (!values || values.length === 0) {
+    return { failure: { status: 404, error: 'No data found in sheet' } };
+  }
+  const mapping = mappingForRange(spreadsheetId, range, values[0]);
+  if (!mapping.email) {
+    return { failure: { status: 400, error: 'No email column', message: 'Map the email column for this sheet first' } };
+  }
+  const inSegment = segmentFilter(segmentId, spreadsheetId, values[0]);
+  if (inSegment.failure) return inSegment;
+  const allContacts = getCampaignContacts(convertToObjects(values), firstDataRow(range), mapping, { generateCertificates: Boolean(certificate) })
+    .filter(contact => inSegment.predicate(contact.fields));
+  if (skipSent) {
+    allContacts.forEach(contact => {
+      if (!contact.skipReason && isMarkedSent(contact.fields)) contact.skipReason = 'Already sent';
+    });
+  }
+  // People on more than one row get one message; the rows left out are reported as skipped
+  const deduped = dedupeContacts(allContacts.filter(contact => !contact.skipReason), dedupe);
+  deduped.duplicates.forEach(({ contact, keptRow }) => {
+    contact.skipReason = `Duplicate of row ${keptRow}`;
+  });
+  const { contacts } = deduped;
+
+  if (contacts.length === 0) {
+    return {
+      failure: {
+        status: 400,
+        error: 'No valid contacts with certificate links found',
+        ...(inSegment.segment ? { message: `No sendable rows in segment "${inSegment.segment.name}"` } : {}),
+      },
+    };
+  }
+  return { values, allContacts, contacts, segment: inSegment.segment };
+}
+
+// Check a campaign's attachments field: a list of uploaded file names.
+// Returns an error message or null.
+function attachmentListError(attachments) {
+  if (!Array.isArray(attachments) || attachments.some(name => typeof name !== 'string' || !name)) {
+    return 'attachments must be a list of uploaded file names';
+  }
+  const missing = attachments.find(name => !attachmentStore.stat(name));
+  return missing ? `Attachment "${missing}" has not been uploaded` : null;
+}
+
+// Every file a campaign would attach must exist and fit the size limits before anything is queued
+async function checkCampaignAttachments(attachments, contacts) {
+  const problems = await attachmentResolver.check({ attachments, recipients: contacts });
+  if (problems.length === 0) return null;
+
+  const [first] = problems;
+  return {
+    failure: {
+      status: 400,
+      error: 'Attachment problems',
+      message: `${problems.length} attachment problem(s), e.g. ${first.row ? `row ${first.row}: ` : ''}${first.problem}`,
+      problems,
+    },
+  };
+}
+
+// Queue a loaded campaign on the send queue, preparing write-back columns first if asked to
+async function queueCampaign({ jobId, spreadsheetId, range, subject, body, senderId, writeBack, attachments = [], certificate = null }, { values, contacts }) {
+  const attachmentCheck = await checkCampaignAttachments(attachments, contacts);
+  if (attachmentCheck) return attachmentCheck;
+
+  if (writeBack && isDatasetId(spreadsheetId)) {
+    return {
+      failure: {
+        status: 400,
+        error: 'Cannot write to sheet',
+        message: 'Uploaded files are read-only; write-back needs a Google Sheet',
+      },
+    };
+  }
+
+  const rangeError = writeBack && writeBackRangeError(range, values[0]);
+  if (rangeError) {
+    return {
+      failure: {
+        status: 400,
+        error: 'Cannot write to sheet',
+        message: rangeError,
+      },
+    };
+  }
+
+  // Status columns are created before queueing so a sheet without edit access fails fast
+  let writeBackTarget = null;
+  if (writeBack) {
+    try {
+      writeBackTarget = await prepareWriteBack(sheets, spreadsheetId, range, values[0]);
+    } catch (writeError) {
+      return {
+        failure: {
+          status: 400,
+          error: 'Cannot write to sheet',
+          message: `Write-back needs the sheet shared with edit access: ${writeError.message}`,
+        },
+      };
+    }
+  }
+
+  const job = sendQueue.enqueue({
+    id: jobId,
+    spreadsheetId,
+    range,
+    subject,
+    body,
+    // Certificate ids are handed out up front so retries and restarts keep them
+    recipients: certificate ? contacts.map(contact => ({ ...contact, certificateId: certificates.newId() })) : contacts,
+    writeBack: writeBackTarget,
+    senderId,
+    attachments,
+    certificate,
+  });
+  return { job };
+}
+
+// Campaigns scheduled for later go through the same pipeline as "Send Email"
+const scheduler = createScheduler({
+  run: async (campaign, jobId) => {
+    if (!senders.get(campaign.senderId)) {
+      throw new Error(`Sender account "${campaign.senderId}" is no longer configured`);
+    }
+    const loaded = await loadCampaignContacts(campaign);
+    const queued = loaded.failure ? loaded : await queueCampaign({ ...campaign, jobId }, loaded);
+    if (queued.failure) {
+      throw new Error(queued.failure.message || queued.failure.error);
+    }
+    return queued.job;
+  },
+  findJob: sendQueue.getJob,
+});
+
+const CAMPAIGN_FIELDS = ['spreadsheetId', 'range', 'subject', 'body', 'senderId', 'writeBack', 'skipSent', 'segmentId', 'dedupe', 'attachments', 'certificate'];
+
+// Check a schedule request. `existing` is the schedule being edited; its values
+// fill in whatever the request leaves out.
+function parseScheduleRequest(requestBody, existing = null) {
+  const invalid = message => ({ failure: { status: 400, error: 'Invalid request', message } });
+
+  const campaign = { ...existing?.campaign };
+  CAMPAIGN_FIELDS.forEach(field => {
+    if (requestBody[field] !== undefined) campaign[field] = requestBody[field];
+  });
+  campaign.writeBack = campaign.writeBack === true;
+  campaign.skipSent = campaign.skipSent === true;
+
+  const missing = ['spreadsheetId', 'range', 'subject', 'body'].filter(field => !campaign[field]);
+  if (missing.length > 0) {
+    return invalid(`Missing required field(s): ${missing.join(', ')}`);
+  }
+
+  const sender = senders.get(campaign.senderId);
+  if (!sender) {
+    return invalid(`Unknown sender account "${campaign.senderId}"`);
+  }
+  campaign.senderId = sender.id;
+
+  campaign.segmentId = campaign.segmentId || null;
+  const segment = campaign.segmentId && segments.get(campaign.segmentId);
+  if (campaign.segmentId && !segment) {
+    return invalid(`Unknown segment "${campaign.segmentId}"`);
+  }
+  if (segment && segment.spreadsheetId !== campaign.spreadsheetId) {
+    return invalid(`Segment "${segment.name}" belongs to a different spreadsheet`);
+  }
+
+  campaign.dedupe = campaign.dedupe || 'none';
+  if (!DEDUPE_POLICIES.includes(campaign.dedupe)) {
+    return invalid(`dedupe must be one of: ${DEDUPE_POLICIES.join(', ')}`);
+  }
+
+  campaign.attachments = campaign.attachments || [];
+  const attachmentError = attachmentListError(campaign.attachments);
+  if (attachmentError) {
+    return invalid(attachmentError);
+  }
+
+  campaign.certificate = campaign.certificate || null;
+  const certificateOption = resolveCertificateOption(campaign.certificate);
+  if (certificateOption.failure) {
+    return invalid(certificateOption.failure.message);
+  }
+
+  try {
+    validateTemplate(campaign.subject);
+    validateTemplate(campaign.body);
+  } catch (templateError) {
+    return { failure: { status: 400, error: 'Invalid merge tags', message: templateError.message } };
+  }
+
+  const timeZone = requestBody.timeZone || existing?.timeZone || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    return invalid(`Unknown time zone "${timeZone}"`);
+  }
+
+  let sendAt = existing ? new Date(existing.sendAt) : null;
+  if (requestBody.sendAt !== undefined || !existing) {
+    sendAt = resolveSendAt(requestBody.sendAt, timeZone);
+    if (!sendAt) {
+      return invalid('sendAt must be a date and time like "2026-01-31T09:00" (or ISO 8601 with an offset)');
+    }
+  }
+  if ((requestBody.sendAt !== undefined || !existing) && sendAt.getTime() <= Date.now()) {
+    return invalid('sendAt must be in the future');
+  }
+
+  return { campaign, sendAt, timeZone };
+}
+
+// Saved email templates with version history
+const templateLibrary = createTemplateLibrary();
+
+// Check the fields of a template create/update request; returns an error message or null
+function templateRequestError(fields, { partial = false } = {}) {
+  const { name, subject, design, html } = fields;
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'name is required';
+  }
+  if ((!partial || design !== undefined) && (!design || typeof design !== 'object' || Array.isArray(design))) {
+    return 'design must be the Unlayer design JSON object';
+  }
+  if (subject !== undefined && typeof subject !== 'string') return 'subject must be a string';
+  if (html !== undefined && typeof html !== 'string') return 'html must be a string';
+  return null;
+}
+
+// Title and tabs of a spreadsheet, as returned by GET /sheets/:spreadsheetId/metadata
+async function fetchSpreadsheetMetadata(spreadsheetId) {
+  const response = await sheets.spreadsheets.get({
+    spreadsheetId,
+  });
+  
+  const spreadsheet = response.data;
+  const sheetNames = spreadsheet.sheets.map(sheet => ({
+    title: sheet.properties.title,
+    sheetId: sheet.properties.sheetId,
+    gridProperties: sheet.properties.gridProperties
+  }));
+  
+  return {
+    title: spreadsheet.properties.title,
+    spreadsheetId: spreadsheet.spreadsheetId,
+    sheets: sheetNames
+  };
+}
+
+// Named spreadsheets ("audience sources") the dashboard can switch between
+const audienceSources = createSourceRegistry();
+
 // Routes
 
 // Health check
@@ -54,7 +671,27 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', message: 'Google Sheets API Backend is running' });
 });
 
-// Get all data from a specific sheet
+// Get sheet metadata
+app.get('/sheets/:spreadsheetId/metadata', async (req, res) => {
+  try {
+    const { spreadsheetId } = req.params;
+    
+    // lastModified tells the dashboard when to reload the sheet (null if Drive cannot say).
+    // It is checked first because a newer value also clears the cached copy of the spreadsheet.
+    const lastModified = await sheets.getModifiedTime(spreadsheetId).catch(() => null);
+    
+    res.json({ ...(await fetchSpreadsheetMetadata(spreadsheetId)), lastModified });
+  } catch (error) {
+    console.error('Error fetching metadata:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch metadata',
+      message: error.message 
+    });
+  }
+});
+
+// Get data from a specific sheet. Rows can be filtered, sorted and paged with
+// filters (JSON array, see lib/rowQuery.js), sortBy/sortOrder and limit/offset.
 app.get(['/sheets/:spreadsheetId', '/sheets/:spreadsheetId/:range'], async (req, res) => {
   try {
     const { spreadsheetId } = req.params;
@@ -76,11 +713,37 @@ app.get(['/sheets/:spreadsheetId', '/sheets/:spreadsheetId/:range'], async (req,
       });
     }
     
+    const headers = values[0];
+    const parsed = parseRowQuery(req.query, headers);
+    if (parsed.error) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: parsed.error 
+      });
+    }
+    const { query } = parsed;
+    
+    const firstRow = firstDataRow(range);
+    const rows = convertToObjects(values).map((object, index) => ({
+      row: firstRow + index,
+      cells: values[index + 1],
+      object
+    }));
+    const { page, total } = queryRows(rows, query);
+    const pageValues = [headers, ...page.map(row => row.cells)];
+    const nextOffset = query.offset + page.length;
+    
     const result = {
-      rawData: values,
-      data: format === 'objects' ? convertToObjects(values) : values,
+      rawData: pageValues,
+      data: format === 'objects' ? page.map(row => row.object) : pageValues,
+      rowNumbers: page.map(row => row.row),
       rowCount: values.length,
-      columnCount: values[0]?.length || 0
+      columnCount: headers.length,
+      totalRows: rows.length,
+      matchingRows: total,
+      offset: query.offset,
+      limit: query.limit,
+      nextOffset: nextOffset < total ? nextOffset : null
     };
     
     res.json(result);
@@ -99,7 +762,7 @@ app.get(['/contacts/:spreadsheetId', '/contacts/:spreadsheetId/:range'], async (
   try {
     const { spreadsheetId } = req.params;
     const range = req.params.range || 'Sheet1'; // Default to Sheet1 if no range specified
-    const { nameColumn = 'name', emailColumn = 'email', validateEmails = 'true' } = req.query;
+    const { nameColumn, emailColumn, validateEmails = 'true', unique = 'false' } = req.query;
     
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId,
@@ -119,38 +782,32 @@ app.get(['/contacts/:spreadsheetId', '/contacts/:spreadsheetId/:range'], async (
     }
     
     const objects = convertToObjects(values);
+    const firstRow = firstDataRow(range);
     
-    // Email validation regex
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    // nameColumn/emailColumn override the sheet's column mapping for this request
+    const mapping = mappingForRange(spreadsheetId, range, values[0], { name: nameColumn, email: emailColumn });
     
     // Extract contacts with name and email
-    const contacts = objects.map((row, index) => {
-      // Try to find name and email columns with flexible matching
-      const name = row[nameColumn] || 
-                   row['Name'] || 
-                   row['name'] || 
-                   row['Full Name'] || 
-                   row['full_name'] ||
-                   row[Object.keys(row).find(key => key.toLowerCase().includes('name'))] || '';
+    let contacts = objects.map((row, index) => {
+      const { name, email } = extractContactFields(row, mapping);
       
-      const email = row[emailColumn] || 
-                    row['Email'] || 
-                    row['email'] || 
-                    row['Email Address'] || 
-                    row['email_address'] ||
-                    row[Object.keys(row).find(key => key.toLowerCase().includes('email') || key.toLowerCase().includes('mail'))] || '';
-      
-      const isValidEmail = validateEmails === 'true' ? emailRegex.test(email) : true;
+      const isValidEmail = validateEmails === 'true' ? isValidEmailSyntax(email) : true;
       
       return {
         id: index + 1,
-        name: name.toString().trim(),
-        email: email.toString().trim().toLowerCase(),
+        name,
+        email,
         isValidEmail,
-        originalRow: index + 2 // +2 because arrays are 0-indexed and we skip header
+        originalRow: firstRow + index
       };
     }).filter(contact => contact.name || contact.email); // Filter out completely empty rows
     
+    // Later rows of an address already listed (Gmail aliases included)
+    const repeated = new Set(findDuplicateGroups(contacts).flatMap(group => group.contacts.slice(1)));
+    if (unique === 'true') {
+      contacts = contacts.filter(contact => !repeated.has(contact));
+    }
+    
     // Statistics
     const validEmails = contacts.filter(c => c.isValidEmail).length;
     const invalidEmails = contacts.filter(c => c.email && !c.isValidEmail).length;
@@ -162,6 +819,7 @@ app.get(['/contacts/:spreadsheetId', '/contacts/:spreadsheetId/:range'], async (
       validEmails,
       invalidEmails,
       contactsWithBoth,
+      duplicateRows: repeated.size,
       statistics: {
         hasName: contacts.filter(c => c.name).length,
         hasEmail: contacts.filter(c => c.email).length,
@@ -184,7 +842,7 @@ app.get(['/emails/:spreadsheetId', '/emails/:spreadsheetId/:range'], async (req,
   try {
     const { spreadsheetId } = req.params;
     const range = req.params.range || 'Sheet1';
-    const { emailColumn = 'email', unique = 'true' } = req.query;
+    const { emailColumn, unique = 'true' } = req.query;
     
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId,
@@ -202,29 +860,29 @@ app.get(['/emails/:spreadsheetId', '/emails/:spreadsheetId/:range'], async (req,
     }
     
     const objects = convertToObjects(values);
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const mapping = mappingForRange(spreadsheetId, range, values[0], { email: emailColumn });
     
     // Extract emails
-    let emails = objects.map(row => {
-      const email = row[emailColumn] || 
-                    row['Email'] || 
-                    row['email'] || 
-                    row['Email Address'] || 
-                    row['email_address'] ||
-                    row[Object.keys(row).find(key => key.toLowerCase().includes('email') || key.toLowerCase().includes('mail'))] || '';
-      
-      return email.toString().trim().toLowerCase();
-    }).filter(email => email && emailRegex.test(email));
+    let emails = objects
+      .map(row => extractContactFields(row, mapping).email)
+      .filter(email => email && isValidEmailSyntax(email));
     
-    // Remove duplicates if requested
+    // Remove duplicates if requested, keeping the first spelling of each mailbox
+    const seen = new Set();
+    const uniqueEmails = emails.filter(email => {
+      const key = normalizeEmail(email);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
     if (unique === 'true') {
-      emails = [...new Set(emails)];
+      emails = uniqueEmails;
     }
     
     res.json({
       emails,
       totalEmails: emails.length,
-      uniqueEmails: unique === 'true' ? emails.length : [...new Set(emails)].length
+      uniqueEmails: uniqueEmails.length
     });
   } catch (error) {
     console.error('Error fetching emails:', error);
@@ -269,43 +927,44 @@ app.post('/sheets/:spreadsheetId/batch', async (req, res) => {
   }
 });
 
-// Get sheet metadata
-app.get('/sheets/:spreadsheetId/metadata', async (req, res) => {
-  try {
-    const { spreadsheetId } = req.params;
-    
-    const response = await sheets.spreadsheets.get({
-      spreadsheetId,
-    });
-    
-    const spreadsheet = response.data;
-    const sheetNames = spreadsheet.sheets.map(sheet => ({
-      title: sheet.properties.title,
-      sheetId: sheet.properties.sheetId,
-      gridProperties: sheet.properties.gridProperties
-    }));
-    
-    res.json({
-      title: spreadsheet.properties.title,
-      spreadsheetId: spreadsheet.spreadsheetId,
-      sheets: sheetNames
-    });
-  } catch (error) {
-    console.error('Error fetching metadata:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch metadata',
-      message: error.message 
+// Forget cached reads of a spreadsheet (or of one range) so the next request goes to Google
+app.post('/sheets/:spreadsheetId/refresh', (req, res) => {
+  const { spreadsheetId } = req.params;
+  const { range } = req.body || {};
+  if (range !== undefined && (typeof range !== 'string' || !range)) {
+    return res.status(400).json({ 
+      error: 'Invalid request',
+      message: 'range must be a non-empty string' 
     });
   }
+
+  const invalidated = sheetsCache.invalidate(spreadsheetId, range);
+  res.json({ 
+    message: `Cleared ${invalidated} cached read(s)`,
+    invalidated 
+  });
 });
 
-// Search for contacts by name or email
+// Search for contacts by name or email, and/or by segment rules: a saved segmentId,
+// or rules (JSON array) with match=all|any to try a segment out before saving it
 app.get('/contacts/:spreadsheetId/:range/search', async (req, res) => {
   try {
     const { spreadsheetId, range } = req.params;
-    const { query, type = 'both' } = req.query; // type: 'name', 'email', or 'both'
+    const { query = '', type = 'both', segmentId, match = 'all' } = req.query; // type: 'name', 'email', or 'both'
+    
+    let rules = null;
+    if (req.query.rules) {
+      try {
+        rules = JSON.parse(req.query.rules);
+      } catch {
+        return res.status(400).json({ 
+          error: 'Invalid request',
+          message: 'rules must be a JSON array' 
+        });
+      }
+    }
     
-    if (!query) {
+    if (!query && !rules && !segmentId) {
       return res.status(400).json({ 
         error: 'Invalid request',
         message: 'query parameter is required' 
@@ -322,24 +981,43 @@ app.get('/contacts/:spreadsheetId/:range/search', async (req, res) => {
       return res.json({ results: [] });
     }
     
+    // Rows the rules or segment let through; everything without either
+    let matchesRules = segmentFilter(segmentId, spreadsheetId, values[0]);
+    if (matchesRules.failure) {
+      const { status, ...failure } = matchesRules.failure;
+      return res.status(status).json(failure);
+    }
+    if (rules) {
+      const compiled = compileFilters(rules, values[0], { match });
+      if (compiled.error) {
+        return res.status(400).json({ 
+          error: 'Invalid request',
+          message: compiled.error 
+        });
+      }
+      const segmentPredicate = matchesRules.predicate;
+      matchesRules = { ...matchesRules, predicate: row => segmentPredicate(row) && compiled.predicate(row) };
+    }
+    
     const objects = convertToObjects(values);
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const firstRow = firstDataRow(range);
     const searchQuery = query.toLowerCase();
     
+    const mapping = mappingForRange(spreadsheetId, range, values[0]);
+    
     const results = objects.map((row, index) => {
-      const name = row['name'] || row['Name'] || row['Full Name'] || 
-                   row[Object.keys(row).find(key => key.toLowerCase().includes('name'))] || '';
-      const email = row['email'] || row['Email'] || row['Email Address'] || 
-                    row[Object.keys(row).find(key => key.toLowerCase().includes('email') || key.toLowerCase().includes('mail'))] || '';
+      const { name, email } = extractContactFields(row, mapping);
       
       return {
         id: index + 1,
-        name: name.toString().trim(),
-        email: email.toString().trim().toLowerCase(),
-        isValidEmail: emailRegex.test(email),
-        originalRow: index + 2
+        name,
+        email,
+        isValidEmail: isValidEmailSyntax(email),
+        originalRow: firstRow + index
       };
-    }).filter(contact => {
+    }).filter((contact, index) => {
+      if (!matchesRules.predicate(objects[index])) return false;
+      
       const nameMatch = contact.name.toLowerCase().includes(searchQuery);
       const emailMatch = contact.email.toLowerCase().includes(searchQuery);
       
@@ -358,7 +1036,9 @@ app.get('/contacts/:spreadsheetId/:range/search', async (req, res) => {
       results,
       totalFound: results.length,
       searchQuery: query,
-      searchType: type
+      searchType: type,
+      segment: matchesRules.segment && { id: matchesRules.segment.id, name: matchesRules.segment.name },
+      rules
     });
   } catch (error) {
     console.error('Error searching contacts:', error);
@@ -369,11 +1049,13 @@ app.get('/contacts/:spreadsheetId/:range/search', async (req, res) => {
   }
 });
 
-// Validate and clean email list
+// Validate and clean email list. Besides syntax, every address has its domain
+// looked up and is checked for disposable domains, role accounts and typos
+// (checkDomains=false skips the DNS lookups).
 app.get('/contacts/:spreadsheetId/:range/validate', async (req, res) => {
   try {
     const { spreadsheetId, range } = req.params;
-    const { fix = 'false' } = req.query;
+    const { fix = 'false', checkDomains = 'true' } = req.query;
     
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId,
@@ -386,34 +1068,46 @@ app.get('/contacts/:spreadsheetId/:range/validate', async (req, res) => {
     }
     
     const objects = convertToObjects(values);
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const firstRow = firstDataRow(range);
+    
+    const mapping = mappingForRange(spreadsheetId, range, values[0]);
     
-    const validation = objects.map((row, index) => {
-      const name = row['name'] || row['Name'] || row['Full Name'] || 
-                   row[Object.keys(row).find(key => key.toLowerCase().includes('name'))] || '';
-      const email = row['email'] || row['Email'] || row['Email Address'] || 
-                    row[Object.keys(row).find(key => key.toLowerCase().includes('email') || key.toLowerCase().includes('mail'))] || '';
+    // Rows sharing a domain share its lookup, so all rows are checked at once
+    const validation = await Promise.all(objects.map(async (row, index) => {
+      const { name } = extractContactFields(row, mapping);
+      // The raw cell value, so formatting problems (spaces, capitals) can be reported
+      const email = mapping.email ? row[mapping.email] || '' : '';
       
       const originalEmail = email.toString().trim();
       const cleanedEmail = originalEmail.toLowerCase().replace(/\s+/g, '');
-      const isValid = emailRegex.test(cleanedEmail);
+      const check = email
+        ? await emailValidator.validate(cleanedEmail, { checkDomains: checkDomains === 'true' })
+        : null;
+      const isValid = Boolean(check) && !check.syntaxError;
       
       const issues = [];
       if (!name) issues.push('Missing name');
       if (!email) issues.push('Missing email');
-      if (email && !isValid) issues.push('Invalid email format');
+      if (check) issues.push(...check.issues);
       if (email !== cleanedEmail) issues.push('Email has formatting issues');
       
       return {
-        row: index + 2,
-        name: name.toString().trim(),
+        row: firstRow + index,
+        name,
         originalEmail,
         cleanedEmail: fix === 'true' ? cleanedEmail : originalEmail,
-        isValid: fix === 'true' ? emailRegex.test(cleanedEmail) : isValid,
+        isValid,
         issues,
-        hasIssues: issues.length > 0
+        hasIssues: issues.length > 0,
+        warnings: check ? check.warnings : [],
+        syntaxError: check ? check.syntaxError : null,
+        domainStatus: check?.domain ? check.domain.status : null,
+        mx: check?.domain ? check.domain.mx : [],
+        disposable: Boolean(check?.disposable),
+        roleAccount: Boolean(check?.role),
+        suggestion: check ? check.suggestion : null
       };
-    });
+    }));
     
     const summary = {
       totalRows: validation.length,
@@ -422,12 +1116,23 @@ app.get('/contacts/:spreadsheetId/:range/validate', async (req, res) => {
       missingNames: validation.filter(v => v.issues.includes('Missing name')).length,
       missingEmails: validation.filter(v => v.issues.includes('Missing email')).length,
       invalidEmails: validation.filter(v => v.issues.includes('Invalid email format')).length,
-      formattingIssues: validation.filter(v => v.issues.includes('Email has formatting issues')).length
+      formattingIssues: validation.filter(v => v.issues.includes('Email has formatting issues')).length,
+      domainsWithoutMail: validation.filter(v => v.domainStatus === 'none').length,
+      disposableEmails: validation.filter(v => v.disposable).length,
+      roleAccounts: validation.filter(v => v.roleAccount).length,
+      typoSuggestions: validation.filter(v => v.suggestion).length,
+      uncheckedDomains: validation.filter(v => ['unknown', 'unchecked'].includes(v.domainStatus)).length
     };
     
+    // Corrections the user can pick from and write back with POST .../fixes
+    const proposedFixes = objects.flatMap((row, index) => (
+      proposeFixes(firstRow + index, row, mapping, { suggestion: validation[index].suggestion })
+    ));
+    
     res.json({
       validation,
       summary,
+      proposedFixes,
       fixApplied: fix === 'true'
     });
   } catch (error) {
@@ -439,11 +1144,10 @@ app.get('/contacts/:spreadsheetId/:range/validate', async (req, res) => {
   }
 });
 
-// Get specific row by row number
-app.get('/sheets/:spreadsheetId/:sheetName/row/:rowNumber', async (req, res) => {
+// Report rows that share an email address (after normalization, see lib/duplicates.js)
+app.get('/contacts/:spreadsheetId/:range/duplicates', async (req, res) => {
   try {
-    const { spreadsheetId, sheetName, rowNumber } = req.params;
-    const range = `${sheetName}!${rowNumber}:${rowNumber}`;
+    const { spreadsheetId, range } = req.params;
     
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId,
@@ -452,50 +1156,57 @@ app.get('/sheets/:spreadsheetId/:sheetName/row/:rowNumber', async (req, res) =>
     
     const values = response.data.values;
     if (!values || values.length === 0) {
-      return res.status(404).json({ 
-        error: 'Row not found',
-        message: `Row ${rowNumber} not found in sheet ${sheetName}` 
-      });
+      return res.json({ groups: [], totalGroups: 0, duplicateRows: 0, totalContacts: 0 });
     }
     
-    // Get headers for context
-    const headerResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: `${sheetName}!1:1`,
-    });
-    
-    const headers = headerResponse.data.values?.[0] || [];
-    const rowData = values[0];
-    const rowObject = {};
+    const mapping = mappingForRange(spreadsheetId, range, values[0]);
+    const contacts = getCampaignContacts(convertToObjects(values), firstDataRow(range), mapping)
+      .filter(contact => contact.email);
     
-    headers.forEach((header, index) => {
-      rowObject[header] = rowData[index] || '';
-    });
+    const groups = findDuplicateGroups(contacts).map(({ key, contacts: group }) => ({
+      email: key,
+      rows: group.map(contact => contact.row),
+      contacts: group.map(({ row, name, email, certificateLink, skipReason }) => ({
+        row,
+        name,
+        email,
+        certificateLink,
+        skipReason: skipReason || null
+      }))
+    }));
     
     res.json({
-      rowNumber: parseInt(rowNumber),
-      rawData: rowData,
-      data: rowObject
+      groups,
+      totalGroups: groups.length,
+      duplicateRows: groups.reduce((count, group) => count + group.rows.length - 1, 0),
+      totalContacts: contacts.length
     });
   } catch (error) {
-    console.error('Error fetching row:', error);
+    console.error('Error finding duplicates:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch row',
+      error: 'Failed to find duplicates',
       message: error.message 
     });
   }
 });
 
-// Send emails to all valid emails in the sheet
-app.post('/send-emails/:spreadsheetId/:range', async (req, res) => {
+// Log of fixes written back to sheets, so they can be undone
+const fixLog = createFixLog();
+
+// Write accepted Validate fixes into the sheet: { fixes: [{ row, column, from, to }] }.
+// Cells changed in the sheet since they were validated are left alone and reported.
+app.post('/contacts/:spreadsheetId/:range/fixes', async (req, res) => {
   try {
     const { spreadsheetId, range } = req.params;
-    const { subject, body, templateType } = req.body;
-    if (!subject || !body) {
-      return res.status(400).json({ error: 'Subject and body are required' });
+    if (isDatasetId(spreadsheetId)) {
+      return res.status(400).json({ 
+        error: 'Cannot write to sheet',
+        message: 'Uploaded files are read-only; fixes can only be applied to a Google Sheet' 
+      });
     }
-
-    // Fetch contacts from the sheet
+    
+    // Compare against what is in the sheet now, not a cached copy
+    sheetsCache.invalidate(spreadsheetId);
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId,
       range,
@@ -504,67 +1215,303 @@ app.post('/send-emails/:spreadsheetId/:range', async (req, res) => {
     if (!values || values.length === 0) {
       return res.status(404).json({ error: 'No data found in sheet' });
     }
-    const objects = convertToObjects(values);
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     
-    // Get contacts with name, email, and certificate link
-    const contacts = objects.map(row => {
-      const name = row['name'] || row['Name'] || row['Full Name'] || 
-                   row[Object.keys(row).find(key => key.toLowerCase().includes('name'))] || '';
-      const email = row['email'] || row['Email'] || row['Email Address'] || 
-                    row[Object.keys(row).find(key => key.toLowerCase().includes('email') || key.toLowerCase().includes('mail'))] || '';
-      const certificateLink = row['certificate'] || row['Certificate'] || 
-                              row[Object.keys(row).find(key => key.toLowerCase().includes('certificate'))] || '';
-
-      return {
-        name: name.toString().trim(),
-        email: email.toString().trim().toLowerCase(),
-        certificateLink: certificateLink.toString().trim()
-      };
-    }).filter(contact => contact.email && emailRegex.test(contact.email) && contact.certificateLink); // Filter for valid emails and existing certificate links
-
-    if (contacts.length === 0) {
-      return res.status(400).json({ error: 'No valid contacts with certificate links found' });
+    const located = locateChanges(req.body.fixes, range, values[0]);
+    if (located.error) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: located.error 
+      });
     }
-
-    // Send emails (sequentially for simplicity)
-    let sent = 0, failed = 0, errors = [];
-    for (const contact of contacts) {
-      try {
-        let personalizedBody = body;
-        
-        // If this is a certificate template, replace the name placeholder and the certificate link
-        if (templateType === 'certificate') {
-          // Replace any instance of "Congratulations!" with personalized message
-          personalizedBody = personalizedBody.replace(
-            /Congratulations!/g, 
-            `Congratulations ${contact.name}!`
-          );
-          
-          // Find and replace the certificate link in the HTML body
-          personalizedBody = personalizedBody.replace(
-            /<a href="#"([^>]*)>\s*Get Your Certificate\s*<\/a>/g,
-            `<a href="${contact.certificateLink}"$1> Get your certificate </a>`
-          );
-        }
-
-        await smtpTransporter.sendMail({
-          from: process.env.SMTP_USER,
-          to: contact.email,
-          subject,
-          html: personalizedBody,
-        });
-        sent++;
-      } catch (err) {
-        failed++;
-        errors.push({ email: contact.email, error: err.message });
-      }
+    
+    const { applied, conflicts } = await writeCells(sheets, spreadsheetId, located.cells);
+    if (applied.length === 0) {
+      return res.status(409).json({ 
+        error: 'Sheet has changed',
+        message: 'None of the cells still hold the values that were validated; validate again',
+        conflicts 
+      });
     }
+    
+    const entry = fixLog.record({ spreadsheetId, range, applied });
     res.json({
-      message: `Emails sent: ${sent}, failed: ${failed}`,
-      sent,
-      failed,
-      errors,
+      message: `Applied ${applied.length} fix(es)${conflicts.length > 0 ? `, skipped ${conflicts.length} changed cell(s)` : ''}`,
+      fixId: entry.id,
+      applied: entry.changes,
+      conflicts
+    });
+  } catch (error) {
+    console.error('Error applying fixes:', error);
+    res.status(500).json({ 
+      error: 'Failed to apply fixes',
+      message: error.message 
+    });
+  }
+});
+
+// Applied fixes, newest first; ?spreadsheetId= narrows them down to one spreadsheet
+app.get('/fixes', (req, res) => {
+  const entries = fixLog.list(req.query.spreadsheetId);
+  res.json({ fixes: entries, count: entries.length });
+});
+
+// Put back the values a batch of fixes replaced, where the fixed value is still in place
+app.post('/fixes/:fixId/undo', async (req, res) => {
+  try {
+    const entry = fixLog.get(req.params.fixId);
+    if (!entry) {
+      return res.status(404).json({ 
+        error: 'Fix not found',
+        message: `Fix ${req.params.fixId} not found` 
+      });
+    }
+    if (entry.undoneAt) {
+      return res.status(409).json({ 
+        error: 'Already undone',
+        message: `These fixes were undone at ${entry.undoneAt}` 
+      });
+    }
+    
+    sheetsCache.invalidate(entry.spreadsheetId);
+    const { applied, conflicts } = await writeCells(sheets, entry.spreadsheetId, undoCells(entry));
+    const undone = fixLog.markUndone(entry, conflicts);
+    res.json({
+      message: `Restored ${applied.length} cell(s)${conflicts.length > 0 ? `, ${conflicts.length} changed since and left alone` : ''}`,
+      fix: undone,
+      restored: applied.length,
+      conflicts
+    });
+  } catch (error) {
+    console.error('Error undoing fixes:', error);
+    res.status(500).json({ 
+      error: 'Failed to undo fixes',
+      message: error.message 
+    });
+  }
+});
+
+// Get specific row by row number. ?range= is the selected range (e.g. "Sheet1!B3:F"),
+// whose first row holds the headers; without it the headers are row 1 from column A.
+app.get('/sheets/:spreadsheetId/:sheetName/row/:rowNumber', async (req, res) => {
+  try {
+    const { spreadsheetId, sheetName, rowNumber } = req.params;
+    const { range } = req.query;
+    if (range !== undefined && (typeof range !== 'string' || !range.trim())) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: 'range must be a non-empty string' 
+      });
+    }
+    const selection = range ? parseRange(range) : { sheetName, startRow: 1, startColumn: 1, endColumn: null };
+    if (selection.sheetName && selection.sheetName !== sheetName) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: `range ${range} is not on sheet ${sheetName}` 
+      });
+    }
+    // Cells of one row within the selection's columns, e.g. "Sheet1!B3:F3" or "Sheet1!B3:3"
+    const rowSpan = row => `${sheetName}!${columnToLetter(selection.startColumn)}${row}:${
+      selection.endColumn ? columnToLetter(selection.endColumn) : ''}${row}`;
+    
+    // The row and the headers for context in one request
+    const response = await sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: [rowSpan(rowNumber), rowSpan(selection.startRow)],
+    });
+    const [rowRange, headerRange] = response.data.valueRanges;
+    
+    const values = rowRange.values;
+    if (!values || values.length === 0) {
+      return res.status(404).json({ 
+        error: 'Row not found',
+        message: `Row ${rowNumber} not found in sheet ${sheetName}` 
+      });
+    }
+    
+    const headers = headerRange.values?.[0] || [];
+    const rowData = values[0];
+    const rowObject = {};
+    
+    headers.forEach((header, index) => {
+      rowObject[header] = rowData[index] || '';
+    });
+    
+    res.json({
+      rowNumber: parseInt(rowNumber),
+      rawData: rowData,
+      data: rowObject
+    });
+  } catch (error) {
+    console.error('Error fetching row:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch row',
+      message: error.message 
+    });
+  }
+});
+
+// Send emails to all valid emails in the sheet
+// mode: 'send' (default) queues a job, 'dryRun' only renders, 'test' sends chosen rows to testEmail
+app.post('/send-emails/:spreadsheetId/:range', async (req, res) => {
+  try {
+    const { spreadsheetId, range } = req.params;
+    const { subject, body, mode = 'send', senderId, testEmail, testRows = [], writeBack = false, skipSent = false, segmentId = null, dedupe = 'none', attachments = [], certificate = null } = req.body;
+    if (!subject || !body) {
+      return res.status(400).json({ error: 'Subject and body are required' });
+    }
+
+    if (!SEND_MODES.includes(mode)) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: `mode must be one of: ${SEND_MODES.join(', ')}` 
+      });
+    }
+
+    if (!DEDUPE_POLICIES.includes(dedupe)) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: `dedupe must be one of: ${DEDUPE_POLICIES.join(', ')}` 
+      });
+    }
+
+    const attachmentError = attachmentListError(attachments);
+    if (attachmentError) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: attachmentError 
+      });
+    }
+
+    const certificateOption = resolveCertificateOption(certificate);
+    if (certificateOption.failure) {
+      const { status, ...failure } = certificateOption.failure;
+      return res.status(status).json(failure);
+    }
+
+    const sender = senders.get(senderId);
+    if (!sender) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: `Unknown sender account "${senderId}"` 
+      });
+    }
+
+    if (mode === 'test') {
+      if (!testEmail || !isValidEmailSyntax(testEmail)) {
+        return res.status(400).json({ 
+          error: 'Invalid request',
+          message: 'A valid testEmail is required in test mode' 
+        });
+      }
+      if (!Array.isArray(testRows) || testRows.length === 0 || testRows.length > MAX_TEST_ROWS) {
+        return res.status(400).json({ 
+          error: 'Invalid request',
+          message: `testRows must list between 1 and ${MAX_TEST_ROWS} row numbers` 
+        });
+      }
+    }
+
+    try {
+      validateTemplate(subject);
+      validateTemplate(body);
+    } catch (templateError) {
+      return res.status(400).json({ error: 'Invalid merge tags', message: templateError.message });
+    }
+
+    const loaded = await loadCampaignContacts({ spreadsheetId, range, skipSent, segmentId, dedupe, certificate });
+    if (loaded.failure) {
+      const { status, ...failure } = loaded.failure;
+      return res.status(status).json(failure);
+    }
+    const { allContacts, contacts, segment } = loaded;
+
+    // Dry run: go through the whole pipeline but never hand anything to SMTP
+    if (mode === 'dryRun') {
+      const recipients = contacts.map(contact => {
+        const message = personalizeMessage({ subject, body }, withCertificateLink(contact, certificate));
+        return {
+          row: contact.row,
+          email: contact.email,
+          name: contact.name,
+          ...(contact.mergedRows ? { mergedRows: contact.mergedRows } : {}),
+          attachments: [
+            ...attachments,
+            ...parseAttachmentList(contact.attachment),
+            ...(certificate?.delivery === 'attach' ? [certificateFileName(contact.name || contact.email)] : []),
+          ],
+          ...message,
+        };
+      });
+      const attachmentProblems = await attachmentResolver.check({ attachments, recipients: contacts });
+
+      return res.json({
+        message: `Dry run: ${recipients.length} emails would be sent`,
+        dryRun: true,
+        segment: segment && { id: segment.id, name: segment.name },
+        totalRecipients: recipients.length,
+        recipientsWithEmptyPlaceholders: recipients.filter(recipient => recipient.missing.length > 0).length,
+        attachmentProblems,
+        recipients,
+        skipped: allContacts
+          .filter(contact => contact.skipReason)
+          .map(contact => ({ row: contact.row, email: contact.email, reason: contact.skipReason })),
+      });
+    }
+
+    // Test send: personalize as the chosen rows but deliver to the tester instead
+    if (mode === 'test') {
+      const results = [];
+      for (const rowNumber of testRows) {
+        const contact = contacts.find(candidate => candidate.row === parseInt(rowNumber, 10));
+        if (!contact) {
+          results.push({ row: rowNumber, status: 'failed', error: 'Row is not a recipient of this campaign' });
+          continue;
+        }
+
+        try {
+          const message = personalizeMessage({ subject, body }, withCertificateLink(contact, certificate));
+          // Test messages always carry the certificate, since its link would not lead anywhere yet
+          const messageAttachments = await attachmentResolver.forMessage(attachments, contact);
+          if (certificateOption.design) {
+            messageAttachments.push(await renderCertificateAttachment(certificateOption.design, contact));
+          }
+          await sender.send({
+            to: testEmail,
+            subject: `[TEST] ${message.subject}`,
+            html: message.html,
+            text: message.text,
+            attachments: messageAttachments,
+          });
+          results.push({ row: contact.row, email: contact.email, status: 'sent' });
+        } catch (err) {
+          results.push({ row: contact.row, email: contact.email, status: 'failed', error: err.message });
+        }
+      }
+
+      const sent = results.filter(result => result.status === 'sent').length;
+      return res.json({
+        message: `Test emails sent to ${testEmail}: ${sent}, failed: ${results.length - sent}`,
+        testSend: true,
+        testEmail,
+        sent,
+        failed: results.length - sent,
+        results,
+      });
+    }
+
+    // Queue the job and answer right away; progress is available from GET /jobs/:id
+    const queued = await queueCampaign({ spreadsheetId, range, subject, body, senderId: sender.id, writeBack, attachments, certificate }, loaded);
+    if (queued.failure) {
+      const { status, ...failure } = queued.failure;
+      return res.status(status).json(failure);
+    }
+    const { job } = queued;
+
+    res.status(202).json({
+      message: `Queued ${contacts.length} emails${segment ? ` to segment "${segment.name}"` : ''}`,
+      jobId: job.id,
+      totalRecipients: contacts.length,
+      statusUrl: `/jobs/${job.id}`,
     });
   } catch (error) {
     console.error('Error sending emails:', error);
@@ -572,8 +1519,1137 @@ app.post('/send-emails/:spreadsheetId/:range', async (req, res) => {
   }
 });
 
+// Preview the personalized email a single recipient will receive
+app.post('/preview/:spreadsheetId/:range', async (req, res) => {
+  try {
+    const { spreadsheetId, range } = req.params;
+    const { subject = '', body, row, segmentId = null, dedupe = 'none', certificate = null } = req.body;
+    if (!body) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: 'body is required' 
+      });
+    }
+    if (!DEDUPE_POLICIES.includes(dedupe)) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: `dedupe must be one of: ${DEDUPE_POLICIES.join(', ')}` 
+      });
+    }
+    const certificateOption = resolveCertificateOption(certificate);
+    if (certificateOption.failure) {
+      const { status, ...failure } = certificateOption.failure;
+      return res.status(status).json(failure);
+    }
+
+    let renderSubject, renderBody;
+    try {
+      renderSubject = compileTemplate(subject, { escape: false });
+      renderBody = compileTemplate(body);
+    } catch (templateError) {
+      return res.status(400).json({ error: 'Invalid merge tags', message: templateError.message });
+    }
+
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range,
+    });
+    const values = response.data.values;
+    if (!values || values.length === 0) {
+      return res.status(404).json({ error: 'No data found in sheet' });
+    }
+
+    const inSegment = segmentFilter(segmentId, spreadsheetId, values[0]);
+    if (inSegment.failure) {
+      const { status, ...failure } = inSegment.failure;
+      return res.status(status).json(failure);
+    }
+
+    const mapping = mappingForRange(spreadsheetId, range, values[0]);
+    const { contacts } = dedupeContacts(
+      getSendableContacts(convertToObjects(values), firstDataRow(range), mapping, { generateCertificates: Boolean(certificate) })
+        .filter(contact => inSegment.predicate(contact.fields)),
+      dedupe,
+    );
+    if (contacts.length === 0) {
+      return res.status(400).json({ error: 'No valid contacts with certificate links found' });
+    }
+
+    // Render every recipient so rows with empty placeholders can be flagged up front
+    const rendered = contacts.map(contact => {
+      const data = buildMergeData(withCertificateLink(contact, certificate));
+      const subjectResult = renderSubject(data);
+      const bodyResult = renderBody(data);
+      return {
+        contact,
+        subject: subjectResult.output,
+        html: bodyResult.output,
+        missing: [
+          ...subjectResult.missing.map(entry => ({ ...entry, field: 'subject' })),
+          ...bodyResult.missing.map(entry => ({ ...entry, field: 'body' })),
+        ],
+      };
+    });
+
+    const requestedRow = row === undefined || row === '' ? contacts[0].row : parseInt(row, 10);
+    const index = rendered.findIndex(entry => entry.contact.row === requestedRow);
+    if (index === -1) {
+      return res.status(404).json({ 
+        error: 'Row not found',
+        message: `Row ${row} is not a recipient (missing or invalid email, or no certificate link)` 
+      });
+    }
+
+    const current = rendered[index];
+    res.json({
+      row: current.contact.row,
+      index,
+      total: rendered.length,
+      previousRow: index > 0 ? rendered[index - 1].contact.row : null,
+      nextRow: index < rendered.length - 1 ? rendered[index + 1].contact.row : null,
+      to: current.contact.email,
+      name: current.contact.name,
+      attachments: [
+        ...parseAttachmentList(current.contact.attachment),
+        ...(certificate?.delivery === 'attach' ? [certificateFileName(current.contact.name || current.contact.email)] : []),
+      ],
+      subject: current.subject,
+      html: current.html,
+      text: htmlToText(current.html),
+      missing: current.missing,
+      recipientRows: contacts.map(contact => contact.row),
+      rowsWithEmptyPlaceholders: rendered.filter(entry => entry.missing.length > 0).map(entry => entry.contact.row),
+    });
+  } catch (error) {
+    console.error('Error previewing email:', error);
+    res.status(500).json({ error: 'Failed to preview email', message: error.message });
+  }
+});
+
+// List the files uploaded for attaching to campaigns
+app.get('/attachments', (req, res) => {
+  try {
+    const attachments = attachmentStore.list();
+    res.json({
+      attachments,
+      count: attachments.length,
+      maxBytes: ATTACHMENT_MAX_BYTES,
+      maxTotalBytes: ATTACHMENT_MAX_TOTAL_BYTES,
+    });
+  } catch (error) {
+    console.error('Error listing attachments:', error);
+    res.status(500).json({ error: 'Failed to list attachments', message: error.message });
+  }
+});
+
+// Upload a file (multipart field "file") that campaigns and the sheet's attachment
+// column can refer to by name. A file with the same name is replaced.
+app.post('/attachments', attachmentUpload.single('file'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: 'Attach a file in the "file" field' 
+      });
+    }
+
+    let attachment;
+    try {
+      attachment = attachmentStore.save(req.file.originalname, req.file.buffer);
+    } catch (saveError) {
+      if (saveError.code !== 'EINVALIDNAME') throw saveError;
+      return res.status(400).json({ error: 'Invalid file', message: saveError.message });
+    }
+
+    res.status(201).json({ attachment });
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    res.status(500).json({ error: 'Failed to upload attachment', message: error.message });
+  }
+});
+
+app.delete('/attachments/:fileName', (req, res) => {
+  try {
+    if (!attachmentStore.remove(req.params.fileName)) {
+      return res.status(404).json({ 
+        error: 'Attachment not found',
+        message: `Attachment "${req.params.fileName}" not found` 
+      });
+    }
+    res.json({ message: 'Attachment removed', fileName: req.params.fileName });
+  } catch (error) {
+    console.error('Error removing attachment:', error);
+    res.status(500).json({ error: 'Failed to remove attachment', message: error.message });
+  }
+});
+
+// List saved certificate designs (without their SVG)
+app.get('/certificate-designs', (req, res) => {
+  try {
+    const designs = certificateDesigns.list();
+    res.json({ designs, count: designs.length });
+  } catch (error) {
+    console.error('Error listing certificate designs:', error);
+    res.status(500).json({ error: 'Failed to list certificate designs', message: error.message });
+  }
+});
+
+// Save a certificate design: { name, svg } where the SVG text may use merge tags
+app.post('/certificate-designs', (req, res) => {
+  try {
+    const invalid = designRequestError(req.body);
+    if (invalid) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: invalid 
+      });
+    }
+    res.status(201).json(certificateDesigns.create(req.body));
+  } catch (error) {
+    console.error('Error saving certificate design:', error);
+    res.status(500).json({ error: 'Failed to save certificate design', message: error.message });
+  }
+});
+
+app.get('/certificate-designs/:designId', (req, res) => {
+  try {
+    const design = certificateDesigns.get(req.params.designId);
+    if (!design) {
+      return res.status(404).json({ 
+        error: 'Certificate design not found',
+        message: `Certificate design ${req.params.designId} not found` 
+      });
+    }
+    res.json(design);
+  } catch (error) {
+    console.error('Error fetching certificate design:', error);
+    res.status(500).json({ error: 'Failed to fetch certificate design', message: error.message });
+  }
+});
+
+app.put('/certificate-designs/:designId', (req, res) => {
+  try {
+    const invalid = designRequestError(req.body, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: invalid 
+      });
+    }
+    const design = certificateDesigns.update(req.params.designId, req.body);
+    if (!design) {
+      return res.status(404).json({ 
+        error: 'Certificate design not found',
+        message: `Certificate design ${req.params.designId} not found` 
+      });
+    }
+    res.json(design);
+  } catch (error) {
+    console.error('Error updating certificate design:', error);
+    res.status(500).json({ error: 'Failed to update certificate design', message: error.message });
+  }
+});
+
+app.delete('/certificate-designs/:designId', (req, res) => {
+  try {
+    if (!certificateDesigns.remove(req.params.designId)) {
+      return res.status(404).json({ 
+        error: 'Certificate design not found',
+        message: `Certificate design ${req.params.designId} not found` 
+      });
+    }
+    res.json({ message: 'Certificate design removed', id: req.params.designId });
+  } catch (error) {
+    console.error('Error removing certificate design:', error);
+    res.status(500).json({ error: 'Failed to remove certificate design', message: error.message });
+  }
+});
+
+// Contacts to render certificates for: the campaign's recipients, certificate link or not
+async function loadCertificateContacts(spreadsheetId, range, { designId, segmentId = null, dedupe = 'none', skipSent = false }) {
+  const option = resolveCertificateOption({ designId, delivery: 'attach' });
+  if (option.failure) return option;
+  if (!DEDUPE_POLICIES.includes(dedupe)) {
+    return { failure: { status: 400, error: 'Invalid request', message: `dedupe must be one of: ${DEDUPE_POLICIES.join(', ')}` } };
+  }
+  const loaded = await loadCampaignContacts({ spreadsheetId, range, segmentId, dedupe, skipSent, certificate: { designId } });
+  return loaded.failure ? loaded : { design: option.design, contacts: loaded.contacts };
+}
+
+// Render one recipient's certificate (the first recipient without a row) as a PDF
+app.post('/certificates/preview/:spreadsheetId/:range', async (req, res) => {
+  try {
+    const { spreadsheetId, range } = req.params;
+    const { row, ...options } = req.body;
+    const loaded = await loadCertificateContacts(spreadsheetId, range, options);
+    if (loaded.failure) {
+      const { status, ...failure } = loaded.failure;
+      return res.status(status).json(failure);
+    }
+
+    const requestedRow = row === undefined || row === '' ? loaded.contacts[0].row : parseInt(row, 10);
+    const contact = loaded.contacts.find(candidate => candidate.row === requestedRow);
+    if (!contact) {
+      return res.status(404).json({ 
+        error: 'Row not found',
+        message: `Row ${row} is not a recipient of this campaign` 
+      });
+    }
+
+    const { filename, content } = await renderCertificateAttachment(loaded.design, contact);
+    res.attachment(filename);
+    res.send(content);
+  } catch (error) {
+    console.error('Error previewing certificate:', error);
+    res.status(500).json({ error: 'Failed to preview certificate', message: error.message });
+  }
+});
+
+// Render a certificate for every recipient of a campaign and download them as one zip,
+// to print or hand out yourself. Nothing is emailed, but every certificate is issued
+// so its QR code and verification link work.
+app.post('/certificates/generate/:spreadsheetId/:range', async (req, res) => {
+  try {
+    const { spreadsheetId, range } = req.params;
+    const loaded = await loadCertificateContacts(spreadsheetId, range, req.body);
+    if (loaded.failure) {
+      const { status, ...failure } = loaded.failure;
+      return res.status(status).json(failure);
+    }
+
+    const archive = archiver('zip');
+    archive.on('error', archiveError => {
+      console.error('Error zipping certificates:', archiveError);
+      res.destroy(archiveError);
+    });
+    res.attachment(`certificates-${new Date().toISOString().slice(0, 10)}.zip`);
+    archive.pipe(res);
+
+    // Two people with the same name get the row number added to the file name
+    const used = new Set();
+    for (const contact of loaded.contacts) {
+      const certificateId = certificates.newId();
+      const issuedAt = new Date();
+      const pdf = await svgToPdf(renderDesign(loaded.design, await certificateData({ ...contact, certificateId }, issuedAt)).svg);
+      const fileName = certificateFileName(contact.name || contact.email);
+      certificates.issue({
+        id: certificateId,
+        issuedAt,
+        pdf,
+        fileName,
+        designId: loaded.design.id,
+        jobId: null,
+        spreadsheetId,
+        range,
+        row: contact.row,
+        email: contact.email,
+        name: contact.name,
+        course: contact.course || null,
+      });
+
+      const name = used.has(fileName) ? fileName.replace(/\.pdf$/, ` (row ${contact.row}).pdf`) : fileName;
+      used.add(name);
+      archive.append(pdf, { name });
+    }
+    await archive.finalize();
+  } catch (error) {
+    console.error('Error generating certificates:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Failed to generate certificates', message: error.message });
+  }
+});
+
+// List certificates issued by campaigns, newest first
+app.get('/certificates', (req, res) => {
+  try {
+    const issued = certificates.list({ spreadsheetId: req.query.spreadsheetId });
+    res.json({ certificates: issued, count: issued.length });
+  } catch (error) {
+    console.error('Error listing certificates:', error);
+    res.status(500).json({ error: 'Failed to list certificates', message: error.message });
+  }
+});
+
+// Download link sent to recipients; the id is the only thing guarding it
+app.get('/certificates/:certificateId/download', (req, res) => {
+  try {
+    const certificate = certificates.get(req.params.certificateId);
+    if (!certificate) {
+      return res.status(404).json({ 
+        error: 'Certificate not found',
+        message: `Certificate ${req.params.certificateId} not found` 
+      });
+    }
+    if (certificate.revokedAt) {
+      return res.status(410).json({ 
+        error: 'Certificate revoked',
+        message: `Certificate ${certificate.id} was revoked` 
+      });
+    }
+    res.attachment(certificate.fileName);
+    res.sendFile(certificates.pdfPath(certificate.id));
+  } catch (error) {
+    console.error('Error downloading certificate:', error);
+    res.status(500).json({ error: 'Failed to download certificate', message: error.message });
+  }
+});
+
+// Revoke a certificate: { reason } (optional). Its verification page says so from
+// then on and its download link stops working.
+app.post('/certificates/:certificateId/revoke', (req, res) => {
+  try {
+    const certificate = certificates.get(req.params.certificateId);
+    if (!certificate) {
+      return res.status(404).json({ 
+        error: 'Certificate not found',
+        message: `Certificate ${req.params.certificateId} not found` 
+      });
+    }
+    const reason = req.body?.reason ?? null;
+    if (reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: 'reason must be a string' 
+      });
+    }
+    if (certificate.revokedAt) {
+      return res.status(409).json({ 
+        error: 'Certificate already revoked',
+        message: `Certificate ${certificate.id} was revoked on ${certificate.revokedAt}` 
+      });
+    }
+    res.json({ message: 'Certificate revoked', certificate: certificates.revoke(certificate, reason?.trim()) });
+  } catch (error) {
+    console.error('Error revoking certificate:', error);
+    res.status(500).json({ error: 'Failed to revoke certificate', message: error.message });
+  }
+});
+
+// Public verification page linked from certificates (and their QR codes). Browsers get
+// an HTML page; clients asking for JSON get the same details. The recipient's email
+// address is never shown.
+app.get('/verify/:certificateId', (req, res) => {
+  try {
+    const certificate = certificates.get(req.params.certificateId);
+    const page = () => res.send(renderVerificationPage(certificate));
+    res.status(certificate ? 200 : 404);
+    res.format({
+      html: page,
+      json: () => res.json(certificate
+        ? { ...verificationDetails(certificate), valid: !certificate.revokedAt }
+        : { error: 'Certificate not found', message: `Certificate ${req.params.certificateId} not found` }),
+      default: page,
+    });
+  } catch (error) {
+    console.error('Error verifying certificate:', error);
+    res.status(500).json({ error: 'Failed to verify certificate', message: error.message });
+  }
+});
+
+// QR code of a certificate's verification link, for {{certificateQrCode}} in emails
+app.get('/verify/:certificateId/qr.png', async (req, res) => {
+  try {
+    const certificate = certificates.get(req.params.certificateId);
+    if (!certificate) {
+      return res.status(404).json({ 
+        error: 'Certificate not found',
+        message: `Certificate ${req.params.certificateId} not found` 
+      });
+    }
+    res.type('png').send(await qrCodePng(verificationUrl(certificate.id)));
+  } catch (error) {
+    console.error('Error rendering certificate QR code:', error);
+    res.status(500).json({ error: 'Failed to render QR code', message: error.message });
+  }
+});
+
+// List the sender accounts a campaign can be sent from
+app.get('/senders', (req, res) => {
+  res.json({ senders: senders.list(), defaultSenderId: senders.defaultId });
+});
+
+// Get progress of a queued send job
+app.get('/jobs/:jobId', (req, res) => {
+  const job = sendQueue.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ 
+      error: 'Job not found',
+      message: `Send job ${req.params.jobId} not found` 
+    });
+  }
+
+  res.json(summarizeJob(job, { includeRecipients: true }));
+});
+
+// Stream progress of a send job as Server-Sent Events
+app.get('/jobs/:jobId/events', (req, res) => {
+  const job = sendQueue.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ 
+      error: 'Job not found',
+      message: `Send job ${req.params.jobId} not found` 
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  let unsubscribe = () => {};
+  const writeEvent = (event) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (FINISHED_STATUSES.includes(event.job.status)) {
+      unsubscribe();
+      res.end();
+    }
+  };
+
+  // Start with a snapshot so late subscribers can render the current state
+  unsubscribe = sendQueue.subscribe(job.id, writeEvent);
+  req.on('close', unsubscribe);
+  writeEvent({ type: 'status', job: summarizeJob(job) });
+});
+
+// Pause, resume or cancel a send job
+app.post('/jobs/:jobId/:action', (req, res) => {
+  const { jobId, action } = req.params;
+  if (!['pause', 'resume', 'cancel'].includes(action)) {
+    return res.status(404).json({ 
+      error: 'Route not found',
+      message: `Route ${req.method} ${req.path} not found` 
+    });
+  }
+
+  if (!sendQueue.getJob(jobId)) {
+    return res.status(404).json({ 
+      error: 'Job not found',
+      message: `Send job ${jobId} not found` 
+    });
+  }
+
+  const job = sendQueue[action](jobId);
+  if (!job) {
+    return res.status(409).json({ 
+      error: 'Invalid job state',
+      message: `Cannot ${action} send job ${jobId} while it is ${sendQueue.getJob(jobId).status}` 
+    });
+  }
+
+  res.json(summarizeJob(job));
+});
+
+// Schedule a campaign for later. sendAt is a local date and time in timeZone
+// ("2026-01-31T09:00") or an ISO 8601 timestamp with an offset.
+app.post('/schedules', (req, res) => {
+  try {
+    const parsed = parseScheduleRequest(req.body);
+    if (parsed.failure) {
+      const { status, ...failure } = parsed.failure;
+      return res.status(status).json(failure);
+    }
+
+    const schedule = scheduler.create(parsed);
+    res.status(201).json(schedule);
+  } catch (error) {
+    console.error('Error scheduling campaign:', error);
+    res.status(500).json({ error: 'Failed to schedule campaign', message: error.message });
+  }
+});
+
+// List scheduled campaigns, soonest first
+app.get('/schedules', (req, res) => {
+  try {
+    const { status } = req.query;
+    const schedules = scheduler.list().filter(schedule => !status || schedule.status === status);
+    res.json({ schedules, count: schedules.length });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: 'Failed to list schedules', message: error.message });
+  }
+});
+
+app.get('/schedules/:scheduleId', (req, res) => {
+  const schedule = scheduler.get(req.params.scheduleId);
+  if (!schedule) {
+    return res.status(404).json({ 
+      error: 'Schedule not found',
+      message: `Scheduled campaign ${req.params.scheduleId} not found` 
+    });
+  }
+
+  res.json(schedule);
+});
+
+// Reschedule or edit a campaign that has not started yet
+app.put('/schedules/:scheduleId', (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const existing = scheduler.get(scheduleId);
+    if (!existing) {
+      return res.status(404).json({ 
+        error: 'Schedule not found',
+        message: `Scheduled campaign ${scheduleId} not found` 
+      });
+    }
+
+    if (existing.status !== 'scheduled') {
+      return res.status(409).json({ 
+        error: 'Invalid schedule state',
+        message: `Cannot edit scheduled campaign ${scheduleId} while it is ${existing.status}` 
+      });
+    }
+
+    const parsed = parseScheduleRequest(req.body, existing);
+    if (parsed.failure) {
+      const { status, ...failure } = parsed.failure;
+      return res.status(status).json(failure);
+    }
+
+    res.json(scheduler.update(scheduleId, parsed));
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule', message: error.message });
+  }
+});
+
+// Cancel a scheduled campaign; the schedule is kept for reference
+app.delete('/schedules/:scheduleId', (req, res) => {
+  const { scheduleId } = req.params;
+  const existing = scheduler.get(scheduleId);
+  if (!existing) {
+    return res.status(404).json({ 
+      error: 'Schedule not found',
+      message: `Scheduled campaign ${scheduleId} not found` 
+    });
+  }
+
+  const schedule = scheduler.cancel(scheduleId);
+  if (!schedule) {
+    return res.status(409).json({ 
+      error: 'Invalid schedule state',
+      message: `Cannot cancel scheduled campaign ${scheduleId} while it is ${existing.status}` 
+    });
+  }
+
+  res.json(schedule);
+});
+
+// List saved templates (without their design and HTML)
+app.get('/templates', (req, res) => {
+  try {
+    const templates = templateLibrary.list();
+    res.json({ templates, count: templates.length });
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    res.status(500).json({ error: 'Failed to list templates', message: error.message });
+  }
+});
+
+// Save a new template: { name, subject, design, html }
+app.post('/templates', (req, res) => {
+  try {
+    const { name, subject, design, html, note } = req.body;
+    const invalid = templateRequestError(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid request', message: invalid });
+    }
+
+    const template = templateLibrary.create({ name: name.trim(), subject, design, html }, note);
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Error saving template:', error);
+    res.status(500).json({ error: 'Failed to save template', message: error.message });
+  }
+});
+
+app.get('/templates/:templateId', (req, res) => {
+  const template = templateLibrary.get(req.params.templateId);
+  if (!template) {
+    return res.status(404).json({ 
+      error: 'Template not found',
+      message: `Template ${req.params.templateId} not found` 
+    });
+  }
+
+  res.json(template);
+});
+
+// Save changes as a new version; fields left out are kept
+app.put('/templates/:templateId', (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const { name, subject, design, html, note } = req.body;
+    const invalid = templateRequestError(req.body, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid request', message: invalid });
+    }
+
+    const template = templateLibrary.update(templateId, { name: name?.trim(), subject, design, html }, note);
+    if (!template) {
+      return res.status(404).json({ 
+        error: 'Template not found',
+        message: `Template ${templateId} not found` 
+      });
+    }
+
+    res.json(template);
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(500).json({ error: 'Failed to update template', message: error.message });
+  }
+});
+
+// Delete a template together with its version history
+app.delete('/templates/:templateId', (req, res) => {
+  try {
+    if (!templateLibrary.remove(req.params.templateId)) {
+      return res.status(404).json({ 
+        error: 'Template not found',
+        message: `Template ${req.params.templateId} not found` 
+      });
+    }
+
+    res.json({ message: 'Template deleted', id: req.params.templateId });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template', message: error.message });
+  }
+});
+
+// Version history of a template, newest first
+app.get('/templates/:templateId/versions', (req, res) => {
+  try {
+    const versions = templateLibrary.listVersions(req.params.templateId);
+    if (!versions) {
+      return res.status(404).json({ 
+        error: 'Template not found',
+        message: `Template ${req.params.templateId} not found` 
+      });
+    }
+
+    res.json({ templateId: req.params.templateId, versions, count: versions.length });
+  } catch (error) {
+    console.error('Error listing template versions:', error);
+    res.status(500).json({ error: 'Failed to list template versions', message: error.message });
+  }
+});
+
+app.get('/templates/:templateId/versions/:version', (req, res) => {
+  const { templateId, version } = req.params;
+  const entry = templateLibrary.getVersion(templateId, version);
+  if (!entry) {
+    return res.status(404).json({ 
+      error: 'Template version not found',
+      message: `Version ${version} of template ${templateId} not found` 
+    });
+  }
+
+  res.json(entry);
+});
+
+// Make an old version current again (saved as a new version)
+app.post('/templates/:templateId/versions/:version/restore', (req, res) => {
+  try {
+    const { templateId, version } = req.params;
+    const template = templateLibrary.restore(templateId, version);
+    if (!template) {
+      return res.status(404).json({ 
+        error: 'Template version not found',
+        message: `Version ${version} of template ${templateId} not found` 
+      });
+    }
+
+    res.json(template);
+  } catch (error) {
+    console.error('Error restoring template version:', error);
+    res.status(500).json({ error: 'Failed to restore template version', message: error.message });
+  }
+});
+
+// List saved segments, optionally only those of one spreadsheet
+app.get('/segments', (req, res) => {
+  try {
+    const list = segments.list(req.query.spreadsheetId);
+    res.json({ segments: list, count: list.length });
+  } catch (error) {
+    console.error('Error listing segments:', error);
+    res.status(500).json({ error: 'Failed to list segments', message: error.message });
+  }
+});
+
+// Save a segment: { name, spreadsheetId, rules, match }
+app.post('/segments', (req, res) => {
+  try {
+    const { name, spreadsheetId, rules, match = 'all' } = req.body;
+    const invalid = segmentRequestError({ name, spreadsheetId, rules, match });
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid request', message: invalid });
+    }
+
+    res.status(201).json(segments.create({ name, spreadsheetId, rules, match }));
+  } catch (error) {
+    console.error('Error saving segment:', error);
+    res.status(500).json({ error: 'Failed to save segment', message: error.message });
+  }
+});
+
+// Count and sample the rows a segment (saved, or given as rules) picks from a range
+// before a campaign is sent to it
+app.post('/segments/preview/:spreadsheetId/:range', async (req, res) => {
+  try {
+    const { spreadsheetId, range } = req.params;
+    const { segmentId, rules, match = 'all' } = req.body;
+    if (!segmentId && !rules) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: 'segmentId or rules is required' 
+      });
+    }
+
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range,
+    });
+    const values = response.data.values;
+    if (!values || values.length === 0) {
+      return res.status(404).json({ error: 'No data found in sheet' });
+    }
+
+    const inSegment = segmentId
+      ? segmentFilter(segmentId, spreadsheetId, values[0])
+      : compileFilters(rules, values[0], { match });
+    if (inSegment.failure) {
+      const { status, ...failure } = inSegment.failure;
+      return res.status(status).json(failure);
+    }
+    if (inSegment.error) {
+      return res.status(400).json({ error: 'Invalid request', message: inSegment.error });
+    }
+
+    const mapping = mappingForRange(spreadsheetId, range, values[0]);
+    const allContacts = getCampaignContacts(convertToObjects(values), firstDataRow(range), mapping);
+    const members = allContacts.filter(contact => inSegment.predicate(contact.fields));
+    const skipped = {};
+    members.forEach(contact => {
+      if (contact.skipReason) skipped[contact.skipReason] = (skipped[contact.skipReason] || 0) + 1;
+    });
+
+    res.json({
+      totalRows: allContacts.length,
+      matchingRows: members.length,
+      sendableRows: members.filter(contact => !contact.skipReason).length,
+      skipped,
+      sample: members.slice(0, 10).map(({ row, name, email, skipReason }) => ({ row, name, email, skipReason: skipReason || null })),
+    });
+  } catch (error) {
+    console.error('Error previewing segment:', error);
+    res.status(500).json({ error: 'Failed to preview segment', message: error.message });
+  }
+});
+
+app.get('/segments/:segmentId', (req, res) => {
+  const segment = segments.get(req.params.segmentId);
+  if (!segment) {
+    return res.status(404).json({ 
+      error: 'Segment not found',
+      message: `Segment ${req.params.segmentId} not found` 
+    });
+  }
+
+  res.json(segment);
+});
+
+// Change a segment's name, rules or match; fields left out stay as they are
+app.put('/segments/:segmentId', (req, res) => {
+  try {
+    const segment = segments.get(req.params.segmentId);
+    if (!segment) {
+      return res.status(404).json({ 
+        error: 'Segment not found',
+        message: `Segment ${req.params.segmentId} not found` 
+      });
+    }
+
+    const { name, rules, match } = req.body;
+    const invalid = segmentRequestError({
+      name: name ?? segment.name,
+      spreadsheetId: segment.spreadsheetId,
+      rules: rules ?? segment.rules,
+      match: match ?? segment.match,
+    });
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid request', message: invalid });
+    }
+
+    res.json(segments.update(segment.id, { name, rules, match }));
+  } catch (error) {
+    console.error('Error updating segment:', error);
+    res.status(500).json({ error: 'Failed to update segment', message: error.message });
+  }
+});
+
+app.delete('/segments/:segmentId', (req, res) => {
+  try {
+    if (!segments.remove(req.params.segmentId)) {
+      return res.status(404).json({ 
+        error: 'Segment not found',
+        message: `Segment ${req.params.segmentId} not found` 
+      });
+    }
+
+    res.json({ message: 'Segment deleted', id: req.params.segmentId });
+  } catch (error) {
+    console.error('Error deleting segment:', error);
+    res.status(500).json({ error: 'Failed to delete segment', message: error.message });
+  }
+});
+
+// List saved audience sources
+app.get('/sources', (req, res) => {
+  try {
+    const sources = audienceSources.list();
+    res.json({ sources, count: sources.length });
+  } catch (error) {
+    console.error('Error listing sources:', error);
+    res.status(500).json({ error: 'Failed to list sources', message: error.message });
+  }
+});
+
+// Add a spreadsheet as an audience source: { url, name } where url is a sheet URL or ID.
+// The spreadsheet is checked before it is saved, so it must be shared with the service account.
+app.post('/sources', async (req, res) => {
+  try {
+    const { url, spreadsheetId: rawId, name } = req.body;
+    const spreadsheetId = parseSpreadsheetId(url || rawId);
+    if (!spreadsheetId) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: 'Paste a Google Sheets URL or spreadsheet ID' 
+      });
+    }
+
+    const existing = audienceSources.findBySpreadsheetId(spreadsheetId);
+    if (existing) {
+      return res.status(409).json({ 
+        error: 'Source already exists',
+        message: `This spreadsheet is already saved as "${existing.name}"`,
+        source: existing
+      });
+    }
+
+    let metadata;
+    try {
+      metadata = await fetchSpreadsheetMetadata(spreadsheetId);
+    } catch (sheetError) {
+      return res.status(400).json({ 
+        error: 'Cannot access spreadsheet',
+        message: `Check the ID and share the sheet with the service account: ${sheetError.message}` 
+      });
+    }
+
+    const source = audienceSources.create({
+      name: (typeof name === 'string' && name.trim()) || metadata.title,
+      spreadsheetId,
+      title: metadata.title,
+      sheets: metadata.sheets.map(sheet => sheet.title),
+    });
+    res.status(201).json(source);
+  } catch (error) {
+    console.error('Error adding source:', error);
+    res.status(500).json({ error: 'Failed to add source', message: error.message });
+  }
+});
+
+// Rename a source or remember the range last used with it
+app.put('/sources/:sourceId', (req, res) => {
+  try {
+    const { name, lastRange } = req.body;
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Invalid request', message: 'name must not be empty' });
+    }
+    if (lastRange !== undefined && (typeof lastRange !== 'string' || !lastRange.trim())) {
+      return res.status(400).json({ error: 'Invalid request', message: 'lastRange must not be empty' });
+    }
+
+    const source = audienceSources.update(req.params.sourceId, { name: name?.trim(), lastRange });
+    if (!source) {
+      return res.status(404).json({ 
+        error: 'Source not found',
+        message: `Audience source ${req.params.sourceId} not found` 
+      });
+    }
+
+    res.json(source);
+  } catch (error) {
+    console.error('Error updating source:', error);
+    res.status(500).json({ error: 'Failed to update source', message: error.message });
+  }
+});
+
+// Upload a CSV, XLSX or JSON file (multipart field "file") as an audience source.
+// The source's spreadsheetId is the id of the stored dataset and works with every route.
+app.post('/sources/upload', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        error: 'Invalid request',
+        message: `Attach a ${SUPPORTED_FORMATS.join(', ')} file in the "file" field` 
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = await parseUpload({
+        buffer: req.file.buffer,
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype,
+      });
+    } catch (parseError) {
+      return res.status(400).json({ error: 'Invalid file', message: parseError.message });
+    }
+
+    const sheetsWithData = parsed.sheets.filter(sheet => sheet.values.length > 0);
+    if (sheetsWithData.length === 0) {
+      return res.status(400).json({ error: 'Invalid file', message: 'The file does not contain any rows' });
+    }
+
+    const name = (typeof req.body.name === 'string' && req.body.name.trim()) || req.file.originalname;
+    const dataset = datasets.create({
+      name,
+      fileName: req.file.originalname,
+      format: parsed.format,
+      sheets: sheetsWithData,
+    });
+    const source = audienceSources.create({
+      type: 'upload',
+      name,
+      spreadsheetId: dataset.id,
+      title: req.file.originalname,
+      sheets: sheetsWithData.map(sheet => sheet.title),
+    });
+
+    res.status(201).json({ source, dataset: datasets.describe(dataset) });
+  } catch (error) {
+    console.error('Error uploading source:', error);
+    res.status(500).json({ error: 'Failed to upload source', message: error.message });
+  }
+});
+
+app.delete('/sources/:sourceId', (req, res) => {
+  try {
+    const source = audienceSources.get(req.params.sourceId);
+    if (!source || !audienceSources.remove(source.id)) {
+      return res.status(404).json({ 
+        error: 'Source not found',
+        message: `Audience source ${req.params.sourceId} not found` 
+      });
+    }
+    // Uploaded data belongs to its source
+    if (source.type === 'upload' && isDatasetId(source.spreadsheetId)) {
+      datasets.remove(source.spreadsheetId);
+    }
+
+    res.json({ message: 'Source removed', id: req.params.sourceId });
+  } catch (error) {
+    console.error('Error removing source:', error);
+    res.status(500).json({ error: 'Failed to remove source', message: error.message });
+  }
+});
+
+// Build the column mapping response: the mapping plus the sheet's headers and
+// the first rows as the mapping reads them
+function describeColumnMapping(spreadsheetId, range, values, { mapping, saved }) {
+  const headers = values[0] || [];
+  const firstRow = firstDataRow(range);
+  return {
+    spreadsheetId,
+    range,
+    sheetName: parseRange(range).sheetName,
+    headers,
+    mapping,
+    saved,
+    preview: convertToObjects(values).slice(0, 5).map((row, index) => ({
+      row: firstRow + index,
+      ...extractContactFields(row, mapping),
+      fields: row,
+    })),
+  };
+}
+
+// Get the column mapping of a sheet (a guess when none was saved) with a preview of the first rows
+app.get('/mappings/:spreadsheetId/:range', async (req, res) => {
+  try {
+    const { spreadsheetId, range } = req.params;
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range,
+    });
+    const values = response.data.values || [];
+
+    const resolved = columnMappings.resolve(spreadsheetId, parseRange(range).sheetName, values[0] || []);
+    res.json(describeColumnMapping(spreadsheetId, range, values, resolved));
+  } catch (error) {
+    console.error('Error fetching column mapping:', error);
+    res.status(500).json({ error: 'Failed to fetch column mapping', message: error.message });
+  }
+});
+
+// Save the column mapping of a sheet: { name, email, cc, certificateLink, customFields }
+app.put('/mappings/:spreadsheetId/:range', async (req, res) => {
+  try {
+    const { spreadsheetId, range } = req.params;
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range,
+    });
+    const values = response.data.values || [];
+
+    const invalid = validateColumnMapping(req.body, values[0] || []);
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid request', message: invalid });
+    }
+
+    const { mapping } = columnMappings.save(spreadsheetId, parseRange(range).sheetName, req.body);
+    res.json(describeColumnMapping(spreadsheetId, range, values, { mapping, saved: true }));
+  } catch (error) {
+    console.error('Error saving column mapping:', error);
+    res.status(500).json({ error: 'Failed to save column mapping', message: error.message });
+  }
+});
+
+// Forget the saved mapping so the sheet goes back to guessed columns
+app.delete('/mappings/:spreadsheetId/:range', (req, res) => {
+  try {
+    const { spreadsheetId, range } = req.params;
+    if (!columnMappings.remove(spreadsheetId, parseRange(range).sheetName)) {
+      return res.status(404).json({ 
+        error: 'Mapping not found',
+        message: 'No column mapping is saved for this sheet' 
+      });
+    }
+
+    res.json({ message: 'Column mapping removed' });
+  } catch (error) {
+    console.error('Error removing column mapping:', error);
+    res.status(500).json({ error: 'Failed to remove column mapping', message: error.message });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({ 
+      error: 'Invalid upload',
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `Files can be at most ${formatBytes(req.path.startsWith('/attachments') ? ATTACHMENT_MAX_BYTES : UPLOAD_MAX_BYTES)}`
+        : error.message 
+    });
+  }
+
   console.error('Unhandled error:', error);
   res.status(500).json({ 
     error: 'Internal server error',
@@ -589,9 +2665,18 @@ app.use((req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`Google Sheets API Backend running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-});
+// Only listen when run directly; the tests require the app and start their own server
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Google Sheets API Backend running on port ${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/health`);
+
+    const resumed = sendQueue.recover();
+    if (resumed > 0) {
+      console.log(`Resumed ${resumed} unfinished send job(s)`);
+    }
+    scheduler.start();
+  });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,79 @@
+// Helpers for Google Sheets A1 notation ("Sheet1", "'My Sheet'!B2:F", "A1:C10")
+
+// Cells and column spans without a sheet name, e.g. "A1:C10", "B2" or "A:F"
+const BARE_A1_PATTERN = /^([A-Za-z]{1,3}\d+(:[A-Za-z]{0,3}\d*)?|[A-Za-z]{1,3}:[A-Za-z]{1,3})$/;
+const CELL_PATTERN = /^([A-Za-z]*)(\d*)$/;
+
+// 1 -> A, 27 -> AA
+function columnToLetter(column) {
+  let letters = '';
+  let remaining = column;
+  while (remaining > 0) {
+    const modulo = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + modulo) + letters;
+    remaining = Math.floor((remaining - modulo) / 26);
+  }
+  return letters;
+}
+
+// A -> 1, AA -> 27
+function letterToColumn(letters) {
+  return letters.toUpperCase().split('').reduce((column, char) => column * 26 + char.charCodeAt(0) - 64, 0);
+}
+
+function quoteSheetName(sheetName) {
+  return `'${sheetName.replace(/'/g, "''")}'`;
+}
+
+function unquoteSheetName(sheetName) {
+  const trimmed = sheetName.trim();
+  if (trimmed.startsWith("'") && trimmed.endsWith("'")) {
+    return trimmed.slice(1, -1).replace(/''/g, "'");
+  }
+  return trimmed;
+}
+
+// Split a range into its sheet name and the cells it covers. startColumn/startRow
+// are the top-left cell; endColumn/endRow are null when the range is open-ended
+// ("Sheet1", "A3:F", "B:D"). sheetName is null for bare cell ranges, which Google
+// applies to the first sheet.
+function parseRange(range) {
+  const bangIndex = range.lastIndexOf('!');
+  let sheetName = null;
+  let cells = '';
+
+  if (bangIndex !== -1) {
+    sheetName = unquoteSheetName(range.slice(0, bangIndex));
+    cells = range.slice(bangIndex + 1);
+  } else if (BARE_A1_PATTERN.test(range)) {
+    cells = range;
+  } else {
+    sheetName = unquoteSheetName(range);
+  }
+
+  const [start, end] = cells.split(':');
+  const [, columnLetters = '', rowDigits = ''] = start.match(CELL_PATTERN) || [];
+  // A single cell ("B7") ends where it starts
+  const [, endLetters = '', endDigits = ''] = (end ?? (cells ? start : '')).match(CELL_PATTERN) || [];
+  return {
+    sheetName,
+    startColumn: columnLetters ? letterToColumn(columnLetters) : 1,
+    startRow: rowDigits ? parseInt(rowDigits, 10) : 1,
+    endColumn: endLetters ? letterToColumn(endLetters) : null,
+    endRow: endDigits ? parseInt(endDigits, 10) : null,
+  };
+}
+
+// Build "'Sheet'!B5" style references for single cells
+function cellReference(sheetName, column, row) {
+  const cell = `${columnToLetter(column)}${row}`;
+  return sheetName ? `${quoteSheetName(sheetName)}!${cell}` : cell;
+}
+
+module.exports = {
+  columnToLetter,
+  letterToColumn,
+  quoteSheetName,
+  parseRange,
+  cellReference,
+};
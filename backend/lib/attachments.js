@@ -0,0 +1,341 @@
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const path = require('path');
+const { dataPath } = require('./store');
+
+// Files sent along with campaign emails.
+//
+// Campaign attachments go to every recipient and are picked from the files
+// uploaded to the attachment folder (DATA_DIR/attachments). Per-recipient
+// attachments come from the sheet column mapped as "attachment": a file name
+// from that folder or an http(s) URL, several separated by ";" or new lines.
+//
+// Sizes are capped per file (maxBytes) and per message (maxTotalBytes). A
+// campaign is checked before it is sent so a missing file stops it up front
+// instead of failing one recipient at a time.
+//
+// URLs come from whoever edits the sheet, so they may not point into the
+// server's own network: hosts that resolve to loopback, link-local or private
+// addresses are refused (unless listed in allowedHosts), on every redirect too.
+
+const ATTACHMENT_SEPARATOR = /[;\n]+/;
+const MAX_FILE_NAME_LENGTH = 200;
+const MAX_REDIRECTS = 5;
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// BlockList also checks IPv4-mapped IPv6 addresses ("::ffff:127.0.0.1") against the IPv4 subnets
+const isPrivateAddress = address => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const isUrl = reference => /^https?:\/\//i.test(reference);
+
+// References in a sheet cell, e.g. "agenda.pdf; https://example.com/ada.pdf"
+function parseAttachmentList(value) {
+  return String(value ?? '')
+    .split(ATTACHMENT_SEPARATOR)
+    .map(reference => reference.trim())
+    .filter(Boolean);
+}
+
+// A file name that stays inside the attachment folder, or null
+function safeFileName(name) {
+  const fileName = path.basename(String(name ?? '').replace(/\\/g, '/')).replace(/[\x00-\x1f]/g, '').trim();
+  if (!fileName || fileName === '.' || fileName === '..' || fileName.length > MAX_FILE_NAME_LENGTH) return null;
+  return fileName;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} bytes`;
+}
+
+function attachmentError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Uploaded files, stored under their own names; uploading a name again replaces the file
+function createAttachmentStore({ dir = dataPath('attachments') } = {}) {
+  function filePath(fileName) {
+    const safe = safeFileName(fileName);
+    return safe && safe === fileName ? path.join(dir, safe) : null;
+  }
+
+  function stat(fileName) {
+    const file = filePath(fileName);
+    if (!file) return null;
+    try {
+      const stats = fs.statSync(file);
+      return stats.isFile() ? { fileName, size: stats.size, uploadedAt: stats.mtime.toISOString() } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  function list() {
+    let files;
+    try {
+      files = fs.readdirSync(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return files
+      .filter(file => !file.endsWith('.tmp'))
+      .map(stat)
+      .filter(Boolean)
+      .sort((a, b) => a.fileName.localeCompare(b.fileName));
+  }
+
+  function save(name, content) {
+    const fileName = safeFileName(name);
+    if (!fileName) throw attachmentError(`Invalid file name "${name}"`, 'EINVALIDNAME');
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, fileName);
+    fs.writeFileSync(`${file}.tmp`, content);
+    fs.renameSync(`${file}.tmp`, file);
+    return stat(fileName);
+  }
+
+  function remove(fileName) {
+    const file = filePath(fileName);
+    if (!file || !stat(fileName)) return false;
+    fs.rmSync(file, { force: true });
+    return true;
+  }
+
+  return { list, stat, save, remove, filePath };
+}
+
+// Name for a downloaded file: Content-Disposition, else the last part of the URL path
+function downloadName(url, headers) {
+  const disposition = headers.get('content-disposition') || '';
+  const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+  let name = match ? match[1] : '';
+  if (!name) {
+    try {
+      name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+    } catch {
+      name = '';
+    }
+  }
+  return safeFileName(name) || 'attachment';
+}
+
+// Resolve and check attachment references.
+//   maxBytes       largest single file
+//   maxTotalBytes  largest total per message
+//   allowedHosts   hosts URLs may point at; empty allows any public host
+//   timeout        milliseconds for each URL request
+//   lookup         resolves a host name to [{ address }], like dns.promises.lookup
+function createAttachmentResolver({
+  store,
+  maxBytes = 10 * 1024 * 1024,
+  maxTotalBytes = 20 * 1024 * 1024,
+  allowedHosts = [],
+  timeout = 10000,
+  fetch = globalThis.fetch,
+  lookup = hostname => dns.promises.lookup(hostname, { all: true, verbatim: true }),
+}) {
+  // Returns a problem message for a URL that may not be fetched, or null
+  async function urlProblem(reference) {
+    let url;
+    try {
+      url = new URL(reference);
+    } catch {
+      return 'Invalid URL';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return `${reference} is not an http(s) URL`;
+    }
+    const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (allowedHosts.length > 0) {
+      // Listed hosts were picked by whoever runs the server, private or not
+      return allowedHosts.includes(hostname) ? null : `Host ${url.hostname} is not in the allowed attachment hosts`;
+    }
+
+    let addresses;
+    try {
+      addresses = net.isIP(hostname) ? [{ address: hostname }] : await lookup(hostname);
+    } catch (error) {
+      return `Host ${url.hostname} could not be resolved: ${error.code || error.message}`;
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return `Host ${url.hostname} points at a private or local address`;
+    }
+    return null;
+  }
+
+  // fetch() that follows redirects itself, so every hop gets the urlProblem check.
+  // Problems with a URL are thrown with code EATTACHMENT.
+  async function fetchChecked(reference, options) {
+    let url = reference;
+    for (let redirects = 0; ; redirects++) {
+      const problem = await urlProblem(url);
+      if (problem) throw attachmentError(problem, 'EATTACHMENT');
+
+      const response = await fetch(url, { ...options, redirect: 'manual' });
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) return response;
+
+      await response.body?.cancel();
+      if (redirects >= MAX_REDIRECTS) {
+        throw attachmentError(`${reference} redirected more than ${MAX_REDIRECTS} times`, 'EATTACHMENT');
+      }
+      url = new URL(location, url).href;
+    }
+  }
+
+  // { size } of a reference (null when a URL does not say), or { problem }
+  async function inspect(reference) {
+    if (!isUrl(reference)) {
+      const file = store.stat(reference);
+      if (!file) return { problem: `File "${reference}" is not in the attachment folder` };
+      if (file.size > maxBytes) return { problem: `File "${reference}" is larger than ${formatBytes(maxBytes)}` };
+      return { size: file.size };
+    }
+
+    try {
+      let response = await fetchChecked(reference, { method: 'HEAD', signal: AbortSignal.timeout(timeout) });
+      // Some servers only answer GET; the body is not needed
+      if (response.status === 405) {
+        response = await fetchChecked(reference, { signal: AbortSignal.timeout(timeout) });
+        await response.body?.cancel();
+      }
+      if (!response.ok) return { problem: `${reference} responded ${response.status}` };
+      const length = parseInt(response.headers.get('content-length'), 10);
+      if (length > maxBytes) return { problem: `${reference} is larger than ${formatBytes(maxBytes)}` };
+      return { size: Number.isFinite(length) ? length : null };
+    } catch (error) {
+      if (error.code === 'EATTACHMENT') return { problem: error.message };
+      return { problem: `${reference} could not be reached: ${error.cause?.message || error.message}` };
+    }
+  }
+
+  // Check every campaign attachment and every recipient's own attachments.
+  // Returns a list of { row, email, reference, problem }; empty when all is well.
+  async function check({ attachments = [], recipients = [] }) {
+    const inspected = new Map();
+    const inspectOnce = reference => {
+      if (!inspected.has(reference)) inspected.set(reference, inspect(reference));
+      return inspected.get(reference);
+    };
+
+    const problems = [];
+    let campaignBytes = 0;
+    for (const reference of attachments) {
+      const result = await inspectOnce(reference);
+      if (result.problem) problems.push({ row: null, email: null, reference, problem: result.problem });
+      else campaignBytes += result.size || 0;
+    }
+
+    for (const recipient of recipients) {
+      let total = campaignBytes;
+      for (const reference of parseAttachmentList(recipient.attachment)) {
+        const result = await inspectOnce(reference);
+        if (result.problem) {
+          problems.push({ row: recipient.row, email: recipient.email, reference, problem: result.problem });
+        } else {
+          total += result.size || 0;
+        }
+      }
+      if (total > maxTotalBytes) {
+        problems.push({
+          row: recipient.row,
+          email: recipient.email,
+          reference: null,
+          problem: `Attachments add up to ${formatBytes(total)}, more than ${formatBytes(maxTotalBytes)}`,
+        });
+      }
+    }
+    return problems;
+  }
+
+  // Read a response body, stopping as soon as it grows past maxBytes; a
+  // Content-Length header may be missing or wrong
+  async function readBody(reference, response) {
+    const chunks = [];
+    let size = 0;
+    try {
+      for await (const chunk of response.body || []) {
+        size += chunk.length;
+        // Leaving the loop cancels the stream
+        if (size > maxBytes) break;
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      const code = error.name === 'TimeoutError' ? 'ETIMEDOUT' : error.cause?.code || 'EATTACHMENT';
+      throw attachmentError(`Attachment ${reference} could not be downloaded: ${error.cause?.message || error.message}`, code);
+    }
+    if (size > maxBytes) {
+      throw attachmentError(`Attachment ${reference} is larger than ${formatBytes(maxBytes)}`, 'EATTACHMENT');
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async function download(reference) {
+    let response;
+    try {
+      response = await fetchChecked(reference, { signal: AbortSignal.timeout(timeout) });
+    } catch (error) {
+      if (error.code === 'EATTACHMENT') throw error;
+      // Keep the network error code so the send queue retries timeouts and refused connections
+      const code = error.name === 'TimeoutError' ? 'ETIMEDOUT' : error.cause?.code || 'EATTACHMENT';
+      throw attachmentError(`Attachment ${reference} could not be downloaded: ${error.cause?.message || error.message}`, code);
+    }
+    if (!response.ok) {
+      const error = attachmentError(`Attachment ${reference} responded ${response.status}`, 'EATTACHMENT');
+      error.status = response.status;
+      throw error;
+    }
+    return {
+      filename: downloadName(reference, response.headers),
+      content: await readBody(reference, response),
+      contentType: response.headers.get('content-type') || undefined,
+    };
+  }
+
+  // nodemailer attachments for one message: the campaign's files plus the recipient's own
+  async function forMessage(attachments = [], recipient = {}) {
+    const resolved = [];
+    for (const reference of [...attachments, ...parseAttachmentList(recipient.attachment)]) {
+      if (isUrl(reference)) {
+        resolved.push(await download(reference));
+        continue;
+      }
+      const file = store.stat(reference);
+      if (!file) throw attachmentError(`Attachment "${reference}" is not in the attachment folder`, 'EATTACHMENT');
+      if (file.size > maxBytes) {
+        throw attachmentError(`Attachment "${reference}" is larger than ${formatBytes(maxBytes)}`, 'EATTACHMENT');
+      }
+      resolved.push({ filename: reference, path: store.filePath(reference) });
+    }
+
+    const total = resolved.reduce((sum, entry) => sum + (entry.content ? entry.content.length : store.stat(entry.filename).size), 0);
+    if (total > maxTotalBytes) {
+      throw attachmentError(`Attachments add up to ${formatBytes(total)}, more than ${formatBytes(maxTotalBytes)}`, 'EATTACHMENT');
+    }
+    return resolved;
+  }
+
+  return { check, forMessage };
+}
+
+module.exports = {
+  parseAttachmentList,
+  safeFileName,
+  formatBytes,
+  createAttachmentStore,
+  createAttachmentResolver,
+};
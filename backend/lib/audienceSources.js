@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+
+// Audience sources: named spreadsheets the dashboard can switch between.
+// Each source remembers the spreadsheet's title and tabs as of when it was
+// added, and the range that was last used with it. Sources of type "upload"
+// point at an uploaded dataset instead of a Google Sheet.
+
+const SPREADSHEET_URL_PATTERN = /\/spreadsheets\/d\/([A-Za-z0-9_-]+)/;
+const SPREADSHEET_ID_PATTERN = /^[A-Za-z0-9_-]{20,}$/;
+
+// Accept a full Google Sheets URL or a bare spreadsheet ID
+function parseSpreadsheetId(input) {
+  const value = String(input || '').trim();
+  const match = value.match(SPREADSHEET_URL_PATTERN);
+  if (match) return match[1];
+  return SPREADSHEET_ID_PATTERN.test(value) ? value : null;
+}
+
+function createSourceRegistry() {
+  const sources = createCollection('sources');
+
+  function save(source) {
+    source.updatedAt = new Date().toISOString();
+    return sources.save(source);
+  }
+
+  function create({ type = 'sheet', name, spreadsheetId, title, sheets }) {
+    return save({
+      id: crypto.randomUUID(),
+      type,
+      name,
+      spreadsheetId,
+      title,
+      sheets,
+      lastRange: sheets[0] || null,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  function update(id, { name, lastRange }) {
+    const source = sources.get(id);
+    if (!source) return null;
+
+    if (name !== undefined) source.name = name;
+    if (lastRange !== undefined) source.lastRange = lastRange;
+    return save(source);
+  }
+
+  return {
+    list: () => sources.all().sort((a, b) => a.name.localeCompare(b.name)),
+    get: sources.get,
+    findBySpreadsheetId: spreadsheetId => sources.all().find(source => source.spreadsheetId === spreadsheetId) || null,
+    create,
+    update,
+    remove: sources.remove,
+  };
+}
+
+module.exports = { createSourceRegistry, parseSpreadsheetId };
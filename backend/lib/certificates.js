@@ -0,0 +1,267 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+const QRCode = require('qrcode');
+const { createCollection, dataPath } = require('./store');
+const { compileTemplate, validateTemplate, escapeHtml } = require('./mergeTags');
+
+// Personalized PDF certificates. A design is an SVG document with merge tags
+// ({{name}}, {{Course}}, {{date}}, ...) in its text; every recipient gets the
+// design rendered with their row and turned into a one-page PDF the size of
+// the SVG. Text uses the PDF standard fonts: font-family serif, sans-serif or
+// monospace, with bold and italic variants.
+//
+// Every certificate a campaign sends or the zip download hands out is issued
+// under an id that is random and long enough not to be guessed. The id leads to
+// a public verification page and to the stored PDF in data/certificates until
+// the certificate is revoked. Previews are not issued and are marked PREVIEW.
+
+const CERTIFICATE_DELIVERIES = ['attach', 'link'];
+const DESIGN_FIELDS = ['name', 'svg'];
+
+// A4 landscape in points, for designs that do not say how big they are
+const DEFAULT_SIZE = { width: 842, height: 595 };
+const UNIT_POINTS = { '': 0.75, px: 0.75, pt: 1, pc: 12, mm: 72 / 25.4, cm: 72 / 2.54, in: 72 };
+
+function readLength(value) {
+  const match = String(value || '').trim().match(/^([\d.]+)\s*(px|pt|pc|mm|cm|in)?$/);
+  if (!match) return null;
+  const points = parseFloat(match[1]) * UNIT_POINTS[match[2] || ''];
+  return points > 0 ? points : null;
+}
+
+// Page size in points from the root element's width/height, else its viewBox
+function pageSize(svg) {
+  const root = (String(svg).match(/<svg\b[^>]*>/i) || [''])[0];
+  const attribute = name => (root.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i')) || [])[1];
+
+  const width = readLength(attribute('width'));
+  const height = readLength(attribute('height'));
+  if (width && height) return { width, height };
+
+  const viewBox = (attribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { width: viewBox[2] * UNIT_POINTS.px, height: viewBox[3] * UNIT_POINTS.px };
+  }
+  return DEFAULT_SIZE;
+}
+
+// Check a design's fields; `partial` allows leaving fields out (updates).
+// Returns an error message or null.
+function designRequestError(fields, { partial = false } = {}) {
+  if (!fields || typeof fields !== 'object') return 'Request body must be an object';
+  if ((!partial || fields.name !== undefined) && (typeof fields.name !== 'string' || !fields.name.trim())) {
+    return 'name is required';
+  }
+  if (!partial || fields.svg !== undefined) {
+    if (typeof fields.svg !== 'string' || !/<svg\b/i.test(fields.svg)) return 'svg must be an SVG document';
+    try {
+      validateTemplate(fields.svg);
+    } catch (templateError) {
+      return templateError.message;
+    }
+  }
+  return null;
+}
+
+// Render a design for one recipient's merge data. Values are XML-escaped.
+// Returns { svg, missing } like the email templates do.
+function renderDesign(design, data) {
+  const { output, missing } = compileTemplate(design.svg)(data);
+  return { svg: output, missing };
+}
+
+// Turn a rendered SVG into a PDF buffer. `watermark` is printed faintly across
+// the page, e.g. PREVIEW on certificates that were never issued.
+function svgToPdf(svg, { watermark = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const { width, height } = pageSize(svg);
+    const doc = new PDFDocument({ size: [width, height], margin: 0, info: { Title: 'Certificate' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    try {
+      SVGtoPDF(doc, svg, 0, 0, { width, height, assumePt: false, preserveAspectRatio: 'xMidYMid meet' });
+      if (watermark) {
+        const fontSize = Math.min(width, height) / 4;
+        doc.save()
+          .rotate(-30, { origin: [width / 2, height / 2] })
+          .font('Helvetica-Bold')
+          .fontSize(fontSize)
+          .fillColor('#dc2626')
+          .fillOpacity(0.2)
+          .text(watermark, 0, (height - fontSize) / 2, { width, align: 'center', lineBreak: false })
+          .restore();
+      }
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+// "Certificate - Ada Lovelace.pdf"
+function certificateFileName(holder) {
+  const label = String(holder || 'recipient').replace(/[\\/:*?"<>|\x00-\x1f]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return `Certificate - ${label || 'recipient'}.pdf`;
+}
+
+// QR codes for verification links: a data: URL to place in designs, or PNG bytes
+const QR_OPTIONS = { margin: 1, width: 300, errorCorrectionLevel: 'M' };
+const qrCodeDataUrl = text => QRCode.toDataURL(text, QR_OPTIONS);
+const qrCodePng = text => QRCode.toBuffer(text, QR_OPTIONS);
+
+// Public view of a certificate: what the verification page and its JSON show
+function verificationDetails(certificate) {
+  return {
+    certificateId: certificate.id,
+    status: certificate.revokedAt ? 'revoked' : 'valid',
+    holder: certificate.name || null,
+    course: certificate.course || null,
+    issuedAt: certificate.issuedAt,
+    revokedAt: certificate.revokedAt || null,
+    revokedReason: certificate.revokedReason || null,
+  };
+}
+
+// Stand-alone HTML page for GET /verify/:certificateId; null shows "not found"
+function renderVerificationPage(certificate) {
+  const formatDate = value => new Date(value).toLocaleDateString('en-US', { dateStyle: 'long' });
+  const details = certificate && verificationDetails(certificate);
+
+  let status;
+  let rows = '';
+  if (!details) {
+    status = { color: '#b91c1c', text: 'Certificate not found', note: 'No certificate was issued with this ID.' };
+  } else if (details.status === 'revoked') {
+    status = {
+      color: '#b91c1c',
+      text: 'Certificate revoked',
+      note: `Revoked on ${formatDate(details.revokedAt)}${details.revokedReason ? `: ${details.revokedReason}` : ''}`,
+    };
+  } else {
+    status = { color: '#15803d', text: 'Valid certificate', note: 'This certificate was issued by us and is valid.' };
+  }
+  if (details) {
+    rows = [
+      ['Holder', details.holder],
+      ['Course', details.course],
+      ['Issued', formatDate(details.issuedAt)],
+      ['Certificate ID', details.certificateId],
+    ]
+      .filter(([, value]) => value)
+      .map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`)
+      .join('');
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${status.text}</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #f3f4f6; color: #111827; margin: 0; padding: 2rem 1rem; }
+  main { max-width: 32rem; margin: 0 auto; background: #fff; border-radius: 0.75rem; padding: 2rem; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); }
+  h1 { color: ${status.color}; font-size: 1.5rem; margin: 0 0 0.5rem; }
+  table { width: 100%; border-collapse: collapse; margin-top: 1.5rem; }
+  th, td { text-align: left; padding: 0.5rem 0; border-top: 1px solid #e5e7eb; vertical-align: top; }
+  th { color: #6b7280; font-weight: normal; width: 9rem; }
+  td { word-break: break-all; }
+</style>
+</head>
+<body>
+<main>
+<h1>${status.text}</h1>
+<p>${escapeHtml(status.note)}</p>
+${rows ? `<table>${rows}</table>` : ''}
+</main>
+</body>
+</html>
+`;
+}
+
+// Saved designs; the list leaves out the SVG, which can be large
+function createDesignStore() {
+  const designs = createCollection('certificate-designs');
+  const summarize = ({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt });
+
+  function create(fields) {
+    const now = new Date().toISOString();
+    return designs.save({
+      id: crypto.randomUUID(),
+      name: fields.name.trim(),
+      svg: fields.svg,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  // Fields left out keep their current value
+  function update(id, fields) {
+    const current = designs.get(id);
+    if (!current) return null;
+    const design = { ...current, updatedAt: new Date().toISOString() };
+    DESIGN_FIELDS.forEach(field => {
+      if (fields[field] !== undefined) design[field] = field === 'name' ? fields.name.trim() : fields[field];
+    });
+    return designs.save(design);
+  }
+
+  return {
+    create,
+    update,
+    get: designs.get,
+    remove: designs.remove,
+    list: () => designs.all().map(summarize).sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+// Certificates issued to recipients: a record per certificate plus its PDF
+function createCertificateStore() {
+  const certificates = createCollection('certificates');
+  const pdfPath = id => dataPath('certificates', `${id}.pdf`);
+
+  // 144 random bits, URL safe
+  const newId = () => crypto.randomBytes(18).toString('base64url');
+
+  function issue({ id = newId(), pdf, issuedAt = new Date(), ...details }) {
+    fs.mkdirSync(dataPath('certificates'), { recursive: true });
+    fs.writeFileSync(pdfPath(id), pdf);
+    return certificates.save({ id, ...details, issuedAt: issuedAt.toISOString(), revokedAt: null });
+  }
+
+  function revoke(certificate, reason) {
+    return certificates.save({
+      ...certificate,
+      revokedAt: new Date().toISOString(),
+      revokedReason: reason || null,
+    });
+  }
+
+  function list({ spreadsheetId } = {}) {
+    return certificates.all()
+      .filter(certificate => !spreadsheetId || certificate.spreadsheetId === spreadsheetId)
+      .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+  }
+
+  return { newId, issue, revoke, list, get: certificates.get, pdfPath };
+}
+
+module.exports = {
+  CERTIFICATE_DELIVERIES,
+  pageSize,
+  designRequestError,
+  renderDesign,
+  svgToPdf,
+  certificateFileName,
+  qrCodeDataUrl,
+  qrCodePng,
+  verificationDetails,
+  renderVerificationPage,
+  createDesignStore,
+  createCertificateStore,
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+
+// Which sheet column holds each contact field. Mappings are saved per sheet
+// (spreadsheet + tab); sheets without a saved mapping get a guessed one.
+//
+//   { name: 'Full Name', email: 'Email', cc: null, certificateLink: 'Certificate',
+//     attachment: null, course: 'Course Name', customFields: { cohort: 'Cohort #' } }
+//
+// customFields adds extra merge tags ({{cohort}}) for columns whose header
+// does not make a good tag name.
+
+const MAPPING_FIELDS = ['name', 'email', 'cc', 'certificateLink', 'attachment', 'course'];
+const CUSTOM_FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function normalizeHeader(header) {
+  return String(header || '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
+
+// Headers that are taken as-is, best first
+const EXACT_HEADERS = {
+  name: ['name', 'full name', 'fullname', 'participant name', 'student name', 'recipient name', 'attendee name'],
+  email: ['email', 'email address', 'e mail', 'mail', 'email id', 'mail id'],
+  cc: ['cc', 'cc email', 'cc address'],
+  certificateLink: ['certificate', 'certificate link', 'certificate url'],
+  attachment: ['attachment', 'attachments', 'attachment file', 'attachment url'],
+  course: ['course', 'course name', 'course title', 'program', 'programme', 'training', 'workshop'],
+};
+
+// Looser matches for when no header matches exactly. `avoid` keeps columns
+// like "Course Name" or "Mail Sent" from being picked.
+const FUZZY_HEADERS = {
+  name: { match: /\bname\b/, avoid: /\b(course|event|company|organi[sz]ation|school|college|file|project|team|sheet|user)\b/ },
+  email: { match: /e ?mail/, avoid: /\b(sent|status|date|time|cc|bcc|opened)\b/ },
+  cc: { match: /^cc\b/, avoid: /\b(sent|status)\b/ },
+  certificateLink: { match: /certificate/, avoid: /\b(id|number|no|date|sent|status)\b/ },
+  attachment: { match: /attach/, avoid: /\b(sent|status|date|size)\b/ },
+  course: { match: /\b(course|program(me)?|training|workshop)\b/, avoid: /\b(id|code|date|status|sent|link|url)\b/ },
+};
+
+function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const taken = new Set();
+  const mapping = { customFields: {} };
+
+  MAPPING_FIELDS.forEach(field => {
+    let index = -1;
+    for (const exact of EXACT_HEADERS[field]) {
+      index = normalized.findIndex((header, i) => header === exact && !taken.has(i));
+      if (index !== -1) break;
+    }
+    if (index === -1) {
+      const { match, avoid } = FUZZY_HEADERS[field];
+      index = normalized.findIndex((header, i) => match.test(header) && !avoid.test(header) && !taken.has(i));
+    }
+    if (index !== -1) taken.add(index);
+    mapping[field] = index === -1 ? null : headers[index];
+  });
+
+  return mapping;
+}
+
+// Check a mapping against the sheet's headers; returns an error message or null
+function validateColumnMapping(mapping, headers) {
+  if (!mapping || typeof mapping !== 'object') return 'mapping must be an object';
+
+  const known = new Set(headers);
+  for (const field of MAPPING_FIELDS) {
+    const header = mapping[field];
+    if (header !== null && header !== undefined && header !== '' && !known.has(header)) {
+      return `Column "${header}" for ${field} is not in the sheet`;
+    }
+  }
+  if (!mapping.email) return 'An email column is required';
+
+  const customFields = mapping.customFields || {};
+  if (typeof customFields !== 'object' || Array.isArray(customFields)) {
+    return 'customFields must map merge tag names to columns';
+  }
+  for (const [tag, header] of Object.entries(customFields)) {
+    if (!CUSTOM_FIELD_PATTERN.test(tag)) {
+      return `Custom field "${tag}" may only contain letters, digits and underscores`;
+    }
+    if (MAPPING_FIELDS.includes(tag)) return `Custom field "${tag}" clashes with a built-in field`;
+    if (!known.has(header)) return `Column "${header}" for custom field "${tag}" is not in the sheet`;
+  }
+  return null;
+}
+
+// Custom fields named like a built-in field (saved before "course" became one)
+// move to that field, so the mapping validates and keeps its merge tag
+function migrateColumnMapping(mapping) {
+  const customFields = { ...mapping.customFields };
+  const migrated = { ...mapping, customFields };
+  MAPPING_FIELDS.filter(field => field in customFields).forEach(field => {
+    migrated[field] = mapping[field] || customFields[field];
+    delete customFields[field];
+  });
+  return migrated;
+}
+
+// Keep only what a mapping is made of, with unset fields as null
+function cleanColumnMapping(mapping) {
+  const cleaned = { customFields: { ...mapping.customFields } };
+  MAPPING_FIELDS.forEach(field => {
+    cleaned[field] = mapping[field] || null;
+  });
+  return cleaned;
+}
+
+// Read the mapped fields from one row object
+function extractContactFields(row, mapping) {
+  const read = header => (header ? String(row[header] ?? '').trim() : '');
+  return {
+    name: read(mapping.name),
+    email: read(mapping.email).toLowerCase(),
+    cc: read(mapping.cc).toLowerCase(),
+    certificateLink: read(mapping.certificateLink),
+    attachment: read(mapping.attachment),
+    course: read(mapping.course),
+    custom: Object.fromEntries(
+      Object.entries(mapping.customFields || {}).map(([tag, header]) => [tag, read(header)]),
+    ),
+  };
+}
+
+function createMappingStore() {
+  const mappings = createCollection('column-mappings');
+
+  // Sheet names can contain anything, so documents are keyed by a hash
+  const mappingId = (spreadsheetId, sheetName) => crypto
+    .createHash('sha1')
+    .update(`${spreadsheetId}\n${sheetName || ''}`)
+    .digest('hex');
+
+  function get(spreadsheetId, sheetName) {
+    const saved = mappings.get(mappingId(spreadsheetId, sheetName));
+    const customFields = saved?.mapping.customFields || {};
+    if (!MAPPING_FIELDS.some(field => field in customFields)) return saved;
+    return mappings.save({ ...saved, mapping: cleanColumnMapping(migrateColumnMapping(saved.mapping)) });
+  }
+
+  function save(spreadsheetId, sheetName, mapping) {
+    return mappings.save({
+      id: mappingId(spreadsheetId, sheetName),
+      spreadsheetId,
+      sheetName: sheetName || null,
+      mapping: cleanColumnMapping(mapping),
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  function remove(spreadsheetId, sheetName) {
+    return mappings.remove(mappingId(spreadsheetId, sheetName));
+  }
+
+  // The saved mapping for a sheet, or a guess from its headers
+  function resolve(spreadsheetId, sheetName, headers) {
+    const saved = get(spreadsheetId, sheetName);
+    if (saved) return { mapping: saved.mapping, saved: true };
+    return { mapping: guessColumnMapping(headers), saved: false };
+  }
+
+  return { get, save, remove, resolve };
+}
+
+module.exports = {
+  MAPPING_FIELDS,
+  guessColumnMapping,
+  validateColumnMapping,
+  migrateColumnMapping,
+  extractContactFields,
+  createMappingStore,
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+const { parseRange, columnToLetter, quoteSheetName } = require('./a1Notation');
+
+// Uploaded files (CSV, XLSX, JSON) stored as datasets that can be read like a
+// Google Sheet. Dataset ids start with "upload-" and stand in for a spreadsheet
+// id everywhere, so every route works with uploads unchanged.
+
+const DATASET_ID_PREFIX = 'upload-';
+
+function isDatasetId(spreadsheetId) {
+  return String(spreadsheetId || '').startsWith(DATASET_ID_PREFIX);
+}
+
+// Cut a range out of a sheet's values the way values.get does: only the cells
+// inside the range, without trailing empty cells and rows
+function readRange(sheetValues, { startColumn, startRow, endColumn, endRow }) {
+  const rows = sheetValues.slice(startRow - 1, endRow ?? undefined).map(row => {
+    const cells = row.slice(startColumn - 1, endColumn ?? undefined);
+    while (cells.length > 0 && (cells[cells.length - 1] ?? '') === '') cells.pop();
+    return cells;
+  });
+  while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+  return rows;
+}
+
+// Find the sheet a range refers to; bare cell ranges mean the first sheet
+function findSheet(sheets, sheetName) {
+  return sheetName === null ? sheets[0] : sheets.find(sheet => sheet.title === sheetName);
+}
+
+function gridProperties(values) {
+  return {
+    rowCount: values.length,
+    columnCount: Math.max(0, ...values.map(row => row.length)),
+  };
+}
+
+function sheetError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// The subset of the googleapis sheets client the routes use, answered from a
+// list of { title, values } sheets. Writes are refused.
+// `lookup(id)` returns { title, sheets, modifiedTime } or nothing.
+function createSheetsReader(lookup) {
+  function getSheets(spreadsheetId) {
+    const spreadsheet = lookup(spreadsheetId);
+    if (!spreadsheet) throw sheetError(`Requested entity was not found: ${spreadsheetId}`, 404);
+    return spreadsheet;
+  }
+
+  function getValues(spreadsheetId, range) {
+    const spreadsheet = getSheets(spreadsheetId);
+    const bounds = parseRange(range);
+    const sheet = findSheet(spreadsheet.sheets, bounds.sheetName);
+    if (!sheet) throw sheetError(`Unable to parse range: ${range}`, 400);
+
+    const values = readRange(sheet.values, bounds);
+    const lastColumn = bounds.endColumn ?? Math.max(bounds.startColumn, gridProperties(sheet.values).columnCount);
+    const lastRow = bounds.endRow ?? Math.max(bounds.startRow, sheet.values.length);
+    return {
+      range: `${quoteSheetName(sheet.title)}!${columnToLetter(bounds.startColumn)}${bounds.startRow}:${columnToLetter(lastColumn)}${lastRow}`,
+      majorDimension: 'ROWS',
+      ...(values.length > 0 ? { values } : {}),
+    };
+  }
+
+  const readOnly = async () => {
+    throw sheetError('This data source is read-only', 403);
+  };
+
+  return {
+    getModifiedTime: async spreadsheetId => getSheets(spreadsheetId).modifiedTime || null,
+    spreadsheets: {
+      get: async ({ spreadsheetId }) => {
+        const spreadsheet = getSheets(spreadsheetId);
+        return {
+          data: {
+            spreadsheetId,
+            properties: { title: spreadsheet.title },
+            sheets: spreadsheet.sheets.map((sheet, index) => ({
+              properties: {
+                sheetId: index,
+                title: sheet.title,
+                index,
+                sheetType: 'GRID',
+                gridProperties: gridProperties(sheet.values),
+              },
+            })),
+          },
+        };
+      },
+      batchUpdate: readOnly,
+      values: {
+        get: async ({ spreadsheetId, range }) => ({ data: getValues(spreadsheetId, range) }),
+        batchGet: async ({ spreadsheetId, ranges = [] }) => ({
+          data: {
+            spreadsheetId,
+            valueRanges: ranges.map(range => getValues(spreadsheetId, range)),
+          },
+        }),
+        update: readOnly,
+        batchUpdate: readOnly,
+        append: readOnly,
+      },
+    },
+  };
+}
+
+function createDatasetStore() {
+  const datasets = createCollection('datasets');
+
+  function create({ name, fileName, format, sheets }) {
+    return datasets.save({
+      id: `${DATASET_ID_PREFIX}${crypto.randomUUID()}`,
+      name,
+      fileName,
+      format,
+      sheets,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  // What a dataset looks like without its rows
+  function describe(dataset) {
+    const { id, name, fileName, format, createdAt } = dataset;
+    return {
+      id,
+      name,
+      fileName,
+      format,
+      createdAt,
+      sheets: dataset.sheets.map(sheet => ({ title: sheet.title, ...gridProperties(sheet.values) })),
+    };
+  }
+
+  return {
+    create,
+    describe,
+    get: datasets.get,
+    list: () => datasets.all().map(describe),
+    remove: datasets.remove,
+  };
+}
+
+// Route requests for dataset ids to the dataset store and everything else to
+// the configured sheets provider
+function createDatasetSheets(datasetStore, sheetsProvider) {
+  const reader = createSheetsReader(id => {
+    const dataset = datasetStore.get(id);
+    return dataset && { title: dataset.name, sheets: dataset.sheets, modifiedTime: dataset.createdAt };
+  });
+  const pick = spreadsheetId => (isDatasetId(spreadsheetId) ? reader : sheetsProvider);
+
+  return {
+    getModifiedTime: spreadsheetId => pick(spreadsheetId).getModifiedTime(spreadsheetId),
+    spreadsheets: {
+      get: params => pick(params.spreadsheetId).spreadsheets.get(params),
+      batchUpdate: params => pick(params.spreadsheetId).spreadsheets.batchUpdate(params),
+      values: {
+        get: params => pick(params.spreadsheetId).spreadsheets.values.get(params),
+        batchGet: params => pick(params.spreadsheetId).spreadsheets.values.batchGet(params),
+        update: params => pick(params.spreadsheetId).spreadsheets.values.update(params),
+        batchUpdate: params => pick(params.spreadsheetId).spreadsheets.values.batchUpdate(params),
+        append: params => pick(params.spreadsheetId).spreadsheets.values.append(params),
+      },
+    },
+  };
+}
+
+module.exports = {
+  DATASET_ID_PREFIX,
+  isDatasetId,
+  readRange,
+  createSheetsReader,
+  createDatasetStore,
+  createDatasetSheets,
+};
@@ -0,0 +1,18 @@
+// Tell temporary delivery failures (worth retrying) apart from permanent ones
+
+// Network-level nodemailer/Node error codes that usually clear up on their own
+const TEMPORARY_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+// 4xx SMTP replies are temporary by definition (RFC 5321); 5xx are permanent
+function classifyDeliveryError(error) {
+  const responseCode = Number(error.responseCode);
+  if (responseCode >= 400 && responseCode < 500) return 'temporary';
+  if (responseCode >= 500 && responseCode < 600) return 'permanent';
+  if (TEMPORARY_ERROR_CODES.includes(error.code)) return 'temporary';
+  // HTTP-style status codes from API transports
+  const status = Number(error.status || error.statusCode);
+  if (status === 429 || status >= 500) return 'temporary';
+  return 'permanent';
+}
+
+module.exports = { classifyDeliveryError };
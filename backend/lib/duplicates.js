@@ -0,0 +1,102 @@
+// Finding people who appear in more than one row of a range, and deciding who
+// a campaign goes to when they do.
+//
+// Addresses are compared after normalization: case and surrounding spaces never
+// matter, and for Gmail the dots and "+tag" of the local part are ignored too
+// (A.Lovelace+cert@googlemail.com and alovelace@gmail.com are one mailbox).
+//
+// Policies for sending:
+//   none   every row gets its own message (the default)
+//   first  the first row of each group is sent to, the others are skipped
+//   last   the last row of each group is sent to, the others are skipped
+//   merge  one message for the first row, with empty columns filled in from the
+//          group's later rows
+
+const DEDUPE_POLICIES = ['none', 'first', 'last', 'merge'];
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// The key two addresses of the same mailbox share; '' for no address
+function normalizeEmail(email) {
+  const address = String(email ?? '').trim().toLowerCase();
+  const at = address.lastIndexOf('@');
+  if (at <= 0) return address;
+
+  const domain = address.slice(at + 1);
+  if (!GMAIL_DOMAINS.includes(domain)) return address;
+
+  const local = address.slice(0, at).split('+')[0].replace(/\./g, '');
+  return `${local}@gmail.com`;
+}
+
+// Contacts ({ email, ... }) sharing a normalized address, in the order given.
+// Returns [{ key, contacts }] for every address used by more than one contact.
+function findDuplicateGroups(contacts) {
+  const groups = new Map();
+  contacts.forEach(contact => {
+    const key = normalizeEmail(contact.email);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(contact);
+  });
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([key, members]) => ({ key, contacts: members }));
+}
+
+const isBlank = value => String(value ?? '').trim() === '';
+
+// First non-empty value of every key across the objects, in order
+function fillBlanks(objects) {
+  const merged = {};
+  objects.forEach(object => {
+    Object.entries(object || {}).forEach(([key, value]) => {
+      if (isBlank(merged[key]) && !isBlank(value)) merged[key] = value;
+      else if (!(key in merged)) merged[key] = value;
+    });
+  });
+  return merged;
+}
+
+// Merge a group into its first contact: name, cc, certificate link, attachment,
+// course, custom fields and sheet columns each take the first non-empty value in row order
+function mergeContacts(group) {
+  const [first] = group;
+  const merged = fillBlanks(group.map(({ name, cc, certificateLink, attachment, course }) => ({ name, cc, certificateLink, attachment, course })));
+  return {
+    ...first,
+    ...merged,
+    custom: fillBlanks(group.map(contact => contact.custom)),
+    fields: fillBlanks(group.map(contact => contact.fields)),
+    mergedRows: group.map(contact => contact.row),
+  };
+}
+
+// Apply a policy to sendable contacts ({ row, email, ... } in sheet order).
+// Returns { contacts, duplicates } where contacts keeps that order and duplicates
+// lists { contact, keptRow } for every row left out in favour of another.
+function dedupeContacts(contacts, policy = 'none') {
+  if (policy === 'none') return { contacts, duplicates: [] };
+
+  const replacements = new Map();
+  const duplicates = [];
+  findDuplicateGroups(contacts).forEach(({ contacts: group }) => {
+    const kept = policy === 'last' ? group[group.length - 1] : group[0];
+    replacements.set(kept, policy === 'merge' ? mergeContacts(group) : kept);
+    group
+      .filter(contact => contact !== kept)
+      .forEach(contact => {
+        replacements.set(contact, null);
+        duplicates.push({ contact, keptRow: kept.row });
+      });
+  });
+
+  return {
+    contacts: contacts
+      .map(contact => (replacements.has(contact) ? replacements.get(contact) : contact))
+      .filter(Boolean),
+    duplicates,
+  };
+}
+
+module.exports = { DEDUPE_POLICIES, normalizeEmail, findDuplicateGroups, dedupeContacts };
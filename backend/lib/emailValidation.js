@@ -0,0 +1,273 @@
+const dns = require('dns');
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII } = require('url');
+
+// Email address checks beyond "looks like a@b.c":
+//   syntax      RFC 5321/5322 addresses (dot-atom or quoted local part, host name
+//               or address literal), with UTF-8 allowed as in RFC 6531
+//   domain      whether the domain accepts mail: MX records, or an A record
+//               standing in for them; a "null MX" (RFC 7505) means it does not
+//   disposable  throwaway-inbox providers
+//   role        shared mailboxes like info@ or support@
+//   suggestion  "did you mean gmail.com?" for domains one typo away from a common one
+//
+// DNS lookups go through a resolver chosen with EMAIL_RESOLVER:
+//   dns       (default) the system resolver
+//   fixtures  MX records from the JSON file EMAIL_RESOLVER_FIXTURES, for offline use and tests:
+//             { "example.com": ["mx1.example.com"], "no-mx.example": [] }
+//   off       no lookups; domains are reported as unchecked
+
+const MAX_ADDRESS_LENGTH = 254;
+const MAX_LOCAL_LENGTH = 64;
+const MAX_LABEL_LENGTH = 63;
+
+// atext of RFC 5322 plus any non-ASCII character (RFC 6531)
+const ATEXT = "[A-Za-z0-9!#$%&'*+/=?^_`{|}~\\-\\u0080-\\uFFFF]";
+const DOT_ATOM = new RegExp(`^${ATEXT}+(\\.${ATEXT}+)*$`);
+// Printable ASCII except \ and ", or a backslash-escaped character
+const QUOTED_STRING = /^"([\x20\x21\x23-\x5b\x5d-\x7e\u0080-\uffff]|\\[\x20-\x7e])*"$/;
+const IPV4_LITERAL = /^\[(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}\]$/;
+const IPV6_LITERAL = /^\[IPv6:[0-9A-Fa-f:.]+\]$/;
+const LABEL = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+const DISPOSABLE_DOMAINS = [
+  '10minutemail.com', '20minutemail.com', 'burnermail.io', 'discard.email', 'dispostable.com',
+  'emailondeck.com', 'fakeinbox.com', 'getairmail.com', 'getnada.com', 'guerrillamail.com',
+  'guerrillamail.net', 'guerrillamailblock.com', 'mailcatch.com', 'maildrop.cc', 'mailinator.com',
+  'mailnesia.com', 'mintemail.com', 'mohmal.com', 'moakt.com', 'sharklasers.com', 'spamgourmet.com',
+  'temp-mail.org', 'tempail.com', 'tempmail.com', 'tempmailo.com', 'tempr.email', 'throwawaymail.com',
+  'trashmail.com', 'trashmail.de', 'yopmail.com', 'yopmail.net',
+];
+
+const ROLE_ACCOUNTS = [
+  'abuse', 'accounts', 'admin', 'administrator', 'billing', 'careers', 'contact', 'enquiries', 'help',
+  'hostmaster', 'hr', 'info', 'inquiries', 'jobs', 'mail', 'marketing', 'no-reply', 'noreply', 'office',
+  'postmaster', 'root', 'sales', 'security', 'support', 'team', 'webmaster',
+];
+
+// Domains people mistype often enough to be worth a suggestion
+const COMMON_DOMAINS = [
+  'aol.com', 'comcast.net', 'gmail.com', 'gmx.com', 'gmx.de', 'googlemail.com', 'hotmail.co.uk',
+  'hotmail.com', 'hotmail.fr', 'icloud.com', 'live.com', 'mail.com', 'me.com', 'msn.com', 'outlook.com',
+  'proton.me', 'protonmail.com', 'verizon.net', 'yahoo.co.in', 'yahoo.co.uk', 'yahoo.com', 'yahoo.fr',
+  'yandex.ru', 'zoho.com',
+];
+
+// Top-level domains that do not exist but are one slip away from one that does
+const TLD_TYPOS = {
+  cmo: 'com', con: 'com', coom: 'com', comm: 'com', ocm: 'com', vom: 'com', xom: 'com',
+  nte: 'net', nett: 'net', ogr: 'org', orgg: 'org',
+};
+
+// Split an address into local part and domain; returns { local, domain, asciiDomain }
+// or { error }. asciiDomain is the punycode domain, null for address literals.
+function parseEmailAddress(address) {
+  const email = String(address ?? '');
+  if (!email) return { error: 'Missing email' };
+  if (email.length > MAX_ADDRESS_LENGTH) return { error: `Address is longer than ${MAX_ADDRESS_LENGTH} characters` };
+
+  const at = email.lastIndexOf('@');
+  if (at === -1) return { error: 'Missing @' };
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+
+  if (!local) return { error: 'Missing the part before @' };
+  if (local.length > MAX_LOCAL_LENGTH) return { error: `The part before @ is longer than ${MAX_LOCAL_LENGTH} characters` };
+  if (!DOT_ATOM.test(local) && !QUOTED_STRING.test(local)) return { error: 'Invalid characters before @' };
+
+  if (!domain) return { error: 'Missing domain' };
+  if (domain.startsWith('[')) {
+    if (IPV4_LITERAL.test(domain) || IPV6_LITERAL.test(domain)) return { local, domain, asciiDomain: null };
+    return { error: 'Invalid address literal' };
+  }
+
+  // Internationalized domains are checked (and looked up) in their punycode form
+  const asciiDomain = domainToASCII(domain.toLowerCase());
+  if (!asciiDomain) return { error: 'Invalid domain' };
+  const labels = asciiDomain.split('.');
+  if (labels.length < 2) return { error: 'Domain needs a dot, like example.com' };
+  if (labels.some(label => label.length > MAX_LABEL_LENGTH || !LABEL.test(label))) return { error: 'Invalid domain' };
+  if (/^\d+$/.test(labels[labels.length - 1])) return { error: 'Invalid top-level domain' };
+
+  return { local, domain, asciiDomain };
+}
+
+function isValidEmailSyntax(address) {
+  return !parseEmailAddress(address).error;
+}
+
+// Edit distance counting a swap of neighbouring characters as one edit
+function editDistance(a, b) {
+  const distances = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) distances[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(distances[i - 1][j] + 1, distances[i][j - 1] + 1, distances[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return distances[a.length][b.length];
+}
+
+// The domain the user probably meant, or null
+function suggestDomain(domain) {
+  const lower = domain.toLowerCase();
+  if (COMMON_DOMAINS.includes(lower)) return null;
+
+  const allowed = lower.length >= 10 ? 2 : 1;
+  let best = null;
+  COMMON_DOMAINS.forEach(candidate => {
+    const distance = editDistance(lower, candidate);
+    if (distance <= allowed && (!best || distance < best.distance)) best = { candidate, distance };
+  });
+  if (best) return best.candidate;
+
+  const tldAt = lower.lastIndexOf('.');
+  const fixedTld = TLD_TYPOS[lower.slice(tldAt + 1)];
+  return fixedTld ? `${lower.slice(0, tldAt)}.${fixedTld}` : null;
+}
+
+function withTimeout(promise, ms) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error('DNS lookup timed out'), { code: 'ETIMEOUT' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Resolver answering from a { domain: [mx hosts] } map. Unknown domains do not
+// exist; an empty list is a domain without mail servers.
+function createFixtureResolver(records) {
+  const lookup = domain => {
+    if (!Object.prototype.hasOwnProperty.call(records, domain)) {
+      throw Object.assign(new Error(`queryMx ENOTFOUND ${domain}`), { code: dns.NOTFOUND });
+    }
+    return records[domain];
+  };
+  const noData = domain => Object.assign(new Error(`queryA ENODATA ${domain}`), { code: dns.NODATA });
+
+  return {
+    resolveMx: async domain => {
+      const hosts = lookup(domain);
+      if (hosts.length === 0) throw noData(domain);
+      return hosts.map((exchange, index) => ({ exchange, priority: (index + 1) * 10 }));
+    },
+    resolve4: async domain => {
+      lookup(domain);
+      throw noData(domain);
+    },
+  };
+}
+
+function createResolver(env = process.env) {
+  const kind = env.EMAIL_RESOLVER || 'dns';
+  if (kind === 'dns') return dns.promises;
+  if (kind === 'off') return null;
+  if (kind === 'fixtures') {
+    const file = env.EMAIL_RESOLVER_FIXTURES || path.join(__dirname, '..', 'fixtures', 'mx-records.json');
+    return createFixtureResolver(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  throw new Error(`Unknown EMAIL_RESOLVER "${kind}" (use "dns", "fixtures" or "off")`);
+}
+
+// `resolver` needs resolveMx(domain) and may have resolve4(domain), like dns.promises;
+// null skips domain checks. Answers are cached per domain for `cacheTtl` milliseconds.
+function createEmailValidator({ resolver = dns.promises, timeout = 5000, cacheTtl = 10 * 60 * 1000, now = Date.now } = {}) {
+  const domainCache = new Map();
+
+  async function lookupDomain(asciiDomain) {
+    try {
+      const records = await withTimeout(resolver.resolveMx(asciiDomain), timeout);
+      // A single "." exchange is a null MX: the domain says it takes no mail
+      if (records.length === 1 && ['', '.'].includes(records[0].exchange)) return { status: 'none', mx: [] };
+      if (records.length > 0) {
+        return {
+          status: 'mx',
+          mx: [...records].sort((a, b) => a.priority - b.priority).map(record => record.exchange),
+        };
+      }
+    } catch (error) {
+      if (error.code === dns.NOTFOUND) return { status: 'none', mx: [] };
+      if (error.code !== dns.NODATA) return { status: 'unknown', mx: [], error: error.code || error.message };
+    }
+
+    // No MX records: mail goes to the domain's own address, if it has one
+    if (!resolver.resolve4) return { status: 'none', mx: [] };
+    try {
+      const addresses = await withTimeout(resolver.resolve4(asciiDomain), timeout);
+      return { status: addresses.length > 0 ? 'a' : 'none', mx: [] };
+    } catch (error) {
+      if ([dns.NOTFOUND, dns.NODATA].includes(error.code)) return { status: 'none', mx: [] };
+      return { status: 'unknown', mx: [], error: error.code || error.message };
+    }
+  }
+
+  function checkDomain(asciiDomain) {
+    if (!resolver) return Promise.resolve({ status: 'unchecked', mx: [] });
+
+    const cached = domainCache.get(asciiDomain);
+    if (cached && cached.expiresAt > now()) return cached.promise;
+    const promise = lookupDomain(asciiDomain);
+    domainCache.set(asciiDomain, { expiresAt: now() + cacheTtl, promise });
+    // Lookups that did not get an answer are tried again next time
+    promise.then(result => {
+      if (result.status === 'unknown') domainCache.delete(asciiDomain);
+    });
+    return promise;
+  }
+
+  // Everything known about one address. `issues` make it unusable or doubtful,
+  // `warnings` are worth a look but do not stop a send.
+  async function validate(address, { checkDomains = true } = {}) {
+    const email = String(address ?? '').trim();
+    const parsed = parseEmailAddress(email);
+    if (parsed.error) {
+      return {
+        email,
+        valid: false,
+        syntaxError: parsed.error,
+        domain: null,
+        disposable: false,
+        role: false,
+        suggestion: null,
+        issues: [email ? 'Invalid email format' : 'Missing email'],
+        warnings: [],
+      };
+    }
+
+    const { local, asciiDomain } = parsed;
+    const domain = asciiDomain && checkDomains ? await checkDomain(asciiDomain) : { status: 'unchecked', mx: [] };
+    const disposable = Boolean(asciiDomain) && DISPOSABLE_DOMAINS.some(
+      candidate => asciiDomain === candidate || asciiDomain.endsWith(`.${candidate}`),
+    );
+    const role = ROLE_ACCOUNTS.includes(local.toLowerCase().split('+')[0]);
+    const suggestedDomain = asciiDomain && suggestDomain(parsed.domain);
+    const suggestion = suggestedDomain ? `${local}@${suggestedDomain}` : null;
+
+    const issues = [];
+    if (domain.status === 'none') issues.push('Domain does not accept email');
+    if (disposable) issues.push('Disposable email address');
+    if (suggestion) issues.push(`Possible typo, did you mean ${suggestedDomain}?`);
+    const warnings = [];
+    if (role) warnings.push('Role account');
+    if (domain.status === 'unknown') warnings.push('Domain could not be checked');
+
+    return { email, valid: issues.length === 0, syntaxError: null, domain, disposable, role, suggestion, issues, warnings };
+  }
+
+  return { validate, checkDomain };
+}
+
+module.exports = {
+  parseEmailAddress,
+  isValidEmailSyntax,
+  suggestDomain,
+  createResolver,
+  createFixtureResolver,
+  createEmailValidator,
+};
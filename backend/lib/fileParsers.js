@@ -0,0 +1,146 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+// Turn uploaded CSV, XLSX and JSON files into sheets of cell values - the same
+// `values` shape (array of rows, header row first) the Sheets API returns.
+
+const SUPPORTED_FORMATS = ['csv', 'xlsx', 'json'];
+
+function detectFormat(fileName, mimeType = '') {
+  const extension = path.extname(fileName || '').slice(1).toLowerCase();
+  if (SUPPORTED_FORMATS.includes(extension)) return extension;
+  if (extension === 'tsv' || mimeType === 'text/csv' || mimeType === 'text/tab-separated-values') return 'csv';
+  if (mimeType === 'application/json') return 'json';
+  if (mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+  return null;
+}
+
+// Pick the delimiter that splits the first line into the most columns
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  return [',', ';', '\t'].reduce((best, delimiter) => (
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  ), ',');
+}
+
+// RFC 4180 CSV: quoted fields may contain delimiters, "" and line breaks
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  if (inQuotes) throw new Error('CSV has an unterminated quoted field');
+  return rows;
+}
+
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// An array of objects (keys become headers, in first-seen order) or an array
+// of arrays (used as rows as they are)
+function parseJson(text) {
+  let data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  if (!Array.isArray(data)) {
+    // Accept { "contacts": [...] } style wrappers with a single array
+    const arrays = data && typeof data === 'object' ? Object.values(data).filter(Array.isArray) : [];
+    if (arrays.length !== 1) throw new Error('JSON must be an array of rows or objects');
+    data = arrays[0];
+  }
+
+  if (data.every(Array.isArray)) {
+    return data.map(row => row.map(cellToString));
+  }
+  if (!data.every(item => item && typeof item === 'object')) {
+    throw new Error('JSON rows must all be objects or all be arrays');
+  }
+
+  const headers = [];
+  data.forEach(item => Object.keys(item).forEach(key => {
+    if (!headers.includes(key)) headers.push(key);
+  }));
+  return [headers, ...data.map(item => headers.map(header => cellToString(item[header])))];
+}
+
+// Shown text of a cell; hyperlinks to web pages keep their URL so link columns stay usable
+function xlsxCellText(cell) {
+  const hyperlink = cell.hyperlink || cell.value?.hyperlink;
+  if (hyperlink && /^https?:\/\//i.test(hyperlink)) return hyperlink;
+  return cell.text ?? '';
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  return workbook.worksheets.map(worksheet => {
+    const values = [];
+    worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+        cells[columnNumber - 1] = xlsxCellText(cell);
+      });
+      values[rowNumber - 1] = Array.from(cells, cell => cell ?? '');
+    });
+    return { title: worksheet.name, values: Array.from(values, row => row ?? []) };
+  });
+}
+
+// Parse an uploaded file into { format, sheets: [{ title, values }] }, one sheet per worksheet
+async function parseUpload({ buffer, fileName, mimeType }) {
+  const format = detectFormat(fileName, mimeType);
+  if (!format) {
+    throw new Error(`Unsupported file type "${fileName}". Upload a ${SUPPORTED_FORMATS.join(', ')} file`);
+  }
+
+  if (format === 'xlsx') {
+    return { format, sheets: await parseXlsx(buffer) };
+  }
+
+  const text = buffer.toString('utf8');
+  const values = format === 'csv' ? parseCsv(text) : parseJson(text);
+  return { format, sheets: [{ title: 'Sheet1', values }] };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  detectFormat,
+  parseCsv,
+  parseUpload,
+};
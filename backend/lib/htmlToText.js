@@ -0,0 +1,53 @@
+// Minimal HTML to plain text conversion for the text/plain part of emails and previews
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      // Leave references to code points that do not exist (above U+10FFFF) as written
+      return Number.isNaN(code) || code > 0x10ffff ? match : String.fromCodePoint(code);
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded === undefined ? match : decoded;
+  });
+}
+
+function htmlToText(html) {
+  if (!html) return '';
+
+  return decodeEntities(
+    html
+      .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      // Keep link targets visible: "Get your certificate (https://...)"
+      .replace(/<a\s[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+        const text = label.replace(/<[^>]+>/g, '').trim();
+        if (!text || href.startsWith('#') || href.startsWith('mailto:')) return text;
+        return text === href ? href : `${text} (${href})`;
+      })
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li[^>]*>/gi, '\n- ')
+      .replace(/<\/(p|div|h[1-6]|tr|table|ul|ol|blockquote)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { htmlToText };
@@ -0,0 +1,199 @@
+// Merge-tag engine used to personalize subjects and bodies per sheet row.
+//
+//   {{Header Name}}            value of that column (HTML-escaped in bodies)
+//   {{{Header Name}}}          value without escaping
+//   {{name|there}}             fallback text when the value is empty
+//   {{#if Status}}...{{else}}...{{/if}}     also {{#if Status == "Completed"}} and !=
+//   {{#unless Status}}...{{/unless}}
+//   {{#each Courses}}{{this}}{{/each}}      loops over a comma, semicolon or newline separated cell
+//
+// Column names are matched case-insensitively and ignoring extra whitespace.
+
+const TAG_PATTERN = /\{\{(\{?)\s*([\s\S]+?)\s*\}?\}\}/g;
+const CONDITION_PATTERN = /^(.+?)\s*(==|!=)\s*(.+)$/;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function normalizeKey(key) {
+  return String(key).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(["'])(.*)\1$/, '$2');
+}
+
+// Editors sometimes URL-encode tags placed inside links (href="%7B%7Blink%7D%7D")
+function decodeEncodedTags(template) {
+  return template.replace(/%7B%7B([\s\S]+?)%7D%7D/gi, (match, inner) => {
+    try {
+      return `{{${decodeURIComponent(inner)}}}`;
+    } catch {
+      return match;
+    }
+  });
+}
+
+// Turn the template into a tree of text, variable and block nodes
+function parse(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const raw = match[1] === '{';
+    const tag = match[2];
+    const block = stack[stack.length - 1];
+
+    if (tag.startsWith('#')) {
+      const [, kind, arg = ''] = tag.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+      if (!['if', 'unless', 'each'].includes(kind)) {
+        throw new Error(`Unknown block tag "{{${tag}}}"`);
+      }
+      const node = { type: kind, arg: arg.trim(), children: [], elseChildren: [] };
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+    } else if (tag === 'else') {
+      if (block === root || block.type === 'each') {
+        throw new Error('"{{else}}" must be inside an {{#if}} or {{#unless}} block');
+      }
+      block.inElse = true;
+      current = block.elseChildren;
+    } else if (tag.startsWith('/')) {
+      const kind = tag.slice(1).trim();
+      if (block === root || block.type !== kind) {
+        throw new Error(`Unexpected closing tag "{{${tag}}}"`);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.inElse ? parent.elseChildren : parent.children;
+    } else {
+      const pipeIndex = tag.indexOf('|');
+      current.push({
+        type: 'var',
+        name: (pipeIndex === -1 ? tag : tag.slice(0, pipeIndex)).trim(),
+        fallback: pipeIndex === -1 ? null : tag.slice(pipeIndex + 1).trim(),
+        raw,
+      });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing closing tag for "{{#${stack[stack.length - 1].type}}}"`);
+  }
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+// Look a name up in the innermost scope first (loops add a scope with "this"/"@index")
+function lookup(name, scopes) {
+  const wanted = normalizeKey(name);
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (Object.prototype.hasOwnProperty.call(scope, name)) return { found: true, value: scope[name] };
+    const key = Object.keys(scope).find(candidate => normalizeKey(candidate) === wanted);
+    if (key !== undefined) return { found: true, value: scope[key] };
+  }
+  return { found: false, value: '' };
+}
+
+function stringValue(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function evaluateCondition(arg, scopes) {
+  const comparison = arg.match(CONDITION_PATTERN);
+  if (comparison) {
+    const [, name, operator, expected] = comparison;
+    const actual = stringValue(lookup(name.trim(), scopes).value).toLowerCase();
+    const equal = actual === unquote(expected).toLowerCase();
+    return operator === '==' ? equal : !equal;
+  }
+  return stringValue(lookup(arg, scopes).value) !== '';
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value;
+  return stringValue(value).split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+}
+
+function renderNodes(nodes, scopes, options, missing) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var': {
+        const { found, value } = lookup(node.name, scopes);
+        let text = stringValue(value);
+        if (!text) {
+          if (node.fallback !== null) {
+            text = node.fallback;
+          } else if (!missing.some(entry => entry.tag === node.name)) {
+            missing.push({ tag: node.name, reason: found ? 'empty' : 'unknown' });
+          }
+        }
+        return options.escape && !node.raw ? escapeHtml(text) : text;
+      }
+      case 'if':
+      case 'unless': {
+        const truthy = evaluateCondition(node.arg, scopes);
+        const branch = truthy === (node.type === 'if') ? node.children : node.elseChildren;
+        return renderNodes(branch, scopes, options, missing);
+      }
+      case 'each':
+        return splitList(lookup(node.arg, scopes).value)
+          .map((item, index) => renderNodes(node.children, [...scopes, { this: item, '@index': index, '@number': index + 1 }], options, missing))
+          .join('');
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+// Parse a template once and get a function that renders it for any data row.
+// The function returns the output plus the tags that resolved to nothing, so
+// callers can flag incomplete rows.
+function compileTemplate(template, { escape = true } = {}) {
+  const nodes = parse(decodeEncodedTags(template || ''));
+  return data => {
+    const missing = [];
+    const output = renderNodes(nodes, [data || {}], { escape }, missing);
+    return { output, missing };
+  };
+}
+
+function renderTemplate(template, data, options) {
+  return compileTemplate(template, options)(data);
+}
+
+// Throws with a readable message if the template has unbalanced or unknown blocks
+function validateTemplate(template) {
+  parse(decodeEncodedTags(template || ''));
+}
+
+module.exports = {
+  compileTemplate,
+  renderTemplate,
+  validateTemplate,
+  escapeHtml,
+};
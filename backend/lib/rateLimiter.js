@@ -0,0 +1,62 @@
+// Sliding-window limiter for outgoing mail: at most `perSecond` messages in any
+// second and `perHour` in any hour. A cap of 0 means unlimited.
+
+const SECOND = 1000;
+const HOUR = 60 * 60 * 1000;
+const MAX_SLEEP = 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Sleep for `ms`, waking up at least once a second to check `keepWaiting()`.
+// Resolves to false if waiting was abandoned.
+async function sleepWhile(ms, keepWaiting = () => true) {
+  const until = Date.now() + ms;
+  while (Date.now() < until) {
+    if (!keepWaiting()) return false;
+    await sleep(Math.min(MAX_SLEEP, until - Date.now()));
+  }
+  return keepWaiting();
+}
+
+function createRateLimiter({ perSecond = 0, perHour = 0 } = {}) {
+  const sentAt = [];
+
+  // How long until another message may go out (0 = now)
+  function waitTime(now) {
+    // Only the hourly cap needs an hour of history
+    const window = perHour > 0 ? HOUR : SECOND;
+    while (sentAt.length > 0 && now - sentAt[0] >= window) sentAt.shift();
+
+    let wait = 0;
+    if (perHour > 0 && sentAt.length >= perHour) {
+      wait = Math.max(wait, sentAt[sentAt.length - perHour] + HOUR - now);
+    }
+    if (perSecond > 0) {
+      const lastSecond = sentAt.filter(time => now - time < SECOND);
+      if (lastSecond.length >= perSecond) {
+        wait = Math.max(wait, lastSecond[lastSecond.length - perSecond] + SECOND - now);
+      }
+    }
+    return wait;
+  }
+
+  // Wait for a free slot and take it. Resolves to false without taking a slot
+  // if `keepWaiting()` turns false in the meantime (e.g. the job was paused).
+  async function acquire(keepWaiting = () => true) {
+    for (;;) {
+      const wait = waitTime(Date.now());
+      if (wait <= 0) {
+        if (!keepWaiting()) return false;
+        if (perHour > 0 || perSecond > 0) sentAt.push(Date.now());
+        return true;
+      }
+      if (!(await sleepWhile(wait, keepWaiting))) return false;
+    }
+  }
+
+  return { acquire };
+}
+
+module.exports = { createRateLimiter, sleepWhile };
@@ -0,0 +1,196 @@
+// Filtering, sorting and paging of sheet rows, for GET /sheets/:spreadsheetId/:range.
+// The same filters are the rules of segments and of rule-based search.
+//
+// Rows are { row, cells, object }: the sheet row number, the raw cells and the
+// row keyed by header. Filters look like
+//
+//   { column: 'Email', op: 'endsWith', value: '@gmail.com', caseSensitive: false }
+//   { column: 'Batch', op: 'in', value: ['A', 'B'] }
+//   { column: 'Score', op: 'gte', value: 60 }
+//
+// and all of them have to match for a row to be kept (or any, with match: 'any').
+// Regex patterns from saved segments run against every row of every send and
+// preview, so they go through RE2 (linear time, no backtracking) instead of
+// RegExp, and are kept short.
+
+const { RE2JS } = require('re2js');
+
+const FILTER_OPERATORS = [
+  'equals', 'notEquals', 'contains', 'startsWith', 'endsWith', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte', 'empty', 'notEmpty', 'regex',
+];
+const NUMERIC_OPERATORS = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+};
+const MAX_PAGE_SIZE = 1000;
+const MAX_PATTERN_LENGTH = 100;
+
+const isEmpty = value => String(value ?? '').trim() === '';
+
+// "1,250.5" -> 1250.5; cells that are not numbers give null
+function toNumber(value) {
+  const text = String(value ?? '').trim().replace(/,/g, '');
+  if (text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Build a predicate for one filter; returns { predicate } or { error }.
+// Without headers, columns are not checked (for rules saved ahead of use).
+function compileFilter(filter, headers = null) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return { error: 'Each filter must be an object with column and op' };
+  }
+
+  const { column, op, caseSensitive = false } = filter;
+  if (typeof column !== 'string' || !column) return { error: 'Each filter needs a column' };
+  if (headers && !headers.includes(column)) return { error: `Column "${column}" is not in the sheet` };
+  if (!FILTER_OPERATORS.includes(op)) {
+    return { error: `Filter op must be one of: ${FILTER_OPERATORS.join(', ')}` };
+  }
+
+  const read = row => String(row[column] ?? '');
+  if (op === 'empty') return { predicate: row => isEmpty(read(row)) };
+  if (op === 'notEmpty') return { predicate: row => !isEmpty(read(row)) };
+
+  if (NUMERIC_OPERATORS[op]) {
+    const expected = toNumber(filter.value);
+    if (expected === null) return { error: `Filter on column "${column}" needs a number to compare with` };
+    const compare = NUMERIC_OPERATORS[op];
+    return {
+      predicate: row => {
+        const actual = toNumber(read(row));
+        return actual !== null && compare(actual, expected);
+      },
+    };
+  }
+
+  const normalize = text => (caseSensitive ? text : text.toLowerCase());
+
+  if (op === 'in' || op === 'notIn') {
+    // A list, or "A, B" as typed into a single field
+    const list = Array.isArray(filter.value) ? filter.value : String(filter.value ?? '').split(',');
+    const options = new Set(list.map(option => normalize(String(option ?? '').trim())));
+    const isIn = row => options.has(normalize(read(row).trim()));
+    return { predicate: op === 'in' ? isIn : row => !isIn(row) };
+  }
+
+  const value = String(filter.value ?? '');
+
+  if (op === 'regex') {
+    if (value.length > MAX_PATTERN_LENGTH) {
+      return { error: `Patterns can be at most ${MAX_PATTERN_LENGTH} characters` };
+    }
+    let pattern;
+    try {
+      pattern = RE2JS.compile(value, caseSensitive ? 0 : RE2JS.CASE_INSENSITIVE);
+    } catch (error) {
+      return { error: `Invalid pattern for column "${column}": ${error.message}` };
+    }
+    return { predicate: row => pattern.matcher(read(row)).find() };
+  }
+
+  const expected = normalize(value.trim());
+  if (op === 'equals') return { predicate: row => normalize(read(row).trim()) === expected };
+  if (op === 'notEquals') return { predicate: row => normalize(read(row).trim()) !== expected };
+  if (op === 'startsWith') return { predicate: row => normalize(read(row).trim()).startsWith(expected) };
+  if (op === 'endsWith') return { predicate: row => normalize(read(row).trim()).endsWith(expected) };
+  return { predicate: row => normalize(read(row)).includes(expected) };
+}
+
+// One predicate for a list of filters; returns { predicate } or { error }.
+// match: 'all' keeps rows every filter matches, 'any' rows at least one matches.
+function compileFilters(filters, headers = null, { match = 'all' } = {}) {
+  if (!Array.isArray(filters)) return { error: 'filters must be an array' };
+  if (!['all', 'any'].includes(match)) return { error: 'match must be all or any' };
+
+  const predicates = [];
+  for (const filter of filters) {
+    const compiled = compileFilter(filter, headers);
+    if (compiled.error) return compiled;
+    predicates.push(compiled.predicate);
+  }
+  if (match === 'any' && predicates.length > 0) {
+    return { predicate: row => predicates.some(predicate => predicate(row)) };
+  }
+  return { predicate: row => predicates.every(predicate => predicate(row)) };
+}
+
+function parseCount(value, name, { min, max }) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    return { error: `${name} must be a whole number from ${min} to ${max}` };
+  }
+  return { number };
+}
+
+// Read limit, offset, sortBy, sortOrder and filters (a JSON array) from a request's
+// query string; returns { query } or { error }. query.match is the compiled filters.
+function parseRowQuery(params, headers) {
+  const query = { limit: null, offset: 0, sortBy: null, sortOrder: 'asc', filters: [], match: null };
+
+  if (params.limit !== undefined) {
+    const { number, error } = parseCount(params.limit, 'limit', { min: 1, max: MAX_PAGE_SIZE });
+    if (error) return { error };
+    query.limit = number;
+  }
+  if (params.offset !== undefined) {
+    const { number, error } = parseCount(params.offset, 'offset', { min: 0, max: Number.MAX_SAFE_INTEGER });
+    if (error) return { error };
+    query.offset = number;
+  }
+
+  if (params.sortBy !== undefined) {
+    if (!headers.includes(params.sortBy)) return { error: `Column "${params.sortBy}" is not in the sheet` };
+    query.sortBy = params.sortBy;
+  }
+  if (params.sortOrder !== undefined) {
+    if (!['asc', 'desc'].includes(params.sortOrder)) return { error: 'sortOrder must be asc or desc' };
+    query.sortOrder = params.sortOrder;
+  }
+
+  if (params.filters !== undefined && params.filters !== '') {
+    try {
+      query.filters = JSON.parse(params.filters);
+    } catch {
+      return { error: 'filters must be a JSON array' };
+    }
+    const { predicate, error } = compileFilters(query.filters, headers);
+    if (error) return { error };
+    query.match = predicate;
+  }
+
+  return { query };
+}
+
+// Numbers compare as numbers ("9" before "10"); empty cells always go last
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+function sortRows(rows, column, order) {
+  const direction = order === 'desc' ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const left = String(a.object[column] ?? '');
+    const right = String(b.object[column] ?? '');
+    if (isEmpty(left) !== isEmpty(right)) return isEmpty(left) ? 1 : -1;
+    return direction * collator.compare(left, right) || a.row - b.row;
+  });
+}
+
+// Apply a parsed query; returns the rows of the requested page and how many matched in all
+function queryRows(rows, { match = null, sortBy = null, sortOrder = 'asc', offset = 0, limit = null }) {
+  let matching = match ? rows.filter(row => match(row.object)) : rows;
+  if (sortBy) matching = sortRows(matching, sortBy, sortOrder);
+
+  const page = matching.slice(offset, limit === null ? undefined : offset + limit);
+  return { page, total: matching.length };
+}
+
+module.exports = {
+  FILTER_OPERATORS,
+  MAX_PAGE_SIZE,
+  compileFilters,
+  parseRowQuery,
+  queryRows,
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+
+// Campaigns scheduled for a future time. Schedules are persisted, so a restart
+// only delays a due campaign until the next poll.
+
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const EXPLICIT_OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Milliseconds the time zone is ahead of UTC at the given instant
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(timestamp));
+  const get = type => Number(parts.find(part => part.type === type).value);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Turn "2026-10-20T09:30" in `timeZone` into a Date. Values that already carry
+// an offset ("...Z", "...+05:30") are taken as they are.
+function resolveSendAt(sendAt, timeZone = 'UTC') {
+  if (typeof sendAt !== 'string') return null;
+  if (EXPLICIT_OFFSET_PATTERN.test(sendAt)) {
+    const date = new Date(sendAt);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = sendAt.match(LOCAL_DATE_TIME_PATTERN);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match.map(part => Number(part || 0));
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Second pass settles times next to a DST change
+  let utc = asUtc - timeZoneOffset(asUtc, timeZone);
+  utc = asUtc - timeZoneOffset(utc, timeZone);
+  return new Date(utc);
+}
+
+// `run(campaign, jobId)` starts the campaign as send job `jobId`; `findJob(jobId)`
+// tells whether that job was already queued
+function createScheduler({ run, findJob = () => null, pollInterval = 15000 }) {
+  const schedules = createCollection('schedules');
+  let timer = null;
+  let ticking = false;
+
+  function save(schedule) {
+    schedule.updatedAt = new Date().toISOString();
+    return schedules.save(schedule);
+  }
+
+  function create({ campaign, sendAt, timeZone }) {
+    return save({
+      id: crypto.randomUUID(),
+      status: 'scheduled',
+      sendAt: sendAt.toISOString(),
+      timeZone,
+      campaign,
+      jobId: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  // Only campaigns that have not fired yet can be changed or cancelled
+  function update(id, { campaign, sendAt, timeZone }) {
+    const schedule = schedules.get(id);
+    if (!schedule || schedule.status !== 'scheduled') return null;
+
+    if (campaign) schedule.campaign = { ...schedule.campaign, ...campaign };
+    if (sendAt) schedule.sendAt = sendAt.toISOString();
+    if (timeZone) schedule.timeZone = timeZone;
+    return save(schedule);
+  }
+
+  function cancel(id) {
+    const schedule = schedules.get(id);
+    if (!schedule || schedule.status !== 'scheduled') return null;
+
+    schedule.status = 'cancelled';
+    return save(schedule);
+  }
+
+  // The job id is saved with the "starting" status before anything is queued, so
+  // after a restart a schedule still "starting" can tell whether its job exists
+  async function fire(schedule) {
+    if (schedule.status === 'starting' && schedule.jobId && findJob(schedule.jobId)) {
+      schedule.status = 'started';
+      save(schedule);
+      return;
+    }
+
+    schedule.status = 'starting';
+    schedule.jobId = schedule.jobId || crypto.randomUUID();
+    save(schedule);
+    try {
+      await run(schedule.campaign, schedule.jobId);
+      schedule.status = 'started';
+    } catch (error) {
+      console.error(`Scheduled campaign ${schedule.id} failed to start:`, error);
+      schedule.status = 'failed';
+      schedule.jobId = null;
+      schedule.error = error.message;
+    }
+    save(schedule);
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = Date.now();
+      const due = schedules.all()
+        // "starting" means the process stopped while the campaign was being queued
+        .filter(schedule => ['scheduled', 'starting'].includes(schedule.status)
+          && new Date(schedule.sendAt).getTime() <= now)
+        .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+
+      for (const schedule of due) {
+        await fire(schedule);
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, pollInterval);
+    timer.unref();
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    create,
+    update,
+    cancel,
+    get: schedules.get,
+    list: () => schedules.all().sort((a, b) => a.sendAt.localeCompare(b.sendAt)),
+    start,
+    stop,
+    tick,
+  };
+}
+
+module.exports = { createScheduler, resolveSendAt, isValidTimeZone };
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+const { compileFilters } = require('./rowQuery');
+
+// Saved segments: named sets of rules over sheet columns that pick the rows a
+// campaign goes to, e.g.
+//
+//   { name: 'Passed batch A/B', spreadsheetId, match: 'all', rules: [
+//       { column: 'Status', op: 'equals', value: 'Completed' },
+//       { column: 'Batch', op: 'in', value: ['A', 'B'] },
+//       { column: 'Score', op: 'gte', value: 60 } ] }
+//
+// Rules are the filters of lib/rowQuery.js, so Search and the Sheet Data tab
+// evaluate them the same way. Columns are checked when a segment is used.
+
+// Check a segment's fields; returns an error message or null
+function segmentRequestError({ name, spreadsheetId, rules, match = 'all' }) {
+  if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  if (typeof spreadsheetId !== 'string' || !spreadsheetId) return 'spreadsheetId is required';
+  if (!Array.isArray(rules) || rules.length === 0) return 'rules must list at least one rule';
+  return compileFilters(rules, null, { match }).error || null;
+}
+
+// Build the row predicate of a segment for a sheet; returns { predicate } or { error }
+function compileSegment(segment, headers) {
+  const compiled = compileFilters(segment.rules, headers, { match: segment.match || 'all' });
+  if (compiled.error) return { error: `Segment "${segment.name}": ${compiled.error}` };
+  return compiled;
+}
+
+function createSegmentStore() {
+  const segments = createCollection('segments');
+
+  function create({ name, spreadsheetId, rules, match = 'all' }) {
+    const now = new Date().toISOString();
+    return segments.save({
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      spreadsheetId,
+      rules,
+      match,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  // Fields left out keep their current value
+  function update(id, { name, rules, match }) {
+    const segment = segments.get(id);
+    if (!segment) return null;
+
+    if (name !== undefined) segment.name = name.trim();
+    if (rules !== undefined) segment.rules = rules;
+    if (match !== undefined) segment.match = match;
+    segment.updatedAt = new Date().toISOString();
+    return segments.save(segment);
+  }
+
+  return {
+    list: spreadsheetId => segments.all()
+      .filter(segment => !spreadsheetId || segment.spreadsheetId === spreadsheetId)
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    get: segments.get,
+    create,
+    update,
+    remove: segments.remove,
+  };
+}
+
+module.exports = { segmentRequestError, compileSegment, createSegmentStore };
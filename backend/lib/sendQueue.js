@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { dataPath, readJson, writeJson, appendLine, readLines, listJsonIds } = require('./store');
+const { createRateLimiter, sleepWhile } = require('./rateLimiter');
+const { classifyDeliveryError } = require('./deliveryErrors');
+
+const JOBS_DIR = dataPath('jobs');
+
+// Recipients marked "sending" when the process died may or may not have received
+// the message, so they are failed instead of retried to avoid duplicates
+const INTERRUPTED_ERROR = 'Delivery was interrupted by a restart; not retried to avoid a duplicate';
+
+// Job statuses after which nothing else will happen
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function jobFile(id) {
+  return dataPath('jobs', `${id}.json`);
+}
+
+function logFile(id) {
+  return dataPath('jobs', `${id}.log`);
+}
+
+// Build the public view of a job: counts per status plus the failures
+function summarizeJob(job, { includeRecipients = false } = {}) {
+  const counts = { queued: 0, sending: 0, retrying: 0, sent: 0, failed: 0, cancelled: 0 };
+  job.recipients.forEach(recipient => {
+    counts[recipient.status]++;
+  });
+
+  const errors = job.recipients
+    .filter(recipient => recipient.status === 'failed')
+    .map(recipient => ({
+      email: recipient.email,
+      row: recipient.row,
+      error: recipient.error,
+      type: recipient.errorType || 'permanent',
+      responseCode: recipient.responseCode || null,
+      attempts: recipient.attempts || 1,
+    }));
+
+  const summary = {
+    id: job.id,
+    status: job.status,
+    spreadsheetId: job.spreadsheetId,
+    range: job.range,
+    subject: job.subject,
+    senderId: job.senderId || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    completedAt: job.completedAt || null,
+    message: `Emails sent: ${counts.sent}, failed: ${counts.failed}`,
+    total: job.recipients.length,
+    queued: counts.queued + counts.sending + counts.retrying,
+    retrying: counts.retrying,
+    sent: counts.sent,
+    failed: counts.failed,
+    cancelled: counts.cancelled,
+    errors,
+  };
+
+  if (includeRecipients) {
+    summary.recipients = job.recipients.map(({ email, name, row, certificateId, status, error, errorType, attempts, sentAt }) => ({
+      email,
+      name,
+      row,
+      certificateId: certificateId || null,
+      status,
+      error: error || null,
+      errorType: errorType || null,
+      attempts: attempts || 0,
+      sentAt: sentAt || null,
+    }));
+  }
+
+  return summary;
+}
+
+// Create a persistent send queue. Jobs run one at a time; within a job,
+// `concurrency` workers send in parallel and every message first waits for
+// `rateLimiter` (per-second and per-hour caps). `deliver(job, recipient)` does
+// the actual sending and should throw when a message could not be delivered.
+// `onRecipientUpdate(job, recipient)` and `onJobUpdate(job)` are optional hooks.
+// Temporary failures (see classifyError) are retried up to `maxRetries` times.
+function createSendQueue({
+  deliver,
+  onRecipientUpdate = () => {},
+  onJobUpdate = () => {},
+  concurrency = 1,
+  rateLimiter = createRateLimiter(),
+  maxRetries = 3,
+  retryBaseDelay = 2000,
+  classifyError = classifyDeliveryError,
+}) {
+  const jobs = new Map();
+  const pending = [];
+  const events = new EventEmitter();
+  let processing = false;
+
+  // Every subscriber of a job gets one listener, so lift the default cap of 10
+  events.setMaxListeners(0);
+
+  function emit(job, type, data = {}) {
+    events.emit(job.id, { type, job: summarizeJob(job), ...data });
+  }
+
+  function saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    writeJson(jobFile(job.id), job);
+    emit(job, 'status');
+    onJobUpdate(job);
+  }
+
+  // Recipient progress goes to an append-only log so large jobs are not rewritten per message
+  function updateRecipient(job, index, changes) {
+    const recipient = Object.assign(job.recipients[index], changes);
+    appendLine(logFile(job.id), { index, ...changes });
+    onRecipientUpdate(job, recipient);
+    emit(job, 'recipient', {
+      recipient: { index, email: recipient.email, row: recipient.row, status: recipient.status, error: recipient.error || null },
+    });
+  }
+
+  // Send to one recipient, retrying temporary failures with exponential backoff
+  async function sendToRecipient(job, index) {
+    const recipient = job.recipients[index];
+    const isRunning = () => job.status === 'running';
+
+    // Stop a recipient that was waiting on the queue; it was never handed to the transport
+    const stopWaiting = () => {
+      updateRecipient(job, index, { status: job.status === 'cancelled' ? 'cancelled' : 'queued' });
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      if (!(await rateLimiter.acquire(isRunning))) return stopWaiting();
+
+      updateRecipient(job, index, { status: 'sending', attempts: attempt });
+      try {
+        await deliver(job, recipient);
+        updateRecipient(job, index, { status: 'sent', sentAt: new Date().toISOString(), error: null, errorType: null });
+        return;
+      } catch (err) {
+        const errorType = classifyError(err);
+        const failure = { error: err.message, errorType, responseCode: err.responseCode || null };
+
+        if (errorType === 'permanent' || attempt > maxRetries) {
+          updateRecipient(job, index, { status: 'failed', ...failure });
+          return;
+        }
+
+        // A temporary failure was definitely not delivered, so waiting here is safe to resume after a crash
+        updateRecipient(job, index, { status: 'retrying', ...failure });
+        const delay = retryBaseDelay * 2 ** (attempt - 1) * (1 + Math.random() * 0.2);
+        if (!(await sleepWhile(delay, isRunning))) return stopWaiting();
+      }
+    }
+  }
+
+  async function processJob(job) {
+    // Paused or cancelled while it was waiting in line
+    if (job.status !== 'queued' && job.status !== 'running') return;
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    saveJob(job);
+
+    // `concurrency` workers share one cursor over the recipient list
+    let cursor = 0;
+    const worker = async () => {
+      // pause() and cancel() flip the status; stop before the next recipient
+      while (job.status === 'running') {
+        while (cursor < job.recipients.length && job.recipients[cursor].status !== 'queued') cursor++;
+        if (cursor >= job.recipients.length) return;
+        await sendToRecipient(job, cursor++);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+    if (job.status !== 'running') return;
+    job.status = 'completed';
+    job.completedAt = new Date().toISOString();
+    saveJob(job);
+  }
+
+  async function drain() {
+    if (processing) return;
+    processing = true;
+    try {
+      while (pending.length > 0) {
+        const job = jobs.get(pending.shift());
+        try {
+          await processJob(job);
+        } catch (error) {
+          console.error(`Send job ${job.id} failed:`, error);
+          job.status = 'failed';
+          job.error = error.message;
+          saveJob(job);
+        }
+      }
+    } finally {
+      processing = false;
+    }
+  }
+
+  // `id` lets a caller pick the job id up front (scheduled campaigns do)
+  function enqueue({ id = crypto.randomUUID(), spreadsheetId, range, subject, body, recipients, writeBack = null, senderId = null, attachments = [], certificate = null }) {
+    const job = {
+      id,
+      status: 'queued',
+      spreadsheetId,
+      range,
+      subject,
+      body,
+      writeBack,
+      senderId,
+      attachments,
+      certificate,
+      createdAt: new Date().toISOString(),
+      recipients: recipients.map(recipient => ({ ...recipient, status: 'queued' })),
+    };
+
+    jobs.set(job.id, job);
+    saveJob(job);
+    pending.push(job.id);
+    drain();
+    return job;
+  }
+
+  function loadJob(id) {
+    const job = readJson(jobFile(id));
+    if (!job) return null;
+
+    readLines(logFile(id)).forEach(({ index, ...changes }) => {
+      if (job.recipients[index]) Object.assign(job.recipients[index], changes);
+    });
+    return job;
+  }
+
+  function getJob(id) {
+    if (!JOB_ID_PATTERN.test(id)) return null;
+    if (jobs.has(id)) return jobs.get(id);
+    const job = loadJob(id);
+    if (job) jobs.set(id, job);
+    return job;
+  }
+
+  function pause(id) {
+    const job = getJob(id);
+    if (!job || (job.status !== 'queued' && job.status !== 'running')) return null;
+
+    job.status = 'paused';
+    saveJob(job);
+    return job;
+  }
+
+  function resume(id) {
+    const job = getJob(id);
+    if (!job || job.status !== 'paused') return null;
+
+    job.status = 'queued';
+    saveJob(job);
+    pending.push(job.id);
+    drain();
+    return job;
+  }
+
+  function cancel(id) {
+    const job = getJob(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return null;
+
+    job.status = 'cancelled';
+    job.completedAt = new Date().toISOString();
+    job.recipients.forEach((recipient, index) => {
+      // Recipients waiting for a retry are stopped by their worker
+      if (recipient.status === 'queued') {
+        Object.assign(recipient, { status: 'cancelled' });
+        appendLine(logFile(job.id), { index, status: 'cancelled' });
+      }
+    });
+    saveJob(job);
+    return job;
+  }
+
+  // Listen to progress events of one job; returns a function that stops listening
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  // Pick up every job that had not completed when the process last stopped
+  function recover() {
+    const unfinished = listJsonIds(JOBS_DIR)
+      .map(getJob)
+      .filter(job => job && (job.status === 'queued' || job.status === 'running'))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    unfinished.forEach(job => {
+      job.recipients.forEach((recipient, index) => {
+        if (recipient.status === 'sending') {
+          updateRecipient(job, index, { status: 'failed', error: INTERRUPTED_ERROR, errorType: 'permanent' });
+        } else if (recipient.status === 'retrying') {
+          // Its last attempt failed with a temporary error, so nothing was delivered yet
+          updateRecipient(job, index, { status: 'queued' });
+        }
+      });
+      if (!pending.includes(job.id)) pending.push(job.id);
+    });
+
+    drain();
+    return unfinished.length;
+  }
+
+  return { enqueue, getJob, pause, resume, cancel, subscribe, recover };
+}
+
+module.exports = { createSendQueue, summarizeJob, FINISHED_STATUSES };
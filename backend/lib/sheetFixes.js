@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+const { parseRange, cellReference } = require('./a1Notation');
+const { isValidEmailSyntax } = require('./emailValidation');
+
+// Corrections the Validate tab proposes, written back into the sheet once the
+// user accepts them. Every batch of changes is logged with the values it
+// replaced so it can be undone later.
+//
+// A change is { row, column, from, to }: the sheet row, the header of the
+// column and the cell value before and after. Cells are only written while they
+// still hold `from`, so edits made in the sheet in the meantime are never
+// overwritten; those cells come back as conflicts instead.
+
+// Proposed corrections for one row (keyed by header) of a range
+function proposeFixes(rowNumber, fields, mapping, { suggestion = null } = {}) {
+  const fixes = [];
+  const propose = (field, column, to, reasons) => {
+    const from = String(fields[column] ?? '');
+    if (reasons.length > 0 && to !== from) {
+      fixes.push({ id: `${rowNumber}:${column}`, row: rowNumber, column, field, from, to, reasons });
+    }
+  };
+
+  if (mapping.email && fields[mapping.email]) {
+    const raw = String(fields[mapping.email]);
+    const cleaned = raw.toLowerCase().replace(/\s+/g, '');
+    const reasons = [];
+    if (/\s/.test(raw)) reasons.push('Remove spaces');
+    if (raw.replace(/\s+/g, '') !== cleaned) reasons.push('Lowercase');
+    if (suggestion) reasons.push(`Change domain to ${suggestion.split('@').pop()}`);
+    const to = suggestion || cleaned;
+    if (isValidEmailSyntax(to)) propose('email', mapping.email, to, reasons);
+  }
+
+  if (mapping.name && fields[mapping.name]) {
+    const raw = String(fields[mapping.name]);
+    const trimmed = raw.trim().replace(/\s+/g, ' ');
+    propose('name', mapping.name, trimmed, trimmed !== raw ? ['Trim spaces'] : []);
+  }
+
+  return fixes;
+}
+
+// Turn changes into cell references inside a range whose first row is `headers`.
+// Returns { cells } or { error }.
+function locateChanges(changes, range, headers) {
+  if (!Array.isArray(changes) || changes.length === 0) return { error: 'fixes must list at least one change' };
+
+  const { sheetName, startColumn, startRow } = parseRange(range);
+  const cells = [];
+  for (const change of changes) {
+    const { row, column, from, to } = change || {};
+    if (!Number.isInteger(row) || row <= startRow) return { error: `Row ${row} is not a data row of ${range}` };
+    const index = headers.indexOf(column);
+    if (index === -1) return { error: `Column "${column}" is not in the sheet` };
+    if (typeof from !== 'string' || typeof to !== 'string') return { error: 'Each change needs from and to strings' };
+    cells.push({ row, column, from, to, cell: cellReference(sheetName, startColumn + index, row) });
+  }
+  return { cells };
+}
+
+// Write `to` into every cell that still holds `from`; returns { applied, conflicts }
+async function writeCells(sheets, spreadsheetId, cells) {
+  const response = await sheets.spreadsheets.values.batchGet({
+    spreadsheetId,
+    ranges: cells.map(entry => entry.cell),
+  });
+  const current = response.data.valueRanges.map(valueRange => String(valueRange.values?.[0]?.[0] ?? ''));
+
+  const applied = [];
+  const conflicts = [];
+  cells.forEach((entry, index) => {
+    if (current[index] === entry.from) applied.push(entry);
+    else conflicts.push({ ...entry, current: current[index] });
+  });
+
+  if (applied.length > 0) {
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        valueInputOption: 'RAW',
+        data: applied.map(entry => ({ range: entry.cell, values: [[entry.to]] })),
+      },
+    });
+  }
+  return { applied, conflicts };
+}
+
+function createFixLog() {
+  const entries = createCollection('sheet-fixes');
+
+  function record({ spreadsheetId, range, applied }) {
+    return entries.save({
+      id: crypto.randomUUID(),
+      spreadsheetId,
+      range,
+      appliedAt: new Date().toISOString(),
+      changes: applied.map(({ row, column, cell, from, to }) => ({
+        row,
+        column,
+        cell,
+        previousValue: from,
+        newValue: to,
+      })),
+      undoneAt: null,
+    });
+  }
+
+  function markUndone(entry, conflicts) {
+    return entries.save({
+      ...entry,
+      undoneAt: new Date().toISOString(),
+      undoConflicts: conflicts.map(({ cell, current }) => ({ cell, current })),
+    });
+  }
+
+  return {
+    record,
+    markUndone,
+    get: entries.get,
+    list: spreadsheetId => entries.all()
+      .filter(entry => !spreadsheetId || entry.spreadsheetId === spreadsheetId)
+      .sort((a, b) => b.appliedAt.localeCompare(a.appliedAt)),
+  };
+}
+
+// The cell writes that put a log entry's previous values back
+function undoCells(entry) {
+  return entry.changes.map(({ row, column, cell, previousValue, newValue }) => ({
+    row,
+    column,
+    cell,
+    from: newValue,
+    to: previousValue,
+  }));
+}
+
+module.exports = { proposeFixes, locateChanges, writeCells, undoCells, createFixLog };
@@ -0,0 +1,161 @@
+const { parseRange, cellReference, columnToLetter } = require('./a1Notation');
+
+// Columns written back to the sheet for every recipient
+const WRITE_BACK_HEADERS = {
+  sentAt: 'Sent at',
+  status: 'Status',
+  error: 'Error',
+};
+
+const SENT_STATUS = 'Sent';
+const FAILED_STATUS = 'Failed';
+
+function normalizeHeader(header) {
+  return String(header || '').trim().toLowerCase();
+}
+
+// True when an earlier write-back already marked this row as sent
+function isMarkedSent(row) {
+  const key = Object.keys(row).find(header => normalizeHeader(header) === normalizeHeader(WRITE_BACK_HEADERS.status));
+  return key !== undefined && normalizeHeader(row[key]) === normalizeHeader(SENT_STATUS);
+}
+
+// Where each status column lives: an existing column with its header, else a
+// new one after the last header
+function locateStatusColumns(range, headerRow) {
+  const { startColumn } = parseRange(range);
+  const headers = [...headerRow];
+  const columns = {};
+  const added = [];
+
+  Object.entries(WRITE_BACK_HEADERS).forEach(([key, title]) => {
+    let index = headers.findIndex(header => normalizeHeader(header) === normalizeHeader(title));
+    if (index === -1) {
+      index = headers.length;
+      headers.push(title);
+      added.push({ column: startColumn + index, title });
+    }
+    columns[key] = startColumn + index;
+  });
+  return { columns, added };
+}
+
+// Status columns past the end column of a range like "Sheet1!A1:C50" would never be
+// read back, so skipSent could not see which rows were sent. Returns an error
+// message or null.
+function writeBackRangeError(range, headerRow) {
+  const { endColumn } = parseRange(range);
+  if (endColumn === null) return null;
+  const { columns } = locateStatusColumns(range, headerRow);
+  const lastColumn = Math.max(...Object.values(columns));
+  if (lastColumn <= endColumn) return null;
+  return `The status columns would be written past column ${columnToLetter(endColumn)}, outside the range ${range}; `
+    + `extend the range to column ${columnToLetter(lastColumn)} or leave out its end column`;
+}
+
+// Make sure the status columns exist in the header row (adding them after the
+// last header if missing) and return where each one lives
+async function prepareWriteBack(sheets, spreadsheetId, range, headerRow) {
+  const { sheetName, startRow } = parseRange(range);
+  const { columns, added } = locateStatusColumns(range, headerRow);
+
+  if (added.length > 0) {
+    // values.update does not grow the grid, so add columns first when the sheet is too narrow
+    const metadata = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties' });
+    const sheet = sheetName
+      ? metadata.data.sheets.find(candidate => candidate.properties.title === sheetName)
+      : metadata.data.sheets[0];
+    const neededColumns = Math.max(...added.map(entry => entry.column));
+    const columnCount = sheet?.properties.gridProperties?.columnCount || 0;
+
+    if (sheet && neededColumns > columnCount) {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          requests: [{
+            appendDimension: {
+              sheetId: sheet.properties.sheetId,
+              dimension: 'COLUMNS',
+              length: neededColumns - columnCount,
+            },
+          }],
+        },
+      });
+    }
+
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        valueInputOption: 'RAW',
+        data: added.map(({ column, title }) => ({
+          range: cellReference(sheetName, column, startRow),
+          values: [[title]],
+        })),
+      },
+    });
+  }
+
+  return { sheetName, headerRow: startRow, columns };
+}
+
+// Buffers per-recipient status updates and writes them in batches, so a large
+// campaign does not spend one Sheets API write request per message
+function createStatusWriter(sheets, { batchSize = 50, flushInterval = 5000 } = {}) {
+  const pending = new Map();
+  const timers = new Map();
+
+  async function flush(jobId) {
+    clearTimeout(timers.get(jobId));
+    timers.delete(jobId);
+
+    const entry = pending.get(jobId);
+    if (!entry || entry.data.length === 0) return;
+    pending.delete(jobId);
+
+    try {
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: entry.spreadsheetId,
+        requestBody: { valueInputOption: 'RAW', data: entry.data },
+      });
+    } catch (error) {
+      console.error(`Failed to write send status back to sheet for job ${jobId}:`, error.message);
+    }
+  }
+
+  function record(job, recipient) {
+    if (!job.writeBack || (recipient.status !== 'sent' && recipient.status !== 'failed')) return;
+
+    const { sheetName, columns } = job.writeBack;
+    // recipient.row is the row number in the sheet itself; a recipient merged from
+    // duplicate rows (dedupe "merge") is marked on every one of them
+    const rows = recipient.mergedRows || [recipient.row];
+    const sent = recipient.status === 'sent';
+
+    if (!pending.has(job.id)) {
+      pending.set(job.id, { spreadsheetId: job.spreadsheetId, data: [] });
+    }
+    rows.forEach(row => {
+      pending.get(job.id).data.push(
+        { range: cellReference(sheetName, columns.sentAt, row), values: [[sent ? recipient.sentAt : '']] },
+        { range: cellReference(sheetName, columns.status, row), values: [[sent ? SENT_STATUS : FAILED_STATUS]] },
+        { range: cellReference(sheetName, columns.error, row), values: [[sent ? '' : recipient.error || '']] },
+      );
+    });
+
+    if (pending.get(job.id).data.length >= batchSize * 3) {
+      flush(job.id);
+    } else if (!timers.has(job.id)) {
+      timers.set(job.id, setTimeout(() => flush(job.id), flushInterval));
+    }
+  }
+
+  return { record, flush };
+}
+
+module.exports = {
+  WRITE_BACK_HEADERS,
+  isMarkedSent,
+  writeBackRangeError,
+  prepareWriteBack,
+  createStatusWriter,
+};
@@ -0,0 +1,157 @@
+// In-memory cache in front of a sheets client, so tab switches and row
+// lookups do not re-download the same range from Google every time.
+//
+// Reads are cached per spreadsheet + range for `ttl` milliseconds; concurrent
+// reads of the same range share one request. Writes go straight through and
+// drop everything cached for that spreadsheet, and so does a newer modified
+// time from getModifiedTime. A ttl of 0 turns caching off.
+//
+// Expired entries are swept out once per ttl, and at most `maxEntries` are
+// kept; past that the least recently read ones are dropped first.
+
+function createSheetsCache(client, { ttl = 30000, maxEntries = 1000, now = Date.now } = {}) {
+  // spreadsheetId -> Map(key -> { expiresAt, usedAt, promise })
+  const entries = new Map();
+  // spreadsheetId -> last modified time seen
+  const modifiedTimes = new Map();
+  let lastSweep = now();
+
+  function entriesFor(spreadsheetId) {
+    if (!entries.has(spreadsheetId)) entries.set(spreadsheetId, new Map());
+    return entries.get(spreadsheetId);
+  }
+
+  function removeEntry(spreadsheetId, key) {
+    const spreadsheetEntries = entries.get(spreadsheetId);
+    spreadsheetEntries.delete(key);
+    if (spreadsheetEntries.size === 0) entries.delete(spreadsheetId);
+  }
+
+  // Ranges that are never read again would otherwise stay cached forever
+  function prune() {
+    const time = now();
+    if (time - lastSweep >= ttl) {
+      lastSweep = time;
+      entries.forEach((spreadsheetEntries, spreadsheetId) => {
+        spreadsheetEntries.forEach((entry, key) => {
+          if (entry.expiresAt <= time) removeEntry(spreadsheetId, key);
+        });
+      });
+    }
+
+    let count = [...entries.values()].reduce((total, spreadsheetEntries) => total + spreadsheetEntries.size, 0);
+    while (count > maxEntries) {
+      let oldest = null;
+      entries.forEach((spreadsheetEntries, spreadsheetId) => {
+        spreadsheetEntries.forEach((entry, key) => {
+          if (!oldest || entry.usedAt < oldest.usedAt) oldest = { spreadsheetId, key, usedAt: entry.usedAt };
+        });
+      });
+      removeEntry(oldest.spreadsheetId, oldest.key);
+      count--;
+    }
+  }
+
+  function cached(spreadsheetId, key, load) {
+    if (ttl <= 0) return load();
+
+    const spreadsheetEntries = entriesFor(spreadsheetId);
+    const entry = spreadsheetEntries.get(key);
+    if (entry && entry.expiresAt > now()) {
+      entry.usedAt = now();
+      return entry.promise;
+    }
+
+    const promise = load();
+    spreadsheetEntries.set(key, { expiresAt: now() + ttl, usedAt: now(), promise });
+    prune();
+    // Failed reads are not cached
+    promise.catch(() => {
+      if (spreadsheetEntries.get(key)?.promise === promise) spreadsheetEntries.delete(key);
+    });
+    return promise;
+  }
+
+  // Drop one range, or everything cached for a spreadsheet; returns how many entries went
+  function invalidate(spreadsheetId, range = null) {
+    const spreadsheetEntries = entries.get(spreadsheetId);
+    if (!spreadsheetEntries) return 0;
+
+    if (range === null) {
+      entries.delete(spreadsheetId);
+      return spreadsheetEntries.size;
+    }
+    return spreadsheetEntries.delete(`values:${range}`) ? 1 : 0;
+  }
+
+  // Writes change the sheet, so nothing cached for it can be trusted afterwards
+  const write = method => async params => {
+    try {
+      return await method(params);
+    } finally {
+      invalidate(params.spreadsheetId);
+    }
+  };
+
+  // Serve the ranges that are cached and fetch the rest in a single batchGet
+  async function batchGet(params) {
+    const { spreadsheetId, ranges = [] } = params;
+    const spreadsheetEntries = entriesFor(spreadsheetId);
+    const missing = [...new Set(ranges)].filter(range => {
+      const entry = spreadsheetEntries.get(`values:${range}`);
+      return ttl <= 0 || !entry || entry.expiresAt <= now();
+    });
+
+    if (missing.length > 0) {
+      const fetched = client.spreadsheets.values.batchGet({ ...params, ranges: missing });
+      // With caching off nothing is kept, so answer from this request. Per-range
+      // promises made here would go unawaited and crash the process if it failed.
+      if (ttl <= 0) return fetched;
+      missing.forEach((range, index) => {
+        cached(spreadsheetId, `values:${range}`, () => fetched.then(response => ({
+          data: response.data.valueRanges[index],
+        })));
+      });
+    }
+
+    const valueRanges = await Promise.all(ranges.map(range => (
+      cached(spreadsheetId, `values:${range}`, () => client.spreadsheets.values.get({ spreadsheetId, range }))
+        .then(response => response.data)
+    )));
+    return { data: { spreadsheetId, valueRanges } };
+  }
+
+  // Last modified time of a spreadsheet; a newer one than before clears its cached data
+  async function getModifiedTime(spreadsheetId) {
+    const modifiedTime = await cached(spreadsheetId, 'modifiedTime', () => client.getModifiedTime(spreadsheetId));
+    const previous = modifiedTimes.get(spreadsheetId);
+    if (previous && modifiedTime && modifiedTime !== previous) {
+      invalidate(spreadsheetId);
+      // Keep the answer we just got instead of asking again right away
+      cached(spreadsheetId, 'modifiedTime', async () => modifiedTime);
+    }
+    if (modifiedTime) modifiedTimes.set(spreadsheetId, modifiedTime);
+    return modifiedTime;
+  }
+
+  return {
+    spreadsheets: {
+      get: params => {
+        const { spreadsheetId, ...options } = params;
+        return cached(spreadsheetId, `spreadsheet:${JSON.stringify(options)}`, () => client.spreadsheets.get(params));
+      },
+      batchUpdate: write(params => client.spreadsheets.batchUpdate(params)),
+      values: {
+        get: params => cached(params.spreadsheetId, `values:${params.range}`, () => client.spreadsheets.values.get(params)),
+        batchGet,
+        update: write(params => client.spreadsheets.values.update(params)),
+        batchUpdate: write(params => client.spreadsheets.values.batchUpdate(params)),
+        append: write(params => client.spreadsheets.values.append(params)),
+      },
+    },
+    getModifiedTime,
+    invalidate,
+  };
+}
+
+module.exports = { createSheetsCache };
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+const { createSheetsReader } = require('./datasets');
+const { parseCsv } = require('./fileParsers');
+
+// Where spreadsheet data comes from, chosen with SHEETS_PROVIDER:
+//   google   (default) the Sheets API, authenticated with GOOGLE_SERVICE_ACCOUNT_KEY_FILE
+//   fixtures local files in SHEETS_FIXTURES_DIR (default backend/fixtures), no credentials
+//            or network needed
+// Both expose the googleapis client methods the routes use, plus getModifiedTime(spreadsheetId).
+
+// Read-write scope so campaigns can write their send status back (the sheet must be shared as Editor for that).
+// Drive metadata access only tells when a spreadsheet was last modified.
+function createGoogleSheets(env) {
+  const auth = new google.auth.GoogleAuth({
+    keyFile: env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE, // Path to your service account key file
+    scopes: [
+      'https://www.googleapis.com/auth/spreadsheets',
+      'https://www.googleapis.com/auth/drive.metadata.readonly',
+    ],
+  });
+  const sheets = google.sheets({ version: 'v4', auth });
+  const drive = google.drive({ version: 'v3', auth });
+
+  sheets.getModifiedTime = async spreadsheetId => {
+    const response = await drive.files.get({ fileId: spreadsheetId, fields: 'modifiedTime', supportsAllDrives: true });
+    return response.data.modifiedTime;
+  };
+  return sheets;
+}
+
+// A fixture spreadsheet is either
+//   <spreadsheetId>.json  { "title": "...", "sheets": { "Sheet1": [["Name", "Email"], ...] } }
+//   <spreadsheetId>/      a directory with one <Sheet name>.csv file per tab
+// Files are read on every request, so edits show up without a restart.
+function loadFixture(dir, spreadsheetId) {
+  if (!/^[A-Za-z0-9_-]+$/.test(spreadsheetId)) return null;
+
+  const jsonFile = path.join(dir, `${spreadsheetId}.json`);
+  if (fs.existsSync(jsonFile)) {
+    const fixture = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+    const sheets = Array.isArray(fixture.sheets)
+      ? fixture.sheets
+      : Object.entries(fixture.sheets || {}).map(([title, values]) => ({ title, values }));
+    return { title: fixture.title || spreadsheetId, sheets, modifiedTime: fs.statSync(jsonFile).mtime.toISOString() };
+  }
+
+  const csvDir = path.join(dir, spreadsheetId);
+  if (fs.existsSync(csvDir) && fs.statSync(csvDir).isDirectory()) {
+    const files = fs.readdirSync(csvDir).filter(file => file.toLowerCase().endsWith('.csv')).sort();
+    if (files.length === 0) return null;
+
+    const sheets = files.map(file => ({
+      title: file.slice(0, -'.csv'.length),
+      values: parseCsv(fs.readFileSync(path.join(csvDir, file), 'utf8')),
+    }));
+    const lastChange = Math.max(...files.map(file => fs.statSync(path.join(csvDir, file)).mtimeMs));
+    return { title: spreadsheetId, sheets, modifiedTime: new Date(lastChange).toISOString() };
+  }
+
+  return null;
+}
+
+function createFixtureSheets(dir) {
+  return createSheetsReader(spreadsheetId => loadFixture(dir, spreadsheetId));
+}
+
+function createSheetsProvider(env = process.env) {
+  const provider = env.SHEETS_PROVIDER || 'google';
+  if (provider === 'google') return createGoogleSheets(env);
+  if (provider === 'fixtures') {
+    return createFixtureSheets(env.SHEETS_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures'));
+  }
+  throw new Error(`Unknown SHEETS_PROVIDER "${provider}" (use "google" or "fixtures")`);
+}
+
+module.exports = { createSheetsProvider, createFixtureSheets };
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+// Everything the backend persists lives under DATA_DIR (defaults to backend/data)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function dataPath(...segments) {
+  return path.join(DATA_DIR, ...segments);
+}
+
+function ensureDir(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+function readJson(file, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// Write to a temp file first so a crash never leaves half-written JSON behind
+function writeJson(file, data) {
+  ensureDir(path.dirname(file));
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+// Append one JSON entry per line - cheap enough to call after every recipient
+function appendLine(file, entry) {
+  ensureDir(path.dirname(file));
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+}
+
+function readLines(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return content.split('\n').reduce((entries, line) => {
+    if (!line.trim()) return entries;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A crash mid-append can leave a partial last line; ignore it
+    }
+    return entries;
+  }, []);
+}
+
+// List the ids of all "<id>.json" files in a data sub-directory
+function listJsonIds(dir) {
+  try {
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Only ids we generated ourselves may become file names
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// A directory of "<id>.json" documents, cached in memory after the first read
+function createCollection(name) {
+  const dir = dataPath(name);
+  let cache = null;
+
+  function load() {
+    if (!cache) {
+      cache = new Map();
+      listJsonIds(dir).forEach(id => {
+        const doc = readJson(path.join(dir, `${id}.json`));
+        if (doc) cache.set(id, doc);
+      });
+    }
+    return cache;
+  }
+
+  return {
+    all: () => [...load().values()],
+    get: id => (ID_PATTERN.test(String(id)) ? load().get(id) || null : null),
+    save: doc => {
+      if (!ID_PATTERN.test(String(doc.id))) throw new Error(`Invalid document id "${doc.id}"`);
+      writeJson(path.join(dir, `${doc.id}.json`), doc);
+      load().set(doc.id, doc);
+      return doc;
+    },
+    remove: id => {
+      if (!ID_PATTERN.test(String(id)) || !load().has(id)) return false;
+      fs.rmSync(path.join(dir, `${id}.json`), { force: true });
+      load().delete(id);
+      return true;
+    },
+  };
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJson,
+  writeJson,
+  appendLine,
+  readLines,
+  listJsonIds,
+  createCollection,
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { createCollection, dataPath, readJson, writeJson, listJsonIds } = require('./store');
+
+// Saved email templates: the Unlayer design JSON, the exported HTML, a default
+// subject and a display name. Every save becomes a new version; older versions
+// live in data/template-versions/<templateId>/<version>.json.
+
+const TEMPLATE_FIELDS = ['name', 'subject', 'design', 'html'];
+
+function versionDir(templateId) {
+  return dataPath('template-versions', templateId);
+}
+
+function versionFile(templateId, version) {
+  return dataPath('template-versions', templateId, `${version}.json`);
+}
+
+// What the template list shows - the design and HTML can be large
+function summarizeTemplate(template) {
+  const { id, name, subject, version, createdAt, updatedAt } = template;
+  return { id, name, subject, version, createdAt, updatedAt };
+}
+
+function createTemplateLibrary() {
+  const templates = createCollection('templates');
+
+  function saveVersion(template, note) {
+    const entry = {
+      version: template.version,
+      savedAt: template.updatedAt,
+      note: note || null,
+      ...Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, template[field]])),
+    };
+    writeJson(versionFile(template.id, template.version), entry);
+  }
+
+  function create(fields, note) {
+    const now = new Date().toISOString();
+    const template = {
+      id: crypto.randomUUID(),
+      name: fields.name,
+      subject: fields.subject || '',
+      design: fields.design,
+      html: fields.html || '',
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+    saveVersion(template, note);
+    return templates.save(template);
+  }
+
+  // Fields left out keep their current value
+  function update(id, fields, note) {
+    const current = templates.get(id);
+    if (!current) return null;
+
+    const template = { ...current };
+    TEMPLATE_FIELDS.forEach(field => {
+      if (fields[field] !== undefined) template[field] = fields[field];
+    });
+    template.version = current.version + 1;
+    template.updatedAt = new Date().toISOString();
+    saveVersion(template, note);
+    return templates.save(template);
+  }
+
+  function listVersions(id) {
+    if (!templates.get(id)) return null;
+    return listJsonIds(versionDir(id))
+      .map(version => readJson(versionFile(id, version)))
+      .filter(Boolean)
+      .map(({ version, savedAt, note, name, subject }) => ({ version, savedAt, note, name, subject }))
+      .sort((a, b) => b.version - a.version);
+  }
+
+  function getVersion(id, version) {
+    if (!templates.get(id) || !/^\d+$/.test(String(version))) return null;
+    return readJson(versionFile(id, parseInt(version, 10)));
+  }
+
+  // Restoring copies an old version into a new one, so history is never rewritten
+  function restore(id, version) {
+    const entry = getVersion(id, version);
+    if (!entry) return null;
+    return update(id, entry, `Restored version ${entry.version}`);
+  }
+
+  function remove(id) {
+    if (!templates.remove(id)) return false;
+    fs.rmSync(versionDir(id), { recursive: true, force: true });
+    return true;
+  }
+
+  return {
+    list: () => templates.all()
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(summarizeTemplate),
+    get: templates.get,
+    create,
+    update,
+    remove,
+    listVersions,
+    getVersion,
+    restore,
+  };
+}
+
+module.exports = { createTemplateLibrary };
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { google } = require('googleapis');
+const { dataPath } = require('./store');
+
+// Delivery transports. Each one is created from a named sender account (see
+// senders.example.json) and exposes the same interface:
+//   { id, label, type, from, send({ to, cc, subject, html, text, attachments }) -> { messageId } }
+// where attachments are nodemailer attachments ({ filename, path } or { filename, content }).
+
+// Builds a complete MIME message without sending it, for transports that need the raw bytes
+const mimeBuilder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+async function buildMime(from, message) {
+  const info = await mimeBuilder.sendMail({ from, ...message });
+  return { raw: info.message, messageId: info.messageId };
+}
+
+function createSmtpTransport(account, { concurrency = 1 } = {}) {
+  const transporter = nodemailer.createTransport({
+    pool: true,
+    maxConnections: concurrency,
+    host: account.host,
+    port: parseInt(account.port, 10),
+    secure: account.secure === true || account.secure === 'true',
+    auth: {
+      user: account.user,
+      pass: account.password,
+    },
+  });
+
+  return {
+    send: async message => {
+      const info = await transporter.sendMail({ from: account.from, ...message });
+      return { messageId: info.messageId };
+    },
+    close: () => transporter.close(),
+  };
+}
+
+// Gmail API with an OAuth refresh token for the sending mailbox
+function createGmailTransport(account) {
+  const oauth2Client = new google.auth.OAuth2(account.clientId, account.clientSecret);
+  oauth2Client.setCredentials({ refresh_token: account.refreshToken });
+  const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+
+  return {
+    send: async message => {
+      const { raw, messageId } = await buildMime(account.from, message);
+      try {
+        await gmail.users.messages.send({
+          userId: 'me',
+          requestBody: { raw: raw.toString('base64url') },
+        });
+      } catch (error) {
+        // Surface the HTTP status so temporary errors (429/5xx) are retried
+        error.status = error.status || error.response?.status;
+        throw error;
+      }
+      return { messageId };
+    },
+  };
+}
+
+// Attachments as { filename, contentType, content } with base64 content, for JSON APIs
+async function encodeAttachments(attachments = []) {
+  return Promise.all(attachments.map(async attachment => ({
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    content: (attachment.path ? await fs.promises.readFile(attachment.path) : Buffer.from(attachment.content)).toString('base64'),
+  })));
+}
+
+// Generic JSON mail API: POSTs { from, to, cc, subject, html, text, attachments } to account.url
+function createHttpTransport(account) {
+  return {
+    send: async message => {
+      const attachments = await encodeAttachments(message.attachments);
+      const response = await fetch(account.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(account.apiKey ? { Authorization: `Bearer ${account.apiKey}` } : {}),
+          ...account.headers,
+        },
+        body: JSON.stringify({
+          from: account.from,
+          to: message.to,
+          cc: message.cc,
+          subject: message.subject,
+          html: message.html,
+          text: message.text,
+          ...(attachments.length > 0 ? { attachments } : {}),
+        }),
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Mail API responded ${response.status}: ${await response.text()}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const result = await response.json().catch(() => ({}));
+      return { messageId: result.messageId || result.id || null };
+    },
+  };
+}
+
+// Writes every message as an .eml file instead of sending it; meant for testing
+function createFileTransport(account) {
+  const directory = account.directory
+    ? path.resolve(__dirname, '..', account.directory)
+    : dataPath('outbox');
+
+  return {
+    send: async message => {
+      const { raw, messageId } = await buildMime(account.from, message);
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      await fs.promises.writeFile(path.join(directory, fileName), raw);
+      return { messageId, file: fileName };
+    },
+  };
+}
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  gmail: createGmailTransport,
+  http: createHttpTransport,
+  file: createFileTransport,
+};
+
+function createTransport(account, options) {
+  const factory = TRANSPORT_FACTORIES[account.type];
+  if (!factory) {
+    throw new Error(`Unknown transport type "${account.type}" for sender "${account.id}"`);
+  }
+  return {
+    id: account.id,
+    label: account.label || account.id,
+    type: account.type,
+    from: account.from,
+    ...factory(account, options),
+  };
+}
+
+// Sender accounts come from SENDER_ACCOUNTS_FILE (default backend/senders.json).
+// The SMTP_* variables always provide a "default" SMTP account when SMTP_HOST is set
+// or no other account is configured.
+function loadSenderAccounts(env = process.env) {
+  const file = env.SENDER_ACCOUNTS_FILE || path.join(__dirname, '..', 'senders.json');
+  let accounts = [];
+  if (fs.existsSync(file)) {
+    accounts = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(accounts)) {
+      throw new Error(`${file} must contain an array of sender accounts`);
+    }
+  }
+
+  if ((env.SMTP_HOST || accounts.length === 0) && !accounts.some(account => account.id === 'default')) {
+    accounts.unshift({
+      id: 'default',
+      label: env.SMTP_USER ? `SMTP (${env.SMTP_USER})` : 'SMTP',
+      type: 'smtp',
+      from: env.SMTP_FROM || env.SMTP_USER,
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT,
+      secure: env.SMTP_SECURE,
+      user: env.SMTP_USER,
+      password: env.SMTP_PASSWORD,
+    });
+  }
+
+  return accounts;
+}
+
+function createSenderRegistry(accounts, options) {
+  const senders = new Map(accounts.map(account => [account.id, createTransport(account, options)]));
+  const defaultId = accounts[0]?.id || null;
+
+  return {
+    defaultId,
+    get: id => senders.get(id || defaultId) || null,
+    // Public view for the UI - never includes credentials
+    list: () => [...senders.values()].map(({ id, label, type, from }) => ({
+      id,
+      label,
+      type,
+      from,
+      isDefault: id === defaultId,
+    })),
+  };
+}
+
+module.exports = {
+  createTransport,
+  loadSenderAccounts,
+  createSenderRegistry,
+};
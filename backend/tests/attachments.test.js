@@ -0,0 +1,293 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { startTestServer } = require('./helpers/testServer');
+const {
+  parseAttachmentList,
+  safeFileName,
+  createAttachmentStore,
+  createAttachmentResolver,
+} = require('../lib/attachments');
+
+const SPREADSHEET = 'test-attachments-spreadsheet';
+const SEND_URL = `/send-emails/${SPREADSHEET}/Sheet1`;
+
+describe('parseAttachmentList', () => {
+  it('splits a cell on semicolons and new lines', () => {
+    assert.deepEqual(parseAttachmentList(' agenda.pdf; https://example.com/a.pdf\nnotes.txt;; '), [
+      'agenda.pdf',
+      'https://example.com/a.pdf',
+      'notes.txt',
+    ]);
+    assert.deepEqual(parseAttachmentList(''), []);
+  });
+});
+
+describe('safeFileName', () => {
+  it('keeps only the last part of a path', () => {
+    assert.equal(safeFileName('../../etc/passwd'), 'passwd');
+    assert.equal(safeFileName('C:\\Users\\ada\\notes.txt'), 'notes.txt');
+    assert.equal(safeFileName('..'), null);
+    assert.equal(safeFileName(''), null);
+  });
+});
+
+describe('createAttachmentResolver', () => {
+  let server;
+  let baseUrl;
+  let store;
+  let resolver;
+  let endlessClosed = false;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/certificates/ada.pdf') {
+        res.writeHead(200, {
+          'Content-Type': 'application/pdf',
+          'Content-Length': 4,
+          'Content-Disposition': 'attachment; filename="Ada Lovelace.pdf"',
+        });
+        return res.end(req.method === 'HEAD' ? undefined : '%PDF');
+      }
+      if (req.url === '/get-only.txt') {
+        if (req.method === 'HEAD') return res.writeHead(405).end();
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        return res.end('hello');
+      }
+      if (req.url === '/moved.pdf') {
+        res.writeHead(302, { Location: '/certificates/ada.pdf' });
+        return res.end();
+      }
+      if (req.url === '/metadata') {
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+        return res.end();
+      }
+      if (req.url === '/endless.bin') {
+        // No Content-Length, and more data for as long as the client keeps reading
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        const timer = setInterval(() => res.write(Buffer.alloc(512)), 5);
+        res.on('close', () => {
+          clearInterval(timer);
+          endlessClosed = true;
+        });
+        return;
+      }
+      if (req.url === '/big.pdf') {
+        res.writeHead(200, { 'Content-Length': 2048 });
+        return res.end(req.method === 'HEAD' ? undefined : Buffer.alloc(2048));
+      }
+      res.writeHead(404).end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    store = createAttachmentStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-test-')) });
+    store.save('agenda.txt', Buffer.alloc(600));
+    store.save('notes.txt', Buffer.alloc(600));
+    // The test server listens on a loopback address, which only an allowed host may use
+    resolver = createAttachmentResolver({ store, maxBytes: 1024, maxTotalBytes: 1000, timeout: 2000, allowedHosts: ['127.0.0.1'] });
+  });
+  after(() => server.close());
+
+  it('accepts stored files and reachable URLs', async () => {
+    const problems = await resolver.check({
+      attachments: ['agenda.txt'],
+      recipients: [{ row: 2, email: 'ada@example.com', attachment: `${baseUrl}/certificates/ada.pdf; ${baseUrl}/get-only.txt` }],
+    });
+    assert.deepEqual(problems, []);
+  });
+
+  it('reports missing files, failing URLs and oversized files', async () => {
+    const problems = await resolver.check({
+      attachments: ['agenda.txt', 'missing.pdf'],
+      recipients: [
+        { row: 2, email: 'ada@example.com', attachment: `${baseUrl}/gone.pdf` },
+        { row: 3, email: 'alan@example.com', attachment: `${baseUrl}/big.pdf` },
+      ],
+    });
+    assert.deepEqual(problems, [
+      { row: null, email: null, reference: 'missing.pdf', problem: 'File "missing.pdf" is not in the attachment folder' },
+      { row: 2, email: 'ada@example.com', reference: `${baseUrl}/gone.pdf`, problem: `${baseUrl}/gone.pdf responded 404` },
+      { row: 3, email: 'alan@example.com', reference: `${baseUrl}/big.pdf`, problem: `${baseUrl}/big.pdf is larger than 1 KB` },
+    ]);
+  });
+
+  it('reports messages whose attachments add up to more than the total limit', async () => {
+    const problems = await resolver.check({
+      attachments: ['agenda.txt'],
+      recipients: [{ row: 4, email: 'grace@example.com', attachment: 'notes.txt' }],
+    });
+    assert.equal(problems.length, 1);
+    assert.equal(problems[0].problem, 'Attachments add up to 1 KB, more than 1000 bytes');
+  });
+
+  it('only fetches from allowed hosts when a list is given', async () => {
+    const restricted = createAttachmentResolver({ store, allowedHosts: ['files.example.com'] });
+    const [problem] = await restricted.check({ recipients: [{ row: 2, attachment: `${baseUrl}/certificates/ada.pdf` }] });
+    assert.equal(problem.problem, 'Host 127.0.0.1 is not in the allowed attachment hosts');
+  });
+
+  it('refuses URLs on loopback, link-local and private addresses', async () => {
+    const open = createAttachmentResolver({
+      store,
+      lookup: async hostname => [{ address: hostname === 'intranet.example.com' ? '10.1.2.3' : '93.184.215.14' }],
+    });
+    const references = [
+      `${baseUrl}/certificates/ada.pdf`,
+      'http://[::1]/ada.pdf',
+      'http://[::ffff:127.0.0.1]/ada.pdf',
+      'http://169.254.169.254/latest/meta-data/',
+      'https://intranet.example.com/ada.pdf',
+    ];
+    const problems = await open.check({ recipients: [{ row: 2, attachment: references.join(';') }] });
+    assert.deepEqual(problems.map(({ problem }) => problem), [
+      'Host 127.0.0.1 points at a private or local address',
+      'Host [::1] points at a private or local address',
+      'Host [::ffff:7f00:1] points at a private or local address',
+      'Host 169.254.169.254 points at a private or local address',
+      'Host intranet.example.com points at a private or local address',
+    ]);
+    await assert.rejects(open.forMessage([], { attachment: 'https://intranet.example.com/ada.pdf' }), /private or local address/);
+  });
+
+  it('checks every redirect', async () => {
+    const [problem] = await resolver.check({ recipients: [{ row: 2, attachment: `${baseUrl}/metadata` }] });
+    assert.equal(problem.problem, 'Host 169.254.169.254 is not in the allowed attachment hosts');
+
+    // Public host names that redirect into the local network are caught too
+    const open = createAttachmentResolver({
+      store,
+      lookup: async hostname => [{ address: hostname === 'files.example.com' ? '93.184.215.14' : '192.168.1.20' }],
+      fetch: async () => new Response(null, { status: 302, headers: { Location: 'http://router.example.com/backup' } }),
+    });
+    await assert.rejects(open.forMessage([], { attachment: 'https://files.example.com/ada.pdf' }), {
+      message: 'Host router.example.com points at a private or local address',
+    });
+
+    const [moved] = await resolver.forMessage([], { attachment: `${baseUrl}/moved.pdf` });
+    assert.equal(moved.content.toString(), '%PDF');
+  });
+
+  it('resolves files to paths and URLs to downloaded content', async () => {
+    const attachments = await resolver.forMessage(['agenda.txt'], { attachment: `${baseUrl}/certificates/ada.pdf` });
+    assert.deepEqual(attachments[0], { filename: 'agenda.txt', path: store.filePath('agenda.txt') });
+    assert.equal(attachments[1].filename, 'Ada Lovelace.pdf');
+    assert.equal(attachments[1].contentType, 'application/pdf');
+    assert.equal(attachments[1].content.toString(), '%PDF');
+  });
+
+  it('stops downloading a file once it grows past the size limit', async () => {
+    await assert.rejects(resolver.forMessage([], { attachment: `${baseUrl}/endless.bin` }), {
+      message: `Attachment ${baseUrl}/endless.bin is larger than 1 KB`,
+    });
+    for (let attempt = 0; attempt < 100 && !endlessClosed; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(endlessClosed, true);
+  });
+
+  it('refuses to send a message with a missing file', async () => {
+    await assert.rejects(resolver.forMessage([], { attachment: 'missing.pdf' }), /not in the attachment folder/);
+  });
+});
+
+describe('attachments API', () => {
+  let api;
+  before(async () => {
+    process.env.ATTACHMENT_MAX_BYTES = '1024';
+    api = await startTestServer();
+  });
+  after(() => api.close());
+  beforeEach(() => api.smtp.clear());
+
+  async function uploadAttachment(fileName, content) {
+    const form = new FormData();
+    form.append('file', new Blob([content]), fileName);
+    const response = await fetch(`${api.baseUrl}/attachments`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function waitForJob(jobId) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const { body } = await api.get(`/jobs/${jobId}`);
+      if (['completed', 'cancelled', 'failed'].includes(body.status)) return body;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+  }
+
+  const campaign = {
+    subject: 'Your certificate, {{name}}',
+    body: '<p>{{certificateLink}}</p>',
+    attachments: ['agenda.txt'],
+  };
+
+  it('uploads and lists attachment files', async () => {
+    const uploaded = await uploadAttachment('agenda.txt', 'Workshop agenda');
+    assert.equal(uploaded.status, 201);
+    assert.equal(uploaded.body.attachment.fileName, 'agenda.txt');
+    assert.equal(uploaded.body.attachment.size, 15);
+    await uploadAttachment('notes-ada.txt', 'Notes for Ada');
+
+    const { body } = await api.get('/attachments');
+    assert.deepEqual(body.attachments.map(attachment => attachment.fileName), ['agenda.txt', 'notes-ada.txt']);
+    assert.equal(body.maxBytes, 1024);
+  });
+
+  it('rejects files over the size limit', async () => {
+    const { status, body } = await uploadAttachment('big.txt', 'x'.repeat(2048));
+    assert.equal(status, 400);
+    assert.equal(body.message, 'Files can be at most 1 KB');
+  });
+
+  it('rejects campaign attachments that were never uploaded', async () => {
+    const { status, body } = await api.post(SEND_URL, { ...campaign, attachments: ['agenda.txt', 'nope.pdf'] });
+    assert.equal(status, 400);
+    assert.equal(body.message, 'Attachment "nope.pdf" has not been uploaded');
+  });
+
+  it('lists attachment problems in a dry run and refuses to send', async () => {
+    const dryRun = await api.post(SEND_URL, { ...campaign, mode: 'dryRun' });
+    assert.deepEqual(dryRun.body.recipients.map(recipient => recipient.attachments), [
+      ['agenda.txt', 'notes-ada.txt'],
+      ['agenda.txt', 'notes-alan.txt', 'slides.txt'],
+      ['agenda.txt'],
+    ]);
+    assert.deepEqual(dryRun.body.attachmentProblems.map(({ row, reference }) => [row, reference]), [
+      [3, 'notes-alan.txt'],
+      [3, 'slides.txt'],
+    ]);
+
+    const { status, body } = await api.post(SEND_URL, campaign);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Attachment problems');
+    assert.equal(body.problems.length, 2);
+    assert.equal(api.smtp.messages.length, 0);
+  });
+
+  it('sends campaign and per-recipient attachments', async () => {
+    await uploadAttachment('notes-alan.txt', 'Notes for Alan');
+    await uploadAttachment('slides.txt', 'Slides');
+
+    const { status, body } = await api.post(SEND_URL, campaign);
+    assert.equal(status, 202);
+    const job = await waitForJob(body.jobId);
+    assert.equal(job.sent, 3);
+
+    const attachedFiles = address => {
+      const message = api.smtp.messages.find(candidate => candidate.to[0] === address);
+      return [...message.raw.matchAll(/filename=([^\s;]+)/g)].map(match => match[1]);
+    };
+    assert.deepEqual(attachedFiles('ada@example.com'), ['agenda.txt', 'notes-ada.txt']);
+    assert.deepEqual(attachedFiles('alan@example.com'), ['agenda.txt', 'notes-alan.txt', 'slides.txt']);
+    assert.deepEqual(attachedFiles('grace@example.com'), ['agenda.txt']);
+  });
+
+  it('removes uploaded files', async () => {
+    assert.equal((await api.delete('/attachments/slides.txt')).status, 200);
+    assert.equal((await api.delete('/attachments/slides.txt')).status, 404);
+  });
+});
@@ -0,0 +1,279 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { startTestServer } = require('./helpers/testServer');
+const { pageSize, designRequestError, renderDesign, svgToPdf } = require('../lib/certificates');
+
+const SPREADSHEET = 'test-certificates-spreadsheet';
+const SEND_URL = `/send-emails/${SPREADSHEET}/Sheet1`;
+const DESIGN_SVG = [
+  '<svg xmlns="http://www.w3.org/2000/svg" width="1123" height="794">',
+  '<text x="561" y="300" text-anchor="middle" font-family="serif" font-size="48">{{name}}</text>',
+  '<text x="561" y="400" text-anchor="middle" font-family="sans-serif">{{Course}} - {{date}}</text>',
+  '</svg>',
+].join('');
+
+// A design that prints the certificate id and its QR code
+const VERIFIABLE_SVG = DESIGN_SVG.replace('</svg>', [
+  '<text x="40" y="760" font-family="sans-serif">ID {{certificateId}}</text>',
+  '<image href="{{certificateQrCode}}" x="980" y="650" width="120" height="120"/>',
+  '</svg>',
+].join(''));
+
+// Text drawn on the pages of a PDF. pdfkit writes it as hex strings in deflated content streams.
+function pdfText(pdf) {
+  const source = pdf.toString('latin1');
+  let text = '';
+  for (const match of source.matchAll(/stream\r?\n/g)) {
+    const start = match.index + match[0].length;
+    let content;
+    try {
+      content = zlib.inflateSync(pdf.subarray(start, source.indexOf('endstream', start))).toString('latin1');
+    } catch {
+      continue;
+    }
+    for (const [, hex] of content.matchAll(/<([0-9a-f]+)>\s*(?:Tj|\d*\]\s*TJ)/gi)) text += Buffer.from(hex, 'hex').toString('latin1');
+  }
+  return text;
+}
+
+describe('pageSize', () => {
+  it('reads width and height in any unit', () => {
+    assert.deepEqual(pageSize('<svg width="800" height="600">'), { width: 600, height: 450 });
+    assert.deepEqual(pageSize('<svg width="8.5in" height="11in">'), { width: 612, height: 792 });
+  });
+
+  it('falls back to the viewBox, then to A4 landscape', () => {
+    assert.deepEqual(pageSize('<svg viewBox="0 0 400 200">'), { width: 300, height: 150 });
+    assert.deepEqual(pageSize('<svg>'), { width: 842, height: 595 });
+  });
+});
+
+describe('designRequestError', () => {
+  it('needs a name and an SVG with valid merge tags', () => {
+    assert.equal(designRequestError({ svg: DESIGN_SVG }), 'name is required');
+    assert.equal(designRequestError({ name: 'Basic', svg: '<p>{{name}}</p>' }), 'svg must be an SVG document');
+    assert.match(designRequestError({ name: 'Basic', svg: '<svg>{{#if name}}</svg>' }), /if/);
+    assert.equal(designRequestError({ name: 'Basic', svg: DESIGN_SVG }), null);
+    assert.equal(designRequestError({ name: 'Renamed' }, { partial: true }), null);
+  });
+});
+
+describe('renderDesign', () => {
+  it('escapes merge values for XML and reports empty tags', () => {
+    const { svg, missing } = renderDesign({ svg: DESIGN_SVG }, { name: 'Ada <Lovelace> & co', Course: '' });
+    assert.match(svg, />Ada &lt;Lovelace&gt; &amp; co</);
+    assert.deepEqual(missing.map(entry => entry.tag), ['Course', 'date']);
+  });
+
+  it('renders a one-page PDF the size of the design', async () => {
+    const pdf = (await svgToPdf(renderDesign({ svg: DESIGN_SVG }, { name: 'Ada' }).svg)).toString('latin1');
+    assert.ok(pdf.startsWith('%PDF-'));
+    assert.match(pdf, /\/MediaBox \[0 0 842\.25 595\.5\]/);
+    assert.match(pdf, /\/BaseFont \/Times-Roman/);
+  });
+});
+
+describe('certificates API', () => {
+  let api;
+  let designId;
+  let verifiableDesignId;
+  before(async () => {
+    api = await startTestServer();
+    const { body } = await api.post('/certificate-designs', { name: 'Course completion', svg: DESIGN_SVG });
+    designId = body.id;
+    const verifiable = await api.post('/certificate-designs', { name: 'Verifiable', svg: VERIFIABLE_SVG });
+    verifiableDesignId = verifiable.body.id;
+  });
+  after(() => api.close());
+  beforeEach(() => api.smtp.clear());
+
+  async function waitForJob(jobId) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const { body } = await api.get(`/jobs/${jobId}`);
+      if (['completed', 'cancelled', 'failed'].includes(body.status)) return body;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+  }
+
+  async function download(urlPath, body) {
+    const response = await fetch(`${api.baseUrl}${urlPath}`, {
+      method: body ? 'POST' : 'GET',
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, headers: response.headers, content: Buffer.from(await response.arrayBuffer()) };
+  }
+
+  const campaign = delivery => ({
+    subject: 'Your certificate, {{name}}',
+    body: '<p><a href="{{certificateLink}}">Get Your Certificate</a></p>',
+    certificate: { designId, delivery },
+  });
+
+  it('saves and lists designs', async () => {
+    const { body } = await api.get('/certificate-designs');
+    assert.deepEqual(body.designs.map(design => design.name), ['Course completion', 'Verifiable']);
+    assert.equal(body.designs[0].svg, undefined);
+
+    const invalid = await api.post('/certificate-designs', { name: 'Broken', svg: 'not svg' });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('sends to rows without a certificate link column when certificates are generated', async () => {
+    const withoutDesign = await api.post(SEND_URL, { ...campaign('link'), certificate: undefined, mode: 'dryRun' });
+    assert.equal(withoutDesign.status, 400);
+
+    const { body } = await api.post(SEND_URL, { ...campaign('link'), mode: 'dryRun' });
+    assert.equal(body.totalRecipients, 3);
+    assert.match(body.recipients[0].html, /href="http:\/\/localhost:\d+\/certificates\/issued-when-sent\/download"/);
+  });
+
+  it('attaches a PDF per recipient', async () => {
+    const { status, body } = await api.post(SEND_URL, campaign('attach'));
+    assert.equal(status, 202);
+    const job = await waitForJob(body.jobId);
+    assert.equal(job.sent, 3);
+
+    const ada = api.smtp.messages.find(message => message.to[0] === 'ada@example.com');
+    assert.match(ada.raw, /Content-Type: application\/pdf; name="Certificate - Ada Lovelace\.pdf"/);
+  });
+
+  it('links to a stored PDF with an unguessable id', async () => {
+    const { body } = await api.post(SEND_URL, campaign('link'));
+    await waitForJob(body.jobId);
+
+    const ada = api.smtp.messages.find(message => message.to[0] === 'ada@example.com');
+    // Undo quoted-printable line wrapping before looking for the link
+    const raw = ada.raw.replace(/=\r?\n/g, '');
+    const [, certificateId] = raw.match(/\/certificates\/([A-Za-z0-9_-]+)\/download/);
+    assert.equal(certificateId.length, 24);
+
+    const file = await download(`/certificates/${certificateId}/download`);
+    assert.equal(file.status, 200);
+    assert.equal(file.headers.get('content-type'), 'application/pdf');
+    assert.ok(file.content.toString('latin1').startsWith('%PDF-'));
+
+    const { body: list } = await api.get(`/certificates?spreadsheetId=${SPREADSHEET}`);
+    const issued = list.certificates.find(certificate => certificate.id === certificateId);
+    assert.equal(issued.email, 'ada@example.com');
+    assert.equal(issued.fileName, 'Certificate - Ada Lovelace.pdf');
+
+    assert.equal((await download('/certificates/not-a-real-id/download')).status, 404);
+  });
+
+  it('issues a verifiable certificate to every recipient', async () => {
+    const { body } = await api.post(SEND_URL, {
+      subject: 'Your certificate, {{name}}',
+      body: '<p>ID {{certificateId}}: <a href="{{verificationUrl}}"><img src="{{certificateQrCode}}"></a></p>',
+      certificate: { designId, delivery: 'attach' },
+    });
+    await waitForJob(body.jobId);
+
+    const ada = api.smtp.messages.find(message => message.to[0] === 'ada@example.com');
+    const raw = ada.raw.replace(/=\r?\n/g, '');
+    const [, certificateId] = raw.match(/ID ([A-Za-z0-9_-]{24}):/);
+    assert.ok(raw.includes(`/verify/${certificateId}"><img src=3D"http://localhost:`));
+    assert.ok(raw.includes(`/verify/${certificateId}/qr.png"`));
+
+    const json = await fetch(`${api.baseUrl}/verify/${certificateId}`, { headers: { Accept: 'application/json' } });
+    const details = await json.json();
+    assert.equal(details.valid, true);
+    assert.equal(details.holder, 'Ada Lovelace');
+    assert.equal(details.course, 'Analytical Engines');
+    assert.equal(details.email, undefined);
+
+    const page = await fetch(`${api.baseUrl}/verify/${certificateId}`);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    const html = await page.text();
+    assert.match(html, /Valid certificate/);
+    assert.match(html, /Ada Lovelace/);
+
+    const qr = await download(`/verify/${certificateId}/qr.png`);
+    assert.equal(qr.headers.get('content-type'), 'image/png');
+    assert.equal(qr.content.subarray(1, 4).toString(), 'PNG');
+
+    const unknown = await fetch(`${api.baseUrl}/verify/not-a-real-id`);
+    assert.equal(unknown.status, 404);
+    assert.match(await unknown.text(), /Certificate not found/);
+  });
+
+  it('revokes a certificate', async () => {
+    const { body: list } = await api.get(`/certificates?spreadsheetId=${SPREADSHEET}`);
+    const { id } = list.certificates.find(certificate => certificate.email === 'alan@example.com');
+
+    const revoked = await api.post(`/certificates/${id}/revoke`, { reason: 'Issued by mistake' });
+    assert.equal(revoked.status, 200);
+    assert.equal((await api.post(`/certificates/${id}/revoke`, {})).status, 409);
+    assert.equal((await api.post('/certificates/not-a-real-id/revoke', {})).status, 404);
+
+    const json = await fetch(`${api.baseUrl}/verify/${id}`, { headers: { Accept: 'application/json' } });
+    const details = await json.json();
+    assert.equal(details.valid, false);
+    assert.equal(details.status, 'revoked');
+    assert.equal(details.revokedReason, 'Issued by mistake');
+    assert.match(await (await fetch(`${api.baseUrl}/verify/${id}`)).text(), /Certificate revoked/);
+    assert.equal((await download(`/certificates/${id}/download`)).status, 410);
+  });
+
+  it('issues a certificate only once the message is sent', async () => {
+    api.smtp.reject('alan@example.com');
+    const { body } = await api.post(SEND_URL, campaign('attach'));
+    const job = await waitForJob(body.jobId);
+    assert.equal(job.failed, 1);
+
+    const { body: list } = await api.get(`/certificates?spreadsheetId=${SPREADSHEET}`);
+    const issued = list.certificates.filter(certificate => certificate.jobId === body.jobId);
+    assert.deepEqual(issued.map(certificate => certificate.email).sort(), ['ada@example.com', 'alan.turing@example.com']);
+  });
+
+  it('issues no certificates for campaigns using the link column', async () => {
+    const { body } = await api.post('/send-emails/test-contacts-spreadsheet/Sheet1!A1:C2', {
+      subject: 'Your certificate',
+      body: '<p>{{certificateLink}}</p>',
+    });
+    await waitForJob(body.jobId);
+
+    const { body: job } = await api.get(`/jobs/${body.jobId}`);
+    assert.equal(job.recipients[0].certificateId, null);
+    const { body: list } = await api.get('/certificates?spreadsheetId=test-contacts-spreadsheet');
+    assert.equal(list.count, 0);
+  });
+
+  it('previews a single certificate, marked as a preview and without an id', async () => {
+    const file = await download(`/certificates/preview/${SPREADSHEET}/Sheet1`, { designId: verifiableDesignId, row: 3 });
+    assert.equal(file.status, 200);
+    assert.match(file.headers.get('content-disposition'), /Certificate - Alan Turing\.pdf/);
+    const text = pdfText(file.content);
+    assert.ok(text.includes('Alan Turing'));
+    // Nothing follows "ID" but the watermark
+    assert.ok(text.endsWith('IDPREVIEW'));
+
+    const missing = await download(`/certificates/preview/${SPREADSHEET}/Sheet1`, { designId: 'nope', row: 3 });
+    assert.equal(missing.status, 404);
+  });
+
+  it('zips a certificate for every recipient and issues each one', async () => {
+    const before = (await api.get(`/certificates?spreadsheetId=${SPREADSHEET}`)).body.count;
+    const file = await download(`/certificates/generate/${SPREADSHEET}/Sheet1`, { designId: verifiableDesignId });
+    assert.equal(file.status, 200);
+    assert.equal(file.headers.get('content-type'), 'application/zip');
+    assert.equal(file.content.subarray(0, 2).toString(), 'PK');
+
+    const names = file.content.toString('latin1');
+    assert.ok(names.includes('Certificate - Ada Lovelace.pdf'));
+    assert.ok(names.includes('Certificate - Alan Turing.pdf'));
+    assert.ok(names.includes('Certificate - Alan Turing (row 4).pdf'));
+
+    const { body: list } = await api.get(`/certificates?spreadsheetId=${SPREADSHEET}`);
+    assert.equal(list.count, before + 3);
+    const issued = list.certificates.find(certificate => certificate.jobId === null && certificate.row === 2);
+    assert.equal(issued.email, 'ada@example.com');
+    const stored = pdfText((await download(`/certificates/${issued.id}/download`)).content);
+    assert.ok(stored.endsWith(`ID ${issued.id}`));
+    assert.ok(!stored.includes('PREVIEW'));
+    const verified = await fetch(`${api.baseUrl}/verify/${issued.id}`, { headers: { Accept: 'application/json' } });
+    assert.equal((await verified.json()).valid, true);
+  });
+});
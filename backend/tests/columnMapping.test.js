@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { createCollection } = require('../lib/store');
+const { createMappingStore, validateColumnMapping } = require('../lib/columnMapping');
+
+const MAPPING_URL = '/mappings/test-contacts-spreadsheet/Duplicates';
+
+describe('column mapping', () => {
+  let api;
+  before(async () => {
+    api = await startTestServer();
+  });
+  after(() => api.close());
+
+  it('guesses the columns of a sheet without a saved mapping', async () => {
+    const { status, body } = await api.get(MAPPING_URL);
+    assert.equal(status, 200);
+    assert.equal(body.saved, false);
+    assert.equal(body.sheetName, 'Duplicates');
+    assert.deepEqual(body.headers, ['Name', 'Email', 'Certificate', 'Course']);
+    assert.equal(body.mapping.name, 'Name');
+    assert.equal(body.mapping.email, 'Email');
+    assert.equal(body.mapping.certificateLink, 'Certificate');
+    assert.equal(body.mapping.cc, null);
+    assert.equal(body.preview.length, 5);
+    assert.equal(body.preview[1].row, 3);
+    assert.equal(body.preview[1].email, 'alan@example.com');
+  });
+
+  it('saves a mapping that the other routes then use', async () => {
+    const saved = await api.put(MAPPING_URL, {
+      name: 'Email',
+      email: 'Email',
+      certificateLink: 'Certificate',
+      customFields: { topic: 'Course' },
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.saved, true);
+    assert.equal(saved.body.mapping.cc, null);
+    assert.deepEqual(saved.body.mapping.customFields, { topic: 'Course' });
+    assert.equal((await api.get(MAPPING_URL)).body.saved, true);
+
+    const preview = await api.post('/preview/test-contacts-spreadsheet/Duplicates', { subject: '{{name}}', body: '{{topic}}', row: 3 });
+    assert.equal(preview.body.name, 'alan@example.com');
+    assert.equal(preview.body.html, 'Logic');
+
+    assert.equal((await api.delete(MAPPING_URL)).status, 200);
+    assert.equal((await api.get(MAPPING_URL)).body.saved, false);
+    assert.equal((await api.delete(MAPPING_URL)).status, 404);
+  });
+
+  it('rejects mappings that do not fit the sheet', async () => {
+    const cases = [
+      [{ email: 'E-mail' }, 'Column "E-mail" for email is not in the sheet'],
+      [{ name: 'Name' }, 'An email column is required'],
+      [{ email: 'Email', customFields: { 'the course': 'Course' } }, 'Custom field "the course" may only contain letters, digits and underscores'],
+      [{ email: 'Email', customFields: { email: 'Course' } }, 'Custom field "email" clashes with a built-in field'],
+      [{ email: 'Email', customFields: { topic: 'Topic' } }, 'Column "Topic" for custom field "topic" is not in the sheet'],
+    ];
+    for (const [mapping, message] of cases) {
+      const { status, body } = await api.put(MAPPING_URL, mapping);
+      assert.equal(status, 400);
+      assert.equal(body.message, message);
+    }
+    assert.equal((await api.get(MAPPING_URL)).body.saved, false);
+  });
+
+  it('moves a custom course field saved before course was built in', () => {
+    // What a mapping with its own {{course}} tag looked like back then
+    const { id } = createMappingStore().save('legacy-spreadsheet', 'Sheet1', { name: 'Name', email: 'Email' });
+    const collection = createCollection('column-mappings');
+    const legacy = collection.get(id);
+    delete legacy.mapping.course;
+    legacy.mapping.customFields = { course: 'Course', topic: 'Course' };
+    collection.save(legacy);
+
+    const { mapping } = createMappingStore().get('legacy-spreadsheet', 'Sheet1');
+    assert.equal(mapping.course, 'Course');
+    assert.deepEqual(mapping.customFields, { topic: 'Course' });
+    assert.equal(validateColumnMapping(mapping, ['Name', 'Email', 'Course']), null);
+    assert.deepEqual(createCollection('column-mappings').get(id).mapping.customFields, { topic: 'Course' });
+  });
+});
@@ -0,0 +1,186 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+const SPREADSHEET = 'test-contacts-spreadsheet';
+
+describe('contact routes', () => {
+  let api;
+  before(async () => {
+    api = await startTestServer();
+  });
+  after(() => api.close());
+
+  describe('GET /contacts/:spreadsheetId/:range', () => {
+    it('extracts contacts with statistics', async () => {
+      const { status, body } = await api.get(`/contacts/${SPREADSHEET}/Sheet1`);
+      assert.equal(status, 200);
+      assert.equal(body.totalContacts, 6);
+      assert.equal(body.validEmails, 5);
+      assert.equal(body.invalidEmails, 1);
+      assert.equal(body.contactsWithBoth, 4);
+      assert.deepEqual(body.statistics, { hasName: 5, hasEmail: 6, hasBoth: 4, emptyRows: 1 });
+      assert.deepEqual(body.contacts[1], {
+        id: 2,
+        name: 'Alan Turing',
+        email: 'alan@example.com',
+        isValidEmail: true,
+        originalRow: 3,
+      });
+      assert.deepEqual(body.contacts.map(contact => contact.originalRow), [2, 3, 4, 5, 7, 8]);
+    });
+
+    it('numbers rows from where the range starts', async () => {
+      const { body } = await api.get(`/contacts/${SPREADSHEET}/${encodeURIComponent('Sheet1!A1:C3')}`);
+      assert.deepEqual(body.contacts.map(contact => contact.originalRow), [2, 3]);
+    });
+
+    it('skips email validation with validateEmails=false', async () => {
+      const { body } = await api.get(`/contacts/${SPREADSHEET}/Sheet1?validateEmails=false`);
+      assert.equal(body.validEmails, 6);
+      assert.equal(body.invalidEmails, 0);
+    });
+
+    it('reads other columns when nameColumn/emailColumn are given', async () => {
+      const { body } = await api.get(`/contacts/${SPREADSHEET}/Sheet1?nameColumn=Email&emailColumn=Name`);
+      assert.equal(body.contacts[0].name, 'ada@example.com');
+      assert.equal(body.contacts[0].email, 'ada lovelace');
+      assert.equal(body.validEmails, 0);
+      assert.equal(body.invalidEmails, 5);
+    });
+
+    it('reports an empty sheet', async () => {
+      const { status, body } = await api.get(`/contacts/${SPREADSHEET}/Empty`);
+      assert.equal(status, 200);
+      assert.deepEqual(body, {
+        message: 'No data found',
+        contacts: [],
+        totalContacts: 0,
+        validEmails: 0,
+        invalidEmails: 0,
+      });
+    });
+
+    it('fails for an invalid range', async () => {
+      const { status, body } = await api.get(`/contacts/${SPREADSHEET}/${encodeURIComponent('Missing!A:C')}`);
+      assert.equal(status, 500);
+      assert.equal(body.error, 'Failed to fetch contacts');
+    });
+  });
+
+  describe('GET /emails/:spreadsheetId/:range', () => {
+    it('lists valid emails without duplicates', async () => {
+      const { status, body } = await api.get(`/emails/${SPREADSHEET}/Sheet1`);
+      assert.equal(status, 200);
+      assert.deepEqual(body.emails, ['ada@example.com', 'alan@example.com', 'grace@example.com', 'barbara@example.com']);
+      assert.equal(body.totalEmails, 4);
+      assert.equal(body.uniqueEmails, 4);
+    });
+
+    it('keeps duplicates with unique=false', async () => {
+      const { body } = await api.get(`/emails/${SPREADSHEET}/Sheet1?unique=false`);
+      assert.equal(body.totalEmails, 5);
+      assert.equal(body.uniqueEmails, 4);
+    });
+
+    it('reports an empty sheet', async () => {
+      const { body } = await api.get(`/emails/${SPREADSHEET}/Empty`);
+      assert.deepEqual(body, { message: 'No data found', emails: [], totalEmails: 0 });
+    });
+
+    it('fails for an invalid range', async () => {
+      const { status, body } = await api.get(`/emails/${SPREADSHEET}/${encodeURIComponent('Missing!A:C')}`);
+      assert.equal(status, 500);
+      assert.equal(body.error, 'Failed to fetch emails');
+    });
+  });
+
+  describe('GET /contacts/:spreadsheetId/:range/search', () => {
+    it('matches names and emails', async () => {
+      const { status, body } = await api.get(`/contacts/${SPREADSHEET}/Sheet1/search?query=ADA`);
+      assert.equal(status, 200);
+      assert.equal(body.totalFound, 2);
+      assert.deepEqual(body.results.map(result => result.originalRow), [2, 7]);
+      assert.equal(body.searchQuery, 'ADA');
+      assert.equal(body.searchType, 'both');
+    });
+
+    it('matches only names with type=name', async () => {
+      const { body } = await api.get(`/contacts/${SPREADSHEET}/Sheet1/search?query=ada&type=name`);
+      assert.deepEqual(body.results.map(result => result.name), ['Ada Lovelace']);
+    });
+
+    it('matches only emails with type=email', async () => {
+      const { body } = await api.get(`/contacts/${SPREADSHEET}/Sheet1/search?query=ada&type=email`);
+      assert.deepEqual(body.results.map(result => result.name), ['Ada Lovelace', 'Edsger Dijkstra']);
+      assert.equal(body.results[0].isValidEmail, true);
+    });
+
+    it('requires a query', async () => {
+      const { status, body } = await api.get(`/contacts/${SPREADSHEET}/Sheet1/search`);
+      assert.equal(status, 400);
+      assert.equal(body.message, 'query parameter is required');
+    });
+
+    it('returns no results for an empty sheet', async () => {
+      const { body } = await api.get(`/contacts/${SPREADSHEET}/Empty/search?query=ada`);
+      assert.deepEqual(body, { results: [] });
+    });
+
+    it('fails for an invalid range', async () => {
+      const { status, body } = await api.get(`/contacts/${SPREADSHEET}/Missing/search?query=ada`);
+      assert.equal(status, 500);
+      assert.equal(body.error, 'Failed to search contacts');
+    });
+  });
+
+  describe('GET /contacts/:spreadsheetId/:range/validate', () => {
+    it('reports the issues of every row', async () => {
+      const { status, body } = await api.get(`/contacts/${SPREADSHEET}/Sheet1/validate`);
+      assert.equal(status, 200);
+      assert.equal(body.fixApplied, false);
+      assert.deepEqual(body.summary, {
+        totalRows: 7,
+        validContacts: 3,
+        invalidContacts: 4,
+        missingNames: 2,
+        missingEmails: 1,
+        invalidEmails: 1,
+        formattingIssues: 1,
+        domainsWithoutMail: 0,
+        disposableEmails: 0,
+        roleAccounts: 0,
+        typoSuggestions: 0,
+        uncheckedDomains: 0,
+      });
+
+      const byRow = Object.fromEntries(body.validation.map(entry => [entry.row, entry]));
+      assert.deepEqual(byRow[3].issues, ['Email has formatting issues']);
+      assert.equal(byRow[3].cleanedEmail, 'ALAN@Example.com');
+      assert.deepEqual(byRow[4].issues, ['Missing name']);
+      assert.deepEqual(byRow[5].issues, ['Invalid email format']);
+      assert.deepEqual(byRow[6].issues, ['Missing name', 'Missing email']);
+      assert.equal(byRow[8].hasIssues, false);
+    });
+
+    it('returns cleaned addresses with fix=true', async () => {
+      const { body } = await api.get(`/contacts/${SPREADSHEET}/Sheet1/validate?fix=true`);
+      assert.equal(body.fixApplied, true);
+      const alan = body.validation.find(entry => entry.row === 3);
+      assert.equal(alan.cleanedEmail, 'alan@example.com');
+      assert.equal(alan.isValid, true);
+    });
+
+    it('reports an empty sheet', async () => {
+      const { status, body } = await api.get(`/contacts/${SPREADSHEET}/Empty/validate`);
+      assert.equal(status, 200);
+      assert.deepEqual(body, { message: 'No data found' });
+    });
+
+    it('fails for an invalid range', async () => {
+      const { status, body } = await api.get(`/contacts/${SPREADSHEET}/Missing/validate`);
+      assert.equal(status, 500);
+      assert.equal(body.error, 'Failed to validate contacts');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeEmail, dedupeContacts } = require('../lib/duplicates');
+const { startTestServer } = require('./helpers/testServer');
+
+const SPREADSHEET = 'test-contacts-spreadsheet';
+
+describe('normalizeEmail', () => {
+  it('ignores case and surrounding spaces', () => {
+    assert.equal(normalizeEmail(' Alan@Example.COM '), 'alan@example.com');
+  });
+
+  it('folds Gmail dots, plus tags and googlemail.com', () => {
+    assert.equal(normalizeEmail('A.Lovelace+cert@googlemail.com'), 'alovelace@gmail.com');
+    assert.equal(normalizeEmail('a.lovelace@gmail.com'), 'alovelace@gmail.com');
+  });
+
+  it('keeps dots and plus tags for other domains', () => {
+    assert.equal(normalizeEmail('a.lovelace+cert@example.com'), 'a.lovelace+cert@example.com');
+  });
+});
+
+describe('dedupeContacts', () => {
+  const contacts = [
+    { row: 2, email: 'ada@gmail.com', name: 'Ada', cc: '', certificateLink: '', custom: {}, fields: { Course: '' } },
+    { row: 3, email: 'alan@example.com', name: 'Alan', cc: '', certificateLink: 'a', custom: {}, fields: {} },
+    { row: 4, email: 'a.da@gmail.com', name: '', cc: 'boss@example.com', certificateLink: 'b', custom: {}, fields: { Course: 'Engines' } },
+  ];
+
+  it('leaves every row in with none', () => {
+    assert.equal(dedupeContacts(contacts).contacts.length, 3);
+  });
+
+  it('keeps the first or the last row of a group', () => {
+    const first = dedupeContacts(contacts, 'first');
+    assert.deepEqual(first.contacts.map(contact => contact.row), [2, 3]);
+    assert.deepEqual(first.duplicates.map(({ contact, keptRow }) => [contact.row, keptRow]), [[4, 2]]);
+
+    const last = dedupeContacts(contacts, 'last');
+    assert.deepEqual(last.contacts.map(contact => contact.row), [3, 4]);
+  });
+
+  it('fills empty fields of the first row from later rows with merge', () => {
+    const [merged] = dedupeContacts(contacts, 'merge').contacts;
+    assert.equal(merged.row, 2);
+    assert.equal(merged.email, 'ada@gmail.com');
+    assert.equal(merged.name, 'Ada');
+    assert.equal(merged.cc, 'boss@example.com');
+    assert.equal(merged.certificateLink, 'b');
+    assert.deepEqual(merged.fields, { Course: 'Engines' });
+    assert.deepEqual(merged.mergedRows, [2, 4]);
+  });
+});
+
+describe('duplicate contacts API', () => {
+  let api;
+  before(async () => {
+    api = await startTestServer();
+  });
+  after(() => api.close());
+
+  const dryRun = dedupe => api.post(`/send-emails/${SPREADSHEET}/Duplicates`, {
+    subject: 'Hi {{name}}',
+    body: '<p>{{Course}} {{certificateLink}}</p>',
+    mode: 'dryRun',
+    dedupe,
+  });
+
+  it('reports groups of rows sharing an address', async () => {
+    const { status, body } = await api.get(`/contacts/${SPREADSHEET}/Duplicates/duplicates`);
+    assert.equal(status, 200);
+    assert.equal(body.totalGroups, 2);
+    assert.equal(body.duplicateRows, 2);
+    assert.deepEqual(body.groups.map(group => [group.email, group.rows]), [
+      ['adalovelace@gmail.com', [2, 4]],
+      ['alan@example.com', [3, 5]],
+    ]);
+  });
+
+  it('counts Gmail aliases as one address in /emails and /contacts', async () => {
+    const emails = await api.get(`/emails/${SPREADSHEET}/Duplicates`);
+    assert.deepEqual(emails.body.emails, ['ada.lovelace@gmail.com', 'alan@example.com', 'grace@example.com']);
+
+    const contacts = await api.get(`/contacts/${SPREADSHEET}/Duplicates?unique=true`);
+    assert.equal(contacts.body.duplicateRows, 2);
+    assert.deepEqual(contacts.body.contacts.map(contact => contact.originalRow), [2, 3, 6]);
+  });
+
+  it('sends to every row by default', async () => {
+    const { body } = await dryRun(undefined);
+    assert.equal(body.totalRecipients, 5);
+  });
+
+  it('skips later rows with first and earlier rows with last', async () => {
+    const first = await dryRun('first');
+    assert.deepEqual(first.body.recipients.map(recipient => recipient.row), [2, 3, 6]);
+    assert.deepEqual(first.body.skipped, [
+      { row: 4, email: 'adalovelace+workshop@googlemail.com', reason: 'Duplicate of row 2' },
+      { row: 5, email: 'alan@example.com', reason: 'Duplicate of row 3' },
+    ]);
+
+    const last = await dryRun('last');
+    assert.deepEqual(last.body.recipients.map(recipient => recipient.row), [4, 5, 6]);
+    assert.equal(last.body.recipients[1].subject, 'Hi Alan M. Turing');
+  });
+
+  it('merges the fields of a group into one message', async () => {
+    const { body } = await dryRun('merge');
+    const ada = body.recipients[0];
+    assert.equal(ada.email, 'ada.lovelace@gmail.com');
+    assert.deepEqual(ada.mergedRows, [2, 4]);
+    assert.equal(ada.subject, 'Hi Ada Lovelace');
+    assert.match(ada.html, /Engines https:\/\/example\.com\/certificates\/ada-1\.pdf/);
+  });
+
+  it('rejects unknown policies', async () => {
+    const { status, body } = await dryRun('newest');
+    assert.equal(status, 400);
+    assert.equal(body.message, 'dedupe must be one of: none, first, last, merge');
+  });
+});
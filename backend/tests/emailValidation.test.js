@@ -0,0 +1,163 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseEmailAddress,
+  isValidEmailSyntax,
+  suggestDomain,
+  createFixtureResolver,
+  createEmailValidator,
+} = require('../lib/emailValidation');
+const { startTestServer } = require('./helpers/testServer');
+
+describe('parseEmailAddress', () => {
+  it('accepts RFC 5322 and internationalized addresses', () => {
+    [
+      'ada@example.com',
+      'first.last+tag@sub.example.co.uk',
+      "o'brien@example.com",
+      '"john doe"@example.com',
+      'user@[192.168.0.1]',
+      'José@exämple.com',
+      '用户@例子.广告',
+    ].forEach(address => assert.ok(isValidEmailSyntax(address), address));
+    assert.equal(parseEmailAddress('José@exämple.com').asciiDomain, 'xn--exmple-cua.com');
+  });
+
+  it('rejects malformed addresses with a reason', () => {
+    assert.equal(parseEmailAddress('not-an-email').error, 'Missing @');
+    assert.equal(parseEmailAddress('a..b@example.com').error, 'Invalid characters before @');
+    assert.equal(parseEmailAddress('.ada@example.com').error, 'Invalid characters before @');
+    assert.equal(parseEmailAddress('ada@localhost').error, 'Domain needs a dot, like example.com');
+    assert.equal(parseEmailAddress('ada@-example.com').error, 'Invalid domain');
+    assert.equal(parseEmailAddress('ada@example.123').error, 'Invalid domain');
+    assert.equal(parseEmailAddress(`${'a'.repeat(65)}@example.com`).error, 'The part before @ is longer than 64 characters');
+  });
+});
+
+describe('suggestDomain', () => {
+  it('suggests common domains one typo away', () => {
+    assert.equal(suggestDomain('gmial.com'), 'gmail.com');
+    assert.equal(suggestDomain('hotmal.com'), 'hotmail.com');
+    assert.equal(suggestDomain('gmail.co'), 'gmail.com');
+    assert.equal(suggestDomain('example.con'), 'example.com');
+  });
+
+  it('leaves correct and unrelated domains alone', () => {
+    assert.equal(suggestDomain('gmail.com'), null);
+    assert.equal(suggestDomain('mail.com'), null);
+    assert.equal(suggestDomain('example.com'), null);
+  });
+});
+
+describe('createEmailValidator', () => {
+  it('reports MX hosts, or mail going to the A record', async () => {
+    const validator = createEmailValidator({
+      resolver: {
+        resolveMx: async domain => {
+          if (domain === 'a-only.example.com') throw Object.assign(new Error('no MX'), { code: 'ENODATA' });
+          return [{ exchange: 'mx2.example.com', priority: 20 }, { exchange: 'mx1.example.com', priority: 10 }];
+        },
+        resolve4: async () => ['192.0.2.1'],
+      },
+    });
+    assert.deepEqual((await validator.validate('ada@example.com')).domain, {
+      status: 'mx',
+      mx: ['mx1.example.com', 'mx2.example.com'],
+    });
+    assert.equal((await validator.validate('ada@a-only.example.com')).domain.status, 'a');
+  });
+
+  it('treats a null MX as a domain that takes no mail', async () => {
+    const validator = createEmailValidator({ resolver: { resolveMx: async () => [{ exchange: '', priority: 0 }] } });
+    const result = await validator.validate('ada@example.com');
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.issues, ['Domain does not accept email']);
+  });
+
+  it('warns instead of failing when the lookup gets no answer', async () => {
+    let lookups = 0;
+    const validator = createEmailValidator({
+      resolver: {
+        resolveMx: () => {
+          lookups += 1;
+          return new Promise(() => {});
+        },
+      },
+      timeout: 20,
+    });
+    const result = await validator.validate('ada@example.com');
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.warnings, ['Domain could not be checked']);
+    await validator.validate('ada@example.com');
+    assert.equal(lookups, 2);
+  });
+
+  it('looks each domain up once', async () => {
+    let lookups = 0;
+    const resolver = createFixtureResolver({ 'example.com': ['mx.example.com'] });
+    const validator = createEmailValidator({
+      resolver: { resolveMx: domain => { lookups += 1; return resolver.resolveMx(domain); } },
+    });
+    await Promise.all(['a@example.com', 'b@example.com', 'c@EXAMPLE.com'].map(address => validator.validate(address)));
+    assert.equal(lookups, 1);
+  });
+
+  it('flags disposable domains, role accounts and typos', async () => {
+    const validator = createEmailValidator({ resolver: null });
+    const disposable = await validator.validate('someone@mail.mailinator.com');
+    assert.equal(disposable.disposable, true);
+    assert.deepEqual(disposable.issues, ['Disposable email address']);
+    assert.equal(disposable.domain.status, 'unchecked');
+
+    const role = await validator.validate('Support+web@example.com');
+    assert.equal(role.role, true);
+    assert.equal(role.valid, true);
+    assert.deepEqual(role.warnings, ['Role account']);
+
+    const typo = await validator.validate('john@gmial.com');
+    assert.equal(typo.suggestion, 'john@gmail.com');
+    assert.deepEqual(typo.issues, ['Possible typo, did you mean gmail.com?']);
+  });
+});
+
+describe('GET /contacts/:spreadsheetId/:range/validate with deep checks', () => {
+  let api;
+  before(async () => {
+    api = await startTestServer();
+  });
+  after(() => api.close());
+
+  it('reports domain, disposable, role and typo findings per row', async () => {
+    const { status, body } = await api.get('/contacts/test-validation-spreadsheet/Sheet1/validate');
+    assert.equal(status, 200);
+    const byRow = Object.fromEntries(body.validation.map(entry => [entry.row, entry]));
+
+    assert.deepEqual(byRow[2].mx, ['mx1.example.com', 'mx2.example.com']);
+    assert.equal(byRow[2].hasIssues, false);
+    assert.equal(byRow[3].suggestion, 'john@gmail.com');
+    assert.deepEqual(byRow[4].issues, ['Disposable email address']);
+    assert.deepEqual(byRow[5].warnings, ['Role account']);
+    assert.equal(byRow[5].hasIssues, false);
+    assert.deepEqual(byRow[6].issues, ['Domain does not accept email']);
+    assert.equal(byRow[7].isValid, true);
+    assert.equal(byRow[7].domainStatus, 'mx');
+    assert.equal(byRow[8].isValid, true);
+    assert.equal(byRow[9].domainStatus, 'none');
+
+    assert.equal(body.summary.domainsWithoutMail, 2);
+    assert.equal(body.summary.disposableEmails, 1);
+    assert.equal(body.summary.roleAccounts, 1);
+    assert.equal(body.summary.typoSuggestions, 1);
+  });
+
+  it('skips the lookups with checkDomains=false', async () => {
+    const { body } = await api.get('/contacts/test-validation-spreadsheet/Sheet1/validate?checkDomains=false');
+    assert.equal(body.summary.domainsWithoutMail, 0);
+    assert.equal(body.summary.uncheckedDomains, 8);
+  });
+
+  it('accepts internationalized addresses as recipients', async () => {
+    const { body } = await api.get('/emails/test-validation-spreadsheet/Sheet1');
+    assert.ok(body.emails.includes('josé@exämple.com'));
+  });
+});
@@ -0,0 +1,100 @@
+const net = require('net');
+
+// A minimal SMTP server that accepts every message and keeps it in memory, so
+// tests can check what would have been delivered. No TLS and no auth.
+// Addresses passed to reject() are refused, with a permanent 550 unless another
+// code is given, every time or only the first `times` times.
+function startSmtpCapture() {
+  const messages = [];
+  const sockets = new Set();
+  // address -> { code, times }
+  const rejected = new Map();
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let inData = false;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          const raw = buffer.slice(0, end).replace(/\r\n\.\./g, '\r\n.');
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          messages.push({ ...envelope, raw, subject: (raw.match(/^Subject: (.*)$/m) || [])[1] || '' });
+          envelope = { from: null, to: [] };
+          reply('250 OK: queued');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) return;
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO') {
+          reply('250-localhost');
+          reply('250 8BITMIME');
+        } else if (command === 'HELO' || command === 'NOOP') {
+          reply('250 OK');
+        } else if (command === 'MAIL') {
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1] || '';
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          const address = (line.match(/<([^>]*)>/) || [])[1] || '';
+          const rejection = rejected.get(address);
+          if (rejection && rejection.times > 0) {
+            rejection.times--;
+            reply(rejection.code >= 500 ? `${rejection.code} No such user` : `${rejection.code} Try again later`);
+          } else {
+            envelope.to.push(address);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+
+    reply('220 localhost SMTP capture');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        clear: () => {
+          messages.splice(0, messages.length);
+          rejected.clear();
+        },
+        reject: (address, { code = 550, times = Infinity } = {}) => rejected.set(address, { code, times }),
+        close: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(done);
+        }),
+      });
+    });
+  });
+}
+
+module.exports = { startSmtpCapture };
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startSmtpCapture } = require('./smtpCapture');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// store.js reads DATA_DIR once, when the first lib module is required. Setting it as
+// soon as this helper loads keeps tests that also require lib modules (require this
+// helper first) from writing into backend/data.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-thru-sheet-test-'));
+process.env.DATA_DIR = dataDir;
+
+// Start the API against the fixture spreadsheets and MX records in tests/fixtures, a throwaway
+// DATA_DIR and a capturing SMTP server as the "default" sender account.
+// The environment has to be in place before index.js is required.
+async function startTestServer() {
+  const smtp = await startSmtpCapture();
+
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    SHEETS_PROVIDER: 'fixtures',
+    SHEETS_FIXTURES_DIR: FIXTURES_DIR,
+    EMAIL_RESOLVER: 'fixtures',
+    EMAIL_RESOLVER_FIXTURES: path.join(FIXTURES_DIR, 'mx-records.json'),
+    SENDER_ACCOUNTS_FILE: path.join(dataDir, 'senders.json'),
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtp.port),
+    SMTP_SECURE: 'false',
+    SMTP_USER: '',
+    SMTP_PASSWORD: '',
+    SMTP_FROM: 'Certificates <certificates@example.com>',
+    SEND_RATE_PER_SECOND: '0',
+    SEND_RATE_PER_HOUR: '0',
+    SEND_MAX_RETRIES: '0',
+  });
+
+  // The error paths under test log their errors; keep the test output readable
+  const consoleError = console.error;
+  console.error = () => {};
+
+  const app = require('../../index');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, urlPath, body) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  return {
+    baseUrl,
+    smtp,
+    get: urlPath => request('GET', urlPath),
+    post: (urlPath, body) => request('POST', urlPath, body),
+    put: (urlPath, body) => request('PUT', urlPath, body),
+    delete: urlPath => request('DELETE', urlPath),
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await smtp.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      console.error = consoleError;
+    },
+  };
+}
+
+module.exports = { startTestServer };
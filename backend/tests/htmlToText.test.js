@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { htmlToText } = require('../lib/htmlToText');
+
+describe('htmlToText', () => {
+  it('keeps paragraphs, line breaks and list items', () => {
+    assert.equal(
+      htmlToText('<p>Hello <b>Ada</b>,</p><p>Line one<br>Line two</p><ul><li>First</li><li>Second</li></ul>'),
+      'Hello Ada,\nLine one\nLine two\n\n- First\n- Second',
+    );
+  });
+
+  it('drops head, style and script content and comments', () => {
+    assert.equal(htmlToText('<head><title>T</title><style>p {}</style></head><!-- note --><script>x()</script>Body'), 'Body');
+  });
+
+  it('shows link targets next to their text', () => {
+    assert.equal(htmlToText('<a href="https://example.com/c">Get it</a>'), 'Get it (https://example.com/c)');
+    assert.equal(htmlToText('<a href="https://example.com">https://example.com</a>'), 'https://example.com');
+    assert.equal(htmlToText('<a href="mailto:ada@example.com">Write</a>'), 'Write');
+  });
+
+  it('decodes named and numeric entities', () => {
+    assert.equal(htmlToText('Fish &amp; chips &mdash; &#39;5&#x27; &copy;&nbsp;2026 &bogus;'), "Fish & chips — '5' © 2026 &bogus;");
+  });
+
+  it('leaves references beyond the last code point as written', () => {
+    assert.equal(htmlToText('<p>a &#99999999; &#x110000; &#x1F600;</p>'), 'a &#99999999; &#x110000; 😀');
+  });
+
+  it('returns an empty string for no input', () => {
+    assert.equal(htmlToText(''), '');
+    assert.equal(htmlToText(null), '');
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, compileTemplate, validateTemplate, escapeHtml } = require('../lib/mergeTags');
+
+const row = {
+  'Full Name': 'Ada Lovelace',
+  Email: 'ada@example.com',
+  Status: 'Completed',
+  Courses: 'Algebra; Engines,Poetry',
+  Nickname: '',
+  Notes: '<b>Top</b> & "first"',
+};
+
+const render = (template, options) => renderTemplate(template, row, options);
+
+describe('renderTemplate', () => {
+  it('matches column names without regard to case or extra spaces', () => {
+    assert.equal(render('Hi {{full name}}, {{ FULL   NAME }}').output, 'Hi Ada Lovelace, Ada Lovelace');
+  });
+
+  it('uses the fallback for empty and unknown tags', () => {
+    const { output, missing } = render('Hi {{Nickname|there}} from {{Team|us}}');
+    assert.equal(output, 'Hi there from us');
+    assert.deepEqual(missing, []);
+  });
+
+  it('reports empty and unknown tags once each', () => {
+    const { output, missing } = render('{{Nickname}}{{Nickname}}{{Team}}');
+    assert.equal(output, '');
+    assert.deepEqual(missing, [
+      { tag: 'Nickname', reason: 'empty' },
+      { tag: 'Team', reason: 'unknown' },
+    ]);
+  });
+
+  it('escapes values for HTML unless asked not to', () => {
+    assert.equal(render('{{Notes}}').output, '&lt;b&gt;Top&lt;/b&gt; &amp; &quot;first&quot;');
+    assert.equal(render('{{{Notes}}}').output, '<b>Top</b> & "first"');
+    assert.equal(render('{{Notes}}', { escape: false }).output, '<b>Top</b> & "first"');
+    assert.equal(render('{{Nickname|<you>}}').output, '&lt;you&gt;');
+    assert.equal(escapeHtml("it's"), 'it&#39;s');
+  });
+
+  it('renders if, unless and else blocks, with comparisons', () => {
+    assert.equal(render('{{#if Status}}done{{else}}open{{/if}}').output, 'done');
+    assert.equal(render('{{#if Nickname}}yes{{else}}no{{/if}}').output, 'no');
+    assert.equal(render('{{#if Status == "completed"}}yes{{/if}}').output, 'yes');
+    assert.equal(render("{{#if Status != 'Completed'}}yes{{else}}no{{/if}}").output, 'no');
+    assert.equal(render('{{#unless Nickname}}no nickname{{/unless}}').output, 'no nickname');
+  });
+
+  it('loops over a list cell', () => {
+    assert.equal(render('{{#each Courses}}{{@number}}. {{this}} {{/each}}').output, '1. Algebra 2. Engines 3. Poetry ');
+  });
+
+  it('finds tags an editor URL-encoded inside links', () => {
+    assert.equal(render('<a href="mailto:%7B%7BEmail%7D%7D">').output, '<a href="mailto:ada@example.com">');
+  });
+
+  it('renders a compiled template for any row', () => {
+    const greet = compileTemplate('Hi {{Full Name|friend}}');
+    assert.equal(greet(row).output, 'Hi Ada Lovelace');
+    assert.equal(greet({}).output, 'Hi friend');
+  });
+});
+
+describe('validateTemplate', () => {
+  it('throws on unbalanced or unknown blocks', () => {
+    assert.throws(() => validateTemplate('{{#if Status}}'), /Missing closing tag/);
+    assert.throws(() => validateTemplate('{{/if}}'), /Unexpected closing tag/);
+    assert.throws(() => validateTemplate('{{#with Status}}{{/with}}'), /Unknown block tag/);
+    assert.throws(() => validateTemplate('{{else}}'), /must be inside/);
+    assert.doesNotThrow(() => validateTemplate('{{#each Courses}}{{this}}{{/each}}'));
+  });
+});
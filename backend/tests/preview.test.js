@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+const PREVIEW_URL = '/preview/test-contacts-spreadsheet/Sheet1';
+
+describe('POST /preview', () => {
+  let api;
+  before(async () => {
+    api = await startTestServer();
+  });
+  after(() => api.close());
+
+  it('renders the first recipient with the HTML and plain-text bodies', async () => {
+    const { status, body } = await api.post(PREVIEW_URL, {
+      subject: 'Hi {{Name}}',
+      body: '<p>Hello {{Name|there}}, <a href="{{Certificate}}">your certificate</a></p>',
+    });
+    assert.equal(status, 200);
+    assert.equal(body.row, 2);
+    assert.equal(body.to, 'ada@example.com');
+    assert.equal(body.subject, 'Hi Ada Lovelace');
+    assert.equal(body.html, '<p>Hello Ada Lovelace, <a href="https://example.com/certificates/ada.pdf">your certificate</a></p>');
+    assert.equal(body.text, 'Hello Ada Lovelace, your certificate (https://example.com/certificates/ada.pdf)');
+    assert.deepEqual(body.recipientRows, [2, 3, 4, 8]);
+    assert.equal(body.previousRow, null);
+    assert.equal(body.nextRow, 3);
+  });
+
+  it('steps to a given row and flags rows with empty placeholders', async () => {
+    const { status, body } = await api.post(PREVIEW_URL, { subject: 'Hi {{Name}}', body: '<p>{{Course}}</p>', row: 4 });
+    assert.equal(status, 200);
+    assert.equal(body.to, 'grace@example.com');
+    assert.equal(body.index, 2);
+    assert.equal(body.previousRow, 3);
+    assert.equal(body.nextRow, 8);
+    assert.deepEqual(body.missing, [
+      { tag: 'Name', reason: 'empty', field: 'subject' },
+      { tag: 'Course', reason: 'unknown', field: 'body' },
+    ]);
+    assert.deepEqual(body.rowsWithEmptyPlaceholders, [2, 3, 4, 8]);
+  });
+
+  it('applies the dedupe policy to the recipients', async () => {
+    const { body } = await api.post('/preview/test-contacts-spreadsheet/Duplicates', { subject: 'Hi', body: 'x', dedupe: 'merge' });
+    assert.deepEqual(body.recipientRows, [2, 3, 6]);
+  });
+
+  it('returns 404 for a row that is not a recipient', async () => {
+    const { status, body } = await api.post(PREVIEW_URL, { subject: 'Hi', body: 'x', row: 5 });
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Row not found');
+  });
+
+  it('rejects a missing body, an unknown dedupe policy and broken merge tags', async () => {
+    const noBody = await api.post(PREVIEW_URL, { subject: 'Hi' });
+    assert.equal(noBody.status, 400);
+    assert.equal(noBody.body.message, 'body is required');
+
+    const badDedupe = await api.post(PREVIEW_URL, { subject: 'Hi', body: 'x', dedupe: 'sometimes' });
+    assert.equal(badDedupe.status, 400);
+    assert.match(badDedupe.body.message, /dedupe must be one of/);
+
+    const badTags = await api.post(PREVIEW_URL, { subject: 'Hi', body: '{{#if Name}}' });
+    assert.equal(badTags.status, 400);
+    assert.equal(badTags.body.error, 'Invalid merge tags');
+  });
+});
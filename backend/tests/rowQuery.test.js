@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRowQuery, queryRows, compileFilters } = require('../lib/rowQuery');
+
+const headers = ['Name', 'Score', 'Email'];
+const rows = [
+  ['Ada', '10', 'ada@example.com'],
+  ['alan', '9', ''],
+  ['Grace', '', 'grace@Example.org'],
+  ['Barbara', '100', 'barbara@example.com'],
+].map((cells, index) => ({
+  row: index + 2,
+  cells,
+  object: Object.fromEntries(headers.map((header, column) => [header, cells[column]])),
+}));
+
+const run = params => {
+  const { query, error } = parseRowQuery(params, headers);
+  assert.equal(error, undefined);
+  return queryRows(rows, query);
+};
+const names = result => result.page.map(row => row.object.Name);
+
+describe('parseRowQuery', () => {
+  it('defaults to every row in sheet order', () => {
+    const result = run({});
+    assert.deepEqual(names(result), ['Ada', 'alan', 'Grace', 'Barbara']);
+    assert.equal(result.total, 4);
+  });
+
+  it('rejects bad paging, sorting and filters', () => {
+    assert.match(parseRowQuery({ limit: '0' }, headers).error, /limit must be a whole number/);
+    assert.match(parseRowQuery({ limit: '5000' }, headers).error, /limit/);
+    assert.match(parseRowQuery({ offset: '-1' }, headers).error, /offset/);
+    assert.match(parseRowQuery({ sortBy: 'Phone' }, headers).error, /Column "Phone" is not in the sheet/);
+    assert.match(parseRowQuery({ sortOrder: 'up' }, headers).error, /sortOrder/);
+    assert.match(parseRowQuery({ filters: '{' }, headers).error, /JSON array/);
+    assert.match(parseRowQuery({ filters: '{}' }, headers).error, /must be an array/);
+    assert.match(parseRowQuery({ filters: '[{"column":"Name","op":"like"}]' }, headers).error, /op must be one of/);
+    assert.match(parseRowQuery({ filters: '[{"column":"Name","op":"regex","value":"("}]' }, headers).error, /Invalid pattern/);
+    assert.match(parseRowQuery({ filters: JSON.stringify([{ column: 'Name', op: 'regex', value: 'a'.repeat(101) }]) }, headers).error, /at most 100 characters/);
+  });
+});
+
+describe('queryRows', () => {
+  it('pages with limit and offset', () => {
+    const result = run({ limit: '2', offset: '1' });
+    assert.deepEqual(names(result), ['alan', 'Grace']);
+    assert.equal(result.total, 4);
+  });
+
+  it('sorts numbers as numbers and puts empty cells last', () => {
+    assert.deepEqual(names(run({ sortBy: 'Score' })), ['alan', 'Ada', 'Barbara', 'Grace']);
+    assert.deepEqual(names(run({ sortBy: 'Score', sortOrder: 'desc' })), ['Barbara', 'Ada', 'alan', 'Grace']);
+  });
+
+  it('sorts text without regard to case', () => {
+    assert.deepEqual(names(run({ sortBy: 'Name' })), ['Ada', 'alan', 'Barbara', 'Grace']);
+  });
+
+  it('filters with every operator', () => {
+    const filter = (...filters) => names(run({ filters: JSON.stringify(filters) }));
+    assert.deepEqual(filter({ column: 'Name', op: 'equals', value: 'ALAN' }), ['alan']);
+    assert.deepEqual(filter({ column: 'Name', op: 'equals', value: 'ALAN', caseSensitive: true }), []);
+    assert.deepEqual(filter({ column: 'Email', op: 'contains', value: 'example.com' }), ['Ada', 'Barbara']);
+    assert.deepEqual(filter({ column: 'Email', op: 'empty' }), ['alan']);
+    assert.deepEqual(filter({ column: 'Score', op: 'notEmpty' }), ['Ada', 'alan', 'Barbara']);
+    assert.deepEqual(filter({ column: 'Email', op: 'endsWith', value: '.ORG' }), ['Grace']);
+    assert.deepEqual(filter({ column: 'Name', op: 'startsWith', value: 'a' }), ['Ada', 'alan']);
+    assert.deepEqual(filter({ column: 'Email', op: 'regex', value: '\\.org$' }), ['Grace']);
+    assert.deepEqual(filter({ column: 'Name', op: 'regex', value: '^A', caseSensitive: true }), ['Ada']);
+    assert.deepEqual(
+      filter({ column: 'Email', op: 'contains', value: 'example' }, { column: 'Score', op: 'notEmpty' }),
+      ['Ada', 'Barbara'],
+    );
+  });
+
+  it('counts all matching rows, not just the page', () => {
+    const result = run({ filters: JSON.stringify([{ column: 'Email', op: 'notEmpty' }]), limit: '1' });
+    assert.deepEqual(names(result), ['Ada']);
+    assert.equal(result.total, 3);
+  });
+});
+
+describe('compileFilters', () => {
+  it('rejects unknown columns', () => {
+    assert.equal(compileFilters([{ column: 'Phone', op: 'empty' }], headers).error, 'Column "Phone" is not in the sheet');
+  });
+
+  it('compares numbers and lists', () => {
+    const matching = (...filters) => {
+      const { predicate } = compileFilters(filters, headers);
+      return rows.filter(row => predicate(row.object)).map(row => row.object.Name);
+    };
+    assert.deepEqual(matching({ column: 'Score', op: 'gt', value: '9' }), ['Ada', 'Barbara']);
+    assert.deepEqual(matching({ column: 'Score', op: 'lte', value: 10 }), ['Ada', 'alan']);
+    assert.deepEqual(matching({ column: 'Name', op: 'in', value: 'ada, GRACE' }), ['Ada', 'Grace']);
+    assert.deepEqual(matching({ column: 'Name', op: 'notIn', value: ['Ada', 'Grace'] }), ['alan', 'Barbara']);
+    assert.deepEqual(matching({ column: 'Name', op: 'notEquals', value: 'alan' }), ['Ada', 'Grace', 'Barbara']);
+    assert.match(compileFilters([{ column: 'Score', op: 'gte', value: 'many' }], headers).error, /needs a number/);
+  });
+
+  it('keeps rows any rule matches with match any', () => {
+    const { predicate } = compileFilters([
+      { column: 'Email', op: 'empty' },
+      { column: 'Score', op: 'gte', value: 100 },
+    ], headers, { match: 'any' });
+    assert.deepEqual(rows.filter(row => predicate(row.object)).map(row => row.object.Name), ['alan', 'Barbara']);
+    assert.equal(compileFilters([], headers, { match: 'some' }).error, 'match must be all or any');
+  });
+
+  it('matches patterns that backtrack badly in linear time', () => {
+    const { predicate } = compileFilters([{ column: 'Name', op: 'regex', value: '^(a+)+$' }], headers);
+    const startedAt = Date.now();
+    assert.equal(predicate({ Name: `${'a'.repeat(5000)}!` }), false);
+    assert.ok(Date.now() - startedAt < 1000);
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/testServer');
+const { createCollection } = require('../lib/store');
+const { createScheduler, resolveSendAt } = require('../lib/scheduler');
+
+describe('resolveSendAt', () => {
+  it('reads local times in the given time zone', () => {
+    assert.equal(resolveSendAt('2026-07-01T09:30', 'America/New_York').toISOString(), '2026-07-01T13:30:00.000Z');
+    assert.equal(resolveSendAt('2026-07-01T09:30:00Z', 'Asia/Tokyo').toISOString(), '2026-07-01T09:30:00.000Z');
+    assert.equal(resolveSendAt('tomorrow'), null);
+  });
+});
+
+describe('createScheduler', () => {
+  const past = new Date(Date.now() - 1000);
+
+  it('queues a due campaign under the job id saved with the schedule', async () => {
+    const runs = [];
+    const scheduler = createScheduler({ run: async (campaign, jobId) => runs.push(jobId), findJob: () => null });
+    const { id } = scheduler.create({ campaign: { subject: 'Hi' }, sendAt: past, timeZone: 'UTC' });
+
+    await scheduler.tick();
+    const schedule = scheduler.get(id);
+    assert.equal(schedule.status, 'started');
+    assert.deepEqual(runs, [schedule.jobId]);
+  });
+
+  it('does not queue a campaign again when its job exists after a restart', async () => {
+    // The process stopped after queueing job-1 but before marking the schedule started
+    const { id } = createScheduler({ run: async () => {} }).create({ campaign: { subject: 'Once' }, sendAt: past, timeZone: 'UTC' });
+    const schedules = createCollection('schedules');
+    schedules.save({ ...schedules.get(id), status: 'starting', jobId: 'job-1' });
+
+    const runs = [];
+    const restarted = createScheduler({ run: async (...args) => runs.push(args), findJob: jobId => jobId === 'job-1' });
+    await restarted.tick();
+    assert.equal(restarted.get(id).status, 'started');
+    assert.equal(restarted.get(id).jobId, 'job-1');
+    assert.deepEqual(runs, []);
+  });
+
+  it('retries a campaign left starting when its job was never queued', async () => {
+    const { id } = createScheduler({ run: async () => {} }).create({ campaign: { subject: 'Retry' }, sendAt: past, timeZone: 'UTC' });
+    const schedules = createCollection('schedules');
+    schedules.save({ ...schedules.get(id), status: 'starting', jobId: 'job-2' });
+
+    const runs = [];
+    const restarted = createScheduler({ run: async (campaign, jobId) => runs.push(jobId), findJob: () => null });
+    await restarted.tick();
+    assert.equal(restarted.get(id).status, 'started');
+    assert.deepEqual(runs, ['job-2']);
+  });
+});
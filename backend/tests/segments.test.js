@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+const SPREADSHEET = 'test-contacts-spreadsheet';
+const exampleRules = [{ column: 'Email', op: 'contains', value: 'example.com' }];
+
+describe('segments', () => {
+  let api;
+  before(async () => {
+    api = await startTestServer();
+  });
+  after(() => api.close());
+
+  async function createSegment(fields) {
+    const { status, body } = await api.post('/segments', { spreadsheetId: SPREADSHEET, ...fields });
+    assert.equal(status, 201);
+    return body;
+  }
+
+  it('saves, lists, updates and deletes a segment', async () => {
+    const created = await createSegment({ name: 'Example.com', rules: exampleRules });
+    assert.equal(created.match, 'all');
+    assert.ok(created.id);
+
+    const listed = await api.get(`/segments?spreadsheetId=${SPREADSHEET}`);
+    assert.ok(listed.body.segments.some(segment => segment.id === created.id));
+    assert.equal((await api.get('/segments?spreadsheetId=another-spreadsheet')).body.count, 0);
+
+    const updated = await api.put(`/segments/${created.id}`, { name: 'Renamed', match: 'any' });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.name, 'Renamed');
+    assert.equal(updated.body.match, 'any');
+    assert.deepEqual(updated.body.rules, exampleRules);
+
+    assert.equal((await api.delete(`/segments/${created.id}`)).status, 200);
+    assert.equal((await api.get(`/segments/${created.id}`)).status, 404);
+    assert.equal((await api.delete(`/segments/${created.id}`)).status, 404);
+  });
+
+  it('rejects segments without rules or with unknown operators', async () => {
+    const noRules = await api.post('/segments', { name: 'Empty', spreadsheetId: SPREADSHEET, rules: [] });
+    assert.equal(noRules.status, 400);
+    assert.equal(noRules.body.message, 'rules must list at least one rule');
+
+    const badOp = await api.post('/segments', {
+      name: 'Bad',
+      spreadsheetId: SPREADSHEET,
+      rules: [{ column: 'Email', op: 'like', value: 'a' }],
+    });
+    assert.equal(badOp.status, 400);
+    assert.match(badOp.body.message, /Filter op must be one of/);
+  });
+
+  it('previews how many rows a segment picks', async () => {
+    const { status, body } = await api.post(`/segments/preview/${SPREADSHEET}/Sheet1`, {
+      rules: [{ column: 'Name', op: 'notEmpty' }],
+    });
+    assert.equal(status, 200);
+    assert.equal(body.totalRows, 7);
+    assert.equal(body.matchingRows, 5);
+    assert.equal(body.sendableRows, 3);
+    assert.deepEqual(body.skipped, { 'Invalid email format': 1, 'Missing certificate link': 1 });
+    assert.deepEqual(body.sample.map(contact => contact.row), [2, 3, 5, 7, 8]);
+  });
+
+  it('reports rules on columns the sheet does not have', async () => {
+    const segment = await createSegment({ name: 'Scores', rules: [{ column: 'Score', op: 'gte', value: 60 }] });
+    const { status, body } = await api.post(`/segments/preview/${SPREADSHEET}/Sheet1`, { segmentId: segment.id });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid segment');
+    assert.equal(body.message, 'Segment "Scores": Column "Score" is not in the sheet');
+  });
+
+  it('sends a dry run to the rows of a segment only', async () => {
+    const segment = await createSegment({
+      name: 'Ada or Barbara',
+      match: 'any',
+      rules: [
+        { column: 'Name', op: 'contains', value: 'ada' },
+        { column: 'Email', op: 'equals', value: 'BARBARA@example.com' },
+      ],
+    });
+    const { status, body } = await api.post(`/send-emails/${SPREADSHEET}/Sheet1`, {
+      subject: 'Hi {{name}}',
+      body: '<p>{{certificateLink}}</p>',
+      mode: 'dryRun',
+      segmentId: segment.id,
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.segment, { id: segment.id, name: 'Ada or Barbara' });
+    assert.deepEqual(body.recipients.map(recipient => recipient.email), ['ada@example.com', 'barbara@example.com']);
+  });
+
+  it('refuses to send to an unknown segment', async () => {
+    const { status, body } = await api.post(`/send-emails/${SPREADSHEET}/Sheet1`, {
+      subject: 'Hi',
+      body: 'Hello',
+      mode: 'dryRun',
+      segmentId: 'no-such-segment',
+    });
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Segment not found');
+  });
+
+  it('refuses a segment saved for another spreadsheet', async () => {
+    const segment = await createSegment({ name: 'Example', rules: exampleRules });
+    const sent = await api.post('/send-emails/test-validation-spreadsheet/Sheet1', {
+      subject: 'Hi',
+      body: 'Hello',
+      mode: 'dryRun',
+      segmentId: segment.id,
+    });
+    assert.equal(sent.status, 400);
+    assert.equal(sent.body.message, 'Segment "Example" belongs to a different spreadsheet');
+
+    const previewed = await api.post('/segments/preview/test-validation-spreadsheet/Sheet1', { segmentId: segment.id });
+    assert.equal(previewed.status, 400);
+    assert.equal(previewed.body.error, 'Invalid segment');
+  });
+
+  it('searches with rules and with a saved segment', async () => {
+    const rules = JSON.stringify([{ column: 'Certificate', op: 'empty' }]);
+    const byRules = await api.get(`/contacts/${SPREADSHEET}/Sheet1/search?rules=${encodeURIComponent(rules)}`);
+    assert.equal(byRules.status, 200);
+    assert.deepEqual(byRules.body.results.map(contact => contact.originalRow), [6, 7]);
+
+    const segment = await createSegment({ name: 'Example', rules: exampleRules });
+    const bySegment = await api.get(`/contacts/${SPREADSHEET}/Sheet1/search?segmentId=${segment.id}&query=a`);
+    assert.deepEqual(bySegment.body.results.map(contact => contact.originalRow), [2, 3, 4, 7, 8]);
+    assert.equal(bySegment.body.segment.name, 'Example');
+  });
+});
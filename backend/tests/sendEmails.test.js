@@ -0,0 +1,158 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+const SPREADSHEET = 'test-contacts-spreadsheet';
+const SEND_URL = `/send-emails/${SPREADSHEET}/Sheet1`;
+const campaign = {
+  subject: 'Your certificate, {{name}}',
+  body: '<p>Hello {{name}}, download it from {{certificateLink}}</p>',
+};
+
+describe('POST /send-emails/:spreadsheetId/:range', () => {
+  let api;
+  before(async () => {
+    api = await startTestServer();
+  });
+  after(() => api.close());
+  beforeEach(() => api.smtp.clear());
+
+  async function waitForJob(jobId) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const { body } = await api.get(`/jobs/${jobId}`);
+      if (['completed', 'cancelled', 'failed'].includes(body.status)) return body;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+  }
+
+  it('queues a job that mails every sendable contact', async () => {
+    const { status, body } = await api.post(SEND_URL, campaign);
+    assert.equal(status, 202);
+    assert.equal(body.totalRecipients, 4);
+    assert.equal(body.statusUrl, `/jobs/${body.jobId}`);
+
+    const job = await waitForJob(body.jobId);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.sent, 4);
+    assert.equal(job.failed, 0);
+    assert.deepEqual(job.recipients.map(recipient => recipient.row), [2, 3, 4, 8]);
+
+    const delivered = api.smtp.messages;
+    assert.deepEqual(
+      delivered.map(message => message.to).sort(),
+      [['ada@example.com'], ['alan@example.com'], ['barbara@example.com'], ['grace@example.com']],
+    );
+    assert.ok(delivered.every(message => message.from === 'certificates@example.com'));
+    const ada = delivered.find(message => message.to[0] === 'ada@example.com');
+    assert.equal(ada.subject, 'Your certificate, Ada Lovelace');
+    assert.match(ada.raw, /Hello Ada Lovelace, download it from https:\/\/example\.com\/certificates\/ada/);
+  });
+
+  it('renders without sending in dryRun mode', async () => {
+    const { status, body } = await api.post(SEND_URL, { ...campaign, mode: 'dryRun' });
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.equal(body.totalRecipients, 4);
+    assert.equal(body.recipientsWithEmptyPlaceholders, 1);
+    assert.equal(body.recipients[0].subject, 'Your certificate, Ada Lovelace');
+    assert.deepEqual(body.skipped, [
+      { row: 5, email: 'not-an-email', reason: 'Invalid email format' },
+      { row: 6, email: '', reason: 'Missing email' },
+      { row: 7, email: 'ada@example.com', reason: 'Missing certificate link' },
+    ]);
+    assert.equal(api.smtp.messages.length, 0);
+  });
+
+  it('sends chosen rows to the tester in test mode', async () => {
+    const { status, body } = await api.post(SEND_URL, {
+      ...campaign,
+      mode: 'test',
+      testEmail: 'tester@example.com',
+      testRows: [8, 5],
+    });
+    assert.equal(status, 200);
+    assert.equal(body.sent, 1);
+    assert.equal(body.failed, 1);
+    assert.deepEqual(body.results[1], { row: 5, status: 'failed', error: 'Row is not a recipient of this campaign' });
+
+    assert.equal(api.smtp.messages.length, 1);
+    assert.deepEqual(api.smtp.messages[0].to, ['tester@example.com']);
+    assert.equal(api.smtp.messages[0].subject, '[TEST] Your certificate, Barbara Liskov');
+  });
+
+  describe('rejects', () => {
+    it('a missing subject or body', async () => {
+      const { status, body } = await api.post(SEND_URL, { subject: 'Hi' });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Subject and body are required');
+    });
+
+    it('an unknown mode', async () => {
+      const { status, body } = await api.post(SEND_URL, { ...campaign, mode: 'later' });
+      assert.equal(status, 400);
+      assert.match(body.message, /mode must be one of/);
+    });
+
+    it('an unknown sender account', async () => {
+      const { status, body } = await api.post(SEND_URL, { ...campaign, senderId: 'nobody' });
+      assert.equal(status, 400);
+      assert.equal(body.message, 'Unknown sender account "nobody"');
+    });
+
+    it('test mode without a valid testEmail or rows', async () => {
+      const noEmail = await api.post(SEND_URL, { ...campaign, mode: 'test', testRows: [2] });
+      assert.equal(noEmail.status, 400);
+      assert.equal(noEmail.body.message, 'A valid testEmail is required in test mode');
+
+      const noRows = await api.post(SEND_URL, { ...campaign, mode: 'test', testEmail: 'tester@example.com' });
+      assert.equal(noRows.status, 400);
+      assert.match(noRows.body.message, /testRows must list/);
+    });
+
+    it('broken merge tags', async () => {
+      const { status, body } = await api.post(SEND_URL, { ...campaign, body: '{{#if name}}Hi' });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid merge tags');
+    });
+
+    it('an empty sheet', async () => {
+      const { status, body } = await api.post(`/send-emails/${SPREADSHEET}/Empty`, campaign);
+      assert.equal(status, 404);
+      assert.equal(body.error, 'No data found in sheet');
+    });
+
+    it('a sheet without an email column', async () => {
+      const { status, body } = await api.post(`/send-emails/${SPREADSHEET}/${encodeURIComponent('No Email')}`, campaign);
+      assert.equal(status, 400);
+      assert.equal(body.error, 'No email column');
+    });
+
+    it('a range without sendable contacts', async () => {
+      const { status, body } = await api.post(`/send-emails/${SPREADSHEET}/${encodeURIComponent('Sheet1!A5:C7')}`, campaign);
+      assert.equal(status, 400);
+      assert.equal(body.error, 'No valid contacts with certificate links found');
+    });
+
+    it('an invalid range', async () => {
+      const { status, body } = await api.post(`/send-emails/${SPREADSHEET}/Missing`, campaign);
+      assert.equal(status, 500);
+      assert.equal(body.error, 'Failed to send emails');
+    });
+
+    it('write-back on a read-only sheet', async () => {
+      const { status, body } = await api.post(SEND_URL, { ...campaign, writeBack: true });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Cannot write to sheet');
+    });
+
+    it('write-back that would land outside a column-bounded range', async () => {
+      const { status, body } = await api.post(`/send-emails/${SPREADSHEET}/${encodeURIComponent('Sheet1!A1:C8')}`, {
+        ...campaign,
+        writeBack: true,
+      });
+      assert.equal(status, 400);
+      assert.match(body.message, /outside the range Sheet1!A1:C8; extend the range to column F/);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/testServer');
+const { startSmtpCapture } = require('./helpers/smtpCapture');
+const { createSendQueue, summarizeJob, FINISHED_STATUSES } = require('../lib/sendQueue');
+const { createRateLimiter, sleepWhile } = require('../lib/rateLimiter');
+const { createTransport } = require('../lib/transports');
+
+const RECIPIENTS = [
+  { row: 2, name: 'Ada Lovelace', email: 'ada@example.com' },
+  { row: 3, name: 'Alan Turing', email: 'alan@example.com' },
+  { row: 4, name: 'Grace Hopper', email: 'grace@example.com' },
+];
+
+async function waitFor(condition, what) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+const isFinished = job => FINISHED_STATUSES.includes(job.status);
+const statuses = job => job.recipients.map(recipient => recipient.status);
+
+describe('createSendQueue', () => {
+  let smtp;
+  let sender;
+  before(async () => {
+    smtp = await startSmtpCapture();
+    sender = createTransport({
+      id: 'test',
+      type: 'smtp',
+      from: 'Certificates <certificates@example.com>',
+      host: '127.0.0.1',
+      port: smtp.port,
+      secure: false,
+      user: '',
+      password: '',
+    });
+  });
+  after(async () => {
+    sender.close();
+    await smtp.close();
+  });
+  beforeEach(() => smtp.clear());
+
+  const send = (job, recipient) => sender.send({ to: recipient.email, subject: job.subject, text: 'Hello' });
+
+  // Hold deliveries to `email` until release() is called
+  function holdDelivery(email) {
+    let release;
+    const released = new Promise(resolve => {
+      release = resolve;
+    });
+    const deliver = async (job, recipient) => {
+      if (recipient.email === email) await released;
+      return send(job, recipient);
+    };
+    return { deliver, release };
+  }
+
+  it('sends to every recipient and completes the job', async () => {
+    const updates = [];
+    const queue = createSendQueue({ deliver: send, concurrency: 2, onRecipientUpdate: (job, recipient) => updates.push(recipient.status) });
+    const job = queue.enqueue({ spreadsheetId: 'sheet', range: 'Sheet1', subject: 'Hi', body: '', recipients: RECIPIENTS });
+
+    await waitFor(() => isFinished(job), 'the job to finish');
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(statuses(job), ['sent', 'sent', 'sent']);
+    assert.deepEqual(smtp.messages.map(message => message.to[0]).sort(), RECIPIENTS.map(recipient => recipient.email));
+    assert.equal(updates.filter(status => status === 'sent').length, 3);
+  });
+
+  it('retries temporary failures and fails permanent ones right away', async () => {
+    smtp.reject('alan@example.com', { code: 451, times: 1 });
+    smtp.reject('grace@example.com');
+    const queue = createSendQueue({ deliver: send, maxRetries: 2, retryBaseDelay: 10 });
+    const job = queue.enqueue({ spreadsheetId: 'sheet', range: 'Sheet1', subject: 'Hi', body: '', recipients: RECIPIENTS });
+
+    await waitFor(() => isFinished(job), 'the job to finish');
+    assert.deepEqual(statuses(job), ['sent', 'sent', 'failed']);
+    assert.equal(job.recipients[1].attempts, 2);
+
+    const [failure] = summarizeJob(job).errors;
+    assert.equal(failure.email, 'grace@example.com');
+    assert.equal(failure.type, 'permanent');
+    assert.equal(failure.responseCode, 550);
+    assert.equal(failure.attempts, 1);
+  });
+
+  it('gives up on temporary failures after maxRetries', async () => {
+    smtp.reject('ada@example.com', { code: 421 });
+    const queue = createSendQueue({ deliver: send, maxRetries: 1, retryBaseDelay: 10 });
+    const job = queue.enqueue({ spreadsheetId: 'sheet', range: 'Sheet1', subject: 'Hi', body: '', recipients: RECIPIENTS.slice(0, 1) });
+
+    await waitFor(() => isFinished(job), 'the job to finish');
+    assert.equal(job.recipients[0].status, 'failed');
+    assert.equal(job.recipients[0].errorType, 'temporary');
+    assert.equal(job.recipients[0].attempts, 2);
+  });
+
+  it('pauses after the message in flight and resumes where it stopped', async () => {
+    const { deliver, release } = holdDelivery('ada@example.com');
+    const queue = createSendQueue({ deliver });
+    const job = queue.enqueue({ spreadsheetId: 'sheet', range: 'Sheet1', subject: 'Hi', body: '', recipients: RECIPIENTS });
+
+    await waitFor(() => job.recipients[0].status === 'sending', 'the first message');
+    assert.equal(queue.pause(job.id).status, 'paused');
+    release();
+    await waitFor(() => job.recipients[0].status === 'sent', 'the first message to go out');
+    assert.equal(job.status, 'paused');
+    assert.deepEqual(statuses(job), ['sent', 'queued', 'queued']);
+    assert.equal(queue.pause(job.id), null);
+
+    queue.resume(job.id);
+    await waitFor(() => isFinished(job), 'the job to finish');
+    assert.equal(job.status, 'completed');
+    assert.equal(smtp.messages.length, 3);
+  });
+
+  it('cancels the recipients that have not been sent', async () => {
+    const { deliver, release } = holdDelivery('ada@example.com');
+    const queue = createSendQueue({ deliver });
+    const job = queue.enqueue({ spreadsheetId: 'sheet', range: 'Sheet1', subject: 'Hi', body: '', recipients: RECIPIENTS });
+
+    await waitFor(() => job.recipients[0].status === 'sending', 'the first message');
+    assert.equal(queue.cancel(job.id).status, 'cancelled');
+    release();
+    await waitFor(() => job.recipients[0].status === 'sent', 'the first message to go out');
+    assert.deepEqual(statuses(job), ['sent', 'cancelled', 'cancelled']);
+    assert.equal(queue.cancel(job.id), null);
+    assert.equal(queue.resume(job.id), null);
+    assert.equal(smtp.messages.length, 1);
+  });
+
+  it('recovers unfinished jobs after a restart without sending twice', async () => {
+    // The first process stops while Ada's message is being handed to the server
+    const stopped = createSendQueue({ deliver: () => new Promise(() => {}) });
+    const { id } = stopped.enqueue({ spreadsheetId: 'sheet', range: 'Sheet1', subject: 'Hi', body: '', recipients: RECIPIENTS });
+    await waitFor(() => stopped.getJob(id).recipients[0].status === 'sending', 'the first message');
+
+    const restarted = createSendQueue({ deliver: send });
+    assert.equal(restarted.recover(), 1);
+    const job = restarted.getJob(id);
+    await waitFor(() => isFinished(job), 'the job to finish');
+
+    assert.deepEqual(statuses(job), ['failed', 'sent', 'sent']);
+    assert.match(job.recipients[0].error, /interrupted by a restart/);
+    assert.deepEqual(smtp.messages.map(message => message.to[0]), ['alan@example.com', 'grace@example.com']);
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('lets messages through right away without caps', async () => {
+    const limiter = createRateLimiter();
+    const startedAt = Date.now();
+    for (let i = 0; i < 5; i++) assert.equal(await limiter.acquire(), true);
+    assert.ok(Date.now() - startedAt < 100);
+  });
+
+  it('holds messages over the per-second cap until the window moves on', async () => {
+    const limiter = createRateLimiter({ perSecond: 2 });
+    const startedAt = Date.now();
+    await limiter.acquire();
+    await limiter.acquire();
+    assert.ok(Date.now() - startedAt < 100);
+    await limiter.acquire();
+    assert.ok(Date.now() - startedAt >= 950);
+  });
+
+  it('gives up the wait when told to stop', async () => {
+    const limiter = createRateLimiter({ perSecond: 1 });
+    await limiter.acquire();
+    assert.equal(await limiter.acquire(() => false), false);
+    assert.equal(await sleepWhile(5000, () => false), false);
+  });
+});
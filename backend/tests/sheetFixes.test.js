@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { proposeFixes, locateChanges, writeCells, undoCells } = require('../lib/sheetFixes');
+
+const mapping = { name: 'Name', email: 'Email' };
+
+// A sheets client keeping single cells in a map, e.g. { "'Sheet1'!B3": 'value' }
+function createCellClient(cells) {
+  const writes = [];
+  return {
+    cells,
+    writes,
+    spreadsheets: {
+      values: {
+        batchGet: async ({ ranges }) => ({
+          data: { valueRanges: ranges.map(range => (cells[range] ? { range, values: [[cells[range]]] } : { range })) },
+        }),
+        batchUpdate: async ({ requestBody }) => {
+          writes.push(requestBody);
+          requestBody.data.forEach(({ range, values }) => {
+            cells[range] = values[0][0];
+          });
+          return { data: {} };
+        },
+      },
+    },
+  };
+}
+
+describe('proposeFixes', () => {
+  it('proposes cleaned addresses, typo corrections and trimmed names', () => {
+    assert.deepEqual(proposeFixes(3, { Name: ' Alan  Turing ', Email: ' ALAN@Example.com ' }, mapping), [
+      { id: '3:Email', row: 3, column: 'Email', field: 'email', from: ' ALAN@Example.com ', to: 'alan@example.com', reasons: ['Remove spaces', 'Lowercase'] },
+      { id: '3:Name', row: 3, column: 'Name', field: 'name', from: ' Alan  Turing ', to: 'Alan Turing', reasons: ['Trim spaces'] },
+    ]);
+
+    const [typo] = proposeFixes(4, { Name: 'John', Email: 'john@gmial.com' }, mapping, { suggestion: 'john@gmail.com' });
+    assert.equal(typo.to, 'john@gmail.com');
+    assert.deepEqual(typo.reasons, ['Change domain to gmail.com']);
+  });
+
+  it('proposes nothing for clean rows or addresses cleaning cannot save', () => {
+    assert.deepEqual(proposeFixes(2, { Name: 'Ada', Email: 'ada@example.com' }, mapping), []);
+    assert.deepEqual(proposeFixes(5, { Name: 'Katherine', Email: 'Not An Email' }, mapping), []);
+  });
+});
+
+describe('locateChanges', () => {
+  const headers = ['Name', 'Email'];
+
+  it('finds the cell of each change inside the range', () => {
+    const { cells } = locateChanges([{ row: 5, column: 'Email', from: 'a', to: 'b' }], "'Sign ups'!C2:D", headers);
+    assert.equal(cells[0].cell, "'Sign ups'!D5");
+  });
+
+  it('rejects header rows, unknown columns and missing values', () => {
+    assert.match(locateChanges([{ row: 2, column: 'Email', from: '', to: '' }], 'Sheet1!A2:B', headers).error, /not a data row/);
+    assert.equal(locateChanges([{ row: 3, column: 'Phone', from: '', to: '' }], 'Sheet1', headers).error, 'Column "Phone" is not in the sheet');
+    assert.equal(locateChanges([{ row: 3, column: 'Email' }], 'Sheet1', headers).error, 'Each change needs from and to strings');
+    assert.equal(locateChanges([], 'Sheet1', headers).error, 'fixes must list at least one change');
+  });
+});
+
+describe('writeCells', () => {
+  it('writes only cells that still hold the expected value, and undoes them', async () => {
+    const client = createCellClient({ "'Sheet1'!B3": ' ALAN@Example.com ', "'Sheet1'!B4": 'edited in the sheet' });
+    const { cells } = locateChanges([
+      { row: 3, column: 'Email', from: ' ALAN@Example.com ', to: 'alan@example.com' },
+      { row: 4, column: 'Email', from: 'john@gmial.com', to: 'john@gmail.com' },
+    ], 'Sheet1', ['Name', 'Email']);
+
+    const { applied, conflicts } = await writeCells(client, 'spreadsheet', cells);
+    assert.deepEqual(applied.map(entry => entry.cell), ["'Sheet1'!B3"]);
+    assert.deepEqual(conflicts.map(entry => [entry.cell, entry.current]), [["'Sheet1'!B4", 'edited in the sheet']]);
+    assert.equal(client.writes[0].valueInputOption, 'RAW');
+    assert.equal(client.cells["'Sheet1'!B3"], 'alan@example.com');
+
+    const entry = { changes: applied.map(({ row, column, cell, from, to }) => ({ row, column, cell, previousValue: from, newValue: to })) };
+    await writeCells(client, 'spreadsheet', undoCells(entry));
+    assert.equal(client.cells["'Sheet1'!B3"], ' ALAN@Example.com ');
+  });
+});
+
+describe('Validate fixes API', () => {
+  it('proposes fixes, validates requests and keeps uploads read-only', async () => {
+    const api = await startTestServer();
+    try {
+      const { body } = await api.get('/contacts/test-contacts-spreadsheet/Sheet1/validate');
+      assert.deepEqual(body.proposedFixes.map(fix => [fix.id, fix.to]), [['3:Email', 'alan@example.com']]);
+
+      const unknownColumn = await api.post('/contacts/test-contacts-spreadsheet/Sheet1/fixes', {
+        fixes: [{ row: 3, column: 'Phone', from: '', to: '' }],
+      });
+      assert.equal(unknownColumn.status, 400);
+      assert.equal(unknownColumn.body.message, 'Column "Phone" is not in the sheet');
+
+      const upload = await api.post('/contacts/upload-0000/Sheet1/fixes', { fixes: [] });
+      assert.equal(upload.status, 400);
+      assert.equal(upload.body.error, 'Cannot write to sheet');
+
+      assert.deepEqual((await api.get('/fixes')).body, { fixes: [], count: 0 });
+      assert.equal((await api.post('/fixes/no-such-fix/undo')).status, 404);
+    } finally {
+      await api.close();
+    }
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStatusWriter } = require('../lib/sheetWriteBack');
+
+describe('createStatusWriter', () => {
+  // A sheets client that keeps the ranges every batchUpdate wrote
+  function createRecordingSheets() {
+    const writes = [];
+    return {
+      writes,
+      spreadsheets: {
+        values: {
+          batchUpdate: async ({ requestBody }) => {
+            writes.push(...requestBody.data.map(({ range, values }) => [range, values[0][0]]));
+            return { data: {} };
+          },
+        },
+      },
+    };
+  }
+
+  const job = {
+    id: 'job-1',
+    spreadsheetId: 'sheet',
+    writeBack: { sheetName: 'Sheet1', headerRow: 1, columns: { sentAt: 4, status: 5, error: 6 } },
+  };
+
+  it('writes the status of a recipient to its row', async () => {
+    const sheets = createRecordingSheets();
+    const writer = createStatusWriter(sheets);
+    writer.record(job, { row: 3, status: 'failed', error: 'Mailbox full' });
+    writer.record(job, { row: 4, status: 'sending' });
+    await writer.flush(job.id);
+
+    assert.deepEqual(sheets.writes, [
+      ["'Sheet1'!D3", ''],
+      ["'Sheet1'!E3", 'Failed'],
+      ["'Sheet1'!F3", 'Mailbox full'],
+    ]);
+  });
+
+  it('marks every row of a merged recipient', async () => {
+    const sheets = createRecordingSheets();
+    const writer = createStatusWriter(sheets);
+    writer.record(job, { row: 2, mergedRows: [2, 5], status: 'sent', sentAt: '2026-10-19T09:00:00.000Z' });
+    await writer.flush(job.id);
+
+    assert.deepEqual(sheets.writes.filter(([range]) => range.includes('!E')), [
+      ["'Sheet1'!E2", 'Sent'],
+      ["'Sheet1'!E5", 'Sent'],
+    ]);
+    assert.deepEqual(sheets.writes.find(([range]) => range === "'Sheet1'!D5"), ["'Sheet1'!D5", '2026-10-19T09:00:00.000Z']);
+  });
+});
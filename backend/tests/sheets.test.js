@@ -0,0 +1,209 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+const SPREADSHEET = 'test-contacts-spreadsheet';
+
+describe('sheet routes', () => {
+  let api;
+  before(async () => {
+    api = await startTestServer();
+  });
+  after(() => api.close());
+
+  it('GET /health reports the backend is running', async () => {
+    const { status, body } = await api.get('/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'OK');
+  });
+
+  describe('GET /sheets/:spreadsheetId/metadata', () => {
+    it('lists the title and tabs', async () => {
+      const { status, body } = await api.get(`/sheets/${SPREADSHEET}/metadata`);
+      assert.equal(status, 200);
+      assert.equal(body.title, 'Test Contacts');
+      assert.equal(body.spreadsheetId, SPREADSHEET);
+      assert.deepEqual(body.sheets.map(sheet => sheet.title), ['Sheet1', 'Empty', 'No Email', 'Titled', 'Duplicates']);
+      assert.deepEqual(body.sheets[0].gridProperties, { rowCount: 8, columnCount: 3 });
+      assert.ok(!Number.isNaN(Date.parse(body.lastModified)));
+    });
+
+    it('fails for an unknown spreadsheet', async () => {
+      const { status, body } = await api.get('/sheets/no-such-spreadsheet/metadata');
+      assert.equal(status, 500);
+      assert.equal(body.error, 'Failed to fetch metadata');
+      assert.match(body.message, /not found/);
+    });
+  });
+
+  describe('GET /sheets/:spreadsheetId/:range', () => {
+    it('returns rows as objects with row and column counts', async () => {
+      const { status, body } = await api.get(`/sheets/${SPREADSHEET}/Sheet1`);
+      assert.equal(status, 200);
+      assert.equal(body.rowCount, 8);
+      assert.equal(body.columnCount, 3);
+      assert.deepEqual(body.rawData[0], ['Name', 'Email', 'Certificate']);
+      assert.deepEqual(body.data[0], {
+        Name: 'Ada Lovelace',
+        Email: 'ada@example.com',
+        Certificate: 'https://example.com/certificates/ada.pdf',
+      });
+    });
+
+    it('reads Sheet1 when no range is given', async () => {
+      const { status, body } = await api.get(`/sheets/${SPREADSHEET}`);
+      assert.equal(status, 200);
+      assert.equal(body.rowCount, 8);
+    });
+
+    it('returns raw rows with format=raw', async () => {
+      const { body } = await api.get(`/sheets/${SPREADSHEET}/${encodeURIComponent('Sheet1!A1:B3')}?format=raw`);
+      assert.deepEqual(body.data, [
+        ['Name', 'Email'],
+        ['Ada Lovelace', 'ada@example.com'],
+        ['Alan Turing', ' ALAN@Example.com '],
+      ]);
+      assert.equal(body.columnCount, 2);
+    });
+
+    it('answers a matching If-None-Match with 304', async () => {
+      const first = await fetch(`${api.baseUrl}/sheets/${SPREADSHEET}/Sheet1`);
+      const etag = first.headers.get('ETag');
+      assert.ok(etag);
+
+      const second = await fetch(`${api.baseUrl}/sheets/${SPREADSHEET}/Sheet1`, { headers: { 'If-None-Match': etag } });
+      assert.equal(second.status, 304);
+
+      const otherRange = await fetch(`${api.baseUrl}/sheets/${SPREADSHEET}/Empty`, { headers: { 'If-None-Match': etag } });
+      assert.equal(otherRange.status, 200);
+    });
+
+    it('filters, sorts and pages rows', async () => {
+      const filters = encodeURIComponent(JSON.stringify([{ column: 'Certificate', op: 'notEmpty' }]));
+      const { status, body } = await api.get(
+        `/sheets/${SPREADSHEET}/Sheet1?filters=${filters}&sortBy=Name&sortOrder=desc&limit=2&offset=1`,
+      );
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.map(row => row.Name), ['Barbara Liskov', 'Alan Turing']);
+      assert.deepEqual(body.rowNumbers, [8, 3]);
+      assert.deepEqual(body.rawData[0], ['Name', 'Email', 'Certificate']);
+      assert.equal(body.rawData.length, 3);
+      assert.equal(body.totalRows, 7);
+      assert.equal(body.matchingRows, 5);
+      assert.equal(body.offset, 1);
+      assert.equal(body.limit, 2);
+      assert.equal(body.nextOffset, 3);
+    });
+
+    it('has no next page after the last row', async () => {
+      const { body } = await api.get(`/sheets/${SPREADSHEET}/Sheet1?offset=5`);
+      assert.deepEqual(body.rowNumbers, [7, 8]);
+      assert.equal(body.nextOffset, null);
+    });
+
+    it('rejects an invalid row query', async () => {
+      const { status, body } = await api.get(`/sheets/${SPREADSHEET}/Sheet1?sortBy=Phone`);
+      assert.equal(status, 400);
+      assert.equal(body.message, 'Column "Phone" is not in the sheet');
+    });
+
+    it('reports an empty sheet', async () => {
+      const { status, body } = await api.get(`/sheets/${SPREADSHEET}/Empty`);
+      assert.equal(status, 200);
+      assert.equal(body.message, 'No data found');
+      assert.deepEqual(body.data, []);
+      assert.deepEqual(body.rawData, []);
+    });
+
+    it('fails for a range on a tab that does not exist', async () => {
+      const { status, body } = await api.get(`/sheets/${SPREADSHEET}/${encodeURIComponent('Missing!A1:C5')}`);
+      assert.equal(status, 500);
+      assert.equal(body.error, 'Failed to fetch sheet data');
+      assert.match(body.message, /Unable to parse range/);
+    });
+  });
+
+  describe('POST /sheets/:spreadsheetId/batch', () => {
+    it('reads several ranges at once', async () => {
+      const { status, body } = await api.post(`/sheets/${SPREADSHEET}/batch`, {
+        ranges: ['Sheet1!A1:B3', 'Empty'],
+      });
+      assert.equal(status, 200);
+      assert.equal(body.ranges.length, 2);
+      assert.equal(body.ranges[0].range, 'Sheet1!A1:B3');
+      assert.equal(body.ranges[0].values.length, 3);
+      assert.deepEqual(body.ranges[0].data[1], { Name: 'Alan Turing', Email: ' ALAN@Example.com ' });
+      assert.deepEqual(body.ranges[1], { range: 'Empty', values: [], data: [] });
+    });
+
+    it('requires a ranges array', async () => {
+      const { status, body } = await api.post(`/sheets/${SPREADSHEET}/batch`, { ranges: 'Sheet1' });
+      assert.equal(status, 400);
+      assert.equal(body.message, 'ranges array is required');
+    });
+
+    it('fails when one of the ranges is invalid', async () => {
+      const { status, body } = await api.post(`/sheets/${SPREADSHEET}/batch`, { ranges: ['Sheet1', 'Missing!A:B'] });
+      assert.equal(status, 500);
+      assert.equal(body.error, 'Failed to fetch batch data');
+    });
+  });
+
+  describe('POST /sheets/:spreadsheetId/refresh', () => {
+    it('clears the cached reads of a spreadsheet', async () => {
+      await api.get(`/sheets/${SPREADSHEET}/Sheet1`);
+      const { status, body } = await api.post(`/sheets/${SPREADSHEET}/refresh`, {});
+      assert.equal(status, 200);
+      assert.ok(body.invalidated >= 1);
+
+      const again = await api.post(`/sheets/${SPREADSHEET}/refresh`, {});
+      assert.equal(again.body.invalidated, 0);
+    });
+
+    it('clears a single range', async () => {
+      await api.get(`/sheets/${SPREADSHEET}/Sheet1`);
+      const { body } = await api.post(`/sheets/${SPREADSHEET}/refresh`, { range: 'Sheet1' });
+      assert.equal(body.invalidated, 1);
+    });
+
+    it('rejects a range that is not a string', async () => {
+      const { status, body } = await api.post(`/sheets/${SPREADSHEET}/refresh`, { range: 5 });
+      assert.equal(status, 400);
+      assert.equal(body.message, 'range must be a non-empty string');
+    });
+  });
+
+  describe('GET /sheets/:spreadsheetId/:sheetName/row/:rowNumber', () => {
+    it('returns one row keyed by the headers', async () => {
+      const { status, body } = await api.get(`/sheets/${SPREADSHEET}/Sheet1/row/8`);
+      assert.equal(status, 200);
+      assert.equal(body.rowNumber, 8);
+      assert.deepEqual(body.data, {
+        Name: 'Barbara Liskov',
+        Email: 'barbara@example.com',
+        Certificate: 'https://example.com/certificates/barbara.pdf',
+      });
+    });
+
+    it('takes the headers from the first row of the selected range', async () => {
+      const { status, body } = await api.get(`/sheets/${SPREADSHEET}/Titled/row/4?range=${encodeURIComponent('Titled!A3:B')}`);
+      assert.equal(status, 200);
+      assert.deepEqual(body.data, { Name: 'Ada Lovelace', Email: 'ada@example.com' });
+
+      const otherSheet = await api.get(`/sheets/${SPREADSHEET}/Titled/row/4?range=${encodeURIComponent('Sheet1!A1:C')}`);
+      assert.equal(otherSheet.status, 400);
+    });
+
+    it('returns 404 for a row past the end of the sheet', async () => {
+      const { status, body } = await api.get(`/sheets/${SPREADSHEET}/Sheet1/row/99`);
+      assert.equal(status, 404);
+      assert.equal(body.error, 'Row not found');
+    });
+
+    it('fails for a tab that does not exist', async () => {
+      const { status, body } = await api.get(`/sheets/${SPREADSHEET}/Missing/row/2`);
+      assert.equal(status, 500);
+      assert.equal(body.error, 'Failed to fetch row');
+    });
+  });
+});
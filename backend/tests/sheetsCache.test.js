@@ -0,0 +1,209 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSheetsCache } = require('../lib/sheetsCache');
+
+// A sheets client that counts the requests it gets
+function createCountingClient() {
+  const calls = [];
+  let modifiedTime = '2026-01-01T00:00:00.000Z';
+  const valuesFor = range => [[range]];
+
+  return {
+    calls,
+    touch: time => {
+      modifiedTime = time;
+    },
+    getModifiedTime: async () => {
+      calls.push('getModifiedTime');
+      return modifiedTime;
+    },
+    spreadsheets: {
+      get: async ({ spreadsheetId }) => {
+        calls.push('get');
+        return { data: { spreadsheetId } };
+      },
+      batchUpdate: async () => {
+        calls.push('batchUpdate');
+        return { data: {} };
+      },
+      values: {
+        get: async ({ range }) => {
+          calls.push(`values.get ${range}`);
+          return { data: { range, values: valuesFor(range) } };
+        },
+        batchGet: async ({ spreadsheetId, ranges }) => {
+          calls.push(`values.batchGet ${ranges.join(',')}`);
+          return { data: { spreadsheetId, valueRanges: ranges.map(range => ({ range, values: valuesFor(range) })) } };
+        },
+        update: async () => {
+          calls.push('values.update');
+          return { data: {} };
+        },
+        batchUpdate: async () => ({ data: {} }),
+        append: async () => ({ data: {} }),
+      },
+    },
+  };
+}
+
+describe('createSheetsCache', () => {
+  let client;
+  let time;
+  let cache;
+  beforeEach(() => {
+    client = createCountingClient();
+    time = 0;
+    cache = createSheetsCache(client, { ttl: 1000, now: () => time });
+  });
+
+  it('answers repeated reads of a range from the cache until the ttl runs out', async () => {
+    const first = await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet1' });
+    const second = await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet1' });
+    assert.deepEqual(second, first);
+    assert.deepEqual(client.calls, ['values.get Sheet1']);
+
+    time = 1000;
+    await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet1' });
+    assert.equal(client.calls.length, 2);
+  });
+
+  it('keeps spreadsheets and ranges apart', async () => {
+    await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet1' });
+    await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet2' });
+    await cache.spreadsheets.values.get({ spreadsheetId: 'other', range: 'Sheet1' });
+    assert.equal(client.calls.length, 3);
+  });
+
+  it('shares one request between concurrent reads', async () => {
+    await Promise.all([
+      cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet1' }),
+      cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet1' }),
+    ]);
+    assert.equal(client.calls.length, 1);
+  });
+
+  it('does not keep failed reads', async () => {
+    let fail = true;
+    const get = client.spreadsheets.values.get;
+    client.spreadsheets.values.get = async params => {
+      if (fail) throw new Error('quota exceeded');
+      return get(params);
+    };
+
+    await assert.rejects(cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet1' }), /quota/);
+    fail = false;
+    const response = await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet1' });
+    assert.deepEqual(response.data.values, [['Sheet1']]);
+  });
+
+  it('fetches only the uncached ranges of a batchGet', async () => {
+    await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'A' });
+    const response = await cache.spreadsheets.values.batchGet({ spreadsheetId: 'sheet', ranges: ['A', 'B', 'C'] });
+    assert.deepEqual(response.data.valueRanges.map(valueRange => valueRange.range), ['A', 'B', 'C']);
+    assert.deepEqual(client.calls, ['values.get A', 'values.batchGet B,C']);
+
+    await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'C' });
+    assert.equal(client.calls.length, 2);
+  });
+
+  it('caches spreadsheets.get per set of options', async () => {
+    await cache.spreadsheets.get({ spreadsheetId: 'sheet' });
+    await cache.spreadsheets.get({ spreadsheetId: 'sheet' });
+    await cache.spreadsheets.get({ spreadsheetId: 'sheet', fields: 'sheets.properties' });
+    assert.deepEqual(client.calls, ['get', 'get']);
+  });
+
+  it('clears a spreadsheet after a write to it', async () => {
+    await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet1' });
+    await cache.spreadsheets.values.update({ spreadsheetId: 'sheet', range: 'Sheet1!A1' });
+    await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet1' });
+    assert.deepEqual(client.calls, ['values.get Sheet1', 'values.update', 'values.get Sheet1']);
+  });
+
+  it('invalidates one range or a whole spreadsheet', async () => {
+    await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'A' });
+    await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'B' });
+    await cache.spreadsheets.get({ spreadsheetId: 'sheet' });
+
+    assert.equal(cache.invalidate('sheet', 'A'), 1);
+    assert.equal(cache.invalidate('sheet', 'A'), 0);
+    assert.equal(cache.invalidate('sheet'), 2);
+    assert.equal(cache.invalidate('unknown'), 0);
+  });
+
+  it('sweeps out expired entries once the ttl has passed', async () => {
+    await cache.spreadsheets.values.get({ spreadsheetId: 'old', range: 'Sheet1' });
+    await cache.spreadsheets.values.get({ spreadsheetId: 'old', range: 'Sheet2' });
+
+    time = 1500;
+    await cache.spreadsheets.values.get({ spreadsheetId: 'new', range: 'Sheet1' });
+    assert.equal(cache.invalidate('old'), 0);
+    assert.equal(cache.invalidate('new'), 1);
+  });
+
+  it('drops the least recently read entries past maxEntries', async () => {
+    cache = createSheetsCache(client, { ttl: 1000, maxEntries: 2, now: () => time });
+    const read = range => cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range });
+    await read('A');
+    time = 1;
+    await read('B');
+    time = 2;
+    await read('A');
+    time = 3;
+    await read('C');
+    client.calls.length = 0;
+
+    await read('A');
+    await read('C');
+    assert.deepEqual(client.calls, []);
+    await read('B');
+    assert.deepEqual(client.calls, ['values.get B']);
+  });
+
+  it('clears a spreadsheet when its modified time changes', async () => {
+    assert.equal(await cache.getModifiedTime('sheet'), '2026-01-01T00:00:00.000Z');
+    // Still cached when the modified time is checked again
+    time = 600;
+    await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet1' });
+
+    client.touch('2026-01-02T00:00:00.000Z');
+    time = 1000;
+    assert.equal(await cache.getModifiedTime('sheet'), '2026-01-02T00:00:00.000Z');
+    await cache.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'Sheet1' });
+    await cache.getModifiedTime('sheet');
+
+    assert.deepEqual(client.calls, [
+      'getModifiedTime',
+      'values.get Sheet1',
+      'getModifiedTime',
+      'values.get Sheet1',
+    ]);
+  });
+
+  it('passes every read through with a ttl of 0', async () => {
+    const uncached = createSheetsCache(client, { ttl: 0 });
+    await uncached.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'A' });
+    await uncached.spreadsheets.values.get({ spreadsheetId: 'sheet', range: 'A' });
+    const response = await uncached.spreadsheets.values.batchGet({ spreadsheetId: 'sheet', ranges: ['A', 'B'] });
+    assert.equal(response.data.valueRanges.length, 2);
+    assert.equal(client.calls.length, 3);
+  });
+
+  it('rejects a failed batchGet with a ttl of 0 without leaving unhandled rejections', async () => {
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    client.spreadsheets.values.batchGet = async () => {
+      throw new Error('Unable to parse range: NoSuchTab!2:2');
+    };
+
+    try {
+      const uncached = createSheetsCache(client, { ttl: 0 });
+      await assert.rejects(uncached.spreadsheets.values.batchGet({ spreadsheetId: 'sheet', ranges: ['A', 'B'] }), /parse range/);
+      await new Promise(resolve => setImmediate(resolve));
+      assert.deepEqual(unhandled, []);
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+const SPREADSHEET = 'test-contacts-spreadsheet';
+
+describe('audience sources', () => {
+  let api;
+  before(async () => {
+    api = await startTestServer();
+  });
+  after(() => api.close());
+
+  it('adds a spreadsheet from its URL with its title and tabs', async () => {
+    const { status, body } = await api.post('/sources', { url: `https://docs.google.com/spreadsheets/d/${SPREADSHEET}/edit#gid=0` });
+    assert.equal(status, 201);
+    assert.equal(body.type, 'sheet');
+    assert.equal(body.spreadsheetId, SPREADSHEET);
+    assert.equal(body.name, 'Test Contacts');
+    assert.equal(body.lastRange, 'Sheet1');
+    assert.ok(body.sheets.includes('Duplicates'));
+
+    const listed = await api.get('/sources');
+    assert.ok(listed.body.sources.some(source => source.id === body.id));
+  });
+
+  it('refuses to add the same spreadsheet twice', async () => {
+    const { status, body } = await api.post('/sources', { spreadsheetId: SPREADSHEET, name: 'Again' });
+    assert.equal(status, 409);
+    assert.equal(body.source.spreadsheetId, SPREADSHEET);
+  });
+
+  it('rejects input that is not a spreadsheet and sheets it cannot open', async () => {
+    const notAnId = await api.post('/sources', { url: 'my contacts' });
+    assert.equal(notAnId.status, 400);
+    assert.equal(notAnId.body.message, 'Paste a Google Sheets URL or spreadsheet ID');
+
+    const unknown = await api.post('/sources', { spreadsheetId: 'no-such-spreadsheet-here' });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, 'Cannot access spreadsheet');
+  });
+
+  it('renames a source and remembers its last range', async () => {
+    const { body: source } = await api.post('/sources', { spreadsheetId: 'test-validation-spreadsheet', name: 'Validation' });
+    assert.equal(source.name, 'Validation');
+
+    const updated = await api.put(`/sources/${source.id}`, { name: ' Checked ', lastRange: 'Sheet1!A1:C10' });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.name, 'Checked');
+    assert.equal(updated.body.lastRange, 'Sheet1!A1:C10');
+
+    const blank = await api.put(`/sources/${source.id}`, { name: '' });
+    assert.equal(blank.status, 400);
+    assert.equal(blank.body.message, 'name must not be empty');
+  });
+
+  it('removes a source', async () => {
+    const { body: source } = await api.post('/sources', { spreadsheetId: 'test-attachments-spreadsheet' });
+    assert.equal((await api.delete(`/sources/${source.id}`)).status, 200);
+    assert.ok(!(await api.get('/sources')).body.sources.some(entry => entry.id === source.id));
+    assert.equal((await api.delete(`/sources/${source.id}`)).status, 404);
+    assert.equal((await api.put(`/sources/${source.id}`, { name: 'Gone' })).status, 404);
+  });
+});
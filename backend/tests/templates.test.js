@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+const design = { body: { rows: [] } };
+
+describe('template library', () => {
+  let api;
+  before(async () => {
+    api = await startTestServer();
+  });
+  after(() => api.close());
+
+  it('saves a template and lists it without its design', async () => {
+    const created = await api.post('/templates', { name: ' Welcome ', subject: 'Hi {{Name}}', design, html: '<p>Hi</p>' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.name, 'Welcome');
+    assert.equal(created.body.version, 1);
+
+    const { body } = await api.get('/templates');
+    const listed = body.templates.find(template => template.id === created.body.id);
+    assert.equal(listed.subject, 'Hi {{Name}}');
+    assert.equal(listed.design, undefined);
+    assert.equal(listed.html, undefined);
+
+    const fetched = await api.get(`/templates/${created.body.id}`);
+    assert.deepEqual(fetched.body.design, design);
+    assert.equal(fetched.body.html, '<p>Hi</p>');
+  });
+
+  it('keeps every save as a version and restores an old one', async () => {
+    const { body: template } = await api.post('/templates', { name: 'Reminder', subject: 'First', design, html: '<p>1</p>' });
+    const updated = await api.put(`/templates/${template.id}`, { subject: 'Second', html: '<p>2</p>', note: 'Shorter' });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.version, 2);
+    assert.equal(updated.body.name, 'Reminder');
+
+    const versions = await api.get(`/templates/${template.id}/versions`);
+    assert.deepEqual(versions.body.versions.map(({ version, subject, note }) => ({ version, subject, note })), [
+      { version: 2, subject: 'Second', note: 'Shorter' },
+      { version: 1, subject: 'First', note: null },
+    ]);
+    assert.equal((await api.get(`/templates/${template.id}/versions/1`)).body.html, '<p>1</p>');
+
+    const restored = await api.post(`/templates/${template.id}/versions/1/restore`);
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.version, 3);
+    assert.equal(restored.body.subject, 'First');
+    assert.equal(restored.body.html, '<p>1</p>');
+    assert.equal((await api.get(`/templates/${template.id}/versions`)).body.versions[0].note, 'Restored version 1');
+  });
+
+  it('deletes a template together with its versions', async () => {
+    const { body: template } = await api.post('/templates', { name: 'Old', design });
+    assert.equal((await api.delete(`/templates/${template.id}`)).status, 200);
+    assert.equal((await api.get(`/templates/${template.id}`)).status, 404);
+    assert.equal((await api.get(`/templates/${template.id}/versions`)).status, 404);
+    assert.equal((await api.delete(`/templates/${template.id}`)).status, 404);
+  });
+
+  it('rejects templates without a name or design', async () => {
+    const noName = await api.post('/templates', { name: ' ', design });
+    assert.equal(noName.status, 400);
+    assert.equal(noName.body.message, 'name is required');
+
+    const noDesign = await api.post('/templates', { name: 'No design', design: [] });
+    assert.equal(noDesign.status, 400);
+    assert.equal(noDesign.body.message, 'design must be the Unlayer design JSON object');
+
+    const { body: template } = await api.post('/templates', { name: 'Kept', design });
+    const badSubject = await api.put(`/templates/${template.id}`, { subject: 42 });
+    assert.equal(badSubject.status, 400);
+    assert.equal(badSubject.body.message, 'subject must be a string');
+  });
+
+  it('returns 404 for unknown templates and versions', async () => {
+    assert.equal((await api.put('/templates/missing', { name: 'x' })).status, 404);
+    const { body: template } = await api.post('/templates', { name: 'One version', design });
+    const missingVersion = await api.get(`/templates/${template.id}/versions/7`);
+    assert.equal(missingVersion.status, 404);
+    assert.equal(missingVersion.body.error, 'Template version not found');
+    assert.equal((await api.post(`/templates/${template.id}/versions/abc/restore`)).status, 404);
+  });
+});
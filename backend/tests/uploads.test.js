@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { startTestServer } = require('./helpers/testServer');
+
+describe('POST /sources/upload', () => {
+  let api;
+  before(async () => {
+    api = await startTestServer();
+  });
+  after(() => api.close());
+
+  async function uploadFile(fileName, content, fields = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([content]), fileName);
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+    const response = await fetch(`${api.baseUrl}/sources/upload`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('stores a CSV file as a source the contact routes can read', async () => {
+    const csv = '﻿Name;Email;Note\r\nAda Lovelace;ada@example.com;"First; and ""only"""\r\nAlan Turing;alan@example.com;\r\n';
+    const { status, body } = await uploadFile('contacts.csv', csv, { name: 'Workshop' });
+    assert.equal(status, 201);
+    assert.equal(body.source.type, 'upload');
+    assert.equal(body.source.name, 'Workshop');
+    assert.equal(body.source.spreadsheetId, body.dataset.id);
+    assert.match(body.dataset.id, /^upload-/);
+    assert.equal(body.dataset.format, 'csv');
+    assert.deepEqual(body.dataset.sheets, [{ title: 'Sheet1', rowCount: 3, columnCount: 3 }]);
+
+    const rows = await api.get(`/sheets/${body.dataset.id}/Sheet1`);
+    assert.equal(rows.status, 200);
+    assert.deepEqual(rows.body.data[0], { Name: 'Ada Lovelace', Email: 'ada@example.com', Note: 'First; and "only"' });
+  });
+
+  it('reads JSON arrays of objects', async () => {
+    const json = JSON.stringify({ contacts: [{ Name: 'Ada', Email: 'ada@example.com' }, { Email: 'grace@example.com', Course: 'Compilers' }] });
+    const { status, body } = await uploadFile('contacts.json', json);
+    assert.equal(status, 201);
+    assert.equal(body.source.name, 'contacts.json');
+
+    const rows = await api.get(`/sheets/${body.dataset.id}/Sheet1`);
+    assert.deepEqual(rows.body.rawData[0], ['Name', 'Email', 'Course']);
+    assert.deepEqual(rows.body.data[1], { Name: '', Email: 'grace@example.com', Course: 'Compilers' });
+  });
+
+  it('keeps every worksheet of an XLSX file that has rows', async () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Attendees').addRows([['Name', 'Email'], ['Ada Lovelace', 'ada@example.com']]);
+    workbook.addWorksheet('Blank');
+    const { status, body } = await uploadFile('attendees.xlsx', await workbook.xlsx.writeBuffer());
+    assert.equal(status, 201);
+    assert.deepEqual(body.source.sheets, ['Attendees']);
+
+    const rows = await api.get(`/sheets/${body.dataset.id}/Attendees`);
+    assert.deepEqual(rows.body.data, [{ Name: 'Ada Lovelace', Email: 'ada@example.com' }]);
+  });
+
+  it('rejects missing, unsupported, broken and empty files', async () => {
+    const form = new FormData();
+    form.append('name', 'Nothing');
+    const noFile = await fetch(`${api.baseUrl}/sources/upload`, { method: 'POST', body: form });
+    assert.equal(noFile.status, 400);
+
+    const unsupported = await uploadFile('contacts.pdf', '%PDF-1.4');
+    assert.equal(unsupported.status, 400);
+    assert.match(unsupported.body.message, /Unsupported file type "contacts.pdf"/);
+
+    const broken = await uploadFile('contacts.csv', 'Name,Email\n"Ada,ada@example.com\n');
+    assert.equal(broken.status, 400);
+    assert.equal(broken.body.message, 'CSV has an unterminated quoted field');
+
+    const empty = await uploadFile('contacts.csv', '');
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.message, 'The file does not contain any rows');
+  });
+
+  it('removes the uploaded data with its source', async () => {
+    const { body } = await uploadFile('contacts.csv', 'Name,Email\nAda,ada@example.com\n');
+    assert.equal((await api.delete(`/sources/${body.source.id}`)).status, 200);
+    assert.notEqual((await api.get(`/sheets/${body.dataset.id}/Sheet1`)).status, 200);
+  });
+});
@@ -1,6 +1,6 @@
 "use client"
 
-import { useState, useEffect, useCallback, useRef } from "react"
+import { useState, useEffect, useCallback, useMemo, useRef } from "react"
 import {
   Search,
   Mail,
@@ -13,23 +13,310 @@ import {
   RefreshCw,
   Moon,
   Sun,
+  Pause,
+  Play,
+  XCircle,
+  Eye,
+  ChevronLeft,
+  ChevronRight,
+  FlaskConical,
+  Send,
+  CalendarClock,
+  Plus,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
+  Paperclip,
+  Award,
 } from "lucide-react"
 import EmailEditor from "react-email-editor"
 
 const API_BASE_URL = "http://localhost:3000"
+const FINISHED_JOB_STATUSES = ["completed", "cancelled", "failed"]
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC"
+const TIME_ZONES = Intl.supportedValuesOf ? Intl.supportedValuesOf("timeZone") : [BROWSER_TIME_ZONE]
+
+// 1536 -> "1.5 KB"
+const formatFileSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`
+  if (bytes >= 1024) return `${Number((bytes / 1024).toFixed(1))} KB`
+  return `${bytes} bytes`
+}
+
+// 1 -> A, 27 -> AA
+const columnToLetter = (column) => {
+  let letters = ""
+  for (let remaining = column; remaining > 0; remaining = Math.floor((remaining - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((remaining - 1) % 26)) + letters
+  }
+  return letters
+}
+
+// "'My Tab'!B3:F200" -> { sheet: "My Tab", headerRow: 3, firstColumn: "B", lastColumn: "F", lastRow: "200" }
+const parseRangeSelection = (range) => {
+  const bangIndex = range.lastIndexOf("!")
+  const rawSheet = bangIndex === -1 ? range : range.slice(0, bangIndex)
+  const sheet = /^'.*'$/.test(rawSheet) ? rawSheet.slice(1, -1).replace(/''/g, "'") : rawSheet
+  const cells = bangIndex === -1 ? "" : range.slice(bangIndex + 1)
+  const [, firstColumn = "", firstRow = "", lastColumn = "", lastRow = ""] =
+    cells.match(/^([A-Za-z]*)(\d*)(?::([A-Za-z]*)(\d*))?$/) || []
+  return {
+    sheet,
+    headerRow: parseInt(firstRow, 10) || 1,
+    firstColumn: firstColumn.toUpperCase(),
+    lastColumn: lastColumn.toUpperCase(),
+    lastRow,
+  }
+}
+
+// Inverse of parseRangeSelection. The header row is the first row of the range;
+// an open-ended column span runs to the last column of the tab.
+const buildRange = ({ sheet, headerRow, firstColumn, lastColumn, lastRow }, columnCount) => {
+  const quotedSheet = /^[A-Za-z_][A-Za-z0-9_]*$/.test(sheet) && !/^[A-Za-z]{1,3}\d+$/.test(sheet)
+    ? sheet
+    : `'${sheet.replace(/'/g, "''")}'`
+  const row = Math.max(parseInt(headerRow, 10) || 1, 1)
+  if (row === 1 && !firstColumn && !lastColumn && !lastRow) return quotedSheet
+
+  const endColumn = lastColumn || columnToLetter(columnCount || 26)
+  return `${quotedSheet}!${firstColumn || "A"}${row}:${endColumn}${lastRow}`
+}
+
+// Contact fields a sheet's columns are mapped to
+const MAPPING_FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "email", label: "Email" },
+  { key: "cc", label: "CC" },
+  { key: "certificateLink", label: "Certificate link" },
+  { key: "course", label: "Course" },
+  { key: "attachment", label: "Attachment (file name or URL)" },
+]
+
+// Starting point for a new certificate design; the text may use any merge tag plus {{date}},
+// and the QR code links to the certificate's verification page
+const STARTER_CERTIFICATE_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="1123" height="794">
+  <rect x="24" y="24" width="1075" height="746" fill="none" stroke="#1e3a8a" stroke-width="8"/>
+  <text x="561" y="220" text-anchor="middle" font-family="serif" font-size="56" font-weight="bold">Certificate of Completion</text>
+  <text x="561" y="320" text-anchor="middle" font-family="sans-serif" font-size="24">This certifies that</text>
+  <text x="561" y="410" text-anchor="middle" font-family="serif" font-size="48" font-style="italic">{{name}}</text>
+  <text x="561" y="490" text-anchor="middle" font-family="sans-serif" font-size="24">has completed {{Course|the course}}</text>
+  <text x="561" y="640" text-anchor="middle" font-family="sans-serif" font-size="18">{{date}}</text>
+  <image x="943" y="614" width="120" height="120" href="{{certificateQrCode}}"/>
+  <text x="60" y="730" font-family="monospace" font-size="12">Certificate ID {{certificateId}}</text>
+</svg>`
+
+// The Sheet Data table fetches TABLE_PAGE_SIZE rows at a time and only renders the rows in view
+const TABLE_PAGE_SIZE = 200
+const TABLE_ROW_HEIGHT = 40
+const TABLE_HEIGHT = 480
+const TABLE_OVERSCAN = 10
+
+// Column filters the sheet data API understands
+const FILTER_OPS = [
+  { value: "contains", label: "contains" },
+  { value: "equals", label: "equals" },
+  { value: "startsWith", label: "starts with" },
+  { value: "endsWith", label: "ends with" },
+  { value: "regex", label: "matches regex" },
+  { value: "empty", label: "is empty" },
+  { value: "notEmpty", label: "is not empty" },
+]
+
+// Segment rules take the same operators plus comparisons and lists
+const RULE_OPS = [
+  ...FILTER_OPS,
+  { value: "notEquals", label: "does not equal" },
+  { value: "in", label: "is one of" },
+  { value: "notIn", label: "is not one of" },
+  { value: "gt", label: ">" },
+  { value: "gte", label: "≥" },
+  { value: "lt", label: "<" },
+  { value: "lte", label: "≤" },
+]
+const VALUELESS_OPS = ["empty", "notEmpty"]
+
+// Scrollable table that renders only the visible rows, with sortable headers and a filter per column.
+// onNearEnd is called when the user scrolls close to the last loaded row; a new resetKey scrolls back to the top.
+const VirtualSheetTable = ({ headers, rows, darkMode, sort, onSort, filters, onFilterChange, onNearEnd, resetKey }) => {
+  const [scrollTop, setScrollTop] = useState(0)
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    if (containerRef.current) containerRef.current.scrollTop = 0
+    setScrollTop(0)
+  }, [resetKey])
+
+  const first = Math.max(0, Math.floor(scrollTop / TABLE_ROW_HEIGHT) - TABLE_OVERSCAN)
+  const last = Math.min(rows.length, Math.ceil((scrollTop + TABLE_HEIGHT) / TABLE_ROW_HEIGHT) + TABLE_OVERSCAN)
+
+  const handleScroll = (event) => {
+    const top = event.currentTarget.scrollTop
+    setScrollTop(top)
+    if ((top + TABLE_HEIGHT) / TABLE_ROW_HEIGHT > rows.length - TABLE_OVERSCAN * 5) {
+      onNearEnd()
+    }
+  }
+
+  const cellBorder = darkMode ? "border-b border-gray-700" : "border border-gray-300"
+  const inputClass = `w-full px-2 py-1 text-xs rounded border ${
+    darkMode ? "bg-gray-800 border-gray-600 text-white" : "bg-white border-gray-300"
+  }`
+
+  return (
+    <div ref={containerRef} className="overflow-auto rounded-lg" style={{ maxHeight: TABLE_HEIGHT }} onScroll={handleScroll}>
+      <table className={`w-full border-collapse ${darkMode ? "text-gray-200" : ""}`}>
+        <thead className={`sticky top-0 z-10 ${darkMode ? "bg-gray-700" : "bg-gray-50"}`}>
+          <tr>
+            <th className={`px-3 py-2 text-left text-xs w-16 ${cellBorder}`}>Row</th>
+            {headers.map((header, index) => (
+              <th key={index} className={`px-3 py-2 text-left whitespace-nowrap ${cellBorder}`}>
+                <button onClick={() => onSort(header)} className="flex items-center gap-1 font-semibold" title="Sort">
+                  {header || `Column ${index + 1}`}
+                  {sort.sortBy === header &&
+                    (sort.sortOrder === "asc" ? <ArrowUp className="h-3 w-3" /> : <ArrowDown className="h-3 w-3" />)}
+                </button>
+              </th>
+            ))}
+          </tr>
+          <tr>
+            <th className={cellBorder} />
+            {headers.map((header, index) => {
+              const filter = filters[header] || { op: "contains", value: "" }
+              const needsValue = filter.op !== "empty" && filter.op !== "notEmpty"
+              return (
+                <th key={index} className={`px-2 py-1 font-normal min-w-36 ${cellBorder}`}>
+                  <div className="flex gap-1">
+                    <select
+                      value={filter.op}
+                      onChange={(e) => onFilterChange(header, { ...filter, op: e.target.value })}
+                      disabled={!header}
+                      className={`${inputClass} w-auto`}
+                    >
+                      {FILTER_OPS.map((op) => (
+                        <option key={op.value} value={op.value}>
+                          {op.label}
+                        </option>
+                      ))}
+                    </select>
+                    {needsValue && (
+                      <input
+                        type="text"
+                        value={filter.value}
+                        onChange={(e) => onFilterChange(header, { ...filter, value: e.target.value })}
+                        disabled={!header}
+                        placeholder="Filter..."
+                        className={inputClass}
+                      />
+                    )}
+                  </div>
+                </th>
+              )
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          {first > 0 && <tr style={{ height: first * TABLE_ROW_HEIGHT }} />}
+          {rows.slice(first, last).map((row) => (
+            <tr
+              key={row.row}
+              style={{ height: TABLE_ROW_HEIGHT }}
+              className={darkMode ? "hover:bg-gray-700 border-b border-gray-700" : "hover:bg-gray-50 border-b border-gray-200"}
+            >
+              <td className={`px-3 text-xs ${darkMode ? "text-gray-400" : "text-gray-500 border-x border-gray-300"}`}>
+                {row.row}
+              </td>
+              {headers.map((header, cellIndex) => (
+                <td
+                  key={cellIndex}
+                  title={row.cells[cellIndex] || ""}
+                  className={`px-3 text-sm whitespace-nowrap overflow-hidden text-ellipsis max-w-xs ${
+                    darkMode ? "" : "border-x border-gray-300"
+                  }`}
+                >
+                  {row.cells[cellIndex] || "-"}
+                </td>
+              ))}
+            </tr>
+          ))}
+          {last < rows.length && <tr style={{ height: (rows.length - last) * TABLE_ROW_HEIGHT }} />}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+// Last-used audience source and range survive reloads
+const readStoredValue = (key, fallback) =>
+  (typeof window !== "undefined" && localStorage.getItem(key)) || fallback
 
 const SheetsApiFrontend = () => {
-  const spreadsheetId = "1zm0XY3dMdik7mC4hkRK5Phyf0FAlF6putMoQbbJpNks"
+  const [audienceSources, setAudienceSources] = useState([])
+  const [activeSourceId, setActiveSourceId] = useState(() => readStoredValue("audienceSourceId", ""))
+  const [showAddSource, setShowAddSource] = useState(false)
+  const [newSourceUrl, setNewSourceUrl] = useState("")
+  const [newSourceName, setNewSourceName] = useState("")
+  const [newSourceFile, setNewSourceFile] = useState(null)
   const [activeTab, setActiveTab] = useState("contacts")
   const [loading, setLoading] = useState(false)
   const [data, setData] = useState(null)
   const [error, setError] = useState("")
   const [sheetMetadata, setSheetMetadata] = useState(null)
+  const [sheetChanged, setSheetChanged] = useState(false)
+  const [tableRows, setTableRows] = useState([])
+  const [tableInfo, setTableInfo] = useState(null)
+  const [tableLoading, setTableLoading] = useState(false)
+  const [tableSort, setTableSort] = useState({ sortBy: null, sortOrder: "asc" })
+  const [tableFilters, setTableFilters] = useState({})
+  const [appliedTableFilters, setAppliedTableFilters] = useState([])
+  const tableGenerationRef = useRef(0)
+  const tableLoadingRef = useRef(false)
   const [searchQuery, setSearchQuery] = useState("")
-  const [selectedRange, setSelectedRange] = useState("Sheet1")
+  const [segmentRules, setSegmentRules] = useState([])
+  const [segmentMatch, setSegmentMatch] = useState("all")
+  const [segmentName, setSegmentName] = useState("")
+  const [segmentPreview, setSegmentPreview] = useState(null)
+  const [savedSegments, setSavedSegments] = useState([])
+  const [campaignSegmentId, setCampaignSegmentId] = useState("")
+  const [duplicateReport, setDuplicateReport] = useState(null)
+  const [dedupePolicy, setDedupePolicy] = useState("first")
+  const [checkDomains, setCheckDomains] = useState(true)
+  const [selectedFixIds, setSelectedFixIds] = useState([])
+  const [fixHistory, setFixHistory] = useState([])
+  const [fixResult, setFixResult] = useState(null)
+  const [selectedRange, setSelectedRange] = useState(() => readStoredValue("selectedRange", "Sheet1"))
+  const [columnMapping, setColumnMapping] = useState(null)
+  const [mappingDraft, setMappingDraft] = useState(null)
+  const [showMapping, setShowMapping] = useState(false)
+  const [rangeDraft, setRangeDraft] = useState(() => parseRangeSelection(readStoredValue("selectedRange", "Sheet1")))
   const [emailSubject, setEmailSubject] = useState("")
   const [emailBody, setEmailBody] = useState("")
   const [emailSendResult, setEmailSendResult] = useState(null)
+  const [sendJob, setSendJob] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [previewRowInput, setPreviewRowInput] = useState("")
+  const [previewFormat, setPreviewFormat] = useState("html")
+  const [dryRunResult, setDryRunResult] = useState(null)
+  const [attachmentFiles, setAttachmentFiles] = useState([])
+  const [attachmentLimits, setAttachmentLimits] = useState(null)
+  const [campaignAttachments, setCampaignAttachments] = useState([])
+  const [attachmentUploadFile, setAttachmentUploadFile] = useState(null)
+  const [certificateDesigns, setCertificateDesigns] = useState([])
+  const [campaignDesignId, setCampaignDesignId] = useState("")
+  const [certificateDelivery, setCertificateDelivery] = useState("attach")
+  const [designDraft, setDesignDraft] = useState(null)
+  const [issuedCertificates, setIssuedCertificates] = useState(null)
+  const [testEmail, setTestEmail] = useState("")
+  const [testRowsInput, setTestRowsInput] = useState("")
+  const [writeBack, setWriteBack] = useState(false)
+  const [skipSent, setSkipSent] = useState(false)
+  const [senders, setSenders] = useState([])
+  const [selectedSender, setSelectedSender] = useState("")
+  const [sendRate, setSendRate] = useState(0)
+  const [scheduleAt, setScheduleAt] = useState("")
+  const [scheduleTimeZone, setScheduleTimeZone] = useState(BROWSER_TIME_ZONE)
+  const [schedules, setSchedules] = useState([])
+  const sendStreamRef = useRef(null)
+  const sendSamplesRef = useRef([])
   const [selectedTemplate, setSelectedTemplate] = useState("")
   const [darkMode, setDarkMode] = useState(() => {
     if (typeof window !== "undefined") {
@@ -40,6 +327,14 @@ const SheetsApiFrontend = () => {
   const emailEditorRef = useRef(null)
   const [_editorLoaded, setEditorLoaded] = useState(false)
   const [templates, setTemplates] = useState({})
+  const [savedTemplates, setSavedTemplates] = useState([])
+  const [currentTemplate, setCurrentTemplate] = useState(null)
+  const [templateVersions, setTemplateVersions] = useState([])
+  const [templateName, setTemplateName] = useState("")
+  const activeSource = audienceSources.find((source) => source.id === activeSourceId) || null
+  const spreadsheetId = activeSource?.spreadsheetId || ""
+  const [sheetHeaders, setSheetHeaders] = useState([])
+  const [sampleRow, setSampleRow] = useState({})
 
   // Toggle dark mode
   const toggleDarkMode = () => {
@@ -96,6 +391,19 @@ const SheetsApiFrontend = () => {
           template = await loadCertificateTemplate()
         }
 
+        // Anything else is a template saved in the backend library
+        if (!template && templateName !== "certificate") {
+          const response = await fetch(`${API_BASE_URL}/templates/${templateName}`)
+          const saved = await response.json()
+          if (!response.ok) throw new Error(saved.message || saved.error || "Failed to load template")
+          template = saved.design
+          if (saved.subject) setEmailSubject(saved.subject)
+          setCurrentTemplate({ id: saved.id, name: saved.name, version: saved.version })
+          setTemplateName(saved.name)
+        } else {
+          setCurrentTemplate(null)
+        }
+
         if (!template) {
           console.error("Template not found:", templateName)
           setError(`Template '${templateName}' not found`)
@@ -143,23 +451,167 @@ const SheetsApiFrontend = () => {
     [templates, loadCertificateTemplate],
   )
 
+  const loadSavedTemplates = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/templates`)
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+      const result = await response.json()
+      setSavedTemplates(result.templates)
+    } catch (err) {
+      console.error("Failed to fetch saved templates:", err)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadSavedTemplates()
+  }, [loadSavedTemplates])
+
+  // Keep the version history of the loaded template up to date
+  useEffect(() => {
+    if (!currentTemplate) {
+      setTemplateVersions([])
+      return
+    }
+    const loadVersions = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/templates/${currentTemplate.id}/versions`)
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+        const result = await response.json()
+        setTemplateVersions(result.versions)
+      } catch (err) {
+        console.error("Failed to fetch template versions:", err)
+      }
+    }
+    loadVersions()
+  }, [currentTemplate])
+
+  // Open an older version of the loaded template in the editor; saving it makes it the newest version
+  const loadTemplateVersion = async (version) => {
+    if (!currentTemplate || !version) return
+    try {
+      const response = await fetch(`${API_BASE_URL}/templates/${currentTemplate.id}/versions/${version}`)
+      const entry = await response.json()
+      if (!response.ok) throw new Error(entry.message || entry.error || "Failed to load template version")
+      emailEditorRef.current?.editor?.loadDesign(entry.design)
+      setEmailSubject(entry.subject || "")
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Save the editor design to the template library, as a new template or a new version of the loaded one
+  const saveTemplate = (asNewVersion) => {
+    const editor = emailEditorRef.current?.editor
+    if (!editor) return
+    setError("")
+    editor.saveDesign((design) => {
+      editor.exportHtml(async ({ html }) => {
+        try {
+          const response = await fetch(`${API_BASE_URL}/templates${asNewVersion ? `/${currentTemplate.id}` : ""}`, {
+            method: asNewVersion ? "PUT" : "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ name: templateName, subject: emailSubject, design, html }),
+          })
+          const saved = await response.json()
+          if (!response.ok) throw new Error(saved.message || saved.error || "Failed to save template")
+          setCurrentTemplate({ id: saved.id, name: saved.name, version: saved.version })
+          setSelectedTemplate(saved.id)
+          setEmailSendResult({ message: `Saved template "${saved.name}" (version ${saved.version})` })
+          loadSavedTemplates()
+        } catch (err) {
+          setError(err.message)
+        }
+      })
+    })
+  }
+
+  // Stop listening to send progress when the dashboard goes away
+  useEffect(() => () => sendStreamRef.current?.close(), [])
+
+  // Follow a send job over Server-Sent Events until it finishes
+  const watchSendJob = useCallback((jobId) => {
+    sendStreamRef.current?.close()
+    sendSamplesRef.current = []
+    setSendRate(0)
+
+    const stream = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events`)
+    sendStreamRef.current = stream
+
+    const handleEvent = (event) => {
+      const { job } = JSON.parse(event.data)
+      setSendJob(job)
+
+      // Throughput over the last 10 seconds, so pauses drop it back to zero
+      const now = Date.now()
+      const samples = [...sendSamplesRef.current, { time: now, processed: job.sent + job.failed }].filter(
+        (sample) => now - sample.time <= 10000,
+      )
+      sendSamplesRef.current = samples
+      const elapsed = (now - samples[0].time) / 1000
+      setSendRate(elapsed > 0 ? (samples[samples.length - 1].processed - samples[0].processed) / elapsed : 0)
+
+      if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        stream.close()
+        setSendRate(0)
+        setEmailSendResult({ message: job.status === "cancelled" ? `${job.message} (cancelled)` : job.message })
+      }
+    }
+
+    stream.addEventListener("status", handleEvent)
+    stream.addEventListener("recipient", handleEvent)
+    stream.onerror = () => {
+      // EventSource reconnects by itself unless the server refused the stream
+      if (stream.readyState === EventSource.CLOSED) {
+        setError("Lost connection to the send progress stream")
+      }
+    }
+  }, [])
+
+  // Pause, resume or cancel the running send job
+  const controlSendJob = async (action) => {
+    if (!sendJob) return
+    try {
+      const response = await fetch(`${API_BASE_URL}/jobs/${sendJob.id}/${action}`, { method: "POST" })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || `Failed to ${action} sending`)
+      setSendJob(result)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Last response and ETag of every GET, so unchanged data comes back as a 304 without a body
+  const etagCacheRef = useRef(new Map())
+
   // API Functions
   const apiCall = useCallback(async (endpoint, options = {}) => {
     setLoading(true)
     setError("")
     try {
+      const isGet = !options.method || options.method === "GET"
+      const cached = isGet ? etagCacheRef.current.get(endpoint) : null
       const response = await fetch(`${API_BASE_URL}${endpoint}`, {
         headers: {
           "Content-Type": "application/json",
+          ...(cached ? { "If-None-Match": cached.etag } : {}),
         },
+        // Revalidation is handled here, so keep the browser cache out of it
+        ...(isGet ? { cache: "no-store" } : {}),
         ...options,
       })
 
+      if (response.status === 304 && cached) {
+        return cached.result
+      }
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`)
       }
 
       const result = await response.json()
+      const etag = response.headers.get("ETag")
+      if (isGet && etag) {
+        etagCacheRef.current.set(endpoint, { etag, result })
+      }
       return result
     } catch (err) {
       setError(err.message)
@@ -178,11 +630,14 @@ const SheetsApiFrontend = () => {
     }
   }, [apiCall, spreadsheetId])
 
+  // Headers and first row of the selected range; the Sheet Data tab pages through the rest
   const fetchSheetData = useCallback(
     async (range = selectedRange) => {
       try {
-        const sheetData = await apiCall(`/sheets/${spreadsheetId}/${range}`)
-        setData(sheetData)
+        const sheetData = await apiCall(`/sheets/${spreadsheetId}/${encodeURIComponent(range)}?limit=1`)
+        // Remember the headers so they can be offered as merge tags in the editor
+        setSheetHeaders((sheetData.rawData?.[0] || []).filter(Boolean))
+        setSampleRow(sheetData.data?.[0] || {})
         return sheetData
       } catch (err) {
         console.error("Failed to fetch sheet data:", err)
@@ -191,19 +646,595 @@ const SheetsApiFrontend = () => {
     [apiCall, selectedRange, spreadsheetId],
   )
 
-  // Load data when component mounts
+  // Load data when component mounts or the audience source changes
   useEffect(() => {
+    if (!spreadsheetId) return
     const loadInitialData = async () => {
+      setSheetChanged(false)
       await fetchSheetMetadata()
       await fetchSheetData()
     }
     loadInitialData()
-  }, [fetchSheetData, fetchSheetMetadata])
+  }, [fetchSheetData, fetchSheetMetadata, spreadsheetId])
+
+  // Watch the spreadsheet's last modified time so edits made in Google Sheets can be picked up
+  const lastModified = sheetMetadata?.lastModified
+  useEffect(() => {
+    if (!spreadsheetId || !lastModified) return
+    const checkForChanges = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/sheets/${spreadsheetId}/metadata`, { cache: "no-store" })
+        const result = await response.json()
+        if (response.ok && result.lastModified && result.lastModified !== lastModified) {
+          setSheetChanged(true)
+        }
+      } catch (err) {
+        console.error("Failed to check for sheet changes:", err)
+      }
+    }
+    const timer = setInterval(checkForChanges, 60000)
+    return () => clearInterval(timer)
+  }, [spreadsheetId, lastModified])
+
+  // Load one page of the Sheet Data table with the current sort and filters.
+  // Offset 0 starts over; responses for an older sort or filter are dropped.
+  const loadTableRows = useCallback(
+    async (offset = 0) => {
+      if (!spreadsheetId) return
+      if (offset === 0) tableGenerationRef.current++
+      else if (tableLoadingRef.current) return
+      const generation = tableGenerationRef.current
+      tableLoadingRef.current = true
+      setTableLoading(true)
+
+      try {
+        const params = new URLSearchParams({ format: "raw", limit: TABLE_PAGE_SIZE, offset })
+        if (tableSort.sortBy) {
+          params.set("sortBy", tableSort.sortBy)
+          params.set("sortOrder", tableSort.sortOrder)
+        }
+        if (appliedTableFilters.length > 0) {
+          params.set("filters", JSON.stringify(appliedTableFilters))
+        }
+        const response = await fetch(`${API_BASE_URL}/sheets/${spreadsheetId}/${encodeURIComponent(selectedRange)}?${params}`)
+        const result = await response.json()
+        if (generation !== tableGenerationRef.current) return
+        if (!response.ok) {
+          throw new Error(result.message || result.error || "Failed to load sheet data")
+        }
+
+        const [headers = [], ...cells] = result.rawData || []
+        const pageRows = cells.map((row, index) => ({ row: result.rowNumbers[index], cells: row }))
+        setTableRows((previous) => (offset === 0 ? pageRows : [...previous, ...pageRows]))
+        setTableInfo({
+          headers,
+          totalRows: result.totalRows || 0,
+          matchingRows: result.matchingRows || 0,
+          columnCount: result.columnCount || 0,
+          nextOffset: result.nextOffset ?? null,
+        })
+      } catch (err) {
+        setError(err.message)
+      } finally {
+        if (generation === tableGenerationRef.current) {
+          tableLoadingRef.current = false
+          setTableLoading(false)
+        }
+      }
+    },
+    [spreadsheetId, selectedRange, tableSort, appliedTableFilters],
+  )
+
+  // Another sheet has other columns, so its table starts unsorted and unfiltered
+  useEffect(() => {
+    setTableSort({ sortBy: null, sortOrder: "asc" })
+    setTableFilters({})
+    setTableRows([])
+    setTableInfo(null)
+  }, [spreadsheetId, selectedRange])
+
+  // Filters are applied once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setAppliedTableFilters(
+        Object.entries(tableFilters)
+          .filter(([, filter]) => filter.op === "empty" || filter.op === "notEmpty" || filter.value)
+          .map(([column, filter]) => ({ column, op: filter.op, value: filter.value })),
+      )
+    }, 400)
+    return () => clearTimeout(timer)
+  }, [tableFilters])
+
+  useEffect(() => {
+    if (activeTab === "sheet") loadTableRows()
+  }, [activeTab, loadTableRows])
+
+  // Header clicks cycle through ascending, descending and unsorted
+  const toggleTableSort = (column) => {
+    setTableSort((current) => {
+      if (current.sortBy !== column) return { sortBy: column, sortOrder: "asc" }
+      if (current.sortOrder === "asc") return { sortBy: column, sortOrder: "desc" }
+      return { sortBy: null, sortOrder: "asc" }
+    })
+  }
+
+  const loadMoreTableRows = () => {
+    if (tableInfo?.nextOffset !== null && tableInfo?.nextOffset !== undefined) {
+      loadTableRows(tableInfo.nextOffset)
+    }
+  }
+
+  // Drop the backend's cached copy of the spreadsheet and load it again
+  const reloadSpreadsheet = async () => {
+    try {
+      await fetch(`${API_BASE_URL}/sheets/${spreadsheetId}/refresh`, { method: "POST" })
+    } catch (err) {
+      console.error("Failed to clear cached sheet data:", err)
+    }
+    setSheetChanged(false)
+    await fetchSheetMetadata()
+    await fetchSheetData()
+    if (activeTab === "sheet") await loadTableRows()
+  }
+
+  const applyColumnMapping = (result) => {
+    setColumnMapping(result)
+    setMappingDraft({
+      ...result.mapping,
+      customFields: Object.entries(result.mapping.customFields || {}).map(([tag, header]) => ({ tag, header })),
+    })
+  }
+
+  // Load the column mapping of the selected sheet (a guess until one is saved)
+  useEffect(() => {
+    if (!spreadsheetId) return
+    const loadColumnMapping = async () => {
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/mappings/${spreadsheetId}/${encodeURIComponent(selectedRange)}`,
+        )
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+        applyColumnMapping(await response.json())
+      } catch (err) {
+        console.error("Failed to fetch column mapping:", err)
+      }
+    }
+    loadColumnMapping()
+  }, [spreadsheetId, selectedRange])
+
+  // Save the draft mapping, or delete the saved one to go back to guessed columns
+  const saveColumnMapping = async (reset = false) => {
+    setError("")
+    try {
+      const response = await fetch(`${API_BASE_URL}/mappings/${spreadsheetId}/${encodeURIComponent(selectedRange)}`, {
+        method: reset ? "DELETE" : "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: reset
+          ? undefined
+          : JSON.stringify({
+              ...mappingDraft,
+              customFields: Object.fromEntries(
+                mappingDraft.customFields.filter((field) => field.tag).map((field) => [field.tag, field.header]),
+              ),
+            }),
+      })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to save column mapping")
+      if (reset) {
+        const refreshed = await fetch(`${API_BASE_URL}/mappings/${spreadsheetId}/${encodeURIComponent(selectedRange)}`)
+        applyColumnMapping(await refreshed.json())
+      } else {
+        applyColumnMapping(result)
+      }
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Make a source the active one, starting from the range last used with it
+  const switchSource = useCallback((source) => {
+    setActiveSourceId(source?.id || "")
+    setSelectedRange(source?.lastRange || source?.sheets?.[0] || "Sheet1")
+    setSheetMetadata(null)
+    setData(null)
+    setSheetHeaders([])
+    setSampleRow({})
+    setSegmentRules([])
+    setSegmentPreview(null)
+    setCampaignSegmentId("")
+    setDuplicateReport(null)
+    setFixResult(null)
+  }, [])
+
+  const loadAudienceSources = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/sources`)
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+      const result = await response.json()
+      setAudienceSources(result.sources)
+      return result.sources
+    } catch (err) {
+      console.error("Failed to fetch audience sources:", err)
+      return []
+    }
+  }, [])
+
+  // Fall back to the first saved source when the remembered one is gone
+  useEffect(() => {
+    const restoreSource = async () => {
+      const sources = await loadAudienceSources()
+      const storedId = readStoredValue("audienceSourceId", "")
+      if (!sources.some((source) => source.id === storedId)) {
+        switchSource(sources[0])
+      }
+    }
+    restoreSource()
+  }, [loadAudienceSources, switchSource])
+
+  useEffect(() => {
+    localStorage.setItem("audienceSourceId", activeSourceId)
+  }, [activeSourceId])
+
+  // The picker edits a draft; the other tabs only see a range once it is applied
+  useEffect(() => {
+    setRangeDraft(parseRangeSelection(selectedRange))
+  }, [selectedRange])
+
+  const applyRangeDraft = (draft = rangeDraft) => {
+    const tab = sheetMetadata?.sheets.find((sheet) => sheet.title === draft.sheet)
+    setSelectedRange(buildRange(draft, tab?.gridProperties?.columnCount))
+  }
+
+  // Remember the range locally and on the source, so switching back to a source restores it
+  useEffect(() => {
+    localStorage.setItem("selectedRange", selectedRange)
+    if (!activeSource || activeSource.lastRange === selectedRange) return
+    const saveLastRange = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/sources/${activeSource.id}`, {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ lastRange: selectedRange }),
+        })
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+        const updated = await response.json()
+        setAudienceSources((sources) => sources.map((source) => (source.id === updated.id ? updated : source)))
+      } catch (err) {
+        console.error("Failed to save last used range:", err)
+      }
+    }
+    saveLastRange()
+  }, [activeSource, selectedRange])
+
+  // Check a pasted sheet URL or ID on the backend and save it as a named source
+  const addAudienceSource = async () => {
+    setLoading(true)
+    setError("")
+    try {
+      const response = await fetch(`${API_BASE_URL}/sources`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ url: newSourceUrl, name: newSourceName }),
+      })
+      const result = await response.json()
+      if (response.status === 409 && result.source) {
+        switchSource(result.source)
+      } else if (!response.ok) {
+        throw new Error(result.message || result.error || "Failed to add audience source")
+      } else {
+        await loadAudienceSources()
+        switchSource(result)
+      }
+      setShowAddSource(false)
+      setNewSourceUrl("")
+      setNewSourceName("")
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Upload a CSV, XLSX or JSON file as an audience source
+  const uploadAudienceSource = async () => {
+    if (!newSourceFile) return
+    setLoading(true)
+    setError("")
+    try {
+      const formData = new FormData()
+      formData.append("file", newSourceFile)
+      if (newSourceName) formData.append("name", newSourceName)
+      const response = await fetch(`${API_BASE_URL}/sources/upload`, { method: "POST", body: formData })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to upload audience file")
+      await loadAudienceSources()
+      switchSource(result.source)
+      setShowAddSource(false)
+      setNewSourceFile(null)
+      setNewSourceName("")
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const removeAudienceSource = async () => {
+    if (!activeSource || !window.confirm(`Remove "${activeSource.name}" from the saved sources?`)) return
+    setError("")
+    try {
+      const response = await fetch(`${API_BASE_URL}/sources/${activeSource.id}`, { method: "DELETE" })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to remove audience source")
+      const sources = await loadAudienceSources()
+      switchSource(sources[0])
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Saved certificate designs (without their SVG)
+  const loadCertificateDesigns = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/certificate-designs`)
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+      const result = await response.json()
+      setCertificateDesigns(result.designs)
+      const ids = result.designs.map((design) => design.id)
+      setCampaignDesignId((current) => (ids.includes(current) ? current : ""))
+    } catch (err) {
+      console.error("Failed to fetch certificate designs:", err)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadCertificateDesigns()
+  }, [loadCertificateDesigns])
+
+  // The certificate option sent with campaigns, previews and schedules
+  const campaignCertificate = campaignDesignId ? { designId: campaignDesignId, delivery: certificateDelivery } : undefined
+
+  const editCertificateDesign = async (designId) => {
+    if (!designId) {
+      setDesignDraft({ name: "", svg: STARTER_CERTIFICATE_SVG })
+      return
+    }
+    setError("")
+    try {
+      const response = await fetch(`${API_BASE_URL}/certificate-designs/${designId}`)
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to load certificate design")
+      setDesignDraft({ id: result.id, name: result.name, svg: result.svg })
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const saveCertificateDesign = async () => {
+    setLoading(true)
+    setError("")
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/certificate-designs${designDraft.id ? `/${designDraft.id}` : ""}`,
+        {
+          method: designDraft.id ? "PUT" : "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ name: designDraft.name, svg: designDraft.svg }),
+        },
+      )
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to save certificate design")
+      setDesignDraft({ id: result.id, name: result.name, svg: result.svg })
+      setCampaignDesignId(result.id)
+      await loadCertificateDesigns()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const deleteCertificateDesign = async () => {
+    if (!designDraft?.id || !window.confirm(`Delete the certificate design "${designDraft.name}"?`)) return
+    setError("")
+    try {
+      const response = await fetch(`${API_BASE_URL}/certificate-designs/${designDraft.id}`, { method: "DELETE" })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to delete certificate design")
+      setDesignDraft(null)
+      await loadCertificateDesigns()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // POST to a certificate route that answers with a file; returns the file as a blob URL
+  const fetchCertificateFile = async (route, body) => {
+    const response = await fetch(`${API_BASE_URL}/certificates/${route}/${spreadsheetId}/${encodeURIComponent(selectedRange)}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        designId: campaignDesignId,
+        segmentId: campaignSegmentId || undefined,
+        dedupe: dedupePolicy,
+        ...body,
+      }),
+    })
+    if (!response.ok) {
+      const result = await response.json()
+      throw new Error(result.message || result.error || "Failed to render certificates")
+    }
+    return URL.createObjectURL(await response.blob())
+  }
+
+  // Open one recipient's certificate (the previewed row, else the first recipient) in a new tab
+  const previewCertificate = async () => {
+    setLoading(true)
+    setError("")
+    try {
+      const url = await fetchCertificateFile("preview", { row: preview?.row })
+      window.open(url, "_blank")
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Download every recipient's certificate as one zip
+  const downloadAllCertificates = async () => {
+    setLoading(true)
+    setError("")
+    try {
+      const url = await fetchCertificateFile("generate", { skipSent })
+      const link = document.createElement("a")
+      link.href = url
+      link.download = "certificates.zip"
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Certificates issued by this sheet's campaigns, newest first
+  const loadIssuedCertificates = async () => {
+    setError("")
+    try {
+      const response = await fetch(`${API_BASE_URL}/certificates?spreadsheetId=${encodeURIComponent(spreadsheetId)}`)
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to load issued certificates")
+      setIssuedCertificates(result.certificates)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  useEffect(() => {
+    setIssuedCertificates(null)
+  }, [spreadsheetId])
+
+  // Revoking shows on the certificate's verification page and disables its download link
+  const revokeCertificate = async (certificate) => {
+    const reason = window.prompt(
+      `Revoke the certificate issued to ${certificate.name || certificate.email}? Reason (optional):`,
+    )
+    if (reason === null) return
+    setError("")
+    try {
+      const response = await fetch(`${API_BASE_URL}/certificates/${certificate.id}/revoke`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ reason: reason.trim() || undefined }),
+      })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to revoke certificate")
+      await loadIssuedCertificates()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Files uploaded for attaching to campaigns
+  const loadAttachments = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/attachments`)
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+      const result = await response.json()
+      setAttachmentFiles(result.attachments)
+      setAttachmentLimits({ maxBytes: result.maxBytes, maxTotalBytes: result.maxTotalBytes })
+      // Files removed elsewhere can no longer be attached
+      const names = result.attachments.map((file) => file.fileName)
+      setCampaignAttachments((current) => current.filter((name) => names.includes(name)))
+    } catch (err) {
+      console.error("Failed to fetch attachments:", err)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadAttachments()
+  }, [loadAttachments])
+
+  // Upload a file and attach it to the current campaign
+  const uploadAttachment = async () => {
+    if (!attachmentUploadFile) return
+    setLoading(true)
+    setError("")
+    try {
+      const formData = new FormData()
+      formData.append("file", attachmentUploadFile)
+      const response = await fetch(`${API_BASE_URL}/attachments`, { method: "POST", body: formData })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to upload attachment")
+      const { fileName } = result.attachment
+      setCampaignAttachments((current) => (current.includes(fileName) ? current : [...current, fileName]))
+      setAttachmentUploadFile(null)
+      await loadAttachments()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const deleteAttachment = async (fileName) => {
+    if (!window.confirm(`Delete "${fileName}"? Sheets that name it in their attachment column will fail the pre-send check.`)) return
+    setError("")
+    try {
+      const response = await fetch(`${API_BASE_URL}/attachments/${encodeURIComponent(fileName)}`, { method: "DELETE" })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to delete attachment")
+      await loadAttachments()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const toggleCampaignAttachment = (fileName) =>
+    setCampaignAttachments((current) =>
+      current.includes(fileName) ? current.filter((name) => name !== fileName) : [...current, fileName],
+    )
+
+  // Load the sender accounts campaigns can be sent from
+  useEffect(() => {
+    const loadSenders = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/senders`)
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+        const result = await response.json()
+        setSenders(result.senders)
+        setSelectedSender(result.defaultSenderId || "")
+      } catch (err) {
+        console.error("Failed to fetch senders:", err)
+      }
+    }
+    loadSenders()
+  }, [])
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/schedules`)
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+      const result = await response.json()
+      setSchedules(result.schedules)
+    } catch (err) {
+      console.error("Failed to fetch scheduled campaigns:", err)
+    }
+  }, [])
+
+  // Load the scheduled campaigns, then keep their status current while the dashboard is open
+  useEffect(() => {
+    loadSchedules()
+    const timer = setInterval(loadSchedules, 30000)
+    return () => clearInterval(timer)
+  }, [loadSchedules])
 
   const fetchContacts = useCallback(
     async (range = selectedRange) => {
       try {
-        const contacts = await apiCall(`/contacts/${spreadsheetId}/${range}`)
+        const contacts = await apiCall(`/contacts/${spreadsheetId}/${encodeURIComponent(range)}`)
         setData(contacts)
       } catch (err) {
         console.error("Failed to fetch contacts:", err)
@@ -215,7 +1246,7 @@ const SheetsApiFrontend = () => {
   const fetchEmails = useCallback(
     async (range = selectedRange) => {
       try {
-        const emails = await apiCall(`/emails/${spreadsheetId}/${range}`)
+        const emails = await apiCall(`/emails/${spreadsheetId}/${encodeURIComponent(range)}`)
         setData(emails)
       } catch (err) {
         console.error("Failed to fetch emails:", err)
@@ -224,25 +1255,176 @@ const SheetsApiFrontend = () => {
     [apiCall, selectedRange, spreadsheetId],
   )
 
+  // Rules with a column picked; half-filled rows in the builder are left out
+  const activeRules = useMemo(() => segmentRules.filter((rule) => rule.column), [segmentRules])
+
   const searchContacts = useCallback(async () => {
-    if (!searchQuery) return
+    if (!searchQuery && activeRules.length === 0) return
     try {
-      const results = await apiCall(
-        `/contacts/${spreadsheetId}/${selectedRange}/search?query=${encodeURIComponent(searchQuery)}`,
-      )
+      const params = new URLSearchParams({ query: searchQuery })
+      if (activeRules.length > 0) {
+        params.set("rules", JSON.stringify(activeRules))
+        params.set("match", segmentMatch)
+      }
+      const results = await apiCall(`/contacts/${spreadsheetId}/${encodeURIComponent(selectedRange)}/search?${params}`)
       setData(results)
     } catch (err) {
       console.error("Failed to search contacts:", err)
     }
-  }, [apiCall, searchQuery, selectedRange, spreadsheetId])
+  }, [activeRules, apiCall, searchQuery, segmentMatch, selectedRange, spreadsheetId])
+
+  const loadSegments = useCallback(async () => {
+    if (!spreadsheetId) return
+    try {
+      const response = await fetch(`${API_BASE_URL}/segments?spreadsheetId=${encodeURIComponent(spreadsheetId)}`)
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+      const result = await response.json()
+      setSavedSegments(result.segments)
+    } catch (err) {
+      console.error("Failed to fetch segments:", err)
+    }
+  }, [spreadsheetId])
+
+  useEffect(() => {
+    loadSegments()
+  }, [loadSegments])
+
+  const updateSegmentRule = (index, changes) =>
+    setSegmentRules((rules) => rules.map((rule, ruleIndex) => (ruleIndex === index ? { ...rule, ...changes } : rule)))
+
+  // Count the rows the rules in the builder pick and how many of them can be mailed
+  const previewSegment = async () => {
+    setError("")
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/segments/preview/${spreadsheetId}/${encodeURIComponent(selectedRange)}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ rules: activeRules, match: segmentMatch }),
+        },
+      )
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to preview segment")
+      setSegmentPreview(result)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const saveSegment = async () => {
+    setError("")
+    try {
+      const response = await fetch(`${API_BASE_URL}/segments`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: segmentName, spreadsheetId, rules: activeRules, match: segmentMatch }),
+      })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to save segment")
+      setSegmentName("")
+      loadSegments()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const deleteSegment = async (segmentId) => {
+    setError("")
+    try {
+      const response = await fetch(`${API_BASE_URL}/segments/${segmentId}`, { method: "DELETE" })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to delete segment")
+      if (campaignSegmentId === segmentId) setCampaignSegmentId("")
+      loadSegments()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Put a saved segment's rules back into the builder
+  const openSegment = (segment) => {
+    setSegmentRules(segment.rules)
+    setSegmentMatch(segment.match || "all")
+    setSegmentPreview(null)
+  }
 
   const validateContacts = useCallback(async () => {
     try {
-      const validation = await apiCall(`/contacts/${spreadsheetId}/${selectedRange}/validate`)
+      const validation = await apiCall(
+        `/contacts/${spreadsheetId}/${encodeURIComponent(selectedRange)}/validate?checkDomains=${checkDomains}`,
+      )
       setData(validation)
+      setSelectedFixIds((validation.proposedFixes || []).map((fix) => fix.id))
     } catch (err) {
       console.error("Failed to validate contacts:", err)
     }
+  }, [apiCall, checkDomains, selectedRange, spreadsheetId])
+
+  const loadFixHistory = useCallback(async () => {
+    if (!spreadsheetId) return
+    try {
+      const response = await fetch(`${API_BASE_URL}/fixes?spreadsheetId=${encodeURIComponent(spreadsheetId)}`)
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+      const result = await response.json()
+      setFixHistory(result.fixes)
+    } catch (err) {
+      console.error("Failed to fetch applied fixes:", err)
+    }
+  }, [spreadsheetId])
+
+  useEffect(() => {
+    loadFixHistory()
+  }, [loadFixHistory])
+
+  // Write the checked fixes into the sheet, then validate again to show what is left
+  const applyFixes = async () => {
+    setLoading(true)
+    setError("")
+    setFixResult(null)
+    try {
+      const fixes = data.proposedFixes
+        .filter((fix) => selectedFixIds.includes(fix.id))
+        .map(({ row, column, from, to }) => ({ row, column, from, to }))
+      const response = await fetch(`${API_BASE_URL}/contacts/${spreadsheetId}/${encodeURIComponent(selectedRange)}/fixes`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ fixes }),
+      })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to apply fixes")
+      setFixResult(result)
+      loadFixHistory()
+      await validateContacts()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const undoFixes = async (fixId) => {
+    setError("")
+    try {
+      const response = await fetch(`${API_BASE_URL}/fixes/${fixId}/undo`, { method: "POST" })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to undo fixes")
+      setFixResult(result)
+      loadFixHistory()
+      if (data?.validation) validateContacts()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Groups of rows that share an email address (Gmail aliases included)
+  const findDuplicates = useCallback(async () => {
+    try {
+      const report = await apiCall(`/contacts/${spreadsheetId}/${encodeURIComponent(selectedRange)}/duplicates`)
+      setDuplicateReport(report)
+    } catch (err) {
+      console.error("Failed to find duplicates:", err)
+    }
   }, [apiCall, selectedRange, spreadsheetId])
 
   const copyToClipboard = async (text) => {
@@ -266,41 +1448,168 @@ const SheetsApiFrontend = () => {
     linkElement.click()
   }
 
-  const handleKeyPress = (e) => {
-    if (e.key === "Enter" && activeTab === "search") {
-      searchContacts()
+  const handleKeyPress = (e) => {
+    if (e.key === "Enter" && activeTab === "search") {
+      searchContacts()
+    }
+  }
+
+  // Get the HTML content from the editor
+  const exportEditorHtml = () =>
+    new Promise((resolve) => {
+      if (emailEditorRef.current && emailEditorRef.current.editor) {
+        emailEditorRef.current.editor.exportHtml((data) => {
+          resolve(data.html)
+        })
+      } else {
+        resolve(emailBody)
+      }
+    })
+
+  // Show a scheduled send time in the time zone it was scheduled in
+  const formatScheduleTime = (schedule) =>
+    `${new Date(schedule.sendAt).toLocaleString(undefined, {
+      timeZone: schedule.timeZone,
+      dateStyle: "medium",
+      timeStyle: "short",
+    })} (${schedule.timeZone})`
+
+  // Render what a single recipient will receive; without a row the first recipient is shown
+  const previewEmail = async (row) => {
+    setLoading(true)
+    setError("")
+    try {
+      const htmlContent = await exportEditorHtml()
+      const response = await fetch(`${API_BASE_URL}/preview/${spreadsheetId}/${encodeURIComponent(selectedRange)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          subject: emailSubject,
+          body: htmlContent,
+          row,
+          segmentId: campaignSegmentId || undefined,
+          dedupe: dedupePolicy,
+          certificate: campaignCertificate,
+        }),
+      })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to preview email")
+      setPreview(result)
+      setPreviewRowInput(String(result.row))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Post the current editor content to /send-emails in the given mode
+  const submitCampaign = async (mode, options = {}) => {
+    const htmlContent = await exportEditorHtml()
+
+    const response = await fetch(`${API_BASE_URL}/send-emails/${spreadsheetId}/${encodeURIComponent(selectedRange)}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        subject: emailSubject,
+        body: htmlContent,
+        mode,
+        senderId: selectedSender || undefined,
+        segmentId: campaignSegmentId || undefined,
+        dedupe: dedupePolicy,
+        attachments: campaignAttachments,
+        certificate: campaignCertificate,
+        ...options,
+      }),
+    })
+    const result = await response.json()
+    if (!response.ok) throw new Error(result.message || result.error || "Failed to send emails")
+    return result
+  }
+
+  // Send emails to all valid emails in the selected range
+  const sendEmails = async () => {
+    setLoading(true)
+    setEmailSendResult(null)
+    setSendJob(null)
+    setError("")
+    try {
+      const result = await submitCampaign("send", { writeBack: writeBack && activeSource?.type !== "upload", skipSent })
+      setEmailSendResult(result)
+      watchSendJob(result.jobId)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Render every message without sending anything
+  const dryRunEmails = async () => {
+    setLoading(true)
+    setEmailSendResult(null)
+    setError("")
+    try {
+      const result = await submitCampaign("dryRun", { skipSent })
+      setDryRunResult(result)
+      setEmailSendResult({ message: result.message })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Send the personalized message for the chosen rows to the tester's own address
+  const sendTestEmails = async () => {
+    setLoading(true)
+    setEmailSendResult(null)
+    setError("")
+    try {
+      const testRows = testRowsInput
+        .split(",")
+        .map((row) => parseInt(row.trim(), 10))
+        .filter((row) => !Number.isNaN(row))
+      const result = await submitCampaign("test", { testEmail, testRows })
+      setEmailSendResult(result)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
     }
   }
 
-  // Send emails to all valid emails in the selected range
-  const sendEmails = async () => {
+  // Schedule the current campaign for scheduleAt in the chosen time zone
+  const scheduleCampaign = async () => {
     setLoading(true)
     setEmailSendResult(null)
     setError("")
     try {
-      // Get the HTML content from the editor
-      const htmlContent = await new Promise((resolve) => {
-        if (emailEditorRef.current && emailEditorRef.current.editor) {
-          emailEditorRef.current.editor.exportHtml((data) => {
-            resolve(data.html)
-          })
-        } else {
-          resolve(emailBody)
-        }
-      })
-
-      const response = await fetch(`${API_BASE_URL}/send-emails/${spreadsheetId}/${selectedRange}`, {
+      const htmlContent = await exportEditorHtml()
+      const response = await fetch(`${API_BASE_URL}/schedules`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
+          spreadsheetId,
+          range: selectedRange,
           subject: emailSubject,
           body: htmlContent,
-          templateType: "certificate", // Add this to indicate we're sending certificates
+          senderId: selectedSender || undefined,
+          segmentId: campaignSegmentId || undefined,
+          dedupe: dedupePolicy,
+          attachments: campaignAttachments,
+          certificate: campaignCertificate,
+          writeBack: writeBack && activeSource?.type !== "upload",
+          skipSent,
+          sendAt: scheduleAt,
+          timeZone: scheduleTimeZone,
         }),
       })
       const result = await response.json()
-      if (!response.ok) throw new Error(result.error || "Failed to send emails")
-      setEmailSendResult(result)
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to schedule campaign")
+      setEmailSendResult({ message: `Campaign scheduled for ${formatScheduleTime(result)}` })
+      setScheduleAt("")
+      loadSchedules()
     } catch (err) {
       setError(err.message)
     } finally {
@@ -308,6 +1617,51 @@ const SheetsApiFrontend = () => {
     }
   }
 
+  // PUT changes to a scheduled campaign, or DELETE it to cancel
+  const changeSchedule = async (scheduleId, changes = null) => {
+    setError("")
+    try {
+      const response = await fetch(`${API_BASE_URL}/schedules/${scheduleId}`, {
+        method: changes ? "PUT" : "DELETE",
+        headers: { "Content-Type": "application/json" },
+        body: changes ? JSON.stringify(changes) : undefined,
+      })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || result.error || "Failed to update scheduled campaign")
+      loadSchedules()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Replace a scheduled campaign's subject and body with what is in the editor now
+  const updateScheduleContent = async (scheduleId) => {
+    const htmlContent = await exportEditorHtml()
+    changeSchedule(scheduleId, { subject: emailSubject, body: htmlContent })
+  }
+
+  // Every sheet header becomes a {{Header}} merge tag in the editor toolbar
+  const mergeTags = useMemo(
+    () =>
+      Object.fromEntries([
+        ...sheetHeaders.map((header) => [
+          header,
+          { name: header, value: `{{${header}}}`, sample: sampleRow[header] || header },
+        ]),
+        // Custom fields from the column mapping become tags of their own
+        ...Object.entries(columnMapping?.mapping.customFields || {}).map(([tag, header]) => [
+          tag,
+          { name: tag, value: `{{${tag}}}`, sample: sampleRow[header] || tag },
+        ]),
+      ]),
+    [sheetHeaders, sampleRow, columnMapping],
+  )
+
+  // The editor only reads its options once, so push header changes in afterwards
+  useEffect(() => {
+    emailEditorRef.current?.editor?.setMergeTags(mergeTags)
+  }, [mergeTags])
+
   const handleEditorLoad = (unlayer) => {
     console.log("Editor loaded, instance:", unlayer)
     setEditorLoaded(true)
@@ -316,6 +1670,7 @@ const SheetsApiFrontend = () => {
     if (emailEditorRef.current) {
       emailEditorRef.current.unlayer = unlayer
     }
+    unlayer.setMergeTags(mergeTags)
 
     // Load the certificate template
     loadTemplateInEditor("certificate")
@@ -335,6 +1690,41 @@ const SheetsApiFrontend = () => {
               <FileSpreadsheet className={`h-8 w-8 ${darkMode ? "text-purple-400" : "text-indigo-600"}`} />
               <h1 className="text-3xl font-bold">Google Sheets API Dashboard</h1>
             </div>
+            {/* Audience Source Switcher */}
+            <div className="flex flex-wrap items-center gap-2 ml-auto mr-4">
+              <select
+                value={activeSourceId}
+                onChange={(e) => switchSource(audienceSources.find((source) => source.id === e.target.value))}
+                className={`px-3 py-2 rounded-lg ${
+                  darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300 text-gray-900"
+                }`}
+              >
+                {audienceSources.length === 0 && <option value="">No audience sources yet</option>}
+                {audienceSources.map((source) => (
+                  <option key={source.id} value={source.id}>
+                    {source.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => setShowAddSource(!showAddSource)}
+                className={`p-2 rounded-lg ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"} transition-colors`}
+                aria-label="Add audience source"
+                title="Add audience source"
+              >
+                <Plus className="h-5 w-5" />
+              </button>
+              {activeSource && (
+                <button
+                  onClick={removeAudienceSource}
+                  className={`p-2 rounded-lg ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"} transition-colors`}
+                  aria-label="Remove audience source"
+                  title="Remove audience source"
+                >
+                  <Trash2 className="h-5 w-5" />
+                </button>
+              )}
+            </div>
             <button
               onClick={toggleDarkMode}
               className={`p-2 rounded-full ${darkMode ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300"} transition-colors`}
@@ -344,6 +1734,60 @@ const SheetsApiFrontend = () => {
             </button>
           </div>
 
+          {/* Add Audience Source */}
+          {(showAddSource || audienceSources.length === 0) && (
+            <div className={`p-4 rounded-lg mb-4 ${darkMode ? "bg-gray-700" : "bg-gray-50"}`}>
+              <label className={`block text-sm font-medium mb-2 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                Add a spreadsheet (share it with the service account first)
+              </label>
+              <div className="flex flex-wrap gap-2">
+                <input
+                  type="text"
+                  value={newSourceUrl}
+                  onChange={(e) => setNewSourceUrl(e.target.value)}
+                  placeholder="Google Sheets URL or spreadsheet ID"
+                  className={`flex-1 min-w-64 px-4 py-2 rounded-lg ${
+                    darkMode ? "bg-gray-800 border border-gray-600 text-white placeholder-gray-400" : "border border-gray-300"
+                  }`}
+                />
+                <input
+                  type="text"
+                  value={newSourceName}
+                  onChange={(e) => setNewSourceName(e.target.value)}
+                  placeholder="Name (defaults to the sheet title)"
+                  className={`w-64 px-4 py-2 rounded-lg ${
+                    darkMode ? "bg-gray-800 border border-gray-600 text-white placeholder-gray-400" : "border border-gray-300"
+                  }`}
+                />
+                <button
+                  onClick={addAudienceSource}
+                  disabled={!newSourceUrl.trim() || loading}
+                  className={`px-4 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed ${
+                    darkMode ? "bg-purple-600 hover:bg-purple-700 text-white" : "bg-indigo-600 hover:bg-indigo-700 text-white"
+                  }`}
+                >
+                  {loading ? "Checking..." : "Add Source"}
+                </button>
+              </div>
+              <div className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+                <span className={darkMode ? "text-gray-300" : "text-gray-700"}>or upload a CSV, XLSX or JSON file:</span>
+                <input
+                  type="file"
+                  accept=".csv,.tsv,.xlsx,.json"
+                  onChange={(e) => setNewSourceFile(e.target.files[0] || null)}
+                  className={darkMode ? "text-gray-300" : "text-gray-700"}
+                />
+                <button
+                  onClick={uploadAudienceSource}
+                  disabled={!newSourceFile || loading}
+                  className="px-4 py-2 rounded-lg bg-gray-600 hover:bg-gray-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? "Uploading..." : "Upload"}
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Sheet Info */}
           {sheetMetadata && (
             <div className="space-y-4">
@@ -352,23 +1796,247 @@ const SheetsApiFrontend = () => {
                 <label className={`block text-sm font-medium mb-2 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
                   Sheet Range
                 </label>
-                <select
-                  value={selectedRange}
-                  onChange={(e) => setSelectedRange(e.target.value)}
-                  className={`px-4 py-3 rounded-lg focus:ring-2 w-full transition-colors ${
-                    darkMode
-                      ? "bg-gray-700 border-gray-600 focus:ring-purple-500 text-white"
-                      : "border border-gray-300 focus:ring-indigo-500 text-gray-900"
-                  }`}
-                >
-                  {sheetMetadata.sheets.map((sheet) => (
-                    <option key={sheet.sheetId} value={sheet.title}>
-                      {sheet.title}
-                    </option>
+                <div className="flex flex-wrap items-end gap-3">
+                  <div className="flex-1 min-w-48">
+                    <span className={`block text-xs mb-1 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>Tab</span>
+                    <select
+                      value={rangeDraft.sheet}
+                      onChange={(e) => applyRangeDraft({ sheet: e.target.value, headerRow: 1, firstColumn: "", lastColumn: "", lastRow: "" })}
+                      className={`px-4 py-3 rounded-lg focus:ring-2 w-full transition-colors ${
+                        darkMode
+                          ? "bg-gray-700 border-gray-600 focus:ring-purple-500 text-white"
+                          : "border border-gray-300 focus:ring-indigo-500 text-gray-900"
+                      }`}
+                    >
+                      {!sheetMetadata.sheets.some((sheet) => sheet.title === rangeDraft.sheet) && (
+                        <option value={rangeDraft.sheet}>{rangeDraft.sheet}</option>
+                      )}
+                      {sheetMetadata.sheets.map((sheet) => (
+                        <option key={sheet.sheetId} value={sheet.title}>
+                          {sheet.title}
+                          {sheet.gridProperties ? ` (${sheet.gridProperties.rowCount} rows)` : ""}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  {[
+                    { key: "headerRow", label: "Header row", placeholder: "1", width: "w-28" },
+                    { key: "firstColumn", label: "From column", placeholder: "A", width: "w-28" },
+                    { key: "lastColumn", label: "To column", placeholder: "last", width: "w-28" },
+                    { key: "lastRow", label: "Last row", placeholder: "all", width: "w-28" },
+                  ].map((field) => (
+                    <div key={field.key} className={field.width}>
+                      <span className={`block text-xs mb-1 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                        {field.label}
+                      </span>
+                      <input
+                        type="text"
+                        value={rangeDraft[field.key]}
+                        placeholder={field.placeholder}
+                        onChange={(e) => {
+                          const value =
+                            field.key.endsWith("Column")
+                              ? e.target.value.replace(/[^A-Za-z]/g, "").toUpperCase().slice(0, 3)
+                              : e.target.value.replace(/\D/g, "")
+                          setRangeDraft({ ...rangeDraft, [field.key]: value })
+                        }}
+                        onKeyDown={(e) => e.key === "Enter" && applyRangeDraft()}
+                        className={`px-4 py-3 rounded-lg focus:ring-2 w-full transition-colors ${
+                          darkMode
+                            ? "bg-gray-700 border-gray-600 focus:ring-purple-500 text-white placeholder-gray-400"
+                            : "border border-gray-300 focus:ring-indigo-500 text-gray-900"
+                        }`}
+                      />
+                    </div>
                   ))}
-                </select>
+                  <button
+                    onClick={() => applyRangeDraft()}
+                    className={`px-4 py-3 rounded-lg transition-colors ${
+                      darkMode ? "bg-purple-600 hover:bg-purple-700 text-white" : "bg-indigo-600 hover:bg-indigo-700 text-white"
+                    }`}
+                  >
+                    Apply
+                  </button>
+                </div>
+                <p className={`text-xs mt-2 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                  Every tab reads{" "}
+                  <code className={darkMode ? "text-purple-300" : "text-indigo-600"}>{selectedRange}</code>. Rows are
+                  numbered as in the sheet.
+                </p>
               </div>
 
+              {/* Column Mapping */}
+              {columnMapping && mappingDraft && (
+                <div className={`p-4 rounded-lg ${darkMode ? "bg-gray-700" : "bg-gray-50"}`}>
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <div className="text-sm">
+                      <span className="font-semibold">Columns: </span>
+                      {MAPPING_FIELDS.map((field) => `${field.label} = ${columnMapping.mapping[field.key] || "none"}`).join(", ")}
+                      <span className={`ml-2 ${columnMapping.saved ? "text-green-500" : "text-yellow-500"}`}>
+                        ({columnMapping.saved ? "saved" : "guessed, not saved"})
+                      </span>
+                    </div>
+                    <button
+                      onClick={() => setShowMapping(!showMapping)}
+                      className="px-3 py-1 rounded-lg bg-gray-600 hover:bg-gray-700 text-white text-sm"
+                    >
+                      {showMapping ? "Close" : "Map Columns"}
+                    </button>
+                  </div>
+
+                  {showMapping && (
+                    <div className="mt-4 space-y-4">
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                        {MAPPING_FIELDS.map((field) => (
+                          <label key={field.key} className="text-sm">
+                            <span className={`block mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                              {field.label}
+                            </span>
+                            <select
+                              value={mappingDraft[field.key] || ""}
+                              onChange={(e) => setMappingDraft({ ...mappingDraft, [field.key]: e.target.value || null })}
+                              className={`w-full px-3 py-2 rounded-lg ${
+                                darkMode ? "bg-gray-800 border border-gray-600 text-white" : "border border-gray-300"
+                              }`}
+                            >
+                              <option value="">(none)</option>
+                              {columnMapping.headers.map((header) => (
+                                <option key={header} value={header}>
+                                  {header}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        ))}
+                      </div>
+
+                      {/* Custom Fields */}
+                      <div className="space-y-2">
+                        {mappingDraft.customFields.map((field, index) => (
+                          <div key={index} className="flex flex-wrap items-center gap-2 text-sm">
+                            <input
+                              type="text"
+                              value={field.tag}
+                              placeholder="Merge tag, e.g. course"
+                              onChange={(e) => {
+                                const customFields = [...mappingDraft.customFields]
+                                customFields[index] = { ...field, tag: e.target.value.replace(/[^A-Za-z0-9_]/g, "") }
+                                setMappingDraft({ ...mappingDraft, customFields })
+                              }}
+                              className={`w-48 px-3 py-2 rounded-lg ${
+                                darkMode ? "bg-gray-800 border border-gray-600 text-white" : "border border-gray-300"
+                              }`}
+                            />
+                            <span>=</span>
+                            <select
+                              value={field.header}
+                              onChange={(e) => {
+                                const customFields = [...mappingDraft.customFields]
+                                customFields[index] = { ...field, header: e.target.value }
+                                setMappingDraft({ ...mappingDraft, customFields })
+                              }}
+                              className={`w-48 px-3 py-2 rounded-lg ${
+                                darkMode ? "bg-gray-800 border border-gray-600 text-white" : "border border-gray-300"
+                              }`}
+                            >
+                              {columnMapping.headers.map((header) => (
+                                <option key={header} value={header}>
+                                  {header}
+                                </option>
+                              ))}
+                            </select>
+                            <button
+                              onClick={() =>
+                                setMappingDraft({
+                                  ...mappingDraft,
+                                  customFields: mappingDraft.customFields.filter((_, i) => i !== index),
+                                })
+                              }
+                              className="p-2 rounded-lg bg-gray-600 hover:bg-gray-700 text-white"
+                              aria-label="Remove custom field"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        ))}
+                        <button
+                          onClick={() =>
+                            setMappingDraft({
+                              ...mappingDraft,
+                              customFields: [...mappingDraft.customFields, { tag: "", header: columnMapping.headers[0] || "" }],
+                            })
+                          }
+                          className="flex items-center gap-1 text-sm px-3 py-1 rounded-lg bg-gray-600 hover:bg-gray-700 text-white"
+                        >
+                          <Plus className="h-4 w-4" />
+                          Custom Field
+                        </button>
+                      </div>
+
+                      {/* Mapping Preview */}
+                      <div className="overflow-x-auto rounded-lg">
+                        <table className={`w-full border-collapse text-sm ${darkMode ? "text-gray-200" : ""}`}>
+                          <thead>
+                            <tr className={darkMode ? "bg-gray-800" : "bg-gray-100"}>
+                              <th className="px-3 py-2 text-left">Row</th>
+                              {MAPPING_FIELDS.map((field) => (
+                                <th key={field.key} className="px-3 py-2 text-left">
+                                  {field.label}
+                                </th>
+                              ))}
+                              {mappingDraft.customFields
+                                .filter((field) => field.tag)
+                                .map((field) => (
+                                  <th key={field.tag} className="px-3 py-2 text-left">{`{{${field.tag}}}`}</th>
+                                ))}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {columnMapping.preview.map((row) => (
+                              <tr key={row.row} className={darkMode ? "border-t border-gray-600" : "border-t border-gray-200"}>
+                                <td className="px-3 py-2">{row.row}</td>
+                                {MAPPING_FIELDS.map((field) => (
+                                  <td key={field.key} className="px-3 py-2">
+                                    {mappingDraft[field.key] ? row.fields[mappingDraft[field.key]] : ""}
+                                  </td>
+                                ))}
+                                {mappingDraft.customFields
+                                  .filter((field) => field.tag)
+                                  .map((field) => (
+                                    <td key={field.tag} className="px-3 py-2">
+                                      {row.fields[field.header]}
+                                    </td>
+                                  ))}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => saveColumnMapping()}
+                          disabled={!mappingDraft.email}
+                          className={`px-4 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed ${
+                            darkMode ? "bg-purple-600 hover:bg-purple-700 text-white" : "bg-indigo-600 hover:bg-indigo-700 text-white"
+                          }`}
+                        >
+                          Save Mapping
+                        </button>
+                        {columnMapping.saved && (
+                          <button
+                            onClick={() => saveColumnMapping(true)}
+                            className="px-4 py-2 rounded-lg bg-gray-600 hover:bg-gray-700 text-white"
+                          >
+                            Reset to Guessed Columns
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Spreadsheet Metadata */}
               <div className={`p-4 rounded-lg ${darkMode ? "bg-gray-700" : "bg-gray-50"}`}>
                 <h3 className={`font-semibold mb-2 ${darkMode ? "text-gray-100" : "text-gray-900"}`}>
@@ -385,6 +2053,27 @@ const SheetsApiFrontend = () => {
                       {sheetMetadata.spreadsheetId.slice(0, 20)}...
                     </span>
                   </div>
+                  {sheetMetadata.lastModified && (
+                    <div className="md:col-span-2">
+                      <span className={darkMode ? "text-gray-400" : "text-gray-600"}>Last modified:</span>
+                      <span className="ml-2 font-medium">{new Date(sheetMetadata.lastModified).toLocaleString()}</span>
+                    </div>
+                  )}
+                </div>
+                <div className="flex flex-wrap items-center gap-3 mt-3">
+                  <button
+                    onClick={reloadSpreadsheet}
+                    disabled={loading}
+                    className="flex items-center gap-2 px-3 py-1.5 text-sm rounded-lg bg-gray-600 hover:bg-gray-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <RefreshCw className="h-4 w-4" />
+                    Reload from Sheet
+                  </button>
+                  {sheetChanged && (
+                    <span className={`text-sm ${darkMode ? "text-yellow-300" : "text-yellow-700"}`}>
+                      The spreadsheet has changed since it was loaded.
+                    </span>
+                  )}
                 </div>
               </div>
             </div>
@@ -675,10 +2364,10 @@ const SheetsApiFrontend = () => {
             {/* Sheet Data Tab */}
             {activeTab === "sheet" && (
               <div>
-                <div className="flex items-center gap-4 mb-6">
+                <div className="flex flex-wrap items-center gap-4 mb-6">
                   <button
-                    onClick={() => fetchSheetData()}
-                    disabled={!spreadsheetId || loading}
+                    onClick={() => loadTableRows()}
+                    disabled={!spreadsheetId || tableLoading}
                     className={`flex items-center gap-2 px-6 py-3 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
                       darkMode
                         ? "bg-purple-600 hover:bg-purple-700 text-white"
@@ -686,11 +2375,22 @@ const SheetsApiFrontend = () => {
                     }`}
                   >
                     <FileSpreadsheet className="h-4 w-4" />
-                    {loading ? "Loading..." : "Fetch Sheet Data"}
+                    {tableLoading ? "Loading..." : "Fetch Sheet Data"}
                   </button>
+                  {(appliedTableFilters.length > 0 || tableSort.sortBy) && (
+                    <button
+                      onClick={() => {
+                        setTableFilters({})
+                        setTableSort({ sortBy: null, sortOrder: "asc" })
+                      }}
+                      className="px-4 py-3 rounded-lg bg-gray-600 hover:bg-gray-700 text-white"
+                    >
+                      Clear Sort & Filters
+                    </button>
+                  )}
                 </div>
 
-                {data && data.data && (
+                {tableInfo && (
                   <div>
                     {/* Data Statistics */}
                     <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4 mb-6">
@@ -698,69 +2398,45 @@ const SheetsApiFrontend = () => {
                         className={`p-4 rounded-lg ${darkMode ? "bg-blue-900/30 border border-blue-800" : "bg-blue-50"}`}
                       >
                         <div className={`text-2xl font-bold ${darkMode ? "text-blue-300" : "text-blue-600"}`}>
-                          {data.rowCount || 0}
+                          {tableInfo.totalRows}
                         </div>
                         <div className={`text-sm ${darkMode ? "text-blue-200" : "text-blue-800"}`}>Total Rows</div>
                       </div>
+                      <div
+                        className={`p-4 rounded-lg ${darkMode ? "bg-purple-900/30 border border-purple-800" : "bg-purple-50"}`}
+                      >
+                        <div className={`text-2xl font-bold ${darkMode ? "text-purple-300" : "text-purple-600"}`}>
+                          {tableInfo.matchingRows}
+                        </div>
+                        <div className={`text-sm ${darkMode ? "text-purple-200" : "text-purple-800"}`}>Matching Rows</div>
+                      </div>
                       <div
                         className={`p-4 rounded-lg ${darkMode ? "bg-green-900/30 border border-green-800" : "bg-green-50"}`}
                       >
                         <div className={`text-2xl font-bold ${darkMode ? "text-green-300" : "text-green-600"}`}>
-                          {data.columnCount || 0}
+                          {tableInfo.columnCount}
                         </div>
                         <div className={`text-sm ${darkMode ? "text-green-200" : "text-green-800"}`}>Total Columns</div>
                       </div>
                     </div>
 
                     {/* Data Table */}
-                    <div className="overflow-x-auto rounded-lg">
-                      <table className={`w-full border-collapse ${darkMode ? "text-gray-200" : ""}`}>
-                        <thead>
-                          <tr className={darkMode ? "bg-gray-700" : "bg-gray-50"}>
-                            {data.rawData &&
-                              data.rawData[0] &&
-                              data.rawData[0].map((header, index) => (
-                                <th
-                                  key={index}
-                                  className={`px-4 py-3 text-left ${
-                                    darkMode ? "border-b border-gray-600" : "border border-gray-300"
-                                  }`}
-                                >
-                                  {header}
-                                </th>
-                              ))}
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {data.data.slice(0, 20).map((row, index) => (
-                            <tr
-                              key={index}
-                              className={`
-                              ${
-                                darkMode
-                                  ? "hover:bg-gray-700 border-b border-gray-700"
-                                  : "hover:bg-gray-50 border-b border-gray-200"
-                              }
-                            `}
-                            >
-                              {Object.values(row).map((cell, cellIndex) => (
-                                <td
-                                  key={cellIndex}
-                                  className={`px-4 py-3 text-sm ${darkMode ? "" : "border-x border-gray-300"}`}
-                                >
-                                  {cell || "-"}
-                                </td>
-                              ))}
-                            </tr>
-                          ))}
-                        </tbody>
-                      </table>
-                      {data.data.length > 20 && (
-                        <p className={`text-sm mt-2 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
-                          Showing first 20 rows of {data.data.length}
-                        </p>
-                      )}
-                    </div>
+                    <VirtualSheetTable
+                      resetKey={`${spreadsheetId}|${selectedRange}|${tableSort.sortBy}|${tableSort.sortOrder}|${JSON.stringify(appliedTableFilters)}`}
+                      headers={tableInfo.headers}
+                      rows={tableRows}
+                      darkMode={darkMode}
+                      sort={tableSort}
+                      onSort={toggleTableSort}
+                      filters={tableFilters}
+                      onFilterChange={(column, filter) => setTableFilters((current) => ({ ...current, [column]: filter }))}
+                      onNearEnd={loadMoreTableRows}
+                    />
+                    <p className={`text-sm mt-2 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                      {tableInfo.matchingRows === 0
+                        ? "No rows match"
+                        : `Loaded ${tableRows.length} of ${tableInfo.matchingRows} rows${tableLoading ? "..." : ""}`}
+                    </p>
                   </div>
                 )}
               </div>
@@ -784,7 +2460,7 @@ const SheetsApiFrontend = () => {
                   />
                   <button
                     onClick={searchContacts}
-                    disabled={!spreadsheetId || !searchQuery || loading}
+                    disabled={!spreadsheetId || (!searchQuery && activeRules.length === 0) || loading}
                     className={`flex items-center gap-2 px-6 py-3 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
                       darkMode
                         ? "bg-purple-600 hover:bg-purple-700 text-white"
@@ -796,11 +2472,162 @@ const SheetsApiFrontend = () => {
                   </button>
                 </div>
 
+                {/* Segment rules */}
+                <div
+                  className={`mb-6 p-4 rounded-lg border ${
+                    darkMode ? "bg-gray-700/40 border-gray-600" : "bg-gray-50 border-gray-200"
+                  }`}
+                >
+                  <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                    <h3 className={`font-semibold ${darkMode ? "text-white" : "text-gray-800"}`}>Segment rules</h3>
+                    <label className={`flex items-center gap-2 text-sm ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                      Rows must match
+                      <select
+                        value={segmentMatch}
+                        onChange={(e) => setSegmentMatch(e.target.value)}
+                        className={`px-2 py-1 rounded ${
+                          darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300"
+                        }`}
+                      >
+                        <option value="all">all rules</option>
+                        <option value="any">any rule</option>
+                      </select>
+                    </label>
+                  </div>
+
+                  {segmentRules.map((rule, index) => (
+                    <div key={index} className="flex flex-wrap items-center gap-2 mb-2">
+                      <select
+                        value={rule.column}
+                        onChange={(e) => updateSegmentRule(index, { column: e.target.value })}
+                        className={`px-3 py-2 rounded-lg ${
+                            darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300"
+                          }`}
+                      >
+                        <option value="">Column...</option>
+                        {sheetHeaders.map((header) => (
+                          <option key={header} value={header}>
+                            {header}
+                          </option>
+                        ))}
+                      </select>
+                      <select
+                        value={rule.op}
+                        onChange={(e) => updateSegmentRule(index, { op: e.target.value })}
+                        className={`px-3 py-2 rounded-lg ${
+                            darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300"
+                          }`}
+                      >
+                        {RULE_OPS.map((op) => (
+                          <option key={op.value} value={op.value}>
+                            {op.label}
+                          </option>
+                        ))}
+                      </select>
+                      {!VALUELESS_OPS.includes(rule.op) && (
+                        <input
+                          type="text"
+                          value={rule.value}
+                          onChange={(e) => updateSegmentRule(index, { value: e.target.value })}
+                          placeholder={["in", "notIn"].includes(rule.op) ? "A, B, C" : "Value"}
+                          className={`flex-1 min-w-40 px-3 py-2 rounded-lg ${
+                            darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300"
+                          }`}
+                        />
+                      )}
+                      <button
+                        onClick={() => setSegmentRules((rules) => rules.filter((_, ruleIndex) => ruleIndex !== index))}
+                        title="Remove rule"
+                        className={`p-2 rounded ${darkMode ? "hover:bg-gray-600 text-gray-300" : "hover:bg-gray-200 text-gray-600"}`}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+
+                  <div className="flex flex-wrap items-center gap-2 mt-3">
+                    <button
+                      onClick={() => setSegmentRules((rules) => [...rules, { column: "", op: "equals", value: "" }])}
+                      disabled={sheetHeaders.length === 0}
+                      className={`flex items-center gap-1 px-3 py-2 rounded-lg text-sm disabled:opacity-50 ${
+                        darkMode ? "bg-gray-600 hover:bg-gray-500 text-white" : "bg-gray-200 hover:bg-gray-300 text-gray-800"
+                      }`}
+                    >
+                      <Plus className="h-4 w-4" />
+                      Add Rule
+                    </button>
+                    <button
+                      onClick={previewSegment}
+                      disabled={!spreadsheetId || activeRules.length === 0}
+                      className={`flex items-center gap-1 px-3 py-2 rounded-lg text-sm disabled:opacity-50 ${
+                        darkMode ? "bg-gray-600 hover:bg-gray-500 text-white" : "bg-gray-200 hover:bg-gray-300 text-gray-800"
+                      }`}
+                    >
+                      <Users className="h-4 w-4" />
+                      Count Rows
+                    </button>
+                    <input
+                      type="text"
+                      value={segmentName}
+                      onChange={(e) => setSegmentName(e.target.value)}
+                      placeholder="Segment name"
+                      className={`ml-auto px-3 py-2 text-sm rounded-lg ${
+                        darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300"
+                      }`}
+                    />
+                    <button
+                      onClick={saveSegment}
+                      disabled={!spreadsheetId || !segmentName.trim() || activeRules.length === 0}
+                      className={`px-3 py-2 rounded-lg text-sm disabled:opacity-50 ${
+                        darkMode ? "bg-purple-600 hover:bg-purple-700 text-white" : "bg-indigo-600 hover:bg-indigo-700 text-white"
+                      }`}
+                    >
+                      Save Segment
+                    </button>
+                  </div>
+
+                  {segmentPreview && (
+                    <p className={`mt-3 text-sm ${darkMode ? "text-gray-300" : "text-gray-600"}`}>
+                      {segmentPreview.matchingRows} of {segmentPreview.totalRows} rows match,{" "}
+                      {segmentPreview.sendableRows} can be sent to
+                      {Object.entries(segmentPreview.skipped)
+                        .map(([reason, count]) => `; ${count} skipped: ${reason}`)
+                        .join("")}
+                    </p>
+                  )}
+
+                  {savedSegments.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-4">
+                      {savedSegments.map((segment) => (
+                        <span
+                          key={segment.id}
+                          className={`flex items-center gap-1 pl-3 pr-1 py-1 rounded-full text-sm ${
+                            darkMode ? "bg-gray-600 text-gray-100" : "bg-indigo-50 text-indigo-700"
+                          }`}
+                        >
+                          <button onClick={() => openSegment(segment)} title="Load these rules">
+                            {segment.name}
+                          </button>
+                          <button
+                            onClick={() => deleteSegment(segment.id)}
+                            title="Delete segment"
+                            className="p-1 rounded-full hover:opacity-70"
+                          >
+                            <XCircle className="h-4 w-4" />
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
                 {data && data.results && (
                   <div>
                     <div className="mb-4">
                       <p className={darkMode ? "text-gray-300" : "text-gray-600"}>
-                        Found {data.totalFound || 0} results for "{data.searchQuery}"
+                        Found {data.totalFound || 0} results
+                        {data.searchQuery ? ` for "${data.searchQuery}"` : ""}
+                        {data.rules ? ` matching ${data.rules.length} rule(s)` : ""}
                       </p>
                     </div>
 
@@ -887,8 +2714,86 @@ const SheetsApiFrontend = () => {
                     <CheckCircle className="h-4 w-4" />
                     {loading ? "Validating..." : "Validate Contacts"}
                   </button>
+                  <button
+                    onClick={() => findDuplicates()}
+                    disabled={!spreadsheetId || loading}
+                    className={`flex items-center gap-2 px-6 py-3 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+                      darkMode ? "bg-gray-600 hover:bg-gray-700 text-white" : "bg-gray-600 hover:bg-gray-700 text-white"
+                    }`}
+                  >
+                    <Copy className="h-4 w-4" />
+                    Find Duplicates
+                  </button>
+                  <label className={`flex items-center gap-2 text-sm ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                    <input type="checkbox" checked={checkDomains} onChange={(e) => setCheckDomains(e.target.checked)} />
+                    Check that domains accept email (DNS lookup)
+                  </label>
                 </div>
 
+                {fixResult && (
+                  <div
+                    className={`mb-4 p-3 rounded-lg text-sm ${
+                      darkMode ? "bg-green-900/30 text-green-200" : "bg-green-50 text-green-800"
+                    }`}
+                  >
+                    {fixResult.message}
+                  </div>
+                )}
+
+                {/* Applied Fixes */}
+                {fixHistory.length > 0 && (
+                  <details className={`mb-6 text-sm ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                    <summary className="cursor-pointer font-medium">Applied fixes ({fixHistory.length})</summary>
+                    {fixHistory.map((entry) => (
+                      <div key={entry.id} className="flex flex-wrap items-center gap-3 py-2">
+                        <span>
+                          {new Date(entry.appliedAt).toLocaleString()}: {entry.changes.length} cell(s) in {entry.range}
+                          {entry.undoneAt && ` (undone ${new Date(entry.undoneAt).toLocaleString()})`}
+                        </span>
+                        {!entry.undoneAt && (
+                          <button
+                            onClick={() => undoFixes(entry.id)}
+                            className={darkMode ? "text-purple-300 hover:underline" : "text-indigo-600 hover:underline"}
+                          >
+                            Undo
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </details>
+                )}
+
+                {/* Duplicate Groups */}
+                {duplicateReport && (
+                  <div
+                    className={`mb-6 p-4 rounded-lg border ${
+                      darkMode ? "bg-gray-700/40 border-gray-600 text-gray-200" : "bg-gray-50 border-gray-200"
+                    }`}
+                  >
+                    <p className="font-semibold mb-2">
+                      {duplicateReport.totalGroups === 0
+                        ? `No duplicate addresses among ${duplicateReport.totalContacts} contacts`
+                        : `${duplicateReport.totalGroups} address(es) on more than one row, ${duplicateReport.duplicateRows} extra row(s)`}
+                    </p>
+                    {duplicateReport.groups.map((group) => (
+                      <div key={group.email} className="py-2 text-sm">
+                        <span className={`font-mono ${darkMode ? "text-purple-300" : "text-indigo-600"}`}>
+                          {group.email}
+                        </span>{" "}
+                        — rows {group.rows.join(", ")}
+                        <ul className={`ml-4 mt-1 ${darkMode ? "text-gray-400" : "text-gray-600"}`}>
+                          {group.contacts.map((contact) => (
+                            <li key={contact.row}>
+                              Row {contact.row}: {contact.name || "(no name)"} &lt;{contact.email}&gt;
+                              {contact.skipReason && ` — ${contact.skipReason}`}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 {data && data.summary && (
                   <div>
                     {/* Validation Summary */}
@@ -929,7 +2834,96 @@ const SheetsApiFrontend = () => {
                           Invalid Emails
                         </div>
                       </div>
-                    </div>
+                    </div>
+
+                    {/* Deliverability Findings */}
+                    <div className={`flex flex-wrap gap-3 mb-6 text-sm ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                      {[
+                        ["Domains without mail", data.summary.domainsWithoutMail],
+                        ["Disposable", data.summary.disposableEmails],
+                        ["Possible typos", data.summary.typoSuggestions],
+                        ["Role accounts", data.summary.roleAccounts],
+                        ["Domains not checked", data.summary.uncheckedDomains],
+                      ].map(([label, count]) => (
+                        <span
+                          key={label}
+                          className={`px-3 py-1 rounded-full ${
+                            count > 0
+                              ? darkMode
+                                ? "bg-yellow-900/40 text-yellow-200"
+                                : "bg-yellow-100 text-yellow-800"
+                              : darkMode
+                                ? "bg-gray-700"
+                                : "bg-gray-100"
+                          }`}
+                        >
+                          {label}: {count || 0}
+                        </span>
+                      ))}
+                    </div>
+
+                    {/* Proposed Fixes */}
+                    {data.proposedFixes?.length > 0 && (
+                      <div
+                        className={`mb-6 p-4 rounded-lg border ${
+                          darkMode ? "bg-gray-700/40 border-gray-600 text-gray-200" : "bg-gray-50 border-gray-200"
+                        }`}
+                      >
+                        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                          <h3 className="font-semibold">Proposed Fixes ({data.proposedFixes.length})</h3>
+                          <div className="flex items-center gap-3 text-sm">
+                            <button
+                              onClick={() =>
+                                setSelectedFixIds(
+                                  selectedFixIds.length === data.proposedFixes.length
+                                    ? []
+                                    : data.proposedFixes.map((fix) => fix.id),
+                                )
+                              }
+                              className={darkMode ? "text-purple-300 hover:underline" : "text-indigo-600 hover:underline"}
+                            >
+                              {selectedFixIds.length === data.proposedFixes.length ? "Select none" : "Select all"}
+                            </button>
+                            <button
+                              onClick={applyFixes}
+                              disabled={loading || selectedFixIds.length === 0 || activeSource?.type === "upload"}
+                              className={`px-4 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed ${
+                                darkMode
+                                  ? "bg-purple-600 hover:bg-purple-700 text-white"
+                                  : "bg-indigo-600 hover:bg-indigo-700 text-white"
+                              }`}
+                            >
+                              Apply {selectedFixIds.length} Fix(es) to Sheet
+                            </button>
+                          </div>
+                        </div>
+                        {activeSource?.type === "upload" && (
+                          <p className="text-sm mb-2">Uploaded files are read-only; fixes can only be written to a Google Sheet.</p>
+                        )}
+                        {data.proposedFixes.map((fix) => (
+                          <label key={fix.id} className="flex items-start gap-3 py-1 text-sm">
+                            <input
+                              type="checkbox"
+                              className="mt-1"
+                              checked={selectedFixIds.includes(fix.id)}
+                              onChange={(e) =>
+                                setSelectedFixIds((ids) =>
+                                  e.target.checked ? [...ids, fix.id] : ids.filter((id) => id !== fix.id),
+                                )
+                              }
+                            />
+                            <span>
+                              Row {fix.row}, {fix.column}:{" "}
+                              <span className="font-mono line-through opacity-70">"{fix.from}"</span> →{" "}
+                              <span className={`font-mono ${darkMode ? "text-purple-300" : "text-indigo-600"}`}>
+                                "{fix.to}"
+                              </span>{" "}
+                              <span className={darkMode ? "text-gray-400" : "text-gray-500"}>({fix.reasons.join(", ")})</span>
+                            </span>
+                          </label>
+                        ))}
+                      </div>
+                    )}
 
                     {/* Validation Results */}
                     {data.validation && (
@@ -1002,6 +2996,24 @@ const SheetsApiFrontend = () => {
                                 </td>
                                 <td className={`px-4 py-3 text-sm ${darkMode ? "" : "border-x border-gray-300"}`}>
                                   {item.issues && item.issues.length > 0 ? item.issues.join(", ") : "No issues"}
+                                  {item.syntaxError && item.syntaxError !== "Missing email" && (
+                                    <div className={darkMode ? "text-gray-400" : "text-gray-500"}>{item.syntaxError}</div>
+                                  )}
+                                  {item.warnings?.length > 0 && (
+                                    <div className={darkMode ? "text-yellow-300" : "text-yellow-700"}>
+                                      {item.warnings.join(", ")}
+                                    </div>
+                                  )}
+                                  {item.suggestion && (
+                                    <div className={darkMode ? "text-purple-300" : "text-indigo-600"}>
+                                      Did you mean <span className="font-mono">{item.suggestion}</span>?
+                                    </div>
+                                  )}
+                                  {item.mx?.length > 0 && (
+                                    <div className={`text-xs ${darkMode ? "text-gray-500" : "text-gray-400"}`}>
+                                      MX: {item.mx.join(", ")}
+                                    </div>
+                                  )}
                                 </td>
                               </tr>
                             ))}
@@ -1040,9 +3052,12 @@ const SheetsApiFrontend = () => {
                         }`}
                       >
                         <option value="">Select Template</option>
-                        <option value="welcome">Welcome Email</option>
-                        <option value="newsletter">Newsletter</option>
                         <option value="certificate">Certificate Template</option>
+                        {savedTemplates.map((template) => (
+                          <option key={template.id} value={template.id}>
+                            {template.name} (v{template.version})
+                          </option>
+                        ))}
                       </select>
                       <button
                         onClick={() => selectedTemplate && loadTemplateInEditor(selectedTemplate)}
@@ -1056,6 +3071,50 @@ const SheetsApiFrontend = () => {
                         Load Template
                       </button>
                     </div>
+                    <div className="flex flex-wrap gap-2 w-full mt-2">
+                      <input
+                        type="text"
+                        value={templateName}
+                        onChange={(e) => setTemplateName(e.target.value)}
+                        placeholder="Template name"
+                        className={`flex-1 min-w-48 px-3 py-2 rounded-md ${
+                          darkMode ? "bg-gray-700 border border-gray-600 text-white placeholder-gray-400" : "border border-gray-300"
+                        }`}
+                      />
+                      <button
+                        onClick={() => saveTemplate(false)}
+                        disabled={!templateName.trim()}
+                        className="px-4 py-2 rounded-md bg-green-600 hover:bg-green-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Save as Template
+                      </button>
+                      {currentTemplate && (
+                        <button
+                          onClick={() => saveTemplate(true)}
+                          disabled={!templateName.trim()}
+                          className="px-4 py-2 rounded-md bg-gray-600 hover:bg-gray-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Save as Version {currentTemplate.version + 1}
+                        </button>
+                      )}
+                      {templateVersions.length > 1 && (
+                        <select
+                          value=""
+                          onChange={(e) => loadTemplateVersion(e.target.value)}
+                          className={`px-3 py-2 rounded-md ${
+                            darkMode ? "bg-gray-700 text-white border border-gray-600" : "border border-gray-300"
+                          }`}
+                        >
+                          <option value="">Version history</option>
+                          {templateVersions.map((entry) => (
+                            <option key={entry.version} value={entry.version}>
+                              v{entry.version} - {new Date(entry.savedAt).toLocaleString()}
+                              {entry.note ? ` (${entry.note})` : ""}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
                   </div>
                   <div className="mb-4">
                     <label className={`block text-sm font-medium mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
@@ -1070,6 +3129,9 @@ const SheetsApiFrontend = () => {
                       }`}
                       placeholder="Enter email subject"
                     />
+                    <p className={`text-xs mt-1 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                      {"Use {{Column Name}} for sheet values, {{name|there}} for a fallback, {{#if Column}}...{{/if}} and {{#each Column}}{{this}}{{/each}} in the subject and body."}
+                    </p>
                   </div>
                   {/* Email Editor */}
                   <div className="mb-4">
@@ -1134,7 +3196,7 @@ const SheetsApiFrontend = () => {
                                   min-height: 100% !important;
                                 }
                               `,
-                              mergeTags: [],
+                              mergeTags,
                               customJS: [],
                             }}
                             minHeight={600}
@@ -1143,45 +3205,809 @@ const SheetsApiFrontend = () => {
                       </div>
                     </div>
                   </div>
-                  <button
-                    onClick={async () => {
-                      if (emailEditorRef.current && emailEditorRef.current.editor) {
-                        emailEditorRef.current.editor.exportHtml((data) => {
-                          setEmailBody(data.html)
+                  {/* Sender Account */}
+                  <div className="mb-4">
+                    <label className={`block text-sm font-medium mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                      Send From
+                    </label>
+                    <select
+                      value={selectedSender}
+                      onChange={(e) => setSelectedSender(e.target.value)}
+                      className={`w-full px-4 py-2 rounded-lg ${
+                        darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300"
+                      }`}
+                    >
+                      {senders.map((sender) => (
+                        <option key={sender.id} value={sender.id}>
+                          {sender.label}
+                          {sender.from ? ` <${sender.from}>` : ""} ({sender.type})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {/* Recipients */}
+                  <div className="mb-4">
+                    <label className={`block text-sm font-medium mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                      Send To
+                    </label>
+                    <select
+                      value={campaignSegmentId}
+                      onChange={(e) => setCampaignSegmentId(e.target.value)}
+                      className={`w-full px-4 py-2 rounded-lg ${
+                        darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300"
+                      }`}
+                    >
+                      <option value="">Every row in {selectedRange}</option>
+                      {savedSegments.map((segment) => (
+                        <option key={segment.id} value={segment.id}>
+                          Segment: {segment.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {/* Duplicates */}
+                  <div className="mb-4">
+                    <label className={`block text-sm font-medium mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                      People on More Than One Row
+                    </label>
+                    <select
+                      value={dedupePolicy}
+                      onChange={(e) => setDedupePolicy(e.target.value)}
+                      className={`w-full px-4 py-2 rounded-lg ${
+                        darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300"
+                      }`}
+                    >
+                      <option value="first">Send once, to the first row</option>
+                      <option value="last">Send once, to the last row</option>
+                      <option value="merge">Send once, filling empty fields from the other rows</option>
+                      <option value="none">Send to every row</option>
+                    </select>
+                  </div>
+
+                  {/* Generated Certificates */}
+                  <div className="mb-4">
+                    <label className={`block text-sm font-medium mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                      Certificate
+                    </label>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <select
+                        value={campaignDesignId}
+                        onChange={(e) => setCampaignDesignId(e.target.value)}
+                        className={`flex-1 min-w-48 px-4 py-2 rounded-lg ${
+                          darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300"
+                        }`}
+                      >
+                        <option value="">Use the certificate link column</option>
+                        {certificateDesigns.map((design) => (
+                          <option key={design.id} value={design.id}>
+                            Generate from design: {design.name}
+                          </option>
+                        ))}
+                      </select>
+                      {campaignDesignId && (
+                        <select
+                          value={certificateDelivery}
+                          onChange={(e) => setCertificateDelivery(e.target.value)}
+                          className={`px-4 py-2 rounded-lg ${
+                            darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300"
+                          }`}
+                        >
+                          <option value="attach">Attach the PDF</option>
+                          <option value="link">Link to the PDF ({"{{certificateLink}}"})</option>
+                        </select>
+                      )}
+                      <button
+                        onClick={() => editCertificateDesign(campaignDesignId)}
+                        className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-600 hover:bg-gray-700 text-white text-sm"
+                      >
+                        <Award className="h-4 w-4" />
+                        {campaignDesignId ? "Edit Design" : "New Design"}
+                      </button>
+                    </div>
+                    {campaignDesignId && (
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        <button
+                          onClick={previewCertificate}
+                          disabled={loading}
+                          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-600 hover:bg-gray-700 text-white text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <Eye className="h-4 w-4" />
+                          Preview Certificate
+                        </button>
+                        <button
+                          onClick={downloadAllCertificates}
+                          disabled={loading}
+                          title="Every certificate in the zip is issued and can be verified"
+                          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-600 hover:bg-gray-700 text-white text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <Download className="h-4 w-4" />
+                          Download All (zip)
+                        </button>
+                      </div>
+                    )}
+                    {designDraft && (
+                      <div
+                        className={`mt-3 p-4 rounded-lg ${
+                          darkMode ? "bg-gray-700 border border-gray-600" : "bg-gray-50 border border-gray-200"
+                        }`}
+                      >
+                        <input
+                          type="text"
+                          value={designDraft.name}
+                          onChange={(e) => setDesignDraft({ ...designDraft, name: e.target.value })}
+                          placeholder="Design name"
+                          className={`w-full px-4 py-2 mb-2 rounded-lg ${
+                            darkMode ? "bg-gray-800 border border-gray-600 text-white" : "border border-gray-300"
+                          }`}
+                        />
+                        <textarea
+                          value={designDraft.svg}
+                          onChange={(e) => setDesignDraft({ ...designDraft, svg: e.target.value })}
+                          rows={12}
+                          spellCheck={false}
+                          className={`w-full px-4 py-2 rounded-lg font-mono text-xs ${
+                            darkMode ? "bg-gray-800 border border-gray-600 text-white" : "border border-gray-300"
+                          }`}
+                        />
+                        <p className={`text-xs mt-1 mb-2 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                          An SVG drawing; text may use merge tags such as {"{{name}}"}, {"{{course}}"},{" "}
+                          {"{{certificateId}}"} and {"{{date}}"} (the issue date), and an {"<image>"} with href{" "}
+                          {"{{certificateQrCode}}"} shows a QR code of the verification link. Use font-family serif,
+                          sans-serif or monospace. The PDF page is the size of the SVG.
+                        </p>
+                        <div className="flex flex-wrap gap-2">
+                          <button
+                            onClick={saveCertificateDesign}
+                            disabled={loading || !designDraft.name.trim()}
+                            className={`flex items-center gap-2 px-4 py-2 rounded-lg text-white text-sm disabled:opacity-50 disabled:cursor-not-allowed ${
+                              darkMode ? "bg-purple-600 hover:bg-purple-700" : "bg-indigo-600 hover:bg-indigo-700"
+                            }`}
+                          >
+                            Save Design
+                          </button>
+                          {designDraft.id && (
+                            <button
+                              onClick={deleteCertificateDesign}
+                              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-600 hover:bg-red-700 text-white text-sm"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                              Delete
+                            </button>
+                          )}
+                          <button
+                            onClick={() => setDesignDraft(null)}
+                            className="px-4 py-2 rounded-lg bg-gray-600 hover:bg-gray-700 text-white text-sm"
+                          >
+                            Close
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                    <button
+                      onClick={issuedCertificates ? () => setIssuedCertificates(null) : loadIssuedCertificates}
+                      disabled={!spreadsheetId}
+                      className={`mt-2 text-sm underline disabled:opacity-50 ${darkMode ? "text-gray-300" : "text-gray-600"}`}
+                    >
+                      {issuedCertificates ? "Hide issued certificates" : "Show issued certificates"}
+                    </button>
+                    {issuedCertificates && (
+                      <div
+                        className={`mt-2 rounded-lg text-sm max-h-64 overflow-y-auto ${
+                          darkMode ? "border border-gray-600" : "border border-gray-200"
+                        }`}
+                      >
+                        {issuedCertificates.length === 0 ? (
+                          <p className={`px-3 py-2 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                            No certificates have been sent from this sheet yet.
+                          </p>
+                        ) : (
+                          <ul className={`divide-y ${darkMode ? "divide-gray-600" : "divide-gray-200"}`}>
+                            {issuedCertificates.map((certificate) => (
+                              <li key={certificate.id} className="flex items-center justify-between gap-2 px-3 py-2">
+                                <div className="min-w-0">
+                                  <div className="truncate">
+                                    <span className="font-medium">{certificate.name || certificate.email}</span>
+                                    {certificate.course && ` - ${certificate.course}`}
+                                  </div>
+                                  <div className={`text-xs ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                                    {certificate.email}, issued {new Date(certificate.issuedAt).toLocaleDateString()}
+                                    {certificate.revokedAt && (
+                                      <span className={darkMode ? "text-red-400" : "text-red-600"}>
+                                        {" "}
+                                        - revoked {new Date(certificate.revokedAt).toLocaleDateString()}
+                                        {certificate.revokedReason && `: ${certificate.revokedReason}`}
+                                      </span>
+                                    )}
+                                  </div>
+                                </div>
+                                <div className="flex items-center gap-3 shrink-0">
+                                  <a
+                                    href={`${API_BASE_URL}/verify/${certificate.id}`}
+                                    target="_blank"
+                                    rel="noreferrer"
+                                    className={`underline ${darkMode ? "text-purple-300" : "text-indigo-600"}`}
+                                  >
+                                    Verify
+                                  </a>
+                                  {!certificate.revokedAt && (
+                                    <button
+                                      onClick={() => revokeCertificate(certificate)}
+                                      className={darkMode ? "text-gray-400 hover:text-red-400" : "text-gray-500 hover:text-red-600"}
+                                    >
+                                      Revoke
+                                    </button>
+                                  )}
+                                </div>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Attachments */}
+                  <div className="mb-4">
+                    <label className={`block text-sm font-medium mb-1 ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                      Attachments
+                    </label>
+                    <p className={`text-xs mb-2 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                      Checked files go to every recipient. Map an attachment column to add per-recipient files: names
+                      of files uploaded here or URLs, separated by ";".
+                      {attachmentLimits &&
+                        ` Up to ${formatFileSize(attachmentLimits.maxBytes)} per file and ${formatFileSize(
+                          attachmentLimits.maxTotalBytes,
+                        )} per email.`}
+                    </p>
+                    {attachmentFiles.length > 0 && (
+                      <ul
+                        className={`mb-2 rounded-lg divide-y text-sm ${
+                          darkMode ? "border border-gray-600 divide-gray-600" : "border border-gray-200 divide-gray-200"
+                        }`}
+                      >
+                        {attachmentFiles.map((file) => (
+                          <li key={file.fileName} className="flex items-center justify-between gap-2 px-3 py-2">
+                            <label className="flex items-center gap-2 min-w-0">
+                              <input
+                                type="checkbox"
+                                checked={campaignAttachments.includes(file.fileName)}
+                                onChange={() => toggleCampaignAttachment(file.fileName)}
+                              />
+                              <Paperclip className="h-4 w-4 shrink-0" />
+                              <span className="font-mono truncate">{file.fileName}</span>
+                              <span className={darkMode ? "text-gray-400" : "text-gray-500"}>
+                                {formatFileSize(file.size)}
+                              </span>
+                            </label>
+                            <button
+                              onClick={() => deleteAttachment(file.fileName)}
+                              title="Delete file"
+                              className={darkMode ? "text-gray-400 hover:text-red-400" : "text-gray-500 hover:text-red-600"}
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    <div className="flex flex-wrap items-center gap-2">
+                      <input
+                        key={attachmentUploadFile ? "selected" : "empty"}
+                        type="file"
+                        onChange={(e) => setAttachmentUploadFile(e.target.files[0] || null)}
+                        className={`text-sm ${darkMode ? "text-gray-300" : "text-gray-700"}`}
+                      />
+                      <button
+                        onClick={uploadAttachment}
+                        disabled={loading || !attachmentUploadFile}
+                        className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-600 hover:bg-gray-700 text-white text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <Plus className="h-4 w-4" />
+                        Upload
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Campaign Options */}
+                  <div className={`flex flex-wrap gap-6 mb-4 text-sm ${darkMode ? "text-gray-300" : "text-gray-700"}`}>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={writeBack && activeSource?.type !== "upload"}
+                        disabled={activeSource?.type === "upload"}
+                        onChange={(e) => setWriteBack(e.target.checked)}
+                      />
+                      Write "Sent at", "Status" and "Error" back to the sheet
+                      {activeSource?.type === "upload" && " (not available for uploaded files)"}
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <input type="checkbox" checked={skipSent} onChange={(e) => setSkipSent(e.target.checked)} />
+                      Skip rows already marked as sent
+                    </label>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-4">
+                    <button
+                      onClick={() => previewEmail()}
+                      disabled={loading}
+                      className={`flex items-center gap-2 px-6 py-3 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+                        darkMode ? "bg-gray-600 hover:bg-gray-700 text-white" : "bg-gray-600 hover:bg-gray-700 text-white"
+                      }`}
+                    >
+                      <Eye className="h-4 w-4" />
+                      Preview
+                    </button>
+                    <button
+                      onClick={dryRunEmails}
+                      disabled={!emailSubject || loading}
+                      className={`flex items-center gap-2 px-6 py-3 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+                        darkMode ? "bg-gray-600 hover:bg-gray-700 text-white" : "bg-gray-600 hover:bg-gray-700 text-white"
+                      }`}
+                    >
+                      <FlaskConical className="h-4 w-4" />
+                      Dry Run
+                    </button>
+                    <button
+                      onClick={async () => {
+                        if (emailEditorRef.current && emailEditorRef.current.editor) {
+                          emailEditorRef.current.editor.exportHtml((data) => {
+                            setEmailBody(data.html)
+                            sendEmails()
+                          })
+                        } else {
                           sendEmails()
-                        })
-                      } else {
-                        sendEmails()
-                      }
-                    }}
-                    disabled={!emailSubject || loading}
-                    className={`px-6 py-3 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
-                      darkMode
-                        ? "bg-purple-600 hover:bg-purple-700 text-white"
-                        : "bg-indigo-600 hover:bg-indigo-700 text-white"
-                    }`}
-                  >
-                    {loading ? "Sending..." : "Send Email"}
-                  </button>
+                        }
+                      }}
+                      disabled={!emailSubject || loading || (sendJob && !FINISHED_JOB_STATUSES.includes(sendJob.status))}
+                      className={`px-6 py-3 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+                        darkMode
+                          ? "bg-purple-600 hover:bg-purple-700 text-white"
+                          : "bg-indigo-600 hover:bg-indigo-700 text-white"
+                      }`}
+                    >
+                      {loading ? "Sending..." : "Send Email"}
+                    </button>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <input
+                        type="datetime-local"
+                        value={scheduleAt}
+                        onChange={(e) => setScheduleAt(e.target.value)}
+                        className={`px-4 py-2 rounded-lg ${
+                          darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300"
+                        }`}
+                      />
+                      <select
+                        value={scheduleTimeZone}
+                        onChange={(e) => setScheduleTimeZone(e.target.value)}
+                        className={`max-w-56 px-4 py-2 rounded-lg ${
+                          darkMode ? "bg-gray-700 border border-gray-600 text-white" : "border border-gray-300"
+                        }`}
+                      >
+                        {TIME_ZONES.map((timeZone) => (
+                          <option key={timeZone} value={timeZone}>
+                            {timeZone}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={scheduleCampaign}
+                        disabled={!emailSubject || !scheduleAt || loading}
+                        className={`flex items-center gap-2 px-4 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+                          darkMode
+                            ? "bg-purple-600 hover:bg-purple-700 text-white"
+                            : "bg-indigo-600 hover:bg-indigo-700 text-white"
+                        }`}
+                      >
+                        <CalendarClock className="h-4 w-4" />
+                        Schedule
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Scheduled Campaigns */}
+                  {schedules.length > 0 && (
+                    <div
+                      className={`rounded-lg p-4 mt-4 ${
+                        darkMode ? "bg-gray-700 border border-gray-600" : "bg-gray-50 border border-gray-200"
+                      }`}
+                    >
+                      <h3 className={`font-semibold mb-3 ${darkMode ? "text-white" : "text-gray-900"}`}>
+                        Scheduled Campaigns
+                      </h3>
+                      <div className="space-y-2">
+                        {schedules.map((schedule) => (
+                          <div
+                            key={schedule.id}
+                            className={`flex flex-wrap items-center justify-between gap-2 text-sm rounded-lg px-3 py-2 ${
+                              darkMode ? "bg-gray-800 text-gray-200" : "bg-white text-gray-700"
+                            }`}
+                          >
+                            <div>
+                              <div className="font-medium">{schedule.campaign.subject}</div>
+                              <div className={darkMode ? "text-gray-400" : "text-gray-500"}>
+                                {formatScheduleTime(schedule)} · {schedule.campaign.range} · {schedule.status}
+                                {schedule.error && ` - ${schedule.error}`}
+                              </div>
+                            </div>
+                            {schedule.status === "scheduled" && (
+                              <div className="flex gap-2">
+                                <button
+                                  onClick={() =>
+                                    changeSchedule(schedule.id, { sendAt: scheduleAt, timeZone: scheduleTimeZone })
+                                  }
+                                  disabled={!scheduleAt}
+                                  title="Move to the date and time picked above"
+                                  className="px-3 py-1 rounded-lg bg-gray-600 hover:bg-gray-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                  Reschedule
+                                </button>
+                                <button
+                                  onClick={() => updateScheduleContent(schedule.id)}
+                                  disabled={!emailSubject}
+                                  title="Use the subject and body currently in the editor"
+                                  className="px-3 py-1 rounded-lg bg-gray-600 hover:bg-gray-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                  Update Content
+                                </button>
+                                <button
+                                  onClick={() => changeSchedule(schedule.id)}
+                                  className="flex items-center gap-1 px-3 py-1 rounded-lg bg-red-600 hover:bg-red-700 text-white"
+                                >
+                                  <XCircle className="h-4 w-4" />
+                                  Cancel
+                                </button>
+                              </div>
+                            )}
+                            {schedule.status === "started" && schedule.jobId && (
+                              <button
+                                onClick={() => watchSendJob(schedule.jobId)}
+                                className="px-3 py-1 rounded-lg bg-gray-600 hover:bg-gray-700 text-white"
+                              >
+                                Show Progress
+                              </button>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Test Send */}
+                  <div className="flex flex-wrap items-center gap-2 mt-4">
+                    <input
+                      type="email"
+                      value={testEmail}
+                      onChange={(e) => setTestEmail(e.target.value)}
+                      placeholder="Send a test to (your email)"
+                      className={`flex-1 min-w-48 px-4 py-2 rounded-lg ${
+                        darkMode ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400" : "border border-gray-300"
+                      }`}
+                    />
+                    <input
+                      type="text"
+                      value={testRowsInput}
+                      onChange={(e) => setTestRowsInput(e.target.value)}
+                      placeholder={preview ? `Rows, e.g. ${preview.row}` : "Rows, e.g. 2, 5"}
+                      className={`w-40 px-4 py-2 rounded-lg ${
+                        darkMode ? "bg-gray-700 border-gray-600 text-white placeholder-gray-400" : "border border-gray-300"
+                      }`}
+                    />
+                    <button
+                      onClick={sendTestEmails}
+                      disabled={!emailSubject || !testEmail || !testRowsInput || loading}
+                      className={`flex items-center gap-2 px-4 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+                        darkMode ? "bg-green-600 hover:bg-green-700 text-white" : "bg-green-600 hover:bg-green-700 text-white"
+                      }`}
+                    >
+                      <Send className="h-4 w-4" />
+                      Send Test
+                    </button>
+                  </div>
+
+                  {/* Dry Run Results */}
+                  {dryRunResult && (
+                    <div
+                      className={`rounded-lg p-4 mt-4 ${
+                        darkMode ? "bg-gray-700 border border-gray-600" : "bg-gray-50 border border-gray-200"
+                      }`}
+                    >
+                      <div className="flex flex-wrap items-center justify-between gap-4 mb-3">
+                        <div className="text-sm">
+                          <span className="font-semibold">{dryRunResult.totalRecipients}</span> recipients,{" "}
+                          <span className={darkMode ? "text-yellow-300" : "text-yellow-700"}>
+                            {dryRunResult.recipientsWithEmptyPlaceholders} with empty placeholders
+                          </span>
+                          , {dryRunResult.skipped.length} rows skipped
+                        </div>
+                        <button
+                          onClick={() => {
+                            const dataUri =
+                              "data:application/json;charset=utf-8," +
+                              encodeURIComponent(JSON.stringify(dryRunResult, null, 2))
+                            const linkElement = document.createElement("a")
+                            linkElement.setAttribute("href", dataUri)
+                            linkElement.setAttribute("download", `dry-run-${Date.now()}.json`)
+                            linkElement.click()
+                          }}
+                          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-gray-600 hover:bg-gray-700 text-white text-sm"
+                        >
+                          <Download className="h-4 w-4" />
+                          Download
+                        </button>
+                      </div>
+                      <div className="overflow-x-auto rounded-lg max-h-96 overflow-y-auto">
+                        <table className={`w-full border-collapse text-sm ${darkMode ? "text-gray-200" : ""}`}>
+                          <thead>
+                            <tr className={darkMode ? "bg-gray-800" : "bg-gray-100"}>
+                              <th className="px-3 py-2 text-left">Row</th>
+                              <th className="px-3 py-2 text-left">Email</th>
+                              <th className="px-3 py-2 text-left">Subject</th>
+                              <th className="px-3 py-2 text-left">Empty Placeholders</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {dryRunResult.recipients.slice(0, 50).map((recipient) => (
+                              <tr
+                                key={recipient.row}
+                                className={darkMode ? "border-b border-gray-600" : "border-b border-gray-200"}
+                              >
+                                <td className="px-3 py-2">{recipient.row}</td>
+                                <td className="px-3 py-2 font-mono">{recipient.email}</td>
+                                <td className="px-3 py-2">{recipient.subject}</td>
+                                <td className={`px-3 py-2 ${darkMode ? "text-yellow-300" : "text-yellow-700"}`}>
+                                  {recipient.missing.map((entry) => `{{${entry.tag}}}`).join(", ") || "-"}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                      {dryRunResult.attachmentProblems?.length > 0 && (
+                        <div
+                          className={`text-sm mt-2 p-3 rounded-lg ${
+                            darkMode ? "bg-red-900/30 text-red-300" : "bg-red-50 text-red-700"
+                          }`}
+                        >
+                          <p className="font-medium mb-1">
+                            {dryRunResult.attachmentProblems.length} attachment problem(s) - fix these before sending:
+                          </p>
+                          <ul className="list-disc list-inside">
+                            {dryRunResult.attachmentProblems.slice(0, 20).map((entry, idx) => (
+                              <li key={idx}>
+                                {entry.row ? `Row ${entry.row}: ` : "Campaign: "}
+                                {entry.problem}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                      {dryRunResult.recipients.length > 50 && (
+                        <p className={`text-sm mt-2 ${darkMode ? "text-gray-400" : "text-gray-500"}`}>
+                          Showing first 50 recipients of {dryRunResult.recipients.length}
+                        </p>
+                      )}
+                      {dryRunResult.skipped.length > 0 && (
+                        <div className={`text-sm mt-2 ${darkMode ? "text-gray-400" : "text-gray-600"}`}>
+                          Skipped:{" "}
+                          {dryRunResult.skipped
+                            .slice(0, 20)
+                            .map((entry) => `row ${entry.row} (${entry.reason})`)
+                            .join(", ")}
+                          {dryRunResult.skipped.length > 20 && ", ..."}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Per-recipient Preview */}
+                  {preview && (
+                    <div
+                      className={`rounded-lg p-4 mt-4 ${
+                        darkMode ? "bg-gray-700 border border-gray-600" : "bg-gray-50 border border-gray-200"
+                      }`}
+                    >
+                      <div className="flex flex-wrap items-center justify-between gap-4 mb-3">
+                        <div className="flex items-center gap-2">
+                          <button
+                            onClick={() => previewEmail(preview.previousRow)}
+                            disabled={preview.previousRow === null || loading}
+                            className={`p-2 rounded-md disabled:opacity-50 ${darkMode ? "bg-gray-600 hover:bg-gray-500" : "bg-gray-200 hover:bg-gray-300"}`}
+                            aria-label="Previous recipient"
+                          >
+                            <ChevronLeft className="h-4 w-4" />
+                          </button>
+                          <span className="text-sm">
+                            Recipient {preview.index + 1} of {preview.total} (row {preview.row})
+                          </span>
+                          <button
+                            onClick={() => previewEmail(preview.nextRow)}
+                            disabled={preview.nextRow === null || loading}
+                            className={`p-2 rounded-md disabled:opacity-50 ${darkMode ? "bg-gray-600 hover:bg-gray-500" : "bg-gray-200 hover:bg-gray-300"}`}
+                            aria-label="Next recipient"
+                          >
+                            <ChevronRight className="h-4 w-4" />
+                          </button>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="number"
+                            min="2"
+                            value={previewRowInput}
+                            onChange={(e) => setPreviewRowInput(e.target.value)}
+                            onKeyDown={(e) => e.key === "Enter" && previewEmail(Number(previewRowInput))}
+                            className={`w-24 px-3 py-1 rounded-md ${
+                              darkMode ? "bg-gray-800 border border-gray-600 text-white" : "border border-gray-300"
+                            }`}
+                            aria-label="Jump to row"
+                          />
+                          <button
+                            onClick={() => previewEmail(Number(previewRowInput))}
+                            disabled={!previewRowInput || loading}
+                            className={`px-3 py-1 rounded-md text-sm disabled:opacity-50 ${
+                              darkMode ? "bg-purple-600 hover:bg-purple-700 text-white" : "bg-indigo-600 hover:bg-indigo-700 text-white"
+                            }`}
+                          >
+                            Go to row
+                          </button>
+                          <select
+                            value={previewFormat}
+                            onChange={(e) => setPreviewFormat(e.target.value)}
+                            className={`px-3 py-1 rounded-md ${
+                              darkMode ? "bg-gray-800 border border-gray-600 text-white" : "border border-gray-300"
+                            }`}
+                          >
+                            <option value="html">HTML</option>
+                            <option value="text">Plain text</option>
+                          </select>
+                        </div>
+                      </div>
+
+                      {preview.missing.length > 0 && (
+                        <div
+                          className={`flex items-start gap-2 p-3 rounded-md mb-3 text-sm ${
+                            darkMode ? "bg-yellow-900/30 text-yellow-300" : "bg-yellow-50 text-yellow-800"
+                          }`}
+                        >
+                          <AlertCircle className="h-4 w-4 mt-0.5 shrink-0" />
+                          <span>
+                            Empty placeholders for this row:{" "}
+                            {preview.missing
+                              .map((entry) => `{{${entry.tag}}} in ${entry.field}${entry.reason === "unknown" ? " (no such column)" : ""}`)
+                              .join(", ")}
+                          </span>
+                        </div>
+                      )}
+                      {preview.rowsWithEmptyPlaceholders.length > 0 && (
+                        <div className={`text-sm mb-3 ${darkMode ? "text-yellow-300" : "text-yellow-700"}`}>
+                          {preview.rowsWithEmptyPlaceholders.length} of {preview.total} recipients have empty placeholders
+                          (rows{" "}
+                          {preview.rowsWithEmptyPlaceholders.slice(0, 20).map((row, idx) => (
+                            <span key={row}>
+                              {idx > 0 && ", "}
+                              <button onClick={() => previewEmail(row)} className="underline">
+                                {row}
+                              </button>
+                            </span>
+                          ))}
+                          {preview.rowsWithEmptyPlaceholders.length > 20 && ", ..."})
+                        </div>
+                      )}
+
+                      <div className="text-sm mb-1">
+                        <span className={darkMode ? "text-gray-400" : "text-gray-600"}>To:</span>{" "}
+                        <span className="font-mono">{preview.to}</span>
+                        {preview.name && ` (${preview.name})`}
+                      </div>
+                      <div className="text-sm mb-3">
+                        <span className={darkMode ? "text-gray-400" : "text-gray-600"}>Subject:</span>{" "}
+                        <span className="font-medium">{preview.subject}</span>
+                      </div>
+                      {(campaignAttachments.length > 0 || preview.attachments?.length > 0) && (
+                        <div className="text-sm mb-3 flex items-center gap-2">
+                          <Paperclip className={`h-4 w-4 ${darkMode ? "text-gray-400" : "text-gray-600"}`} />
+                          <span className="font-mono">{[...campaignAttachments, ...(preview.attachments || [])].join(", ")}</span>
+                        </div>
+                      )}
+                      {previewFormat === "html" ? (
+                        <iframe
+                          title="Email preview"
+                          srcDoc={preview.html}
+                          sandbox=""
+                          className="w-full h-[600px] rounded-md bg-white border-0"
+                        />
+                      ) : (
+                        <pre
+                          className={`whitespace-pre-wrap text-sm p-4 rounded-md max-h-[600px] overflow-y-auto ${
+                            darkMode ? "bg-gray-800" : "bg-white"
+                          }`}
+                        >
+                          {preview.text}
+                        </pre>
+                      )}
+                    </div>
+                  )}
                 </div>
-                {emailSendResult && (
+                {sendJob && (
                   <div
                     className={`rounded-lg p-4 mb-4 ${
-                      darkMode ? "bg-green-900/30 border border-green-800" : "bg-green-50 border border-green-200"
+                      darkMode ? "bg-gray-700 border border-gray-600" : "bg-gray-50 border border-gray-200"
                     }`}
                   >
-                    <div className={`font-semibold mb-2 ${darkMode ? "text-green-300" : "text-green-700"}`}>
-                      {emailSendResult.message}
+                    {/* Send Progress */}
+                    <div className="flex flex-wrap items-center justify-between gap-4 mb-2">
+                      <div className="font-semibold">
+                        {sendJob.sent + sendJob.failed} of {sendJob.total} processed
+                        <span className={`ml-2 text-sm font-normal ${darkMode ? "text-gray-400" : "text-gray-600"}`}>
+                          ({sendJob.status})
+                        </span>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <span className={`text-sm ${darkMode ? "text-gray-300" : "text-gray-600"}`}>
+                          {sendRate.toFixed(1)} emails/sec
+                        </span>
+                        {(sendJob.status === "queued" || sendJob.status === "running") && (
+                          <button
+                            onClick={() => controlSendJob("pause")}
+                            className="flex items-center gap-1 px-3 py-1 rounded-md bg-yellow-500 hover:bg-yellow-600 text-white text-sm"
+                          >
+                            <Pause className="h-4 w-4" />
+                            Pause
+                          </button>
+                        )}
+                        {sendJob.status === "paused" && (
+                          <button
+                            onClick={() => controlSendJob("resume")}
+                            className="flex items-center gap-1 px-3 py-1 rounded-md bg-green-600 hover:bg-green-700 text-white text-sm"
+                          >
+                            <Play className="h-4 w-4" />
+                            Resume
+                          </button>
+                        )}
+                        {!FINISHED_JOB_STATUSES.includes(sendJob.status) && (
+                          <button
+                            onClick={() => controlSendJob("cancel")}
+                            className="flex items-center gap-1 px-3 py-1 rounded-md bg-red-600 hover:bg-red-700 text-white text-sm"
+                          >
+                            <XCircle className="h-4 w-4" />
+                            Cancel
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                    <div className={`w-full h-3 rounded-full overflow-hidden ${darkMode ? "bg-gray-600" : "bg-gray-200"}`}>
+                      <div
+                        className={`h-full transition-all ${darkMode ? "bg-purple-500" : "bg-indigo-600"}`}
+                        style={{
+                          width: `${sendJob.total ? ((sendJob.sent + sendJob.failed) / sendJob.total) * 100 : 0}%`,
+                        }}
+                      />
                     </div>
-                    {emailSendResult.errors && emailSendResult.errors.length > 0 && (
-                      <div>
+                    <div className="flex gap-4 mt-2 text-sm">
+                      <span className={darkMode ? "text-green-300" : "text-green-700"}>Sent: {sendJob.sent}</span>
+                      <span className={darkMode ? "text-red-400" : "text-red-700"}>Failed: {sendJob.failed}</span>
+                      <span className={darkMode ? "text-gray-300" : "text-gray-600"}>Remaining: {sendJob.queued}</span>
+                      {sendJob.retrying > 0 && (
+                        <span className={darkMode ? "text-yellow-300" : "text-yellow-700"}>
+                          Retrying: {sendJob.retrying}
+                        </span>
+                      )}
+                    </div>
+                    {sendJob.errors && sendJob.errors.length > 0 && (
+                      <div className="mt-3">
                         <div className={`font-medium mb-1 ${darkMode ? "text-red-400" : "text-red-700"}`}>
                           Failed Emails:
                         </div>
-                        <ul className={`list-disc ml-6 text-sm ${darkMode ? "text-red-400" : "text-red-700"}`}>
-                          {emailSendResult.errors.map((err, idx) => (
+                        <ul
+                          className={`list-disc ml-6 text-sm max-h-48 overflow-y-auto ${darkMode ? "text-red-400" : "text-red-700"}`}
+                        >
+                          {sendJob.errors.map((err, idx) => (
                             <li key={idx}>
-                              {err.email}: {err.error}
+                              {err.email}: {err.error}{" "}
+                              <span className="text-xs opacity-75">
+                                ({err.type}
+                                {err.attempts > 1 ? `, ${err.attempts} attempts` : ""})
+                              </span>
                             </li>
                           ))}
                         </ul>
@@ -1189,6 +4015,17 @@ const SheetsApiFrontend = () => {
                     )}
                   </div>
                 )}
+                {emailSendResult && (
+                  <div
+                    className={`rounded-lg p-4 mb-4 ${
+                      darkMode ? "bg-green-900/30 border border-green-800" : "bg-green-50 border border-green-200"
+                    }`}
+                  >
+                    <div className={`font-semibold ${darkMode ? "text-green-300" : "text-green-700"}`}>
+                      {emailSendResult.message}
+                    </div>
+                  </div>
+                )}
               </div>
             )}
           </div>